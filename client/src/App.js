@@ -42,7 +42,8 @@ import {
   Psychology as PreprocessIcon,
   Summarize as SummarizeIcon,
   Schema as SchemaIcon,
-  StarRate as RateIcon
+  StarRate as RateIcon,
+  Assessment as ImpactIcon
 } from '@mui/icons-material';
 import { SnackbarProvider } from 'notistack';
 
@@ -57,6 +58,7 @@ import QueryPreprocessing from './components/processing/QueryPreprocessing';
 import SummarizationDedup from './components/processing/SummarizationDedup';
 import PromptSchemaManager from './components/processing/PromptSchemaManager';
 import UserStoryRating from './components/processing/UserStoryRating';
+import ReleaseImpact from './components/processing/ReleaseImpact';
 import Settings from './components/settings/Settings';
 
 // Enterprise color palette
@@ -222,6 +224,13 @@ const menuItems = [
     component: UserStoryRating,
     description: 'RAG-powered user story analysis & rating'
   },
+  { 
+    id: 'release-impact', 
+    label: 'Release Impact', 
+    icon: <ImpactIcon />, 
+    component: ReleaseImpact,
+    description: 'Affected test cases & regression suite per release'
+  },
   { 
     id: 'settings', 
     label: 'Settings', 
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Paper,
   Typography,
@@ -20,7 +20,17 @@ import {
   Stepper,
   StepLabel,
   Fade,
-  LinearProgress
+  LinearProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Checkbox
 } from '@mui/material';
 import {
   CloudUpload as CloudUploadIcon,
@@ -28,14 +38,46 @@ import {
   Error as ErrorIcon,
   Description as DescriptionIcon,
   InsertDriveFile as FileIcon,
-  Transform as TransformIcon
+  Transform as TransformIcon,
+  Save as SaveIcon,
+  ViewColumn as ViewColumnIcon,
+  FactCheck as FactCheckIcon,
+  Download as DownloadIcon
 } from '@mui/icons-material';
 import { useSnackbar } from 'notistack';
 import axios from 'axios';
 
 const API_BASE = 'http://localhost:3001/api';
 
-const steps = ['Select File', 'Configure', 'Convert'];
+const steps = ['Select File', 'Map Columns', 'Validate', 'Convert'];
+
+// Chip colour per proposal match strength
+const MATCH_COLORS = { profile: 'primary', alias: 'success', normalized: 'success', partial: 'warning' };
+
+const ENTITY_LABELS = { testcase: 'Test cases', userstory: 'User stories' };
+
+// Findings listed per sheet before the rest are left to the CSV download
+const FINDINGS_SHOWN = 100;
+
+// One CSV row per finding across all validated sheets
+function downloadValidationReport(sheetReports, fileName) {
+  const headers = ['Sheet', 'Row', 'ID', 'Severity', 'Field', 'Code', 'Message', 'Value'];
+  const quote = (cell) => `"${String(cell ?? '').replace(/"/g, '""')}"`;
+  const rows = sheetReports.flatMap(sheet => sheet.validation.findings.map(f => [
+    sheet.sheetName, f.row, f.id, f.severity, f.field, f.code, f.message, f.value
+  ]));
+
+  const csvContent = [
+    headers.join(','),
+    ...rows.map(row => row.map(quote).join(','))
+  ].join('\n');
+
+  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${fileName.replace(/\.[^.]+$/, '')}_validation_${new Date().toISOString().split('T')[0]}.csv`;
+  link.click();
+}
 
 function ConvertToJson() {
   const [selectedFile, setSelectedFile] = useState(null);
@@ -44,13 +86,75 @@ function ConvertToJson() {
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
   const [activeStep, setActiveStep] = useState(0);
+  const [profiles, setProfiles] = useState([]);
+  const [selectedProfile, setSelectedProfile] = useState('');
+  const [entityFields, setEntityFields] = useState({});
+  const [sheets, setSheets] = useState([]);
+  // Per sheet: { entity: 'testcase' | 'userstory' | '' (skip), columnMapping, matches }
+  const [sheetConfigs, setSheetConfigs] = useState({});
+  const [loadingHeaders, setLoadingHeaders] = useState(false);
+  const [profileName, setProfileName] = useState('');
+  const [validating, setValidating] = useState(false);
+  // { sheets: [{ sheetName, entity, validation }], errors, warnings } from /upload-excel/validate
+  const [validationReport, setValidationReport] = useState(null);
   const { enqueueSnackbar } = useSnackbar();
 
+  const loadProfiles = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/mapping-profiles`);
+      setProfiles(response.data.profiles);
+      setEntityFields(response.data.fields);
+    } catch (err) {
+      console.error('Failed to load mapping profiles:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  // Read the workbook's sheets/headers and let the server guess each sheet's entity and propose mappings.
+  // Sheets whose guessed entity has every required field mapped are selected for conversion.
+  const loadHeaders = async (file, { sheet, profile } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (sheet) formData.append('sheetName', sheet);
+    if (profile) formData.append('profile', profile);
+
+    setLoadingHeaders(true);
+    try {
+      const response = await axios.post(`${API_BASE}/upload-excel/headers`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      const configs = {};
+      response.data.sheets.forEach(s => {
+        const proposal = s.suggestedEntity ? s.proposals[s.suggestedEntity] : null;
+        const selected = proposal && s.rowCount > 0 && proposal.missingRequired.length === 0;
+        configs[s.sheetName] = {
+          entity: selected ? s.suggestedEntity : '',
+          columnMapping: proposal ? proposal.columns : {},
+          matches: proposal ? proposal.matches : []
+        };
+      });
+      setSheets(response.data.sheets);
+      setSheetConfigs(configs);
+      setValidationReport(null);
+      setSheetName(response.data.sheetName || '');
+      setEntityFields(response.data.entityFields);
+    } catch (err) {
+      const errorMessage = err.response?.data?.details || err.response?.data?.error || 'Failed to read workbook';
+      setError(errorMessage);
+      enqueueSnackbar(errorMessage, { variant: 'error' });
+    } finally {
+      setLoadingHeaders(false);
+    }
+  };
+
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
     if (file) {
-      if (!file.name.match(/\.(xlsx|xls)$/i)) {
-        enqueueSnackbar('Please select a valid Excel file (.xlsx or .xls)', { variant: 'error' });
+      if (!file.name.match(/\.(xlsx|xls|csv)$/i)) {
+        enqueueSnackbar('Please select a valid Excel or CSV file (.xlsx, .xls or .csv)', { variant: 'error' });
         return;
       }
       setSelectedFile(file);
@@ -58,28 +162,145 @@ function ConvertToJson() {
       setError(null);
       setActiveStep(1);
       enqueueSnackbar('File selected successfully', { variant: 'success' });
+      loadHeaders(file, { profile: selectedProfile });
     }
   };
 
-  const handleUpload = async () => {
-    if (!selectedFile) {
-      enqueueSnackbar('Please select a file first', { variant: 'error' });
-      return;
+  const handleProfileChange = (profile) => {
+    setSelectedProfile(profile);
+    if (selectedFile) loadHeaders(selectedFile, { sheet: sheetName, profile });
+  };
+
+  // Switching a sheet's entity starts from the server's proposal for that entity
+  const handleEntityChange = (sheet, entity) => {
+    setValidationReport(null);
+    const proposal = entity ? sheet.proposals[entity] : null;
+    setSheetConfigs(prev => ({
+      ...prev,
+      [sheet.sheetName]: {
+        entity,
+        columnMapping: proposal ? proposal.columns : {},
+        matches: proposal ? proposal.matches : []
+      }
+    }));
+    if (entity) setSheetName(sheet.sheetName);
+  };
+
+  const handleMappingChange = (header, field) => {
+    setValidationReport(null);
+    setSheetConfigs(prev => {
+      const config = prev[sheetName];
+      const next = { ...config.columnMapping };
+      // A field takes one column; picking it again moves it
+      if (field) {
+        Object.keys(next).forEach(h => { if (next[h] === field) next[h] = null; });
+      }
+      next[header] = field || null;
+      return { ...prev, [sheetName]: { ...config, columnMapping: next } };
+    });
+  };
+
+  const currentSheet = sheets.find(s => s.sheetName === sheetName);
+  const currentConfig = sheetConfigs[sheetName] || { entity: '', columnMapping: {}, matches: [] };
+  const fields = entityFields[currentConfig.entity] || [];
+  const columnMapping = currentConfig.columnMapping;
+  const mappedFields = Object.values(columnMapping).filter(Boolean);
+
+  const missingRequiredFor = (name) => {
+    const config = sheetConfigs[name];
+    if (!config?.entity) return [];
+    const mapped = Object.values(config.columnMapping).filter(Boolean);
+    return (entityFields[config.entity] || []).filter(f => f.required && !mapped.includes(f.field));
+  };
+  const selectedSheets = sheets.filter(s => sheetConfigs[s.sheetName]?.entity);
+  const missingRequired = currentSheet ? missingRequiredFor(sheetName) : [];
+  const sheetsMissingRequired = selectedSheets.filter(s => missingRequiredFor(s.sheetName).length > 0);
+
+  const handleSaveProfile = async () => {
+    try {
+      const response = await axios.put(`${API_BASE}/mapping-profiles/${encodeURIComponent(profileName.trim())}`, {
+        entity: currentConfig.entity,
+        sheetName,
+        columns: columnMapping
+      });
+      enqueueSnackbar(`Saved mapping profile "${response.data.profile.name}"`, { variant: 'success' });
+      setSelectedProfile(response.data.profile.name);
+      setProfileName('');
+      loadProfiles();
+    } catch (err) {
+      enqueueSnackbar(err.response?.data?.details || 'Failed to save mapping profile', { variant: 'error' });
     }
+  };
 
-    if (!sheetName.trim()) {
-      enqueueSnackbar('Please enter a sheet name', { variant: 'error' });
-      return;
+  // Form for /upload-excel and /upload-excel/validate; null (after telling the user why) when incomplete
+  const buildImportForm = () => {
+    if (!selectedFile) {
+      enqueueSnackbar('Please select a file first', { variant: 'error' });
+      return null;
     }
 
     const formData = new FormData();
     formData.append('file', selectedFile);
-    formData.append('sheetName', sheetName);
+
+    if (sheets.length > 0) {
+      if (selectedSheets.length === 0) {
+        enqueueSnackbar('Select at least one sheet to convert', { variant: 'error' });
+        return null;
+      }
+      formData.append('sheets', JSON.stringify(selectedSheets.map(s => {
+        const config = sheetConfigs[s.sheetName];
+        const hasMapping = Object.values(config.columnMapping).some(Boolean);
+        return {
+          sheetName: s.sheetName,
+          entity: config.entity,
+          ...(hasMapping ? { columnMap: config.columnMapping } : {})
+        };
+      })));
+    } else {
+      // Headers could not be read; fall back to converting one named test case sheet
+      if (!sheetName.trim()) {
+        enqueueSnackbar('Please enter a sheet name', { variant: 'error' });
+        return null;
+      }
+      formData.append('sheetName', sheetName);
+    }
+    return formData;
+  };
+
+  const handleValidate = async () => {
+    const formData = buildImportForm();
+    if (!formData) return;
+
+    setValidating(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${API_BASE}/upload-excel/validate`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      setValidationReport(response.data);
+      setActiveStep(2);
+      const { errors, warnings } = response.data;
+      enqueueSnackbar(
+        errors + warnings === 0 ? 'No problems found' : `${errors} error(s), ${warnings} warning(s) found`,
+        { variant: errors > 0 ? 'warning' : 'success' }
+      );
+    } catch (err) {
+      const errorMessage = err.response?.data?.details || err.response?.data?.error || 'Validation failed';
+      setError(errorMessage);
+      enqueueSnackbar(errorMessage, { variant: 'error' });
+    } finally {
+      setValidating(false);
+    }
+  };
+
+  const handleUpload = async () => {
+    const formData = buildImportForm();
+    if (!formData) return;
 
     setUploading(true);
     setError(null);
     setResult(null);
-    setActiveStep(2);
+    setActiveStep(3);
 
     try {
       const response = await axios.post(`${API_BASE}/upload-excel`, formData, {
@@ -89,10 +310,18 @@ function ConvertToJson() {
       });
 
       setResult(response.data);
-      setActiveStep(3);
-      enqueueSnackbar('File converted successfully!', { variant: 'success' });
+      setActiveStep(4);
+      if (!validationReport) {
+        // Conversion reports the in-file checks; the stored-ID check needs an explicit validation
+        setValidationReport({
+          sheets: response.data.outputs,
+          errors: response.data.outputs.reduce((sum, o) => sum + o.validation.summary.errors, 0),
+          warnings: response.data.outputs.reduce((sum, o) => sum + o.validation.summary.warnings, 0)
+        });
+      }
+      enqueueSnackbar(response.data.message || 'File converted successfully!', { variant: 'success' });
     } catch (err) {
-      const errorMessage = err.response?.data?.error || 'Upload failed';
+      const errorMessage = err.response?.data?.details || err.response?.data?.error || 'Upload failed';
       setError(errorMessage);
       setActiveStep(1);
       enqueueSnackbar(errorMessage, { variant: 'error' });
@@ -104,6 +333,9 @@ function ConvertToJson() {
   const resetForm = () => {
     setSelectedFile(null);
     setSheetName('Testcases');
+    setSheets([]);
+    setSheetConfigs({});
+    setValidationReport(null);
     setResult(null);
     setError(null);
     setActiveStep(0);
@@ -118,7 +350,8 @@ function ConvertToJson() {
           Convert Excel to JSON
         </Typography>
         <Typography variant="body1" color="text.secondary">
-          Upload Excel test case files and convert them to JSON format for processing.
+          Upload Excel test case or user story files and convert them to JSON format for processing.
+          Each sheet of a workbook can be converted as its own entity.
         </Typography>
       </Box>
 
@@ -146,7 +379,7 @@ function ConvertToJson() {
             <CardContent>
               <Box sx={{ mb: 3 }}>
                 <input
-                  accept=".xlsx,.xls"
+                  accept=".xlsx,.xls,.csv"
                   style={{ display: 'none' }}
                   id="excel-file-upload"
                   type="file"
@@ -165,7 +398,7 @@ function ConvertToJson() {
                       '&:hover': { borderStyle: 'dashed' }
                     }}
                   >
-                    Select Excel File
+                    Select Excel or CSV File
                   </Button>
                 </label>
               </Box>
@@ -191,27 +424,218 @@ function ConvertToJson() {
                 </Fade>
               )}
 
-              <TextField
-                label="Sheet Name"
-                value={sheetName}
-                onChange={(e) => setSheetName(e.target.value)}
-                variant="outlined"
-                fullWidth
-                sx={{ mb: 3 }}
-                helperText="Name of the Excel sheet to convert (e.g., Testcases)"
-                error={!sheetName.trim()}
-              />
+              <FormControl fullWidth sx={{ mb: 3 }}>
+                <InputLabel>Mapping Profile</InputLabel>
+                <Select
+                  value={selectedProfile}
+                  label="Mapping Profile"
+                  onChange={(e) => handleProfileChange(e.target.value)}
+                >
+                  <MenuItem value="">
+                    <em>Auto-detect from headers</em>
+                  </MenuItem>
+                  {profiles.map(profile => (
+                    <MenuItem key={profile.name} value={profile.name}>
+                      {profile.name}{profile.builtIn ? ' (built-in)' : ''}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              {sheets.length > 0 ? (
+                <Card variant="outlined" sx={{ mb: 3 }}>
+                  <CardHeader
+                    title="Sheets"
+                    subheader="Choose what each sheet contains; skipped sheets are not converted"
+                    avatar={<DescriptionIcon color="primary" />}
+                  />
+                  <CardContent>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell padding="checkbox" />
+                          <TableCell>Sheet</TableCell>
+                          <TableCell>Rows</TableCell>
+                          <TableCell>Contains</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {sheets.map(sheet => {
+                          const config = sheetConfigs[sheet.sheetName] || {};
+                          const missing = missingRequiredFor(sheet.sheetName);
+                          return (
+                            <TableRow
+                              key={sheet.sheetName}
+                              hover
+                              selected={sheet.sheetName === sheetName}
+                              onClick={() => setSheetName(sheet.sheetName)}
+                              sx={{ cursor: 'pointer' }}
+                            >
+                              <TableCell padding="checkbox">
+                                <Checkbox
+                                  checked={Boolean(config.entity)}
+                                  onClick={(e) => e.stopPropagation()}
+                                  onChange={(e) => handleEntityChange(sheet, e.target.checked ? (sheet.suggestedEntity || 'testcase') : '')}
+                                />
+                              </TableCell>
+                              <TableCell>
+                                <Typography variant="body2" fontWeight={600}>{sheet.sheetName}</Typography>
+                                {missing.length > 0 && (
+                                  <Chip label={`${missing.length} required field(s) unmapped`} size="small" color="warning" variant="outlined" sx={{ mt: 0.5 }} />
+                                )}
+                              </TableCell>
+                              <TableCell>{sheet.rowCount}</TableCell>
+                              <TableCell sx={{ minWidth: 180 }} onClick={(e) => e.stopPropagation()}>
+                                <Select
+                                  size="small"
+                                  fullWidth
+                                  value={config.entity || ''}
+                                  onChange={(e) => handleEntityChange(sheet, e.target.value)}
+                                  displayEmpty
+                                >
+                                  <MenuItem value="">
+                                    <em>Skip</em>
+                                  </MenuItem>
+                                  {Object.entries(ENTITY_LABELS).map(([entity, label]) => (
+                                    <MenuItem key={entity} value={entity}>
+                                      {label}{entity === sheet.suggestedEntity ? ' (suggested)' : ''}
+                                    </MenuItem>
+                                  ))}
+                                </Select>
+                              </TableCell>
+                            </TableRow>
+                          );
+                        })}
+                      </TableBody>
+                    </Table>
+                  </CardContent>
+                </Card>
+              ) : (
+                <TextField
+                  label="Sheet Name"
+                  value={sheetName}
+                  onChange={(e) => setSheetName(e.target.value)}
+                  variant="outlined"
+                  fullWidth
+                  sx={{ mb: 3 }}
+                  helperText="Name of the Excel sheet to convert (e.g., Testcases)"
+                  error={!sheetName.trim()}
+                />
+              )}
+
+              {loadingHeaders && <LinearProgress sx={{ mb: 3 }} />}
+
+              {currentSheet && currentConfig.entity && (
+                <Card variant="outlined" sx={{ mb: 3 }}>
+                  <CardHeader
+                    title={`Column Mapping: ${currentSheet.sheetName}`}
+                    subheader={`Confirm or change which ${ENTITY_LABELS[currentConfig.entity].toLowerCase()} field each column is imported into`}
+                    avatar={<ViewColumnIcon color="primary" />}
+                  />
+                  <CardContent>
+                    {missingRequired.length > 0 && (
+                      <Alert severity="warning" sx={{ mb: 2 }}>
+                        No column mapped to required field(s): {missingRequired.map(f => f.label).join(', ')}
+                      </Alert>
+                    )}
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Column</TableCell>
+                          <TableCell>Sample</TableCell>
+                          <TableCell>Imported as</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {currentSheet.headers.map(header => {
+                          const match = currentConfig.matches.find(m => m.header === header);
+                          const sample = currentSheet.sample[0]?.[header];
+                          return (
+                            <TableRow key={header}>
+                              <TableCell>
+                                <Typography variant="body2" fontWeight={600}>{header}</Typography>
+                                {match?.match && columnMapping[header] === match.field && (
+                                  <Chip label={match.match} size="small" color={MATCH_COLORS[match.match]} variant="outlined" sx={{ mt: 0.5 }} />
+                                )}
+                              </TableCell>
+                              <TableCell sx={{ maxWidth: 200 }}>
+                                <Typography variant="caption" color="text.secondary" noWrap component="div">
+                                  {sample === undefined || sample === '' ? '—' : String(sample)}
+                                </Typography>
+                              </TableCell>
+                              <TableCell sx={{ minWidth: 200 }}>
+                                <Select
+                                  size="small"
+                                  fullWidth
+                                  value={columnMapping[header] || ''}
+                                  onChange={(e) => handleMappingChange(header, e.target.value)}
+                                  displayEmpty
+                                >
+                                  <MenuItem value="">
+                                    <em>Ignore column</em>
+                                  </MenuItem>
+                                  {fields.map(f => (
+                                    <MenuItem key={f.field} value={f.field}>
+                                      {f.label}{f.required ? ' *' : ''}
+                                    </MenuItem>
+                                  ))}
+                                </Select>
+                              </TableCell>
+                            </TableRow>
+                          );
+                        })}
+                      </TableBody>
+                    </Table>
+
+                    <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+                      <TextField
+                        label="Save mapping as profile"
+                        value={profileName}
+                        onChange={(e) => setProfileName(e.target.value)}
+                        size="small"
+                        sx={{ flexGrow: 1 }}
+                      />
+                      <Button
+                        variant="outlined"
+                        startIcon={<SaveIcon />}
+                        onClick={handleSaveProfile}
+                        disabled={!profileName.trim() || mappedFields.length === 0}
+                      >
+                        Save Profile
+                      </Button>
+                    </Box>
+                  </CardContent>
+                </Card>
+              )}
 
               <Box sx={{ display: 'flex', gap: 2 }}>
+                <Button
+                  variant="outlined"
+                  onClick={handleValidate}
+                  disabled={
+                    !selectedFile || uploading || validating || loadingHeaders || sheetsMissingRequired.length > 0
+                    || (sheets.length > 0 ? selectedSheets.length === 0 : !sheetName.trim())
+                  }
+                  startIcon={validating ? <CircularProgress size={20} /> : <FactCheckIcon />}
+                  size="large"
+                >
+                  {validating ? 'Validating...' : 'Validate'}
+                </Button>
+
                 <Button
                   variant="contained"
                   onClick={handleUpload}
-                  disabled={!selectedFile || uploading || !sheetName.trim()}
+                  disabled={
+                    !selectedFile || uploading || validating || loadingHeaders || sheetsMissingRequired.length > 0
+                    || (sheets.length > 0 ? selectedSheets.length === 0 : !sheetName.trim())
+                  }
                   startIcon={uploading ? <CircularProgress size={20} /> : <TransformIcon />}
                   size="large"
                   sx={{ flexGrow: 1 }}
                 >
-                  {uploading ? 'Converting...' : 'Convert to JSON'}
+                  {uploading
+                    ? 'Converting...'
+                    : selectedSheets.length > 1 ? `Convert ${selectedSheets.length} Sheets to JSON` : 'Convert to JSON'}
                 </Button>
                 
                 <Button
@@ -237,7 +661,7 @@ function ConvertToJson() {
             />
             <CardContent>
               <Typography variant="body2" sx={{ mb: 2, color: 'inherit' }}>
-                Your Excel file should contain these columns:
+                Test case sheets should contain these columns:
               </Typography>
               <List dense>
                 {[
@@ -271,11 +695,97 @@ function ConvertToJson() {
                   </ListItem>
                 ))}
               </List>
+              <Typography variant="body2" sx={{ mt: 2, color: 'inherit' }}>
+                User story sheets use a Jira-style export: Story Key, Summary, Description, Status,
+                Priority, Acceptance Criteria, Story Points and similar columns.
+              </Typography>
             </CardContent>
           </Card>
         </Grid>
       </Grid>
 
+      {/* Validation Report */}
+      {validationReport && (
+        <Fade in={true}>
+          <Card elevation={3} sx={{ mt: 3 }}>
+            <CardHeader
+              title="Validation Report"
+              subheader={`${validationReport.errors} error(s), ${validationReport.warnings} warning(s)`}
+              avatar={<FactCheckIcon color={validationReport.errors > 0 ? 'error' : validationReport.warnings > 0 ? 'warning' : 'success'} />}
+              action={
+                <Button
+                  startIcon={<DownloadIcon />}
+                  onClick={() => downloadValidationReport(validationReport.sheets, selectedFile?.name || 'import')}
+                  disabled={validationReport.errors + validationReport.warnings === 0}
+                >
+                  Download CSV
+                </Button>
+              }
+            />
+            <CardContent>
+              {validationReport.errors > 0 && (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  Rows with errors are converted but will be reported as invalid (and not embedded) when creating embeddings.
+                  Fix them in the spreadsheet and validate again, or continue.
+                </Alert>
+              )}
+
+              {validationReport.sheets.map(sheet => {
+                const { summary, findings, collectionChecked, collectionError } = sheet.validation;
+                return (
+                  <Box key={sheet.sheetName} sx={{ mb: 3 }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+                      <Typography variant="subtitle1" fontWeight={600}>{sheet.sheetName}</Typography>
+                      <Chip label={ENTITY_LABELS[sheet.entity]} size="small" variant="outlined" />
+                      <Chip label={`${summary.valid}/${summary.rows} rows valid`} size="small" color={summary.rowsWithErrors > 0 ? 'error' : 'success'} />
+                      {summary.warnings > 0 && <Chip label={`${summary.warnings} warning(s)`} size="small" color="warning" />}
+                    </Box>
+
+                    {!collectionChecked && (
+                      <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1 }}>
+                        IDs were not checked against the stored collection{collectionError ? ` (${collectionError})` : ''}.
+                      </Typography>
+                    )}
+
+                    {findings.length > 0 && (
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>Row</TableCell>
+                            <TableCell>ID</TableCell>
+                            <TableCell>Severity</TableCell>
+                            <TableCell>Field</TableCell>
+                            <TableCell>Problem</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {findings.slice(0, FINDINGS_SHOWN).map((finding, index) => (
+                            <TableRow key={`${finding.row}-${finding.code}-${finding.field}-${index}`}>
+                              <TableCell>{finding.row}</TableCell>
+                              <TableCell>{finding.id || '—'}</TableCell>
+                              <TableCell>
+                                <Chip label={finding.severity} size="small" color={finding.severity === 'error' ? 'error' : 'warning'} variant="outlined" />
+                              </TableCell>
+                              <TableCell>{finding.field}</TableCell>
+                              <TableCell>{finding.message}</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    )}
+                    {findings.length > FINDINGS_SHOWN && (
+                      <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                        ... and {findings.length - FINDINGS_SHOWN} more (download the CSV for the full report)
+                      </Typography>
+                    )}
+                  </Box>
+                );
+              })}
+            </CardContent>
+          </Card>
+        </Fade>
+      )}
+
       {/* Results Section */}
       {(result || error) && (
         <Fade in={true}>
@@ -297,37 +807,65 @@ function ConvertToJson() {
                     <strong>Success!</strong> {result.message}
                   </Alert>
                   
-                  <Grid container spacing={2}>
-                    <Grid item xs={12} sm={6}>
-                      <Card variant="outlined">
-                        <CardContent>
-                          <Typography variant="h6" gutterBottom>
-                            Output File
-                          </Typography>
-                          <Typography variant="body1" color="primary" fontWeight={600}>
-                            {result.outputFile}
-                          </Typography>
-                          <Typography variant="body2" color="text.secondary">
-                            Saved to data folder
-                          </Typography>
-                        </CardContent>
-                      </Card>
-                    </Grid>
-                    
-                    <Grid item xs={12} sm={6}>
-                      <Card variant="outlined">
-                        <CardContent>
-                          <Typography variant="h6" gutterBottom>
-                            Status
-                          </Typography>
-                          <Chip label="Completed" color="success" />
-                          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
-                            Ready for embedding creation
-                          </Typography>
-                        </CardContent>
-                      </Card>
-                    </Grid>
-                  </Grid>
+                  {(result.outputs || [result]).map(output => (
+                    <Box key={output.outputFile} sx={{ mb: 2 }}>
+                      <Grid container spacing={2}>
+                        <Grid item xs={12} sm={6}>
+                          <Card variant="outlined">
+                            <CardContent>
+                              <Typography variant="h6" gutterBottom>
+                                Output File
+                              </Typography>
+                              <Typography variant="body1" color="primary" fontWeight={600}>
+                                {output.outputFile}
+                              </Typography>
+                              <Typography variant="body2" color="text.secondary">
+                                Saved to data folder
+                              </Typography>
+                            </CardContent>
+                          </Card>
+                        </Grid>
+
+                        <Grid item xs={12} sm={6}>
+                          <Card variant="outlined">
+                            <CardContent>
+                              <Typography variant="h6" gutterBottom>
+                                Status
+                              </Typography>
+                              <Box sx={{ display: 'flex', gap: 1 }}>
+                                <Chip label="Completed" color="success" />
+                                {output.entity && <Chip label={ENTITY_LABELS[output.entity]} variant="outlined" />}
+                              </Box>
+                              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                                {output.recordCount} records from sheet "{output.sheetName}"
+                                {output.skipped > 0 && ` (${output.skipped} rows skipped)`}
+                              </Typography>
+                            </CardContent>
+                          </Card>
+                        </Grid>
+                      </Grid>
+
+                      {output.unmappedColumns?.length > 0 && (
+                        <Alert severity="info" sx={{ mt: 2 }}>
+                          Columns not imported from "{output.sheetName}": {output.unmappedColumns.join(', ')}
+                        </Alert>
+                      )}
+
+                      {output.issues?.length > 0 && (
+                        <Alert severity="warning" sx={{ mt: 2 }}>
+                          <strong>{output.issues.length} row issue(s) in "{output.sheetName}":</strong>
+                          {output.issues.slice(0, 10).map(issue => (
+                            <Typography key={issue.row} variant="body2">
+                              Row {issue.row}: {issue.error}
+                            </Typography>
+                          ))}
+                          {output.issues.length > 10 && (
+                            <Typography variant="body2">... and {output.issues.length - 10} more</Typography>
+                          )}
+                        </Alert>
+                      )}
+                    </Box>
+                  ))}
 
                   {result.output && (
                     <Card variant="outlined" sx={{ mt: 2 }}>
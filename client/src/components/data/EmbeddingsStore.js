@@ -21,7 +21,10 @@ import {
   Tooltip,
   LinearProgress,
   Grid,
-  Fade
+  Fade,
+  TextField,
+  FormControlLabel,
+  Checkbox
 } from '@mui/material';
 import { DataGrid } from '@mui/x-data-grid';
 import {
@@ -32,13 +35,19 @@ import {
   Error as ErrorIcon,
   Schedule as ScheduleIcon,
   Storage as StorageIcon,
-  InsertDriveFile as FileIcon
+  InsertDriveFile as FileIcon,
+  Cancel as CancelIcon,
+  Block as BlockIcon,
+  CompareArrows as CompareArrowsIcon
 } from '@mui/icons-material';
 import { useSnackbar } from 'notistack';
 import axios from 'axios';
 
 const API_BASE = 'http://localhost:3001/api';
 
+// Job statuses after which polling stops
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
 function EmbeddingsStore() {
   const [files, setFiles] = useState([]);
   const [selectedFiles, setSelectedFiles] = useState([]);
@@ -49,6 +58,11 @@ function EmbeddingsStore() {
   const [showSettings, setShowSettings] = useState(false);
   const [currentJobId, setCurrentJobId] = useState(null);
   const [jobProgress, setJobProgress] = useState(null);
+  const [concurrency, setConcurrency] = useState(1);
+  const [cancelling, setCancelling] = useState(false);
+  const [removeMissing, setRemoveMissing] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [diffReports, setDiffReports] = useState(null);
   const { enqueueSnackbar } = useSnackbar();
 
   const loadFiles = useCallback(async () => {
@@ -80,6 +94,7 @@ function EmbeddingsStore() {
         setCurrentJobId(activeJob.id);
         setProcessing(true);
         setJobProgress(activeJob);
+        setCancelling(activeJob.status === 'cancelling');
         enqueueSnackbar('Resuming embedding process...', { variant: 'info' });
       }
     } catch (err) {
@@ -103,8 +118,9 @@ function EmbeddingsStore() {
         
         setJobProgress(job);
         
-        if (job.status === 'completed') {
+        if (FINISHED_JOB_STATUSES.includes(job.status)) {
           setProcessing(false);
+          setCancelling(false);
           setResults(job.results);
           setCurrentJobId(null);
           setJobProgress(null);
@@ -112,7 +128,11 @@ function EmbeddingsStore() {
           const successful = job.results.filter(r => r.status === 'completed').length;
           const failed = job.results.filter(r => r.status === 'failed').length;
           
-          if (failed === 0) {
+          if (job.status === 'cancelled') {
+            enqueueSnackbar('Embedding job cancelled. Records already embedded were kept.', { variant: 'info' });
+          } else if (job.status === 'failed') {
+            enqueueSnackbar(`Embedding job failed: ${job.error}`, { variant: 'error' });
+          } else if (failed === 0) {
             enqueueSnackbar(`Successfully processed all ${successful} files!`, { variant: 'success' });
           } else {
             enqueueSnackbar(`Processed ${successful} files, ${failed} failed`, { variant: 'warning' });
@@ -204,12 +224,15 @@ function EmbeddingsStore() {
     setError(null);
     setResults([]);
     setJobProgress(null);
+    setDiffReports(null);
 
     try {
       enqueueSnackbar(`Starting to process ${selectedFiles.length} files...`, { variant: 'info' });
       
       const response = await axios.post(`${API_BASE}/create-embeddings`, {
-        files: selectedFiles
+        files: selectedFiles,
+        concurrency,
+        removeMissing
       });
 
       // Save job ID and start polling
@@ -224,6 +247,48 @@ function EmbeddingsStore() {
     }
   };
 
+  // Dry run: show what re-embedding the selected files would change, without writing anything
+  const handlePreviewChanges = async () => {
+    if (selectedFiles.length === 0) {
+      enqueueSnackbar('Please select at least one file', { variant: 'warning' });
+      return;
+    }
+
+    setPreviewing(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${API_BASE}/create-embeddings`, {
+        files: selectedFiles,
+        removeMissing,
+        dryRun: true
+      });
+      setDiffReports(response.data.files);
+    } catch (err) {
+      const errorMessage = err.response?.data?.details || err.response?.data?.error || 'Failed to preview changes';
+      setError(errorMessage);
+      enqueueSnackbar(errorMessage, { variant: 'error' });
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleCancelJob = async () => {
+    if (!currentJobId) return;
+
+    setCancelling(true);
+    try {
+      const response = await axios.delete(`${API_BASE}/jobs/${currentJobId}`);
+      setJobProgress(response.data.job);
+      enqueueSnackbar('Cancelling embedding job...', { variant: 'info' });
+    } catch (err) {
+      setCancelling(false);
+      enqueueSnackbar(err.response?.data?.details || 'Failed to cancel job', { variant: 'error' });
+    }
+  };
+
+  // Record-level progress of the file being processed (checkpointed, so it survives restarts)
+  const currentFileCheckpoint = jobProgress?.currentFile ? jobProgress.checkpoints?.[jobProgress.currentFile] : null;
+
   const columns = [
     {
       field: 'name',
@@ -257,6 +322,20 @@ function EmbeddingsStore() {
         <Chip label={params.value.toUpperCase()} size="small" variant="outlined" />
       ),
     },
+    {
+      field: 'entity',
+      headerName: 'Contents',
+      width: 130,
+      // User story files are embedded into the user stories collection
+      renderCell: (params) => (
+        <Chip
+          label={params.value === 'userstory' ? 'User stories' : 'Test cases'}
+          color={params.value === 'userstory' ? 'secondary' : 'default'}
+          size="small"
+          variant="outlined"
+        />
+      ),
+    },
   ];
 
   const getStatusIcon = (status) => {
@@ -267,6 +346,8 @@ function EmbeddingsStore() {
         return <ErrorIcon color="error" />;
       case 'in-progress':
         return <ScheduleIcon color="primary" />;
+      case 'cancelled':
+        return <BlockIcon color="warning" />;
       default:
         return <ScheduleIcon color="disabled" />;
     }
@@ -280,6 +361,8 @@ function EmbeddingsStore() {
         return 'error';
       case 'in-progress':
         return 'primary';
+      case 'cancelled':
+        return 'warning';
       default:
         return 'default';
     }
@@ -382,7 +465,9 @@ function EmbeddingsStore() {
                     <CardContent>
                       <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
                         <Typography variant="subtitle1" fontWeight={600} color="info.main">
-                          Processing Embeddings...
+                          {jobProgress.status === 'queued' && 'Waiting in queue...'}
+                          {jobProgress.status === 'in-progress' && 'Processing Embeddings...'}
+                          {jobProgress.status === 'cancelling' && 'Cancelling...'}
                         </Typography>
                         <Chip 
                           label={`${jobProgress.progress}/${jobProgress.total}`} 
@@ -394,6 +479,15 @@ function EmbeddingsStore() {
                       {jobProgress.currentFile && (
                         <Typography variant="body2" color="text.secondary" gutterBottom>
                           Current file: <strong>{jobProgress.currentFile}</strong>
+                          {currentFileCheckpoint && (
+                            <> ({currentFileCheckpoint.processed} embedded, {currentFileCheckpoint.failed} failed of {currentFileCheckpoint.total} records)</>
+                          )}
+                        </Typography>
+                      )}
+
+                      {jobProgress.runs > 1 && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          Resumed from checkpoint after a server restart
                         </Typography>
                       )}
                       
@@ -415,9 +509,21 @@ function EmbeddingsStore() {
                       
                       <Alert severity="info" sx={{ mt: 2 }}>
                         <Typography variant="caption">
-                          ✨ This process continues even if you refresh the page!
+                          ✨ This process continues even if you refresh the page or the server restarts!
                         </Typography>
                       </Alert>
+
+                      <Button
+                        variant="outlined"
+                        color="error"
+                        startIcon={cancelling ? <CircularProgress size={16} /> : <CancelIcon />}
+                        onClick={handleCancelJob}
+                        disabled={cancelling || jobProgress.status === 'cancelling'}
+                        size="small"
+                        sx={{ mt: 2 }}
+                      >
+                        {cancelling || jobProgress.status === 'cancelling' ? 'Cancelling...' : 'Cancel Job'}
+                      </Button>
                     </CardContent>
                   </Card>
                 </Fade>
@@ -435,6 +541,19 @@ function EmbeddingsStore() {
               avatar={<PlayArrowIcon color="primary" />}
             />
             <CardContent>
+              <TextField
+                label="Parallel records"
+                type="number"
+                size="small"
+                value={concurrency}
+                onChange={(e) => setConcurrency(Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 10))}
+                inputProps={{ min: 1, max: 10 }}
+                helperText="Records embedded at the same time (1-10)"
+                disabled={processing}
+                fullWidth
+                sx={{ mb: 2 }}
+              />
+
               <Button
                 variant="contained"
                 startIcon={processing ? <CircularProgress size={20} /> : <PlayArrowIcon />}
@@ -447,6 +566,29 @@ function EmbeddingsStore() {
                 {processing ? 'Processing...' : 'Create Embeddings'}
               </Button>
 
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={removeMissing}
+                    onChange={(e) => setRemoveMissing(e.target.checked)}
+                    disabled={processing}
+                  />
+                }
+                label="Remove test cases no longer in the file"
+                sx={{ mb: 1 }}
+              />
+
+              <Button
+                variant="outlined"
+                startIcon={previewing ? <CircularProgress size={20} /> : <CompareArrowsIcon />}
+                onClick={handlePreviewChanges}
+                disabled={selectedFiles.length === 0 || processing || previewing}
+                fullWidth
+                sx={{ mb: 2 }}
+              >
+                Preview Changes (Dry Run)
+              </Button>
+
               {/* Debug info */}
               <Alert severity="info" sx={{ mb: 2, fontSize: '0.75rem' }}>
                 <Typography variant="caption" component="div">
@@ -527,13 +669,66 @@ function EmbeddingsStore() {
         </Grid>
       </Grid>
 
+      {/* Dry-run Diff */}
+      {diffReports && (
+        <Fade in={true}>
+          <Card elevation={3} sx={{ mt: 3 }}>
+            <CardHeader
+              title="Preview: Changes on Re-embedding"
+              subheader="Nothing has been written. Only new and changed test cases and user stories are embedded."
+              avatar={<CompareArrowsIcon color="primary" />}
+            />
+            <CardContent>
+              {diffReports.map(report => (
+                <Box key={report.file} sx={{ mb: 2 }}>
+                  <Typography variant="subtitle1" fontWeight={600}>{report.file}</Typography>
+                  {report.error ? (
+                    <Alert severity="error" sx={{ mt: 1 }}>{report.error}</Alert>
+                  ) : (
+                    <>
+                      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', my: 1 }}>
+                        <Chip label={`${report.summary.insert} new`} color="success" size="small" />
+                        <Chip label={`${report.summary.update} changed`} color="primary" size="small" />
+                        <Chip label={`${report.summary.unchanged} unchanged`} size="small" />
+                        {report.summary.remove > 0 && <Chip label={`${report.summary.remove} to remove`} color="error" size="small" />}
+                        {report.summary.invalid > 0 && <Chip label={`${report.summary.invalid} invalid`} color="warning" size="small" />}
+                      </Box>
+                      {report.changes.update.length > 0 && (
+                        <Typography variant="body2" color="text.secondary">
+                          Changed: {report.changes.update.map(c => `${c.id} (${c.reason})`).join(', ')}
+                        </Typography>
+                      )}
+                      {report.changes.remove.length > 0 && (
+                        <Typography variant="body2" color="error">
+                          Removed: {report.changes.remove.join(', ')}
+                        </Typography>
+                      )}
+                      {report.changes.invalid.length > 0 && (
+                        <Typography variant="body2" color="warning.main">
+                          Invalid: {report.changes.invalid.map(c => `row ${c.index + 1}: ${c.reason}`).join('; ')}
+                        </Typography>
+                      )}
+                      {report.truncated && (
+                        <Typography variant="caption" color="text.secondary">
+                          Lists show the first 50 entries of each kind.
+                        </Typography>
+                      )}
+                    </>
+                  )}
+                </Box>
+              ))}
+            </CardContent>
+          </Card>
+        </Fade>
+      )}
+
       {/* Results Section */}
       {results.length > 0 && (
         <Fade in={true}>
           <Card elevation={3} sx={{ mt: 3 }}>
             <CardHeader
               title="Processing Results"
-              subheader={`${results.filter(r => r.status === 'completed').length} completed, ${results.filter(r => r.status === 'failed').length} failed`}
+              subheader={`${results.filter(r => r.status === 'completed').length} completed, ${results.filter(r => r.status === 'failed').length} failed${results.some(r => r.status === 'cancelled') ? `, ${results.filter(r => r.status === 'cancelled').length} cancelled` : ''}`}
             />
             <CardContent>
               <List>
@@ -575,6 +770,20 @@ function EmbeddingsStore() {
                               </Paper>
                             )
                           )}
+                          {result.errors?.length > 0 && (
+                            <Alert severity="warning" sx={{ mt: 1 }}>
+                              {result.errors.slice(0, 5).map(e => (
+                                <Typography key={e.index} variant="caption" display="block">
+                                  Record {e.index + 1}{e.id ? ` (${e.id})` : ''}: {e.error}
+                                </Typography>
+                              ))}
+                              {result.errors.length > 5 && (
+                                <Typography variant="caption" display="block">
+                                  ... and {result.errors.length - 5} more
+                                </Typography>
+                              )}
+                            </Alert>
+                          )}
                         </Box>
                       }
                     />
@@ -26,6 +26,11 @@ import {
   Stepper,
   Step,
   StepLabel,
+  Checkbox,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
 } from '@mui/material';
 import {
   Schema as SchemaIcon,
@@ -44,7 +49,10 @@ import {
   NavigateBefore as BackIcon,
   GetApp as ExportIcon,
   AutoAwesome as QualityIcon,
+  Edit as EditIcon,
+  DoneAll as AcceptIcon,
 } from '@mui/icons-material';
+import { postEventStream } from '../../utils/eventStream';
 
 function TabPanel({ children, value, index }) {
   return (
@@ -311,11 +319,13 @@ function PromptSchemaManager() {
   const [testCases, setTestCases] = useState(EXAMPLE_TEST_CASES);
   const [testResult, setTestResult] = useState(null);
   const [testing, setTesting] = useState(false);
+  const [testStream, setTestStream] = useState(null); // { text, step } while the response streams in
   const [saved, setSaved] = useState(false);
   
   // RAG comparison states
   const [ragResult, setRagResult] = useState(null);
   const [ragTesting, setRagTesting] = useState(false);
+  const [ragStream, setRagStream] = useState(null);
   const [showComparison, setShowComparison] = useState(false);
   
   // LLM + RAG Context states
@@ -330,6 +340,12 @@ function PromptSchemaManager() {
   const [generationProgress, setGenerationProgress] = useState(0);
   const [accuracyScore, setAccuracyScore] = useState(null);
 
+  // Review & accept states (generated test cases → test case collection)
+  const [selectedGenerated, setSelectedGenerated] = useState([]);
+  const [editingCase, setEditingCase] = useState(null); // { index, draft }
+  const [accepting, setAccepting] = useState(false);
+  const [acceptResult, setAcceptResult] = useState(null);
+
   // Validate JSON Schema
   const validateSchema = (schemaText) => {
     try {
@@ -419,22 +435,20 @@ ${jsonSchema}
 
 Please provide your response in the expected JSON format.`;
 
-      // Call OpenAI API
-      const response = await fetch('http://localhost:3001/api/test-prompt', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          prompt: fullPrompt,
-          temperature: 0.5,
-          maxTokens: 10000
-        })
+      // Stream the completion so the output renders as it is generated
+      setTestStream({ text: '', step: null });
+      const data = await postEventStream('http://localhost:3001/api/test-prompt/stream', {
+        prompt: fullPrompt,
+        temperature: 0.5,
+        maxTokens: 10000,
+        jsonSchema: JSON.parse(jsonSchema), // Enforced server-side, with one repair round-trip
+        maxRepairAttempts: 1
+      }, {
+        // A repair round-trip starts a fresh completion
+        onStep: step => setTestStream(prev => ({ ...prev, step, ...(step.status === 'repairing' && { text: '' }) })),
+        onToken: delta => setTestStream(prev => ({ ...prev, text: prev.text + delta }))
       });
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
       setTestResult(data);
     } catch (error) {
       setTestResult({
@@ -443,6 +457,7 @@ Please provide your response in the expected JSON format.`;
       });
     } finally {
       setTesting(false);
+      setTestStream(null);
     }
   };
 
@@ -455,21 +470,16 @@ Please provide your response in the expected JSON format.`;
       // Parse test cases
       const parsedTestCases = JSON.parse(testCases);
 
-      // Call the standard summarization endpoint (RAG approach)
-      const response = await fetch('http://localhost:3001/api/search/summarize', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          results: parsedTestCases,
-          summaryType: 'detailed'
-        })
+      // Call the standard summarization endpoint (RAG approach), streamed
+      setRagStream({ text: '', step: null });
+      const data = await postEventStream('http://localhost:3001/api/search/summarize/stream', {
+        results: parsedTestCases,
+        summaryType: 'detailed'
+      }, {
+        onStep: step => setRagStream(prev => ({ ...prev, step })),
+        onToken: delta => setRagStream(prev => ({ ...prev, text: prev.text + delta }))
       });
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
       setRagResult(data);
       // Don't auto-show comparison, let user click the button
       // setShowComparison(true);
@@ -480,16 +490,19 @@ Please provide your response in the expected JSON format.`;
       });
     } finally {
       setRagTesting(false);
+      setRagStream(null);
     }
   };
 
-  // Complete RAG Workflow: Preprocess → Search → Deduplicate → Summarize → Generate
+  // Complete RAG Workflow: Preprocess → Search → Deduplicate → Summarize → Generate (runs server-side)
   const handleLlmRagTest = async () => {
     setLlmRagTesting(true);
     setLlmRagResult(null);
     setGenerationProgress(0);
     setAccuracyScore(null);
     setPipelineView('reference');
+    setSelectedGenerated([]);
+    setAcceptResult(null);
 
     try {
       // STEP 1: User Story Input (validation)
@@ -500,424 +513,91 @@ Please provide your response in the expected JSON format.`;
         throw new Error('User story input is required');
       }
 
-      // STEP 2: Query Preprocessing (Normalize → Abbreviations → Synonyms)
-      console.log('🔧 STEP 2: Query Preprocessing (Normalize → Abbreviations → Synonyms)');
-      setGenerationProgress(10);
-      const preprocessResponse = await fetch('http://localhost:3001/api/search/preprocess', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          query: testQuery,
-          options: {
-            enableAbbreviations: true,
-            enableSynonyms: true,
-            maxSynonymVariations: 5,
-            smartExpansion: true,
-            preserveTestCaseIds: true
-          }
-        })
-      });
-
-      let finalQuery = testQuery;
-      let preprocessingData = null;
-      
-      if (preprocessResponse.ok) {
-        preprocessingData = await preprocessResponse.json();
-        finalQuery = preprocessingData.processedQuery || testQuery;
-        console.log('✅ Query preprocessed:', finalQuery);
-        console.log('   Transformations:', preprocessingData.transformations);
-      } else {
-        console.warn('⚠️ Preprocessing failed, using original query');
-      }
-
-      // STEP 3: Hybrid Search (BM25 + Vector, weighted fusion)
-      console.log('🔍 STEP 3: Hybrid Search (BM25 + Vector with weighted fusion)');
+      // STEPS 2-10: Preprocess → Hybrid Search → Rerank → Dedup → Summarize → Prompt → Generate → Validate
+      console.log('🧪 Running the generation pipeline on the server (/api/generate/test-cases)');
       setGenerationProgress(20);
-      const searchResponse = await fetch('http://localhost:3001/api/search/hybrid', {
+      const generateResponse = await fetch('http://localhost:3001/api/generate/test-cases', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          query: finalQuery,
-          limit: 50, // Get more candidates for reranking
-          bm25Weight: 0.4,
-          vectorWeight: 0.6
-        })
-      });
-
-      if (!searchResponse.ok) {
-        throw new Error(`Search failed: ${searchResponse.status}`);
-      }
-
-      const searchData = await searchResponse.json();
-      console.log(`✅ Retrieved ${searchData.results?.length || 0} hybrid search candidates`);
-
-      // STEP 4: RRF Re-Ranking (Cross-encoder scores, top 10 selected)
-      console.log('🎯 STEP 4: RRF Re-Ranking with cross-encoder scores');
-      setGenerationProgress(35);
-      const rerankResponse = await fetch('http://localhost:3001/api/search/rerank', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          query: finalQuery,
-          limit: 10,
-          fusionMethod: 'rrf', // Reciprocal Rank Fusion
+          userStory: testQuery,
+          promptTemplate,
+          searchLimit: 50, // Get more candidates for reranking
           rerankTopK: 50,
+          topK: 10,
+          dedupThreshold: 0.95,
           bm25Weight: 0.4,
-          vectorWeight: 0.6
-        })
-      });
-
-      let rerankedResults = [];
-      let rerankData = null;
-      
-      if (rerankResponse.ok) {
-        rerankData = await rerankResponse.json();
-        rerankedResults = rerankData.results || [];
-        console.log(`✅ RRF Re-ranking complete: Top ${rerankedResults.length} results selected`);
-        console.log(`   Fusion method: RRF, Execution time: ${rerankData.executionTime}ms`);
-      } else {
-        // Fallback to hybrid search results if reranking fails
-        console.warn('⚠️ Re-ranking failed, using hybrid search results');
-        rerankedResults = (searchData.results || []).slice(0, 10);
-      }
-
-      // STEP 5: Deduplication (Cosine > 0.95, unique results)
-      console.log('🧹 STEP 5: Deduplication (Cosine similarity > 0.95)');
-      setGenerationProgress(45);
-      let dedupData = null;
-      let finalResults = rerankedResults;
-      
-      if (finalResults.length > 5) {
-        // Strip embeddings to reduce payload size (causes 413 error)
-        const resultsWithoutEmbeddings = finalResults.map(r => {
-          const { embedding, ...rest } = r;
-          return rest;
-        });
-        
-        const dedupResponse = await fetch('http://localhost:3001/api/search/deduplicate', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            results: resultsWithoutEmbeddings,
-            threshold: 0.95 // Stricter threshold as per requirement
-          })
-        });
-
-        if (dedupResponse.ok) {
-          dedupData = await dedupResponse.json();
-          finalResults = dedupData.deduplicated || finalResults;
-          console.log(`✅ Deduplication complete: ${dedupData.stats?.duplicatesRemoved || 0} duplicates removed`);
-          console.log(`   Unique results: ${finalResults.length}`);
-        }
-      }
-
-      // Take top 10 unique results
-      const topResults = finalResults.slice(0, 10);
-      
-      if (topResults.length === 0) {
-        throw new Error('No search results found for the user story after deduplication');
-      }
-
-      // Calculate accuracy score based on average similarity
-      const avgSimilarity = topResults.reduce((sum, tc) => sum + (tc.score || 0), 0) / topResults.length;
-      const calculatedAccuracy = Math.min(1, avgSimilarity / 0.85);
-      setAccuracyScore(calculatedAccuracy);
-      console.log(`📊 Average similarity score: ${avgSimilarity.toFixed(3)} (${(calculatedAccuracy * 100).toFixed(1)}%)`);
-
-      // STEP 6: Summarization (TestLeaf API) - Using only top 5 to reduce prompt size
-      console.log('📋 STEP 6: RAG Summarization via TestLeaf API');
-      setGenerationProgress(55);
-      
-      // Strip embeddings and limit to top 5 results to reduce payload size
-      const topResultsForSummary = topResults.slice(0, 5).map(r => {
-        const { embedding, ...rest } = r;
-        return rest;
-      });
-      
-      const summarizeResponse = await fetch('http://localhost:3001/api/search/summarize', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          results: topResultsForSummary,
-          summaryType: 'detailed'
+          vectorWeight: 0.6,
+          temperature: 0.5,
+          maxTokens: 10000,
+          testCaseSchema: JSON.parse(jsonSchema),
+          maxRepairAttempts: 1
         })
       });
 
-      if (!summarizeResponse.ok) {
-        throw new Error(`Summarization failed: ${summarizeResponse.status}`);
-      }
-
-      const summaryData = await summarizeResponse.json();
-      console.log('✅ Comprehensive RAG summary generated');
-      console.log(`   Tokens: ${summaryData.tokens?.total || 0}, Cost: $${summaryData.cost?.total || 0}`);
+      const data = await generateResponse.json();
 
-      // STEP 7: Prompt Template + Context (System prompt + few-shot + summaries)
-      console.log('🎨 STEP 7: Building ICEPOT Prompt Template with Context');
-      setGenerationProgress(65);
-      
-      // Fetch the latest test case ID from database
-      const latestIdResponse = await fetch('http://localhost:3001/api/testcases/latest-id');
-      let nextTestCaseId = 'TC_NEW_001';
-      let startingId = 1;
-      
-      if (latestIdResponse.ok) {
-        const latestIdData = await latestIdResponse.json();
-        nextTestCaseId = latestIdData.nextTestCaseId || 'TC_NEW_001';
-        startingId = latestIdData.nextId || 1;
-        console.log(`   Latest test case: ${latestIdData.latestId}, Next ID: ${nextTestCaseId}`);
+      if (!generateResponse.ok) {
+        throw new Error(`${data.error || 'Generation failed'}${data.failedStep ? ` at "${data.failedStep}"` : ''}: ${data.details || generateResponse.status}`);
       }
-      
-      // Optimize: Only include essential fields from retrieved test cases to reduce prompt size
-      // OPTIMIZATION: Only include top 3-5 most relevant test cases to reduce prompt size
-      const topRelevantCount = Math.min(5, topResults.length);
-      const essentialTestCases = topResults.slice(0, topRelevantCount).map(tc => ({
-        id: tc.id,
-        module: tc.module,
-        title: tc.title,
-        steps: tc.steps, // Most important field for generation
-        priority: tc.priority
-      }));
-      
-      // Format example test steps in RAG style (from existing test cases)
-      const exampleSteps = topResults[0]?.steps || '';
-      
-      const fullPrompt = `${promptTemplate}
 
-### USER STORY FOR TEST GENERATION:
-${testQuery}
-
-### RAG SUMMARY (${topResults.length} similar test cases found):
-${summaryData.summary}
-
-### REFERENCE TEST CASES (Top ${essentialTestCases.length} - Study the test steps format):
-${JSON.stringify(essentialTestCases, null, 2)}
-
-### REQUIREMENTS:
-1. Start IDs from ${nextTestCaseId}, continue sequentially
-2. Format testSteps with \\r\\n: "1.Step\\r\\n2.Step\\r\\n..."
-3. Include 5-8 steps per test case
-4. Add linkedUserStories and sourceCitations arrays
-5. Generate 6 test cases covering various scenarios
-
-### OUTPUT JSON:
-{
-  "analysis": {
-    "userStoryTitle": "string",
-    "userStoryModule": "string",
-    "existingCoverageCount": ${topResults.length},
-    "gapsIdentified": ["string"]
-  },
-  "newTestCases": [{
-    "testCaseId": "${nextTestCaseId}",
-    "module": "string",
-    "testCaseTitle": "string",
-    "testCaseDescription": "string",
-    "preconditions": "string",
-    "testSteps": "string with \\r\\n",
-    "expectedResults": "string",
-    "priority": "P1|P2|P3",
-    "testType": "Integration|Functional",
-    "riskLevel": "High|Medium|Low",
-    "linkedUserStories": ["string"],
-    "sourceCitations": ["string"],
-    "complianceNotes": "string",
-    "estimatedExecutionTime": "string"
-  }],
-  "rationale": [{"testCaseId": "string", "reason": "string"}],
-  "recommendations": "string"
-}`;
-
-      console.log(`✅ Prompt built: ${fullPrompt.length} chars`);
-
-      // STEP 8: LLM Generation (TestLeaf API - Generate test case JSON)
-      console.log('🤖 STEP 8: LLM Generation via TestLeaf API');
-      setGenerationProgress(75);
-      const generateResponse = await fetch('http://localhost:3001/api/test-prompt', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          prompt: fullPrompt,
-          temperature: 0.5,
-          maxTokens: 10000   // Increased back to 2500 for 6 complete test cases
-        })
+      data.steps.forEach(step => {
+        console.log(`   Step ${step.step}: ${step.name} - ${step.status} (${step.time}ms, $${step.cost.toFixed(6)})`);
       });
 
-      if (!generateResponse.ok) {
-        throw new Error(`Generation failed: ${generateResponse.status}`);
-      }
+      const { context } = data;
+      const summaryStep = data.steps.find(step => step.step === 6);
+      const generationStep = data.steps.find(step => step.step === 8);
+      const validationStep = data.steps.find(step => step.step === 9);
 
-      const generatedData = await generateResponse.json();
-      console.log('✅ LLM generation complete');
-      console.log(`   Tokens: ${generatedData.tokens?.total || 0}, Cost: $${generatedData.cost?.total || 0}`);
+      // Calculate accuracy score based on average similarity
+      const calculatedAccuracy = Math.min(1, context.averageSimilarity / 0.85);
+      setAccuracyScore(calculatedAccuracy);
+      console.log(`📊 Average similarity score: ${context.averageSimilarity.toFixed(3)} (${(calculatedAccuracy * 100).toFixed(1)}%)`);
 
-      // STEP 9: JSON Validation (Parse and validate)
-      console.log('✔️ STEP 9: JSON Validation');
-      setGenerationProgress(90);
-      
-      let validatedResponse = generatedData.response;
-      let validationErrors = [];
-      
-      // Handle markdown-wrapped JSON response (multiple formats)
-      try {
-        let rawText = null;
-        
-        // Case 1: Response has .raw property
-        if (validatedResponse && validatedResponse.raw) {
-          rawText = validatedResponse.raw;
-          console.log('   Parsing from response.raw property');
-        }
-        // Case 2: Response itself is a string
-        else if (typeof validatedResponse === 'string') {
-          rawText = validatedResponse;
-          console.log('   Parsing from response string');
-        }
-        
-        // Extract JSON from markdown code blocks if needed
-        if (rawText) {
-          console.log(`   Raw text length: ${rawText.length} chars`);
-          const jsonMatch = rawText.match(/```json\s*([\s\S]*?)\s*```/);
-          if (jsonMatch) {
-            rawText = jsonMatch[1].trim();
-            console.log('   Extracted JSON from markdown code block');
-          }
-          
-          // Check if JSON might be truncated (incomplete)
-          if (!rawText.endsWith('}')) {
-            console.warn('⚠️ Warning: JSON appears to be truncated (does not end with }). Attempting to parse anyway...');
-            validationErrors.push('Warning: Response may be incomplete due to token limit. Consider increasing maxTokens.');
-          }
-          
-          validatedResponse = JSON.parse(rawText);
-          console.log('✅ Successfully parsed JSON from response');
-        }
-      } catch (e) {
-        validationErrors.push(`Failed to parse JSON: ${e.message}`);
-        console.error('❌ JSON parsing error:', e);
-        console.error('   Response type:', typeof generatedData.response);
-        console.error('   Response has .raw?', !!(generatedData.response && generatedData.response.raw));
-        if (generatedData.response && generatedData.response.raw) {
-          console.error('   Raw text preview:', generatedData.response.raw.substring(0, 300));
-          console.error('   Raw text ending:', generatedData.response.raw.substring(generatedData.response.raw.length - 100));
-        }
-      }
-      
-      // Validate response structure
-      if (!validatedResponse || typeof validatedResponse !== 'object') {
-        validationErrors.push('Response is not a valid JSON object');
-      } else {
-        // Check for required fields
-        if (!validatedResponse.analysis) {
-          validationErrors.push('Missing "analysis" object');
-        } else {
-          if (!validatedResponse.analysis.userStoryTitle) {
-            validationErrors.push('Missing analysis.userStoryTitle');
-          }
-        }
-        
-        if (!validatedResponse.newTestCases || !Array.isArray(validatedResponse.newTestCases)) {
-          validationErrors.push('Missing or invalid "newTestCases" array');
-        } else if (validatedResponse.newTestCases.length === 0) {
-          validationErrors.push('newTestCases array is empty - no test cases generated');
-        } else {
-          console.log(`   Validating ${validatedResponse.newTestCases.length} test cases...`);
-          
-          // Validate each test case
-          validatedResponse.newTestCases.forEach((tc, idx) => {
-            const tcNum = idx + 1;
-            
-            if (!tc.testCaseId) {
-              validationErrors.push(`Test case ${tcNum}: Missing testCaseId`);
-            } else if (!tc.testCaseId.startsWith('TC_')) {
-              validationErrors.push(`Test case ${tcNum} (${tc.testCaseId}): ID should start with 'TC_'`);
-            }
-            
-            if (!tc.module) validationErrors.push(`Test case ${tcNum}: Missing module`);
-            if (!tc.testCaseTitle) validationErrors.push(`Test case ${tcNum}: Missing testCaseTitle`);
-            if (!tc.testCaseDescription) validationErrors.push(`Test case ${tcNum}: Missing testCaseDescription`);
-            
-            // testSteps can be string (RAG format) or array
-            if (!tc.testSteps) {
-              validationErrors.push(`Test case ${tcNum}: Missing testSteps`);
-            } else if (typeof tc.testSteps === 'string') {
-              // Count steps in string format (split by \r\n or \n)
-              const stepCount = tc.testSteps.split(/\\r\\n|\\n|\r\n|\n/).filter(s => s.trim()).length;
-              if (stepCount < 5) {
-                validationErrors.push(`Test case ${tcNum}: Must have at least 5 test steps (found ${stepCount})`);
-              }
-            } else if (Array.isArray(tc.testSteps)) {
-              if (tc.testSteps.length < 5) {
-                validationErrors.push(`Test case ${tcNum}: Must have at least 5 test steps (found ${tc.testSteps.length})`);
-              }
-            } else {
-              validationErrors.push(`Test case ${tcNum}: testSteps must be string or array`);
-            }
-            
-            if (!tc.expectedResults) validationErrors.push(`Test case ${tcNum}: Missing expectedResults`);
-            if (!tc.priority) validationErrors.push(`Test case ${tcNum}: Missing priority`);
-            
-            // Check for linkedUserStories array
-            if (!tc.linkedUserStories || !Array.isArray(tc.linkedUserStories) || tc.linkedUserStories.length === 0) {
-              validationErrors.push(`Test case ${tcNum}: Missing or empty linkedUserStories array`);
-            }
-          });
-        }
-        
-        if (!validatedResponse.rationale || !Array.isArray(validatedResponse.rationale)) {
-          validationErrors.push('Missing or invalid "rationale" array');
-        }
-      }
-      
-      if (validationErrors.length > 0) {
-        console.warn('⚠️ Validation warnings:', validationErrors);
-      } else {
-        console.log('✅ JSON validation passed - all required fields present');
+      if (!data.validation.passed) {
+        console.warn('⚠️ Validation warnings:', data.validation.errors);
       }
 
-      // STEP 10: Conversion to HTML format (handled by renderTestCaseTable)
-      console.log('🎨 STEP 10: Preparing HTML format conversion (handled by UI)');
       setGenerationProgress(100);
       
       // Combine all the data for comprehensive display
       setLlmRagResult({
-        response: validatedResponse, // Use validated/parsed response
-        tokens: generatedData.tokens,
-        cost: generatedData.cost,
-        model: generatedData.model,
+        response: data.response, // Validated/parsed response
+        // Generation plus any schema repair round-trips
+        tokens: { total: (generationStep?.tokens || 0) + (validationStep?.tokens || 0) },
+        cost: { total: ((generationStep?.cost || 0) + (validationStep?.cost || 0)).toFixed(6) },
+        model: data.model,
+        provider: data.provider,
+        promptVersion: context.promptVersion,
         // Pipeline data
-        preprocessingData: preprocessingData,
-        originalQuery: testQuery,
-        processedQuery: finalQuery,
-        rerankData: rerankData,
-        dedupData: dedupData,
+        preprocessingData: context.preprocessing,
+        originalQuery: context.originalQuery,
+        processedQuery: context.processedQuery,
+        rerankData: context.rerank,
+        dedupData: context.dedup && { stats: context.dedup },
         // Existing test cases data
-        existingTestCases: topResults,
-        searchResults: searchData.results?.length || 0,
-        topResults: topResults.length,
-        averageSimilarity: avgSimilarity,
+        existingTestCases: context.existingTestCases,
+        searchResults: context.searchResults,
+        topResults: context.existingTestCases.length,
+        averageSimilarity: context.averageSimilarity,
         // RAG analysis data
-        ragSummary: summaryData.summary,
-        ragTokens: summaryData.tokens,
-        ragCost: summaryData.cost,
+        ragSummary: context.ragSummary,
+        ragTokens: { total: summaryStep?.tokens || 0 },
+        ragCost: { total: (summaryStep?.cost || 0).toFixed(6) },
         // Validation results
-        validationErrors: validationErrors,
-        validationPassed: validationErrors.length === 0,
+        validationErrors: data.validation.errors,
+        validationPassed: data.validation.passed,
+        repairAttempts: data.validation.attempts || [],
         // Workflow metadata
         workflow: '1. User Input → 2. Preprocessing → 3. Hybrid Search → 4. RRF Rerank → 5. Dedup → 6. Summarize → 7. Prompt → 8. Generate → 9. Validate → 10. HTML',
-        pipelineSteps: [
-          '✅ User Story Input',
-          '✅ Query Preprocessing (Normalize → Abbreviations → Synonyms)',
-          '✅ Hybrid Search (BM25 + Vector, weighted fusion)',
-          '✅ RRF Re-Ranking (Cross-encoder, top 10 selected)',
-          '✅ Deduplication (Cosine > 0.95)',
-          '✅ Summarization (TestLeaf API)',
-          '✅ Prompt Template + Context (ICEPOT framework)',
-          '✅ LLM Generation (TestLeaf API)',
-          '✅ JSON Validation (AJV)',
-          '✅ HTML Conversion (UI rendering)'
-        ],
-        timestamp: new Date().toISOString()
+        pipelineSteps: data.steps.map(step => `${step.status === 'completed' ? '✅' : '⚠️'} ${step.name} (${step.time}ms)`),
+        timestamp: data.timestamp
       });
 
+      // Everything is selected for acceptance until the reviewer unticks it
+      setSelectedGenerated(data.testCases.map((_, idx) => idx));
+
       console.log('🎉 Complete 10-step RAG pipeline finished successfully!');
     } catch (error) {
       console.error('RAG workflow error:', error);
@@ -933,6 +613,91 @@ ${JSON.stringify(essentialTestCases, null, 2)}
 
 
 
+  const toggleGeneratedSelection = (index) => {
+    setSelectedGenerated(prev => (
+      prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index].sort((a, b) => a - b)
+    ));
+  };
+
+  // Open the edit dialog with a copy of the generated test case
+  const handleEditGenerated = (index) => {
+    const testCase = llmRagResult.response.newTestCases[index];
+    setEditingCase({
+      index,
+      draft: {
+        ...testCase,
+        testSteps: Array.isArray(testCase.testSteps)
+          ? testCase.testSteps.join('\n')
+          : (testCase.testSteps || '').replace(/\\r\\n|\\n|\r\n/g, '\n'),
+        linkedUserStories: Array.isArray(testCase.linkedUserStories)
+          ? testCase.linkedUserStories.join(', ')
+          : (testCase.linkedUserStories || '')
+      }
+    });
+  };
+
+  const handleEditSave = () => {
+    const { index, draft } = editingCase;
+    const updated = {
+      ...draft,
+      testSteps: draft.testSteps.split('\n').map(step => step.trim()).filter(Boolean).join('\r\n'),
+      linkedUserStories: draft.linkedUserStories.split(',').map(id => id.trim()).filter(Boolean)
+    };
+
+    setLlmRagResult(prev => ({
+      ...prev,
+      response: {
+        ...prev.response,
+        newTestCases: prev.response.newTestCases.map((tc, idx) => (idx === index ? updated : tc))
+      }
+    }));
+    setEditingCase(null);
+  };
+
+  // Save the selected generated test cases (embedded, with provenance) to the test case collection
+  const handleAcceptGenerated = async () => {
+    const testCasesToAccept = selectedGenerated.map(idx => llmRagResult.response.newTestCases[idx]);
+    if (testCasesToAccept.length === 0) {
+      alert('Select at least one test case to accept');
+      return;
+    }
+
+    setAccepting(true);
+    setAcceptResult(null);
+
+    try {
+      const response = await fetch('http://localhost:3001/api/generate/test-cases/accept', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          testCases: testCasesToAccept,
+          provenance: {
+            userStory: llmRagResult.originalQuery,
+            promptVersion: llmRagResult.promptVersion,
+            model: llmRagResult.model,
+            provider: llmRagResult.provider,
+            generatedAt: llmRagResult.timestamp
+          }
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setAcceptResult(data);
+
+      // Accepted cases can't be accepted twice
+      const insertedIds = new Set(data.inserted.map(tc => tc.id));
+      setSelectedGenerated(prev => prev.filter(idx => !insertedIds.has(llmRagResult.response.newTestCases[idx].testCaseId)));
+    } catch (error) {
+      setAcceptResult({ error: true, message: error.message });
+    } finally {
+      setAccepting(false);
+    }
+  };
+
   // Render test case in table format
   const renderTestCaseTable = (testCases, title, isReference = false) => {
     if (!testCases || testCases.length === 0) {
@@ -959,6 +724,16 @@ ${JSON.stringify(essentialTestCases, null, 2)}
           <Table stickyHeader>
             <TableHead>
               <TableRow>
+                {!isReference && (
+                  <TableCell padding="checkbox" sx={{ bgcolor: '#e8f5e9' }}>
+                    <Checkbox
+                      size="small"
+                      indeterminate={selectedGenerated.length > 0 && selectedGenerated.length < testCases.length}
+                      checked={selectedGenerated.length === testCases.length}
+                      onChange={(e) => setSelectedGenerated(e.target.checked ? testCases.map((_, idx) => idx) : [])}
+                    />
+                  </TableCell>
+                )}
                 <TableCell sx={{ fontWeight: 'bold', bgcolor: isReference ? '#e3f2fd' : '#e8f5e9' }}>Test Case ID</TableCell>
                 <TableCell sx={{ fontWeight: 'bold', bgcolor: isReference ? '#e3f2fd' : '#e8f5e9' }}>Title</TableCell>
                 <TableCell sx={{ fontWeight: 'bold', bgcolor: isReference ? '#e3f2fd' : '#e8f5e9' }}>Module</TableCell>
@@ -968,11 +743,21 @@ ${JSON.stringify(essentialTestCases, null, 2)}
                 <TableCell sx={{ fontWeight: 'bold', bgcolor: isReference ? '#e3f2fd' : '#e8f5e9', minWidth: 300 }}>Test Steps</TableCell>
                 <TableCell sx={{ fontWeight: 'bold', bgcolor: isReference ? '#e3f2fd' : '#e8f5e9', minWidth: 250 }}>Expected Results</TableCell>
                 {isReference && <TableCell sx={{ fontWeight: 'bold', bgcolor: '#e3f2fd' }}>Score</TableCell>}
+                {!isReference && <TableCell sx={{ fontWeight: 'bold', bgcolor: '#e8f5e9' }}>Edit</TableCell>}
               </TableRow>
             </TableHead>
             <TableBody>
               {testCases.map((testCase, index) => (
                 <TableRow key={index} hover>
+                  {!isReference && (
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        size="small"
+                        checked={selectedGenerated.includes(index)}
+                        onChange={() => toggleGeneratedSelection(index)}
+                      />
+                    </TableCell>
+                  )}
                   <TableCell sx={{ fontFamily: 'monospace', color: 'primary.main', fontWeight: 'bold' }}>
                     {testCase.testCaseId || testCase.id || `TC_${index + 1}`}
                   </TableCell>
@@ -1037,6 +822,15 @@ ${JSON.stringify(essentialTestCases, null, 2)}
                       />
                     </TableCell>
                   )}
+                  {!isReference && (
+                    <TableCell>
+                      <Tooltip title="Edit before accepting">
+                        <IconButton size="small" onClick={() => handleEditGenerated(index)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  )}
                 </TableRow>
               ))}
             </TableBody>
@@ -1331,6 +1125,42 @@ ${JSON.stringify(essentialTestCases, null, 2)}
               </Grid>
 
               {/* Test Results */}
+              {/* Live output while a response streams in */}
+              {[
+                { stream: testStream, title: 'Prompt Engineering Result', icon: <AiIcon />, monospace: true },
+                { stream: ragStream, title: 'RAG (Standard Summarization) Result', icon: <SearchIcon />, monospace: false }
+              ].filter(live => live.stream).map(live => (
+                <Grid item xs={12} key={live.title}>
+                  <Card variant="outlined">
+                    <CardContent>
+                      <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        {live.icon} {live.title}
+                        {live.stream.step && (
+                          <Chip
+                            label={`${live.stream.step.name}${live.stream.step.attempt ? ` (repair ${live.stream.step.attempt})` : ''}`}
+                            color={live.stream.step.status === 'repairing' ? 'warning' : 'info'}
+                            size="small"
+                          />
+                        )}
+                      </Typography>
+                      <LinearProgress sx={{ mb: 1 }} />
+                      <Box sx={{ 
+                        bgcolor: 'background.paper', 
+                        p: 2, 
+                        borderRadius: 1,
+                        fontFamily: live.monospace ? 'monospace' : undefined,
+                        fontSize: live.monospace ? '0.875rem' : undefined,
+                        whiteSpace: 'pre-wrap',
+                        overflow: 'auto',
+                        maxHeight: 400
+                      }}>
+                        {live.stream.text || 'Waiting for the first tokens...'}
+                      </Box>
+                    </CardContent>
+                  </Card>
+                </Grid>
+              ))}
+
               {testResult && !showComparison && (
                 <Grid item xs={12}>
                   <Card sx={{ bgcolor: testResult.error ? '#ffebee' : '#e8f5e9' }}>
@@ -1366,6 +1196,21 @@ ${JSON.stringify(essentialTestCases, null, 2)}
                           </Typography>
                         </Box>
                       )}
+
+                      {!testResult.error && testResult.validation?.schemaProvided && (
+                        <Alert severity={testResult.validation.valid ? 'success' : 'warning'} sx={{ mt: 2 }}>
+                          {testResult.validation.valid
+                            ? `Response matches the JSON Schema${testResult.validation.repairAttempts.length > 0 ? ` (after ${testResult.validation.repairAttempts.length} repair attempt(s))` : ''}`
+                            : 'Response does not match the JSON Schema:'}
+                          {!testResult.validation.valid && (
+                            <Box component="ul" sx={{ m: 0, pl: 2 }}>
+                              {testResult.validation.errors.map((error, idx) => (
+                                <li key={idx}>{error}</li>
+                              ))}
+                            </Box>
+                          )}
+                        </Alert>
+                      )}
                     </CardContent>
                   </Card>
                 </Grid>
@@ -1442,6 +1287,9 @@ ${JSON.stringify(essentialTestCases, null, 2)}
                                 size="small" 
                               />
                             )}
+                            {llmRagResult.repairAttempts?.length > 0 && (
+                              <Chip label={`${llmRagResult.repairAttempts.length} schema repair attempt(s)`} color="default" size="small" />
+                            )}
                           </Box>
                         </Box>
                         
@@ -1678,7 +1526,45 @@ ${JSON.stringify(essentialTestCases, null, 2)}
 
                               {/* Generated Test Cases Table */}
                               {llmRagResult.response?.newTestCases && llmRagResult.response.newTestCases.length > 0 ? (
-                                renderTestCaseTable(llmRagResult.response.newTestCases, 'Generated Test Cases', false)
+                                <>
+                                  {renderTestCaseTable(llmRagResult.response.newTestCases, 'Generated Test Cases', false)}
+
+                                  {/* Review & Accept */}
+                                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2 }}>
+                                    <Button
+                                      variant="contained"
+                                      color="success"
+                                      startIcon={accepting ? <CircularProgress size={16} color="inherit" /> : <AcceptIcon />}
+                                      onClick={handleAcceptGenerated}
+                                      disabled={accepting || selectedGenerated.length === 0}
+                                    >
+                                      {accepting ? 'Saving...' : `Accept Selected (${selectedGenerated.length})`}
+                                    </Button>
+                                    <Typography variant="caption" color="text.secondary">
+                                      Accepted test cases are embedded and saved to the test case collection with their source user story, prompt version ({llmRagResult.promptVersion || 'n/a'}) and model.
+                                    </Typography>
+                                  </Box>
+
+                                  {acceptResult && (
+                                    <Alert severity={acceptResult.error ? 'error' : acceptResult.skippedCount > 0 ? 'warning' : 'success'} sx={{ mt: 2 }}>
+                                      {acceptResult.error ? (
+                                        <Typography variant="body2"><strong>Save failed:</strong> {acceptResult.message}</Typography>
+                                      ) : (
+                                        <>
+                                          <Typography variant="body2">
+                                            <strong>{acceptResult.insertedCount}</strong> test case(s) saved
+                                            {acceptResult.insertedCount > 0 && `: ${acceptResult.inserted.map(tc => tc.id).join(', ')}`}
+                                          </Typography>
+                                          {acceptResult.skipped.map((skip, idx) => (
+                                            <Typography key={idx} variant="caption" display="block">
+                                              ⏭️ {skip.id || `#${skip.index + 1}`}: {skip.reason}
+                                            </Typography>
+                                          ))}
+                                        </>
+                                      )}
+                                    </Alert>
+                                  )}
+                                </>
                               ) : (
                                 <Alert severity="warning">
                                   <Typography variant="body2">
@@ -2184,6 +2070,47 @@ ${JSON.stringify(essentialTestCases, null, 2)}
           </Box>
         </TabPanel>
       </Paper>
+
+      {/* Edit Generated Test Case Dialog */}
+      <Dialog open={Boolean(editingCase)} onClose={() => setEditingCase(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Edit {editingCase?.draft.testCaseId}</DialogTitle>
+        <DialogContent>
+          {editingCase && (
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              {[
+                { field: 'testCaseTitle', label: 'Title', sm: 12 },
+                { field: 'module', label: 'Module', sm: 4 },
+                { field: 'priority', label: 'Priority', sm: 4 },
+                { field: 'riskLevel', label: 'Risk Level', sm: 4 },
+                { field: 'testCaseDescription', label: 'Description', sm: 12, rows: 2 },
+                { field: 'preconditions', label: 'Preconditions', sm: 12, rows: 2 },
+                { field: 'testSteps', label: 'Test Steps (one per line)', sm: 12, rows: 6 },
+                { field: 'expectedResults', label: 'Expected Results', sm: 12, rows: 3 },
+                { field: 'linkedUserStories', label: 'Linked User Stories (comma-separated)', sm: 12 }
+              ].map(({ field, label, sm, rows }) => (
+                <Grid item xs={12} sm={sm} key={field}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label={label}
+                    multiline={Boolean(rows)}
+                    minRows={rows}
+                    value={editingCase.draft[field] || ''}
+                    onChange={(e) => setEditingCase(prev => ({
+                      ...prev,
+                      draft: { ...prev.draft, [field]: e.target.value }
+                    }))}
+                  />
+                </Grid>
+              ))}
+            </Grid>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditingCase(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleEditSave}>Save Changes</Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 }
@@ -0,0 +1,381 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Typography,
+  LinearProgress,
+  Alert,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Chip,
+  Paper,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  ExpandMore as ExpandMoreIcon,
+  Assessment as AssessmentIcon,
+  PlayArrow as PlayArrowIcon,
+  Download as DownloadIcon,
+  Warning as WarningIcon,
+  CheckCircle as CheckCircleIcon
+} from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+import axios from 'axios';
+import { postEventStream } from '../../utils/eventStream';
+
+const API_BASE = 'http://localhost:3001/api';
+
+const RISK_COLORS = { critical: 'error', high: 'warning', medium: 'info', low: 'success' };
+const MATCH_LABELS = { linked: 'Linked', both: 'BM25 + Vector', vector: 'Vector' };
+
+const riskColor = (risk) => RISK_COLORS[String(risk || '').toLowerCase()] || 'default';
+const formatScore = (score) => (typeof score === 'number' ? score.toFixed(3) : '—');
+
+const ReleaseImpact = () => {
+  const { enqueueSnackbar } = useSnackbar();
+  const [releases, setReleases] = useState([]);
+  const [version, setVersion] = useState('');
+  const [perStoryLimit, setPerStoryLimit] = useState(10);
+  const [minVectorScore, setMinVectorScore] = useState(0.75);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [progress, setProgress] = useState(null); // { processed, total, key }
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios.get(`${API_BASE}/releases`)
+      .then(response => {
+        const list = response.data.releases || [];
+        setReleases(list);
+        // Preselect the newest release (the list is oldest first)
+        if (list.length > 0) setVersion(list[list.length - 1].version);
+      })
+      .catch(err => setError(err.response?.data?.details || err.message));
+  }, []);
+
+  const handleAnalyze = async () => {
+    if (!version) return;
+
+    setIsAnalyzing(true);
+    setError('');
+    setReport(null);
+    setProgress(null);
+
+    try {
+      const result = await postEventStream(`${API_BASE}/releases/${encodeURIComponent(version)}/impact/stream`, {
+        perStoryLimit,
+        minVectorScore
+      }, {
+        onStep: step => {
+          if (step.total) setProgress({ processed: step.processed || 0, total: step.total, key: step.key });
+        }
+      });
+
+      setReport(result);
+      enqueueSnackbar(`${result.summary.affectedTestCases} test cases affected by ${result.summary.stories} stories`, { variant: 'success' });
+    } catch (err) {
+      setError(err.message);
+      enqueueSnackbar('Release impact analysis failed', { variant: 'error' });
+    } finally {
+      setIsAnalyzing(false);
+      setProgress(null);
+    }
+  };
+
+  const downloadRegressionSuite = () => {
+    const headers = ['Order', 'Test Case ID', 'Title', 'Module', 'Priority', 'Risk', 'Effective Risk', 'Type', 'Automation', 'Stories', 'Best Score'];
+    const rows = report.regressionSuite.map(tc => [
+      tc.order,
+      tc.id || '',
+      tc.title || '',
+      tc.module || '',
+      tc.priority || '',
+      tc.risk || '',
+      tc.effectiveRisk || '',
+      tc.type || '',
+      tc.automationManual || '',
+      tc.stories.join(' '),
+      formatScore(tc.bestScore)
+    ]);
+
+    const csvContent = [
+      headers.join(','),
+      ...rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+    ].join('\n');
+
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `regression_suite_${report.version}_${new Date().toISOString().split('T')[0]}.csv`;
+    link.click();
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      {/* Header */}
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <AssessmentIcon color="primary" />
+          Release Impact Analysis
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Map a release's user stories to the existing test cases they are likely to affect and build a regression suite
+        </Typography>
+      </Box>
+
+      {/* Options */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} md={4}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Release</InputLabel>
+                <Select value={version} label="Release" onChange={(e) => setVersion(e.target.value)} disabled={isAnalyzing}>
+                  {releases.map(release => (
+                    <MenuItem key={release.version} value={release.version}>
+                      {release.version} ({release.storyCount} stories)
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={6} md={2}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Test cases per story"
+                value={perStoryLimit}
+                onChange={(e) => setPerStoryLimit(Math.min(Math.max(parseInt(e.target.value) || 1, 1), 50))}
+                disabled={isAnalyzing}
+              />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Min. vector score (vector-only hits)"
+                value={minVectorScore}
+                inputProps={{ step: 0.05, min: 0, max: 1 }}
+                onChange={(e) => setMinVectorScore(parseFloat(e.target.value) || 0)}
+                disabled={isAnalyzing}
+              />
+            </Grid>
+            <Grid item xs={12} md={3}>
+              <Button
+                fullWidth
+                variant="contained"
+                startIcon={<PlayArrowIcon />}
+                onClick={handleAnalyze}
+                disabled={!version || isAnalyzing}
+              >
+                {isAnalyzing ? 'Analyzing...' : 'Analyze Release'}
+              </Button>
+            </Grid>
+          </Grid>
+
+          {isAnalyzing && (
+            <Box sx={{ mt: 2 }}>
+              <LinearProgress
+                variant={progress ? 'determinate' : 'indeterminate'}
+                value={progress ? (progress.processed / progress.total) * 100 : 0}
+              />
+              {progress && (
+                <Typography variant="caption" color="text.secondary">
+                  {progress.processed}/{progress.total} stories{progress.key ? ` — last: ${progress.key}` : ''}
+                </Typography>
+              )}
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {report && (
+        <>
+          {/* Summary */}
+          <Paper sx={{ p: 2, mb: 3 }}>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'center' }}>
+              <Typography variant="h6" sx={{ mr: 2 }}>Release {report.version}</Typography>
+              <Chip label={`${report.summary.stories} stories`} />
+              <Chip label={`${report.summary.coveredStories} covered`} color="success" variant="outlined" />
+              <Chip label={`${report.summary.uncoveredStories} without coverage`} color={report.summary.uncoveredStories > 0 ? 'warning' : 'default'} variant="outlined" />
+              <Chip label={`${report.summary.affectedTestCases} test cases`} color="primary" variant="outlined" />
+              <Chip label={`${report.summary.modules} modules`} variant="outlined" />
+              <Chip label={report.searchType === 'hybrid' ? 'BM25 + Vector' : 'Vector only'} size="small" />
+            </Box>
+            {report.files?.some(file => file.error) && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                {report.files.filter(file => file.error).map(file => `${file.file}: ${file.error}`).join('; ')}
+              </Alert>
+            )}
+          </Paper>
+
+          {/* Stories without coverage */}
+          {report.uncoveredStories.length > 0 && (
+            <Alert severity="warning" icon={<WarningIcon />} sx={{ mb: 3 }}>
+              <Typography variant="subtitle2" gutterBottom>Stories without coverage</Typography>
+              {report.uncoveredStories.map(story => (
+                <Typography key={story.key} variant="body2">
+                  <strong>{story.key}</strong> — {story.summary}{story.impactArea ? ` (${story.impactArea})` : ''}
+                </Typography>
+              ))}
+            </Alert>
+          )}
+
+          <Grid container spacing={3} sx={{ mb: 3 }}>
+            {/* Modules touched */}
+            <Grid item xs={12} md={4}>
+              <Card sx={{ height: '100%' }}>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>Modules Touched</Typography>
+                  {report.modules.map(module => (
+                    <Box key={module.module} sx={{ display: 'flex', justifyContent: 'space-between', py: 0.5 }}>
+                      <Typography variant="body2">{module.module}</Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {module.testCaseCount} TC · {module.stories.join(', ')}
+                      </Typography>
+                    </Box>
+                  ))}
+                </CardContent>
+              </Card>
+            </Grid>
+
+            {/* Affected test cases per story */}
+            <Grid item xs={12} md={8}>
+              {report.stories.map(story => (
+                <Accordion key={story.key} disableGutters>
+                  <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                      {story.covered ? <CheckCircleIcon color="success" fontSize="small" /> : <WarningIcon color="warning" fontSize="small" />}
+                      <Typography fontWeight={600}>{story.key}</Typography>
+                      <Typography variant="body2" color="text.secondary">{story.summary}</Typography>
+                      <Chip label={`${story.affected.length} affected`} size="small" />
+                      {story.risk && <Chip label={`Risk: ${story.risk}`} size="small" color={riskColor(story.risk)} variant="outlined" />}
+                    </Box>
+                  </AccordionSummary>
+                  <AccordionDetails>
+                    {story.affected.length === 0 && (
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        No test case is linked to this story or retrieved above the score bar.
+                        {story.candidates.length > 0 && ' Closest candidates:'}
+                      </Typography>
+                    )}
+                    <TableContainer>
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>Test Case</TableCell>
+                            <TableCell>Module</TableCell>
+                            <TableCell>Priority</TableCell>
+                            <TableCell>Risk</TableCell>
+                            <TableCell>Match</TableCell>
+                            <TableCell align="right">Hybrid</TableCell>
+                            <TableCell align="right">Vector</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {(story.affected.length > 0 ? story.affected : story.candidates).map(tc => (
+                            <TableRow key={tc._id}>
+                              <TableCell>
+                                <Typography variant="body2" fontWeight={600}>{tc.id}</Typography>
+                                <Typography variant="caption" color="text.secondary">{tc.title}</Typography>
+                              </TableCell>
+                              <TableCell>{tc.module}</TableCell>
+                              <TableCell>{tc.priority}</TableCell>
+                              <TableCell>{tc.risk && <Chip label={tc.risk} size="small" color={riskColor(tc.risk)} variant="outlined" />}</TableCell>
+                              <TableCell>{MATCH_LABELS[tc.match] || 'Candidate'}</TableCell>
+                              <TableCell align="right">{formatScore(tc.hybridScore)}</TableCell>
+                              <TableCell align="right">{formatScore(tc.vectorScore)}</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  </AccordionDetails>
+                </Accordion>
+              ))}
+            </Grid>
+          </Grid>
+
+          {/* Regression suite */}
+          <Card>
+            <CardContent>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                <Box>
+                  <Typography variant="h6">Suggested Regression Suite</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    Ordered by risk (test case or story, whichever is higher), then priority, then number of stories
+                  </Typography>
+                </Box>
+                <Button
+                  variant="outlined"
+                  startIcon={<DownloadIcon />}
+                  onClick={downloadRegressionSuite}
+                  disabled={report.regressionSuite.length === 0}
+                >
+                  Download CSV
+                </Button>
+              </Box>
+              <TableContainer sx={{ maxHeight: 500 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>#</TableCell>
+                      <TableCell>Test Case</TableCell>
+                      <TableCell>Module</TableCell>
+                      <TableCell>Priority</TableCell>
+                      <TableCell>Risk</TableCell>
+                      <TableCell>Type</TableCell>
+                      <TableCell>Stories</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.regressionSuite.map(tc => (
+                      <TableRow key={tc._id} hover>
+                        <TableCell>{tc.order}</TableCell>
+                        <TableCell>
+                          <Typography variant="body2" fontWeight={600}>{tc.id}</Typography>
+                          <Typography variant="caption" color="text.secondary">{tc.title}</Typography>
+                        </TableCell>
+                        <TableCell>{tc.module}</TableCell>
+                        <TableCell>{tc.priority}</TableCell>
+                        <TableCell>
+                          <Chip label={tc.effectiveRisk || 'Unknown'} size="small" color={riskColor(tc.effectiveRisk)} variant="outlined" />
+                        </TableCell>
+                        <TableCell>{tc.type}</TableCell>
+                        <TableCell>{tc.stories.join(', ')}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ReleaseImpact;
@@ -41,6 +41,7 @@ import {
   Summarize as SummarizeIcon,
   Article as ArticleIcon
 } from '@mui/icons-material';
+import { postEventStream } from '../../utils/eventStream';
 
 const UserStoryRating = () => {
   const [userStory, setUserStory] = useState('');
@@ -51,6 +52,7 @@ const UserStoryRating = () => {
   const [currentAnalysisId, setCurrentAnalysisId] = useState(null);
   const [progressSteps, setProgressSteps] = useState([]);
   const [activeStep, setActiveStep] = useState(0);
+  const [liveOutput, setLiveOutput] = useState(null); // { stepId, text, detail } for the step streaming LLM output
 
   // Clean up on component unmount
   useEffect(() => {
@@ -116,6 +118,7 @@ Status: In Progress`;
     setAnalysisProgress(0);
     setActiveStep(0);
     setCurrentAnalysisId(null);
+    setLiveOutput(null);
 
     // Initialize progress steps
     const initialSteps = [
@@ -160,10 +163,23 @@ Status: In Progress`;
         });
       };
 
+      // Stream an LLM-backed endpoint into the given pipeline step
+      const streamIntoStep = (stepId, url, body) => {
+        setLiveOutput({ stepId, text: '', detail: null });
+        return postEventStream(url, body, {
+          onStep: serverStep => setLiveOutput(prev => ({
+            ...prev,
+            detail: `${serverStep.name}${serverStep.attempt ? ` (repair ${serverStep.attempt})` : ''}`,
+            // A schema repair round-trip starts a fresh completion
+            ...(serverStep.status === 'repairing' && { text: '' })
+          })),
+          onToken: delta => setLiveOutput(prev => ({ ...prev, text: prev.text + delta }))
+        });
+      };
+
       // STEP 1: User Story Input
       updateStep('user_story_input', 'in-progress');
       console.log('� STEP 1: User Story Input Processing');
-      await new Promise(resolve => setTimeout(resolve, 500)); // Small delay for UX
       updateStep('user_story_input', 'completed', { 
         storyLength: userStory.length, 
         storyFormat: 'validated' 
@@ -303,10 +319,9 @@ Status: In Progress`;
       console.log('📊 STEP 6: Summarization (TestLeaf API) - Always make API call');
       
       // Always make the summarization API call to show in network tab
-      const summarizeResponse = await fetch('http://localhost:3001/api/search/summarize', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      let summaryData = { summary: 'No related user stories found for analysis' };
+      try {
+        summaryData = await streamIntoStep('summarization', 'http://localhost:3001/api/search/summarize/stream', {
           results: dedupResults.length > 0 ? dedupResults.slice(0, 2) : [{ 
             id: 'no-results', 
             title: 'No results found', 
@@ -315,19 +330,14 @@ Status: In Progress`;
             type: 'Summary Request'
           }],
           summaryType: 'detailed'
-        })
-      });
-
-      let summaryData = { summary: 'No related user stories found for analysis' };
-      if (summarizeResponse.ok) {
-        summaryData = await summarizeResponse.json();
+        });
         console.log('✅ Summarization API Response:', {
           summaryLength: summaryData.summary?.length || 0,
           tokens: summaryData.tokens,
           cost: summaryData.cost
         });
-      } else {
-        console.warn('⚠️ Summarization API failed:', summarizeResponse.status);
+      } catch (summaryError) {
+        console.warn('⚠️ Summarization API failed:', summaryError.message);
       }
 
       updateStep('summarization', 'completed', { 
@@ -452,10 +462,9 @@ IMPORTANT:
         description: userStory
       };
       
-      const analysisResponse = await fetch('http://localhost:3001/api/test-prompt', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      let analysisData;
+      try {
+        analysisData = await streamIntoStep('llm_generation', 'http://localhost:3001/api/test-prompt/stream', {
           prompt: ratingPrompt,
           userStory: userStoryComponents,
           enableRAG: false, // Disable RAG since we already have the context from our pipeline
@@ -466,14 +475,10 @@ IMPORTANT:
           },
           temperature: 0.3,
           maxTokens: 3000
-        })
-      });
-
-      if (!analysisResponse.ok) {
-        throw new Error(`Analysis failed: ${analysisResponse.status}`);
+        });
+      } catch (analysisError) {
+        throw new Error(`Analysis failed: ${analysisError.message}`);
       }
-
-      const analysisData = await analysisResponse.json();
       console.log('✅ LLM generation complete');
 
       // Parse the analysis result
@@ -506,7 +511,7 @@ IMPORTANT:
       updateStep('llm_generation', 'completed', { 
         tokensUsed: analysisData.tokens?.total || 0,
         costIncurred: analysisData.cost?.total || 0,
-        llmModel: 'gpt-4o-mini'
+        llmModel: analysisData.model || 'LLM'
       });
 
       // Set final results
@@ -541,6 +546,7 @@ IMPORTANT:
       setError(`Analysis failed: ${err.message}`);
     } finally {
       setIsAnalyzing(false);
+      setLiveOutput(null);
     }
   };
 
@@ -550,6 +556,7 @@ IMPORTANT:
     setError('');
     setProgressSteps([]);
     setCurrentAnalysisId(null);
+    setLiveOutput(null);
     setAnalysisProgress(0);
     setActiveStep(0);
   };
@@ -744,9 +751,22 @@ IMPORTANT:
                         )}
                         {step.status === 'in-progress' && (
                           <Typography variant="body2" color="primary" sx={{ fontStyle: 'italic' }}>
-                            🔄 Processing...
+                            🔄 {liveOutput?.stepId === step.id && liveOutput.detail ? `${liveOutput.detail}...` : 'Processing...'}
                           </Typography>
                         )}
+                        {step.status === 'in-progress' && liveOutput?.stepId === step.id && liveOutput.text && (
+                          <Paper variant="outlined" sx={{ 
+                            mt: 1, 
+                            p: 1.5, 
+                            maxHeight: 240, 
+                            overflow: 'auto', 
+                            fontFamily: 'monospace', 
+                            fontSize: '0.8rem', 
+                            whiteSpace: 'pre-wrap' 
+                          }}>
+                            {liveOutput.text}
+                          </Paper>
+                        )}
                       </Box>
                     </StepContent>
                   </Step>
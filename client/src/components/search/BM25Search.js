@@ -25,6 +25,9 @@ import ExpandLessIcon from '@mui/icons-material/ExpandLess';
 import SpeedIcon from '@mui/icons-material/Speed';
 import ArticleIcon from '@mui/icons-material/Article';
 import { useSnackbar } from 'notistack';
+import QueryInterpretation, { QUERY_SYNTAX_HINT } from './QueryInterpretation';
+import SearchFacets, { refineQuery } from './SearchFacets';
+import LoadMoreResults, { fetchNextPage } from './LoadMoreResults';
 
 const API_BASE = 'http://localhost:3001/api';
 
@@ -32,6 +35,7 @@ function BM25Search() {
   const [query, setQuery] = useState('Share Diagnostic Reports with Patients via WhatsApp');
   const [limit, setLimit] = useState(10);
   const [searching, setSearching] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [results, setResults] = useState([]);
   const [searchInfo, setSearchInfo] = useState(null);
   const [error, setError] = useState(null);
@@ -86,8 +90,8 @@ function BM25Search() {
     loadFilterOptions();
   }, [loadFilterOptions]);
 
-  const handleSearch = async () => {
-    if (!query.trim()) {
+  const handleSearch = async (searchQuery = query) => {
+    if (!searchQuery.trim()) {
       enqueueSnackbar('Please enter a search query', { variant: 'warning' });
       return;
     }
@@ -110,7 +114,7 @@ function BM25Search() {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          query,
+          query: searchQuery,
           limit,
           filters
         }),
@@ -129,7 +133,12 @@ function BM25Search() {
           searchTime: data.searchTime,
           query: data.query,
           filters: data.filters,
-          searchType: data.searchType
+          searchType: data.searchType,
+          parsedQuery: data.parsedQuery,
+          facets: data.facets,
+          facetSource: data.facetSource,
+          hasMore: data.hasMore,
+          nextCursor: data.nextCursor
         });
         
         enqueueSnackbar(`Found ${data.count} results in ${data.searchTime}ms`, { 
@@ -146,6 +155,32 @@ function BM25Search() {
     }
   };
 
+  // Next page of the same ranking, from the pool the server cached for this search
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await fetchNextPage(`${API_BASE}/search/bm25`, searchInfo.nextCursor, limit);
+      setResults(previous => [...previous, ...data.results]);
+      setSearchInfo(previous => ({
+        ...previous,
+        count: previous.count + data.count,
+        hasMore: data.hasMore,
+        nextCursor: data.nextCursor
+      }));
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // A facet chip adds its qualifier to the query and searches again
+  const handleFacetSelect = (field, value) => {
+    const refined = refineQuery(query, field, value);
+    setQuery(refined);
+    handleSearch(refined);
+  };
+
   const handleKeyPress = (event) => {
     if (event.key === 'Enter' && !searching) {
       handleSearch();
@@ -196,6 +231,7 @@ function BM25Search() {
               onChange={(e) => setQuery(e.target.value)}
               onKeyPress={handleKeyPress}
               placeholder="e.g., merge UHID, TC_027, registration tests..."
+              helperText={QUERY_SYNTAX_HINT}
               disabled={searching}
                sx={{ 
                 '& .MuiOutlinedInput-root': { 
@@ -225,7 +261,7 @@ function BM25Search() {
               variant="contained"
               color="primary"
               size="large"
-              onClick={handleSearch}
+              onClick={() => handleSearch()}
               disabled={searching || !query.trim()}
               startIcon={searching ? <CircularProgress size={20} /> : <SearchIcon />}
               sx={{ height: '56px' }}
@@ -336,6 +372,14 @@ function BM25Search() {
               <span> (with filters applied)</span>
             )}
           </Typography>
+          <QueryInterpretation parsedQuery={searchInfo.parsedQuery} />
+          <SearchFacets
+            facets={searchInfo.facets}
+            facetSource={searchInfo.facetSource}
+            parsedQuery={searchInfo.parsedQuery}
+            onSelect={handleFacetSelect}
+            disabled={searching}
+          />
         </Alert>
       )}
 
@@ -441,6 +485,12 @@ function BM25Search() {
               </CardContent>
             </Card>
           ))}
+          <LoadMoreResults
+            shown={results.length}
+            hasMore={searchInfo?.hasMore}
+            loading={loadingMore}
+            onLoadMore={handleLoadMore}
+          />
         </Box>
       )}
 
@@ -19,7 +19,9 @@ import {
   Paper,
   Divider,
   Slider,
-  Tooltip
+  Tooltip,
+  Switch,
+  FormControlLabel
 } from '@mui/material';
 import SearchIcon from '@mui/icons-material/Search';
 import FilterListIcon from '@mui/icons-material/FilterList';
@@ -29,6 +31,9 @@ import AutoFixHighIcon from '@mui/icons-material/AutoFixHigh';
 import ArticleIcon from '@mui/icons-material/Article';
 import InfoIcon from '@mui/icons-material/Info';
 import { useSnackbar } from 'notistack';
+import QueryInterpretation, { QUERY_SYNTAX_HINT } from './QueryInterpretation';
+import SearchFacets, { refineQuery } from './SearchFacets';
+import LoadMoreResults, { fetchNextPage } from './LoadMoreResults';
 
 const API_BASE = 'http://localhost:3001/api';
 
@@ -36,6 +41,7 @@ function HybridSearch() {
   const [query, setQuery] = useState('Share Diagnostic Reports with Patients via WhatsApp');
   const [limit, setLimit] = useState(10);
   const [searching, setSearching] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [results, setResults] = useState([]);
   const [searchInfo, setSearchInfo] = useState(null);
   const [error, setError] = useState(null);
@@ -44,6 +50,9 @@ function HybridSearch() {
   const [bm25Weight, setBm25Weight] = useState(50);
   const [vectorWeight, setVectorWeight] = useState(50);
   const [showWeightInfo, setShowWeightInfo] = useState(false);
+
+  // Fan out over synonym variations of the query and fuse with RRF
+  const [expandVariations, setExpandVariations] = useState(false);
   
   // Metadata filters
   const [moduleFilter, setModuleFilter] = useState('');
@@ -120,8 +129,8 @@ function HybridSearch() {
     setVectorWeight(70);
   };
 
-  const handleSearch = async () => {
-    if (!query.trim()) {
+  const handleSearch = async (searchQuery = query) => {
+    if (!searchQuery.trim()) {
       enqueueSnackbar('Please enter a search query', { variant: 'warning' });
       return;
     }
@@ -144,11 +153,12 @@ function HybridSearch() {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          query,
+          query: searchQuery,
           limit,
           filters,
           bm25Weight: bm25Weight / 100,
-          vectorWeight: vectorWeight / 100
+          vectorWeight: vectorWeight / 100,
+          expandVariations
         }),
       });
 
@@ -168,8 +178,14 @@ function HybridSearch() {
           filters: data.filters,
           weights: data.weights,
           searchType: data.searchType,
+          variations: data.variations,
           cost: data.cost,
-          tokens: data.tokens
+          tokens: data.tokens,
+          parsedQuery: data.parsedQuery,
+          facets: data.facets,
+          facetSource: data.facetSource,
+          hasMore: data.hasMore,
+          nextCursor: data.nextCursor
         });
         
         enqueueSnackbar(
@@ -187,6 +203,39 @@ function HybridSearch() {
     }
   };
 
+  // Next page of the same ranking, from the pool the server cached for this search
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await fetchNextPage(`${API_BASE}/search/hybrid`, searchInfo.nextCursor, limit);
+      setResults(previous => [...previous, ...data.results]);
+      setSearchInfo(previous => ({
+        ...previous,
+        count: previous.count + data.count,
+        // foundIn counts come per page
+        stats: {
+          ...previous.stats,
+          foundInBoth: previous.stats.foundInBoth + data.stats.foundInBoth,
+          foundInBm25Only: previous.stats.foundInBm25Only + data.stats.foundInBm25Only,
+          foundInVectorOnly: previous.stats.foundInVectorOnly + data.stats.foundInVectorOnly
+        },
+        hasMore: data.hasMore,
+        nextCursor: data.nextCursor
+      }));
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // A facet chip adds its qualifier to the query and searches again
+  const handleFacetSelect = (field, value) => {
+    const refined = refineQuery(query, field, value);
+    setQuery(refined);
+    handleSearch(refined);
+  };
+
   const handleKeyPress = (event) => {
     if (event.key === 'Enter' && !searching) {
       handleSearch();
@@ -245,6 +294,7 @@ function HybridSearch() {
               onChange={(e) => setQuery(e.target.value)}
               onKeyPress={handleKeyPress}
               placeholder="e.g., merge UHID, patient registration, login tests..."
+              helperText={QUERY_SYNTAX_HINT}
               disabled={searching}
                sx={{ 
                 '& .MuiOutlinedInput-root': { 
@@ -274,7 +324,7 @@ function HybridSearch() {
               variant="contained"
               color="primary"
               size="large"
-              onClick={handleSearch}
+              onClick={() => handleSearch()}
               disabled={searching || !query.trim()}
               startIcon={searching ? <CircularProgress size={20} /> : <SearchIcon />}
               sx={{ height: '56px' }}
@@ -360,6 +410,20 @@ function HybridSearch() {
               Semantic Heavy (30/70)
             </Button>
           </Box>
+
+          <Tooltip title="Run BM25 and vector search for each synonym/abbreviation variation of the query and fuse all ranked lists with RRF">
+            <FormControlLabel
+              sx={{ mt: 2 }}
+              control={
+                <Switch
+                  checked={expandVariations}
+                  onChange={(e) => setExpandVariations(e.target.checked)}
+                  disabled={searching}
+                />
+              }
+              label="Expand query variations (synonym fan-out)"
+            />
+          </Tooltip>
         </Paper>
 
         {/* Filters Section */}
@@ -463,10 +527,21 @@ function HybridSearch() {
             {searchInfo.stats.foundInVectorOnly} vector only
             <br />
             <strong>Timing:</strong> BM25: {searchInfo.timing.bm25Time}ms, Vector: {searchInfo.timing.vectorTime}ms
+            {searchInfo.variations?.length > 0 && (
+              <><br /><strong>Variations searched ({searchInfo.variations.length}):</strong> {searchInfo.variations.join(' | ')}</>
+            )}
             {searchInfo.cost > 0 && (
               <><br /><strong>Cost:</strong> ${searchInfo.cost.toFixed(6)} ({searchInfo.tokens} tokens)</>
             )}
           </Typography>
+          <QueryInterpretation parsedQuery={searchInfo.parsedQuery} />
+          <SearchFacets
+            facets={searchInfo.facets}
+            facetSource={searchInfo.facetSource}
+            parsedQuery={searchInfo.parsedQuery}
+            onSelect={handleFacetSelect}
+            disabled={searching}
+          />
         </Alert>
       )}
 
@@ -541,6 +616,17 @@ function HybridSearch() {
                       )}
                     </Box>
 
+                    {result.matchedVariations?.length > 0 && (
+                      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                        <Typography variant="caption" color="text.secondary" sx={{ alignSelf: 'center' }}>
+                          Surfaced by:
+                        </Typography>
+                        {result.matchedVariations.map((variation) => (
+                          <Chip key={variation} label={variation} size="small" color="secondary" variant="outlined" />
+                        ))}
+                      </Box>
+                    )}
+
                     {result.description && (
                       <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
                         <strong>Description:</strong> {result.description}
@@ -596,6 +682,12 @@ function HybridSearch() {
               </CardContent>
             </Card>
           ))}
+          <LoadMoreResults
+            shown={results.length}
+            hasMore={searchInfo?.hasMore}
+            loading={loadingMore}
+            onLoadMore={handleLoadMore}
+          />
         </Box>
       )}
 
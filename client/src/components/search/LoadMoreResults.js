@@ -0,0 +1,54 @@
+import React from 'react';
+import { Box, Button, CircularProgress, Typography } from '@mui/material';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+
+/**
+ * Fetch the page a search cursor points to (nextCursor from the search routes)
+ * @param {string} url - Search route
+ * @param {string} cursor - nextCursor of the previous page
+ * @param {number} limit - Results per page
+ * @returns {Promise<Object>} - Response body ({ results, hasMore, nextCursor, ... })
+ */
+export async function fetchNextPage(url, cursor, limit) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ cursor, limit })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    // 410: the server no longer holds the ranked results
+    throw new Error(data.error || 'Could not load more results');
+  }
+  return data;
+}
+
+/**
+ * Pager under a result list: loads the next page while the server reports more
+ */
+function LoadMoreResults({ shown, hasMore, loading, onLoadMore }) {
+  if (!hasMore && shown === 0) return null;
+
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+      {hasMore ? (
+        <Button
+          variant="outlined"
+          startIcon={loading ? <CircularProgress size={16} /> : <ExpandMoreIcon />}
+          onClick={onLoadMore}
+          disabled={loading}
+        >
+          {loading ? 'Loading...' : `Load more results (${shown} shown)`}
+        </Button>
+      ) : (
+        <Typography variant="caption" color="text.secondary">
+          All {shown} results shown
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
+export default LoadMoreResults;
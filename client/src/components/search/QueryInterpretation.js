@@ -0,0 +1,40 @@
+import React from 'react';
+import { Box, Chip, Typography } from '@mui/material';
+
+// Inline query syntax, shown under the search boxes that understand it
+export const QUERY_SYNTAX_HINT = 'Supports module:Wards priority:P1,P2 -excluded "exact phrase" linked:HC-287 created>=2024-01-01 version:v2..v9';
+
+const CHIP_PROPS = {
+  text: { color: 'default', variant: 'outlined' },
+  phrase: { color: 'primary', variant: 'outlined' },
+  filter: { color: 'info', variant: 'filled' },
+  exclude: { color: 'error', variant: 'outlined' }
+};
+
+/**
+ * How the server read an inline query (parsedQuery.interpretation from the search routes)
+ */
+function QueryInterpretation({ parsedQuery }) {
+  const parts = parsedQuery?.interpretation || [];
+  // Plain text alone needs no explaining
+  if (parts.length === 0 || parts.every(part => part.type === 'text')) return null;
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, flexWrap: 'wrap', mt: 1 }}>
+      <Typography variant="caption" color="text.secondary" sx={{ mr: 0.5 }}>
+        Interpreted as:
+      </Typography>
+      {parts.map((part, index) => (
+        <Chip
+          key={`${part.type}-${index}`}
+          label={part.label}
+          title={part.token}
+          size="small"
+          {...CHIP_PROPS[part.type]}
+        />
+      ))}
+    </Box>
+  );
+}
+
+export default QueryInterpretation;
@@ -32,6 +32,9 @@ import {
   FilterList as FilterIcon
 } from '@mui/icons-material';
 import { useSnackbar } from 'notistack';
+import QueryInterpretation, { QUERY_SYNTAX_HINT } from './QueryInterpretation';
+import SearchFacets, { refineQuery } from './SearchFacets';
+import LoadMoreResults, { fetchNextPage } from './LoadMoreResults';
 import axios from 'axios';
 
 const API_BASE = 'http://localhost:3001/api';
@@ -40,6 +43,7 @@ function QuerySearch() {
   const [query, setQuery] = useState('Share Diagnostic Reports with Patients via WhatsApp');
   const [limit, setLimit] = useState(5);
   const [searching, setSearching] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [results, setResults] = useState([]);
   const [searchInfo, setSearchInfo] = useState(null);
   const [error, setError] = useState(null);
@@ -98,8 +102,8 @@ function QuerySearch() {
     loadFilterOptions();
   }, [loadFilterOptions]);
 
-  const handleSearch = async () => {
-    if (!query.trim()) {
+  const handleSearch = async (searchQuery = query) => {
+    if (!searchQuery.trim()) {
       enqueueSnackbar('Please enter a search query', { variant: 'warning' });
       return;
     }
@@ -117,7 +121,7 @@ function QuerySearch() {
       if (automationFilter) filters.automationManual = automationFilter;
       
       const response = await axios.post(`${API_BASE}/search`, {
-        query: query.trim(),
+        query: searchQuery.trim(),
         limit: parseInt(limit),
         filters: Object.keys(filters).length > 0 ? filters : undefined
       });
@@ -128,7 +132,13 @@ function QuerySearch() {
         cost: response.data.cost,
         tokens: response.data.tokens,
         resultCount: response.data.results.length,
-        filters: response.data.filters
+        filters: response.data.filters,
+        filterMode: response.data.filterMode,
+        parsedQuery: response.data.parsedQuery,
+        facets: response.data.facets,
+        facetSource: response.data.facetSource,
+        hasMore: response.data.hasMore,
+        nextCursor: response.data.nextCursor
       });
 
       enqueueSnackbar(`Found ${response.data.results.length} results`, { variant: 'success' });
@@ -141,6 +151,32 @@ function QuerySearch() {
     }
   };
 
+  // Next page of the same ranking, from the pool the server cached for this search
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await fetchNextPage(`${API_BASE}/search`, searchInfo.nextCursor, limit);
+      setResults(previous => [...previous, ...data.results]);
+      setSearchInfo(previous => ({
+        ...previous,
+        resultCount: previous.resultCount + data.results.length,
+        hasMore: data.hasMore,
+        nextCursor: data.nextCursor
+      }));
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // A facet chip adds its qualifier to the query and searches again
+  const handleFacetSelect = (field, value) => {
+    const refined = refineQuery(query, field, value);
+    setQuery(refined);
+    handleSearch(refined);
+  };
+
   const handleKeyPress = (event) => {
     if (event.key === 'Enter' && !searching) {
       handleSearch();
@@ -248,7 +284,7 @@ function QuerySearch() {
                     placeholder="e.g., 'Find all login test cases for the Billing module with High priority'"
                     multiline
                     rows={3}
-                    helperText="Use descriptive terms related to test functionality"
+                    helperText={`Use descriptive terms related to test functionality. ${QUERY_SYNTAX_HINT}`}
                      sx={{ 
                       '& .MuiOutlinedInput-root': { 
                         minWidth: '800px',
@@ -546,7 +582,7 @@ function QuerySearch() {
                     variant="contained"
                     size="large"
                     startIcon={searching ? <CircularProgress size={20} /> : <SearchIcon />}
-                    onClick={handleSearch}
+                    onClick={() => handleSearch()}
                     disabled={searching || !query.trim()}
                   >
                     {searching ? 'Searching...' : 'Search'}
@@ -609,7 +645,23 @@ function QuerySearch() {
                               ))}
                             </>
                           )}
+                          {searchInfo.filterMode && searchInfo.filterMode !== 'none' && (
+                            <Chip
+                              label={searchInfo.filterMode}
+                              size="small"
+                              variant="outlined"
+                              title="pre-filter: applied inside $vectorSearch; post-filter: applied to the results; mixed: both"
+                            />
+                          )}
                         </Box>
+                        <QueryInterpretation parsedQuery={searchInfo.parsedQuery} />
+                        <SearchFacets
+                          facets={searchInfo.facets}
+                          facetSource={searchInfo.facetSource}
+                          parsedQuery={searchInfo.parsedQuery}
+                          onSelect={handleFacetSelect}
+                          disabled={searching}
+                        />
                       </Box>
                     </Alert>
                   </Box>
@@ -798,6 +850,12 @@ function QuerySearch() {
                   </Accordion>
                 ))}
               </Box>
+              <LoadMoreResults
+                shown={results.length}
+                hasMore={searchInfo?.hasMore}
+                loading={loadingMore}
+                onLoadMore={handleLoadMore}
+              />
             </CardContent>
           </Card>
         </Fade>
@@ -27,7 +27,9 @@ import {
   TableRow,
   Tabs,
   Tab,
-  Slider
+  Slider,
+  Switch,
+  FormControlLabel
 } from '@mui/material';
 import SearchIcon from '@mui/icons-material/Search';
 import FilterListIcon from '@mui/icons-material/FilterList';
@@ -41,6 +43,9 @@ import SwapVertIcon from '@mui/icons-material/SwapVert';
 import InfoIcon from '@mui/icons-material/Info';
 import MergeTypeIcon from '@mui/icons-material/MergeType';
 import { useSnackbar } from 'notistack';
+import QueryInterpretation, { QUERY_SYNTAX_HINT } from './QueryInterpretation';
+import SearchFacets, { refineQuery } from './SearchFacets';
+import LoadMoreResults, { fetchNextPage } from './LoadMoreResults';
 
 const API_BASE = 'http://localhost:3001/api';
 
@@ -52,6 +57,7 @@ function RerankingSearch() {
   const [bm25Weight, setBm25Weight] = useState(40);
   const [vectorWeight, setVectorWeight] = useState(60);
   const [searching, setSearching] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [results, setResults] = useState([]);
   const [beforeResults, setBeforeResults] = useState([]);
   const [afterResults, setAfterResults] = useState([]);
@@ -65,6 +71,7 @@ function RerankingSearch() {
   const [riskFilter, setRiskFilter] = useState('');
   const [automationFilter, setAutomationFilter] = useState('');
   const [tabValue, setTabValue] = useState(0);
+  const [expandVariations, setExpandVariations] = useState(false);
   const { enqueueSnackbar } = useSnackbar();
 
   const loadFilterOptions = useCallback(async () => {
@@ -87,8 +94,8 @@ function RerankingSearch() {
     loadFilterOptions();
   }, [loadFilterOptions]);
 
-  const handleSearch = async () => {
-    if (!query.trim()) {
+  const handleSearch = async (searchQuery = query) => {
+    if (!searchQuery.trim()) {
       enqueueSnackbar('Please enter a search query', { variant: 'warning' });
       return;
     }
@@ -113,13 +120,14 @@ function RerankingSearch() {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          query,
+          query: searchQuery,
           limit,
           rerankTopK,
           fusionMethod,
           bm25Weight: bm25Weight / 100,
           vectorWeight: vectorWeight / 100,
-          filters
+          filters,
+          expandVariations
         }),
       });
 
@@ -131,8 +139,9 @@ function RerankingSearch() {
 
       if (data.success) {
         setResults(data.results);
-        setBeforeResults(data.beforeReranking);
-        setAfterResults(data.afterReranking);
+        setBeforeResults(data.beforeReranking || []);
+        // The fused page is the after-reranking list
+        setAfterResults(data.afterReranking || data.results);
         setSearchInfo({
           count: data.count,
           totalCandidates: data.totalCandidates,
@@ -144,7 +153,13 @@ function RerankingSearch() {
           fusionMethod: data.fusionMethod,
           reranked: data.reranked,
           weights: data.weights,
-          stats: data.stats || {}
+          variations: data.variations,
+          stats: data.stats || {},
+          parsedQuery: data.parsedQuery,
+          facets: data.facets,
+          facetSource: data.facetSource,
+          hasMore: data.hasMore,
+          nextCursor: data.nextCursor
         });
         enqueueSnackbar(`Found ${data.count} results with ${data.fusionMethod.toUpperCase()} score fusion`, { variant: 'success' });
       }
@@ -156,6 +171,33 @@ function RerankingSearch() {
     }
   };
 
+  // Next page of the same fused ranking, from the pool the server cached for this search
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await fetchNextPage(`${API_BASE}/search/rerank`, searchInfo.nextCursor, limit);
+      setResults(previous => [...previous, ...data.results]);
+      setAfterResults(previous => [...previous, ...data.results]);
+      setSearchInfo(previous => ({
+        ...previous,
+        count: previous.count + data.count,
+        hasMore: data.hasMore,
+        nextCursor: data.nextCursor
+      }));
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // A facet chip adds its qualifier to the query and searches again
+  const handleFacetSelect = (field, value) => {
+    const refined = refineQuery(query, field, value);
+    setQuery(refined);
+    handleSearch(refined);
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !searching) {
       handleSearch();
@@ -210,6 +252,7 @@ function RerankingSearch() {
               onChange={(e) => setQuery(e.target.value)}
               onKeyPress={handleKeyPress}
               placeholder="e.g., merge UHID, patient registration, login tests..."
+              helperText={QUERY_SYNTAX_HINT}
               disabled={searching}
                sx={{ 
                 '& .MuiOutlinedInput-root': { 
@@ -268,7 +311,7 @@ function RerankingSearch() {
               variant="contained"
               color="primary"
               size="large"
-              onClick={handleSearch}
+              onClick={() => handleSearch()}
               disabled={searching || !query.trim()}
               startIcon={searching ? <CircularProgress size={20} /> : <SearchIcon />}
               sx={{ height: '56px' }}
@@ -278,6 +321,20 @@ function RerankingSearch() {
           </Grid>
         </Grid>
 
+        <Tooltip title="Run BM25 and vector search for each synonym/abbreviation variation of the query and fuse all ranked lists with RRF">
+          <FormControlLabel
+            sx={{ mt: 2 }}
+            control={
+              <Switch
+                checked={expandVariations}
+                onChange={(e) => setExpandVariations(e.target.checked)}
+                disabled={searching}
+              />
+            }
+            label="Expand query variations (synonym fan-out, always RRF)"
+          />
+        </Tooltip>
+
         {/* Weight Controls */}
         {(fusionMethod === 'weighted' || fusionMethod === 'reciprocal') && (
           <Paper variant="outlined" sx={{ p: 2, mt: 3 }}>
@@ -477,6 +534,12 @@ function RerankingSearch() {
                 {searchInfo.stats.foundInVectorOnly} vector only
               </>
             )}
+            {searchInfo.variations?.length > 0 && (
+              <>
+                <br />
+                <strong>🌐 Variations searched ({searchInfo.variations.length}):</strong> {searchInfo.variations.join(' | ')}
+              </>
+            )}
             {searchInfo.weights && (
               <>
                 <br />
@@ -485,6 +548,14 @@ function RerankingSearch() {
               </>
             )}
           </Typography>
+          <QueryInterpretation parsedQuery={searchInfo.parsedQuery} />
+          <SearchFacets
+            facets={searchInfo.facets}
+            facetSource={searchInfo.facetSource}
+            parsedQuery={searchInfo.parsedQuery}
+            onSelect={handleFacetSelect}
+            disabled={searching}
+          />
         </Alert>
       )}
 
@@ -556,6 +627,15 @@ function RerankingSearch() {
                               variant="outlined"
                             />
                           )}
+                          {result.matchedVariations?.map((variation) => (
+                            <Chip
+                              key={variation}
+                              label={`Via: ${variation}`}
+                              size="small"
+                              color="secondary"
+                              variant="outlined"
+                            />
+                          ))}
                         </Box>
 
                         <Typography variant="h6" color="text.primary" sx={{ mb: 1 }}>
@@ -622,6 +702,12 @@ function RerankingSearch() {
                   </CardContent>
                 </Card>
               ))}
+              <LoadMoreResults
+                shown={afterResults.length}
+                hasMore={searchInfo?.hasMore}
+                loading={loadingMore}
+                onLoadMore={handleLoadMore}
+              />
             </Box>
           )}
 
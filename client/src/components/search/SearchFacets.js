@@ -0,0 +1,78 @@
+import React from 'react';
+import { Box, Chip, Typography } from '@mui/material';
+
+const FACET_LABELS = {
+  module: 'Module',
+  priority: 'Priority',
+  risk: 'Risk',
+  automationManual: 'Automation',
+  version: 'Version',
+  createdBy: 'Created by'
+};
+
+/**
+ * Inline qualifier for a facet value (see src/retrieval/queryParser.js), quoted when it has spaces
+ */
+export function facetQualifier(field, value) {
+  return /[\s,"]|\.\./.test(value) ? `${field}:"${value.replace(/"/g, '')}"` : `${field}:${value}`;
+}
+
+/**
+ * The query refined by a facet value
+ */
+export function refineQuery(query, field, value) {
+  return `${query.trim()} ${facetQualifier(field, value)}`;
+}
+
+// Values the query already filters on (parsedQuery.filters holds a value, a list or { op: value })
+function selectedValues(parsedQuery, field) {
+  const condition = parsedQuery?.filters?.[field];
+  if (condition === undefined) return [];
+  if (typeof condition !== 'object' || Array.isArray(condition)) return [].concat(condition).map(String);
+  return [].concat(condition.eq ?? [], condition.in ?? []).map(String);
+}
+
+/**
+ * Facet counts for the current query (facets from the search routes); clicking a value refines the query
+ */
+function SearchFacets({ facets, facetSource, parsedQuery, onSelect, disabled = false }) {
+  const fields = Object.entries(facets || {}).filter(([, buckets]) => buckets.length > 0);
+  if (fields.length === 0) return null;
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.75, mt: 1.5 }}>
+      <Typography
+        variant="caption"
+        color="text.secondary"
+        title={facetSource === 'searchMeta' ? 'Counted over every match by the search index' : 'Counted over the retrieved candidates'}
+      >
+        Refine by:
+      </Typography>
+      {fields.map(([field, buckets]) => {
+        const selected = selectedValues(parsedQuery, field);
+        return (
+          <Box key={field} sx={{ display: 'flex', alignItems: 'center', gap: 0.5, flexWrap: 'wrap' }}>
+            <Typography variant="caption" fontWeight={600} sx={{ minWidth: 80 }}>
+              {FACET_LABELS[field] || field}
+            </Typography>
+            {buckets.map(({ value, count }) => {
+              const isSelected = selected.includes(value);
+              return (
+                <Chip
+                  key={value}
+                  label={`${value} (${count})`}
+                  size="small"
+                  color={isSelected ? 'primary' : 'default'}
+                  variant={isSelected ? 'filled' : 'outlined'}
+                  onClick={isSelected || disabled ? undefined : () => onSelect(field, value)}
+                />
+              );
+            })}
+          </Box>
+        );
+      })}
+    </Box>
+  );
+}
+
+export default SearchFacets;
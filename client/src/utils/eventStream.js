@@ -0,0 +1,66 @@
+/**
+ * POST a JSON body to a Server-Sent Events endpoint (.../stream) and dispatch its events.
+ * EventSource only supports GET, so the response body is read and parsed by hand.
+ *
+ * @param {string} url - Streaming endpoint
+ * @param {Object} body - JSON request body
+ * @param {Object} handlers - { onStep(step), onToken(delta), signal }
+ * @returns {Promise<Object>} - The `result` event payload (rejects on an `error` event)
+ */
+export async function postEventStream(url, body, { onStep, onToken, signal } = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  // Validation errors come back as plain JSON before the stream starts
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.details || data.error || `HTTP error! status: ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+  let streamError = null;
+
+  const dispatch = (rawEvent) => {
+    let event = 'message';
+    const dataLines = [];
+    rawEvent.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    });
+    if (dataLines.length === 0) return; // keep-alive comment
+
+    const data = JSON.parse(dataLines.join('\n'));
+    if (event === 'step' && onStep) onStep(data);
+    else if (event === 'token' && onToken) onToken(data.delta);
+    else if (event === 'result') result = data;
+    else if (event === 'error') streamError = data;
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    events.forEach(dispatch);
+  }
+  if (buffer.trim()) dispatch(buffer);
+
+  if (streamError) {
+    throw new Error(streamError.details || streamError.error);
+  }
+  if (!result) {
+    throw new Error('Stream ended without a result');
+  }
+  return result;
+}
+
+export default postEventStream;
@@ -6,10 +6,33 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import dotenv from 'dotenv';
-import { spawn } from 'child_process';
 import { MongoClient } from 'mongodb';
 import dns from 'dns';
-import axios from 'axios';
+import { preprocessQuery, analyzeQuery } from '../src/scripts/query-preprocessing/queryPreprocessor.js';
+import { embedText, getEmbeddingProvider } from '../src/providers/embeddingProvider.js';
+import { getLLMClient, streamChat } from '../src/providers/llmClient.js';
+import { normalizeSchema, compileSchema, completeWithSchema, parseAndValidate, repairOutput } from '../src/providers/structuredOutput.js';
+import { createVectorStore, createMongoClient, validateDbCollectionIndex, getVectorStoreBackend } from '../src/providers/vectorStore.js';
+import { DEFAULT_PROMPT_TEMPLATE, PIPELINE_STEPS, buildGenerationPrompt, DEFAULT_TEST_CASE_SCHEMA, buildGenerationSchema, applyReservedIds, validateStepCounts } from '../src/generation/testCaseGeneration.js';
+import { peekNextTestCaseId, reserveTestCaseIds } from '../src/generation/testCaseIdAllocator.js';
+import { hashPromptTemplate, persistGeneratedTestCases } from '../src/generation/testCasePersistence.js';
+import { createJobStore, getJobStoreBackend } from '../src/jobs/jobStore.js';
+import { convertWorkbookSheets, convertWorkbookSheetsToFiles, readWorkbookHeaders, DEFAULT_SHEET_NAME } from '../src/ingestion/excelToJson.js';
+import { collectRowIds, findExistingIds, validateRows } from '../src/ingestion/importValidation.js';
+import { ENTITY_FIELDS, suggestEntity } from '../src/ingestion/columnMapping.js';
+import { createMappingProfileStore, validateProfile } from '../src/ingestion/mappingProfiles.js';
+import { createEmbeddingJobQueue, ACTIVE_STATUSES, USER_STORY_FILE_SUFFIX, fileEntity } from '../src/jobs/embeddingJobQueue.js';
+import { createJiraSyncQueue } from '../src/jobs/jiraSyncQueue.js';
+import { getJiraConfig } from '../src/providers/jiraClient.js';
+import { createJiraWebhookHandler, verifyWebhookSecret } from '../src/ingestion/jiraWebhook.js';
+import { listReleases, readReleaseStories, resolveReleaseDir } from '../src/ingestion/releaseStories.js';
+import { syncUserStories } from '../src/ingestion/userStorySync.js';
+import { DEFAULT_BM25_FIELDS, buildBm25Pipeline as buildBm25SearchPipeline, buildVectorPipeline as buildVectorSearchPipeline, combineHybridResults, hybridSearch } from '../src/retrieval/hybridSearch.js';
+import { parseSearchRequest, buildQueryOperator, buildExclusionOperators, buildExclusionMatch, buildValueExclusionMatch } from '../src/retrieval/queryParser.js';
+import { planVectorFilters, toMatchFilter, combineMatchFilters, toSearchCompound, toVectorSearchFilter, addSearchCompoundFilters, inProcessClauses, matchesSearchFilters, filterProjection } from '../src/retrieval/searchFilters.js';
+import { parsePageRequest, poolSizeFor, createSearchPoolCache } from '../src/retrieval/searchCursor.js';
+import { FACET_FIELDS, FACET_CANDIDATE_LIMIT, countFacets, buildSearchMetaFacetPipeline, readSearchMetaFacets, canUseSearchMeta } from '../src/retrieval/searchFacets.js';
+import { analyzeReleaseImpact, buildLinkedTestCasesPipeline, IMPACT_PROJECTION, DEFAULT_IMPACT_OPTIONS } from '../src/analysis/releaseImpact.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -31,7 +54,13 @@ const PORT = process.env.PORT || 3001;
 // Middleware
 app.use(cors());
 // Increase payload limit to handle large embeddings (default is 100kb)
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Jira signs webhook deliveries over the exact bytes it sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/jira/webhook')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 
@@ -51,125 +80,142 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage });
 
-// ======================== Job Tracking ========================
-// In-memory job tracking (consider using Redis for production)
-const jobs = new Map();
-
-function createJob(files) {
-  const jobId = `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-  jobs.set(jobId, {
-    id: jobId,
-    files,
-    status: 'in-progress',
-    progress: 0,
-    total: files.length,
-    results: [],
-    startTime: new Date(),
-    currentFile: null
-  });
-  return jobId;
-}
+// ======================== Server-Sent Events ========================
+// Streaming variants of the LLM-backed endpoints (POST .../stream) send:
+//   event: step    { step, name, status, ... }   pipeline progress
+//   event: token   { delta }                      partial LLM output
+//   event: result  { ... }                        same body as the JSON endpoint
+//   event: error   { error, details }
+// followed by event: done.
 
-function updateJob(jobId, updates) {
-  const job = jobs.get(jobId);
-  if (job) {
-    Object.assign(job, updates);
-    jobs.set(jobId, job);
-  }
+function badRequest(message, details) {
+  return Object.assign(new Error(message), { status: 400, ...(details && { details }) });
 }
 
-function getJob(jobId) {
-  return jobs.get(jobId);
-}
+/**
+ * Open an SSE stream on a response. Headers go out with the first event, so a handler that
+ * fails validation can still answer with a normal JSON 400.
+ * @param {Response} res - Express response
+ * @returns {Object} - { send(event, data), started(), signal, end() }
+ */
+function openEventStream(res) {
+  const controller = new AbortController();
+  let started = false;
+  let finished = false;
+  let heartbeat = null;
+
+  // Stop LLM work when the browser goes away
+  res.on('close', () => {
+    if (!finished) controller.abort();
+    finished = true;
+    clearInterval(heartbeat);
+  });
 
-// Clean up old jobs (older than 1 hour)
-setInterval(() => {
-  const oneHourAgo = Date.now() - 60 * 60 * 1000;
-  for (const [jobId, job] of jobs.entries()) {
-    if (new Date(job.startTime).getTime() < oneHourAgo) {
-      jobs.delete(jobId);
+  const start = () => {
+    started = true;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  };
+
+  return {
+    signal: controller.signal,
+    started: () => started,
+    send(event, data) {
+      if (finished) return;
+      if (!started) start();
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (finished) return;
+      this.send('done', {});
+      finished = true;
+      clearInterval(heartbeat);
+      res.end();
     }
-  }
-}, 10 * 60 * 1000); // Run every 10 minutes
-
-// ======================== MongoDB Connection Helper ========================
-
-function createMongoClient() {
-  return new MongoClient(process.env.MONGODB_URI, {
-    ssl: true,
-    tls: true,
-    tlsAllowInvalidCertificates: true,  // Allow invalid certificates for Atlas compatibility
-    tlsAllowInvalidHostnames: true,     // Allow invalid hostnames for Atlas compatibility
-    serverSelectionTimeoutMS: 30000,   // Increased timeout
-    connectTimeoutMS: 30000,            // Increased timeout
-    socketTimeoutMS: 30000,             // Increased timeout
-    maxPoolSize: 10,
-    retryWrites: true,
-    retryReads: true,
-    // Additional Atlas-specific settings
-    useNewUrlParser: true,
-    useUnifiedTopology: true
-  });
+  };
 }
 
-// ======================== Validation Helpers ========================
-
-async function validateDbCollectionIndex(client, dbName, collectionName, indexName, requireDocuments = false) {
-  try {
-    // Attempt to detect database existence via listDatabases (may require privileges)
-    let dbExists = false;
+/**
+ * Express handler streaming a route function's steps, tokens and final result over SSE
+ * @param {Function} handler - async (body, { onStep, onToken, signal }) => result body
+ * @param {string} errorMessage - `error` field for failures
+ * @returns {Function} - Express handler
+ */
+function streamingRoute(handler, errorMessage) {
+  return async (req, res) => {
+    const stream = openEventStream(res);
     try {
-      const admin = client.db().admin();
-      const dbs = await admin.listDatabases();
-      dbExists = dbs.databases.some(d => d.name === dbName);
-    } catch (err) {
-      // If listDatabases fails because of permissions, fallback to checking the collection directly
-      console.warn('⚠️ listDatabases failed (permissions?), falling back to listCollections check:', err.message);
-      dbExists = true; // assume DB exists and proceed to collection check
-    }
-
-    if (!dbExists) {
-      return { ok: false, error: `Database '${dbName}' not found` };
-    }
-
-    const db = client.db(dbName);
-    const collections = await db.listCollections({ name: collectionName }).toArray();
-    if (!collections || collections.length === 0) {
-      return { ok: false, error: `Collection '${collectionName}' not found in database '${dbName}'` };
-    }
-
-    if (requireDocuments) {
-      const count = await db.collection(collectionName).countDocuments();
-      if (count === 0) {
-        return { ok: false, error: `No documents found in collection '${collectionName}'. Please create embeddings first.` };
+      const result = await handler(req.body, {
+        onStep: step => stream.send('step', step),
+        onToken: delta => stream.send('token', { delta }),
+        signal: stream.signal
+      });
+      stream.send('result', result);
+    } catch (error) {
+      if (error.status === 400 && !stream.started()) {
+        return res.status(400).json({ error: error.message, ...(error.details && { details: error.details }) });
       }
+      console.error(`${errorMessage} (stream):`, error.message);
+      stream.send('error', {
+        error: errorMessage,
+        details: error.details || error.message,
+        status: error.status || error.response?.status
+      });
     }
+    stream.end();
+  };
+}
 
-    // Verify Atlas Search indexes (listSearchIndexes command)
-    if (indexName) {
-      try {
-        const collection = db.collection(collectionName);
-        const indexes = await collection.listSearchIndexes().toArray();
-        if (!indexes || !Array.isArray(indexes)) {
-          return { ok: false, error: `Unable to verify search indexes for collection '${collectionName}'.` };
-        }
-        const found = indexes.some(idx => idx.name === indexName);
-        if (!found) {
-          return { ok: false, error: `Search index '${indexName}' not found for collection '${collectionName}'` };
-        }
-      } catch (err) {
-        // Some server versions / permissions may not allow listSearchIndexes; surface helpful message
-        return { ok: false, error: `Could not verify search index '${indexName}': ${err.message}` };
-      }
-    }
+// LLM call that streams when the caller asked for tokens
+function chatWithHooks(llm, request, { onToken, signal } = {}) {
+  return onToken ? streamChat(llm, { ...request, onToken, signal }) : llm.chat(request);
+}
 
-    return { ok: true };
+// ======================== Job Tracking ========================
+// Embedding jobs are persisted (JOB_STORE) and checkpointed per record, so they resume after a restart
+const jobStore = createJobStore();
+const embeddingJobs = createEmbeddingJobQueue({
+  store: jobStore,
+  dataDir: path.join(__dirname, '../src/data')
+});
 
-  } catch (err) {
-    return { ok: false, error: `Validation failed: ${err.message}` };
-  }
+// Jira sync runs and webhook deliveries are kept apart from embedding jobs; the runs double as
+// the sync history and the deliveries as the webhook event log
+const jobStoreDir = process.env.JOB_STORE_DIR || path.join(__dirname, '../.jobs');
+const jiraSync = createJiraSyncQueue({
+  store: createJobStore({
+    collectionName: process.env.JIRA_SYNC_COLLECTION_NAME || 'jira_syncs',
+    dir: path.join(jobStoreDir, 'jira-sync')
+  }),
+  getConfig: readJiraConfig
+});
+const jiraWebhook = createJiraWebhookHandler({
+  eventStore: createJobStore({
+    collectionName: process.env.JIRA_WEBHOOK_EVENTS_COLLECTION_NAME || 'jira_webhook_events',
+    dir: path.join(jobStoreDir, 'jira-webhook')
+  }),
+  getConfig: readJiraConfig
+});
+
+// Jira settings saved from the Settings page go to .env; read them per sync so they apply without a restart
+function readJiraConfig() {
+  const envPath = path.join(__dirname, '../.env');
+  const saved = fs.existsSync(envPath) ? dotenv.parse(fs.readFileSync(envPath)) : {};
+  const savedValues = Object.fromEntries(Object.entries(saved).filter(([key, value]) => key.startsWith('JIRA_') && value));
+  return getJiraConfig({ ...process.env, ...savedValues });
 }
 
+// Purge finished jobs past the retention window
+setInterval(() => {
+  embeddingJobs.purge().catch(error => console.error('❌ Job purge failed:', error.message));
+  jiraWebhook.purge().catch(error => console.error('❌ Jira webhook event purge failed:', error.message));
+}, 10 * 60 * 1000); // Run every 10 minutes
+
 // ======================== API Routes ========================
 
 // Health check
@@ -177,19 +223,40 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Server is running' });
 });
 
-// Get active jobs
-app.get('/api/jobs/active', (req, res) => {
-  const activeJobs = Array.from(jobs.values()).filter(job => job.status === 'in-progress');
-  res.json({ jobs: activeJobs });
+// Get active jobs (queued, running or winding down after a cancel)
+app.get('/api/jobs/active', async (req, res) => {
+  try {
+    const activeJobs = await embeddingJobs.list({ status: ACTIVE_STATUSES });
+    res.json({ jobs: activeJobs });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load jobs', details: error.message });
+  }
 });
 
 // Get job status
-app.get('/api/jobs/:jobId', (req, res) => {
-  const job = getJob(req.params.jobId);
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
+app.get('/api/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await embeddingJobs.get(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load job', details: error.message });
+  }
+});
+
+// Cancel a queued or running job (records already embedded are kept)
+app.delete('/api/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await embeddingJobs.cancel(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to cancel job', details: error.message });
   }
-  res.json(job);
 });
 
 // Get distinct metadata values for filters
@@ -284,7 +351,8 @@ app.get('/api/files', (req, res) => {
           path: filePath,
           size: stats.size,
           modified: stats.mtime,
-          type: 'json'
+          type: 'json',
+          entity: fileEntity(file) // Embedding jobs send userstory files to the user stories collection
         };
       });
     res.json(files);
@@ -293,111 +361,329 @@ app.get('/api/files', (req, res) => {
   }
 });
 
-// Upload and convert Excel to JSON
-app.post('/api/upload-excel', upload.single('file'), async (req, res) => {
+// ======================== Column Mapping Profiles ========================
+const mappingProfiles = createMappingProfileStore();
+
+// Column map for one imported sheet: explicit columnMap (JSON string from multipart forms) > named profile > defaults
+function resolveImportColumnMap(body, entity = 'testcase') {
+  if (body.columnMap) {
+    let columns = body.columnMap;
+    if (typeof columns === 'string') {
+      try {
+        columns = JSON.parse(columns);
+      } catch (e) {
+        throw badRequest('columnMap is not valid JSON', e.message);
+      }
+    }
+    try {
+      return { columnMap: validateProfile({ name: 'request', entity, columns }).columns, profile: null };
+    } catch (e) {
+      throw badRequest('Invalid column mapping', e.message);
+    }
+  }
+
+  if (body.profile) {
+    const profile = mappingProfiles.get(body.profile);
+    if (!profile) {
+      throw badRequest('Mapping profile not found', `No profile named "${body.profile}"`);
+    }
+    if (profile.entity !== entity) {
+      throw badRequest('Invalid mapping profile', `Profile "${profile.name}" maps ${profile.entity} columns, not ${entity} columns`);
+    }
+    return { columnMap: profile.columns, profile: profile.name };
+  }
+
+  return { columnMap: undefined, profile: null };
+}
+
+// List mapping profiles (?entity=testcase|userstory) and the target fields per entity
+app.get('/api/mapping-profiles', (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    res.json({
+      profiles: mappingProfiles.list({ entity: req.query.entity }),
+      fields: ENTITY_FIELDS
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load mapping profiles', details: error.message });
+  }
+});
+
+app.get('/api/mapping-profiles/:name', (req, res) => {
+  try {
+    const profile = mappingProfiles.get(req.params.name);
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
     }
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load mapping profile', details: error.message });
+  }
+});
 
-    const inputFile = req.file.path;
-    const outputPath = path.join(__dirname, '../src/data', `converted-${Date.now()}.json`);
-    
-    // Convert paths to forward slashes (works on both Windows and Unix)
-    const inputFileNormalized = inputFile.replace(/\\/g, '/');
-    const outputPathNormalized = outputPath.replace(/\\/g, '/');
-    
-    // Create a modified version of excel-to-json.js for this specific file
-    const scriptContent = `
-import xlsx from "xlsx";
-import fs from "fs";
-
-const excelFile = "${inputFileNormalized}";      
-const sheetName = "${req.body.sheetName || 'Testcases'}";   
-const outputFile = "${outputPathNormalized}";      
-
-const columnMap = {
-  "Module": "module",
-  "Test ID": "id",
-  "Pre-Requisites": "preRequisites",
-  "Test Title": "title",
-  "Test Case Description": "description",
-  "Test Steps": "steps",
-  "Expected Results": "expectedResults",
-  "Automation/Manual": "automationManual",
-  "Priority": "priority",
-  "Created By": "createdBy",
-  "Created Date": "createdDate",
-  "Last modified date": "lastModifiedDate",
-  "Risk": "risk",
-  "Version": "version",
-  "Type": "type"
-};
+// Create or replace a custom profile
+app.put('/api/mapping-profiles/:name', (req, res) => {
+  try {
+    const profile = mappingProfiles.save({ ...req.body, name: req.params.name });
+    console.log(`🗂️ Saved mapping profile "${profile.name}" (${Object.keys(profile.columns).length} columns)`);
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to save mapping profile', details: error.message });
+  }
+});
+
+app.delete('/api/mapping-profiles/:name', (req, res) => {
+  try {
+    if (!mappingProfiles.remove(req.params.name)) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to delete mapping profile', details: error.message });
+  }
+});
+
+// Read an uploaded workbook's sheets and headers, guess each sheet's entity and propose column mappings
+// (form fields: file, sheetName, entity, profile); the upload is not kept
+app.post('/api/upload-excel/headers', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    const entity = req.body.entity || 'testcase';
+    if (!ENTITY_FIELDS[entity]) {
+      return res.status(400).json({ error: 'Unknown entity', details: `Expected one of: ${Object.keys(ENTITY_FIELDS).join(', ')}` });
+    }
+
+    const profile = req.body.profile ? mappingProfiles.get(req.body.profile) : null;
+    if (req.body.profile && !profile) {
+      return res.status(400).json({ error: 'Mapping profile not found', details: `No profile named "${req.body.profile}"` });
+    }
 
-try {
-  const workbook = xlsx.readFile(excelFile);
-  const worksheet = workbook.Sheets[sheetName];
+    // Every sheet gets a proposal per entity, so the client can switch a sheet's entity without a round-trip
+    const columnMaps = profile ? { [profile.entity]: profile.columns } : {};
+    const sheets = readWorkbookHeaders(req.file.path).map(sheet => {
+      const { entity: suggestedEntity, proposals } = suggestEntity(sheet.headers, { columnMaps });
+      return { ...sheet, suggestedEntity, proposals };
+    });
+
+    const requestedSheet = req.body.sheetName || profile?.sheetName || DEFAULT_SHEET_NAME;
+    const sheet = sheets.find(s => s.sheetName === requestedSheet)
+      || sheets.find(s => s.sheetName.toLowerCase() === String(requestedSheet).toLowerCase())
+      || sheets[0];
+
+    res.json({
+      success: true,
+      entity,
+      profile: profile?.name || null,
+      sheets,
+      sheetName: sheet?.sheetName || null,
+      proposal: sheet ? sheet.proposals[entity] : { columns: {}, matches: [], unmappedHeaders: [], missingRequired: [] },
+      fields: ENTITY_FIELDS[entity],
+      entityFields: ENTITY_FIELDS
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read workbook headers', details: error.message });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+});
 
-  if (!worksheet) {
-    console.error(\`❌ Sheet "\${sheetName}" not found in \${excelFile}\`);
-    process.exit(1);
+// Sheets to convert in one upload: `sheets` (JSON [{ sheetName, entity, columnMap | profile }]) or the
+// single-sheet form fields (sheetName, columnMap | profile) for a test case sheet
+function parseImportSheets(body) {
+  if (!body.sheets) {
+    const { columnMap, profile } = resolveImportColumnMap(body, 'testcase');
+    return [{ sheetName: body.sheetName || DEFAULT_SHEET_NAME, entity: 'testcase', columnMap, profile }];
   }
 
-  const rawData = xlsx.utils.sheet_to_json(worksheet, { defval: "" });
+  let sheets = body.sheets;
+  if (typeof sheets === 'string') {
+    try {
+      sheets = JSON.parse(sheets);
+    } catch (e) {
+      throw badRequest('sheets is not valid JSON', e.message);
+    }
+  }
+  if (!Array.isArray(sheets) || sheets.length === 0) {
+    throw badRequest('No sheets selected', 'sheets must be a non-empty array of { sheetName, entity }');
+  }
 
-  const jsonData = rawData.map((row, index) => {
-    const mappedRow = {};
-    for (const [excelCol, jsonKey] of Object.entries(columnMap)) {
-      mappedRow[jsonKey] = row[excelCol] || "";
+  return sheets.map(sheet => {
+    const entity = sheet.entity || 'testcase';
+    if (!ENTITY_FIELDS[entity]) {
+      throw badRequest('Unknown entity', `Sheet "${sheet.sheetName}": expected one of ${Object.keys(ENTITY_FIELDS).join(', ')}`);
+    }
+    if (!sheet.sheetName) {
+      throw badRequest('Missing sheet name', 'Every entry in sheets needs a sheetName');
     }
-    return mappedRow;
+    const { columnMap, profile } = resolveImportColumnMap(sheet, entity);
+    return { sheetName: String(sheet.sheetName), entity, columnMap, profile };
   });
+}
 
-  fs.writeFileSync(outputFile, JSON.stringify(jsonData, null, 2), "utf-8");
-  console.log(\`✅ Converted \${jsonData.length} rows from "\${sheetName}" into \${outputFile}\`);
-} catch (error) {
-  console.error('❌ Error:', error.message);
-  process.exit(1);
+// File name part for a sheet, e.g. "Regression Suite" -> "regression-suite"
+function sheetFileSlug(sheetName) {
+  return String(sheetName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'sheet';
 }
-`;
 
-    const tempScriptPath = path.join(__dirname, `temp-excel-convert-${Date.now()}.js`);
-    fs.writeFileSync(tempScriptPath, scriptContent);
+// Collection holding each imported entity (for the existing-ID check)
+const IMPORT_COLLECTIONS = {
+  testcase: () => process.env.COLLECTION_NAME,
+  userstory: () => process.env.USER_STORIES_COLLECTION_NAME
+};
 
-    // Execute the conversion script
-    const child = spawn('node', [tempScriptPath], { cwd: __dirname });
-    
-    let output = '';
-    let error = '';
+// Validation reports for converted sheets, checking IDs against the stored collections when MongoDB is reachable
+async function validateImportResults(results, { checkCollection = true } = {}) {
+  let existingBySheet = results.map(() => null);
+  let collectionError = null;
+  let mongoClient = null;
 
-    child.stdout.on('data', (data) => {
-      output += data.toString();
-    });
+  if (checkCollection) {
+    try {
+      mongoClient = createMongoClient();
+      await mongoClient.connect();
+      const db = mongoClient.db(process.env.DB_NAME);
+      existingBySheet = await Promise.all(results.map(result =>
+        findExistingIds(db.collection(IMPORT_COLLECTIONS[result.entity]()), collectRowIds(result.mappedRows, result.entity), result.entity)
+      ));
+    } catch (error) {
+      // The in-file checks still apply; the report says the collection was not checked
+      console.warn('⚠️  Import validation skipped the collection check:', error.message);
+      collectionError = error.message;
+      existingBySheet = results.map(() => null);
+    } finally {
+      if (mongoClient) await mongoClient.close().catch(() => {});
+    }
+  }
 
-    child.stderr.on('data', (data) => {
-      error += data.toString();
-    });
+  return results.map((result, index) => ({
+    ...validateRows(result.mappedRows, result.entity, { existingIds: existingBySheet[index] }),
+    collectionError
+  }));
+}
 
-    child.on('close', (code) => {
-      // Clean up temp script and uploaded file
-      fs.unlinkSync(tempScriptPath);
-      fs.unlinkSync(inputFile);
+// Validate an upload without writing anything (same form fields as /api/upload-excel);
+// returns a per-row error/warning report for every requested sheet
+app.post('/api/upload-excel/validate', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
 
-      if (code === 0) {
-        res.json({
-          success: true,
-          message: 'File converted successfully',
-          outputFile: path.basename(outputPath),
-          output
-        });
-      } else {
-        res.status(500).json({
-          success: false,
-          error: 'Conversion failed',
-          details: error || output
-        });
-      }
-    });
+    try {
+      const sheets = parseImportSheets(req.body);
+      const { sheetNames, results } = convertWorkbookSheets(req.file.path, sheets);
+      const reports = await validateImportResults(results, { checkCollection: req.body.checkCollection !== 'false' });
+
+      const sheetReports = results.map((result, index) => ({
+        sheetName: result.sheetName,
+        entity: result.entity,
+        rowCount: result.rowCount,
+        recordCount: result.records.length,
+        validation: reports[index]
+      }));
+
+      const totals = sheetReports.reduce((sum, sheet) => ({
+        errors: sum.errors + sheet.validation.summary.errors,
+        warnings: sum.warnings + sheet.validation.summary.warnings
+      }), { errors: 0, warnings: 0 });
+      console.log(`🔎 Validated ${sheetReports.length} sheet(s): ${totals.errors} error(s), ${totals.warnings} warning(s)`);
+
+      res.json({ success: true, sheetNames, sheets: sheetReports, ...totals });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status === 400 && error.details ? error.message : 'Validation failed',
+        details: error.details || error.message
+      });
+    } finally {
+      fs.unlink(req.file.path, () => {});
+    }
+
+  } catch (error) {
+    res.status(500).json({ error: 'Upload failed', details: error.message });
+  }
+});
+
+// Upload and convert Excel to JSON
+// One JSON file per converted sheet in src/data; test case sheets keep the flat stored shape,
+// user story sheets get the Jira-like structure (see src/ingestion/userStoryFormat.js) and a
+// -userstories.json name, which routes them to the user stories collection when embedded
+app.post('/api/upload-excel', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const inputFile = req.file.path;
+    const timestamp = Date.now();
+    const events = [];
+
+    try {
+      const sheets = parseImportSheets(req.body);
+      const multiSheet = Boolean(req.body.sheets);
+
+      // sheetName is only used as a lookup key into the workbook
+      const { sheetNames, results } = convertWorkbookSheetsToFiles(inputFile, sheets, {
+        outputFileFor: (result) => path.join(
+          __dirname,
+          '../src/data',
+          multiSheet
+            ? `converted-${timestamp}-${sheetFileSlug(result.sheetName)}${result.entity === 'userstory' ? USER_STORY_FILE_SUFFIX : '-testcases.json'}`
+            : `converted-${timestamp}${result.entity === 'userstory' ? USER_STORY_FILE_SUFFIX : '.json'}`
+        ),
+        onProgress: (event) => events.push({ ...event, at: new Date() })
+      });
+
+      const outputs = results.map((result, index) => ({
+        sheetName: result.sheetName,
+        entity: result.entity,
+        profile: sheets[index].profile,
+        outputFile: path.basename(result.outputFile),
+        rowCount: result.rowCount,
+        recordCount: result.records.length,
+        skipped: result.skipped,
+        issues: result.issues,
+        unmappedColumns: result.unmappedColumns,
+        // In-file checks only; /api/upload-excel/validate also checks stored IDs
+        validation: validateRows(result.mappedRows, result.entity)
+      }));
+
+      const output = outputs
+        .map(o => `✅ Converted ${o.recordCount} ${o.entity === 'userstory' ? 'user stories' : 'test cases'} from "${o.sheetName}" into ${o.outputFile}`)
+        .join('\n');
+      console.log(output);
+
+      // Top-level fields describe the first sheet (single-sheet clients read only those)
+      const [first] = outputs;
+      res.json({
+        success: true,
+        message: outputs.length > 1 ? `Converted ${outputs.length} sheets successfully` : 'File converted successfully',
+        outputFile: first.outputFile,
+        output,
+        sheetName: first.sheetName,
+        sheetNames,
+        profile: first.profile,
+        rowCount: first.rowCount,
+        recordCount: first.recordCount,
+        skipped: first.skipped,
+        issues: first.issues,
+        unmappedColumns: first.unmappedColumns,
+        validation: first.validation,
+        outputs,
+        events
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status === 400 && error.details ? error.message : 'Conversion failed',
+        details: error.details || error.message,
+        events
+      });
+    } finally {
+      fs.unlink(inputFile, () => {});
+    }
 
   } catch (error) {
     res.status(500).json({ error: 'Upload failed', details: error.message });
@@ -405,9 +691,12 @@ try {
 });
 
 // Create embeddings for selected files
+// Re-running a file only embeds new/changed rows (upsert by test case ID, or story key for
+// *-userstories.json files); removeMissing deletes test cases no longer in the file and dryRun
+// returns the diff without writing anything
 app.post('/api/create-embeddings', async (req, res) => {
   try {
-    const { files } = req.body;
+    const { files, concurrency, removeMissing = false, dryRun = false } = req.body;
     
     if (!files || files.length === 0) {
       return res.status(400).json({ error: 'No files selected' });
@@ -436,16 +725,21 @@ app.post('/api/create-embeddings', async (req, res) => {
       try { await mongoClient.close(); } catch (e) {}
     }
 
-    // Create a job and return immediately
-    const jobId = createJob(files);
-    
-    // Start processing in background
-    processEmbeddings(jobId, files);
+    if (dryRun) {
+      const reports = await embeddingJobs.preview(files, { removeMissing });
+      return res.json({ success: true, dryRun: true, removeMissing, files: reports });
+    }
+
+    // Queue a persisted job and return immediately; it runs in the background
+    const job = await embeddingJobs.enqueue(files, { concurrency, removeMissing });
     
     // Return job ID to client
     res.json({
       success: true,
-      jobId,
+      jobId: job.id,
+      status: job.status,
+      concurrency: job.concurrency,
+      removeMissing: job.removeMissing,
       message: 'Embedding creation started',
       filesCount: files.length
     });
@@ -455,205 +749,6 @@ app.post('/api/create-embeddings', async (req, res) => {
   }
 });
 
-// Background processing function
-async function processEmbeddings(jobId, files) {
-  const results = [];
-
-  
-  for (const fileName of files) {
-    updateJob(jobId, { currentFile: fileName });
-    
-    const filePath = path.join(__dirname, '../src/data', fileName);
-    // Convert paths to forward slashes for cross-platform compatibility
-    const filePathNormalized = filePath.replace(/\\/g, '/');
-    
-    // Create a modified version of create-embeddings-store.js for this specific file
-    const scriptContent = `
-import { MongoClient } from "mongodb";
-import dns from "dns";
-import axios from "axios";
-import dotenv from "dotenv";
-import fs from "fs";
-
-dotenv.config();
-
-dns.setServers(['8.8.8.8', '8.8.4.4']);
-
-const mongoClient = new MongoClient(process.env.MONGODB_URI, {
-  ssl: true,
-  tlsAllowInvalidCertificates: true,
-  tlsAllowInvalidHostnames: true,
-  serverSelectionTimeoutMS: 30000,
-  connectTimeoutMS: 30000,
-  socketTimeoutMS: 30000,
-});
-
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
-
-async function main() {
-  try {
-  await mongoClient.connect();
-  const db = mongoClient.db(process.env.DB_NAME);
-  const collection = db.collection(process.env.COLLECTION_NAME);
-
-    const testcases = JSON.parse(fs.readFileSync("${filePathNormalized}", "utf-8"));
-
-    console.log(\`🚀 Processing \${testcases.length} test cases from ${fileName}...\`);
-    
-    let totalCost = 0;
-    let totalTokens = 0;
-    let processed = 0;
-
-    for (const testcase of testcases) {
-      try {
-        const inputText = \`
-          Module: \${testcase.module}
-          ID: \${testcase.id}
-          Pre-Requisites: \${testcase.preRequisites}
-          Title: \${testcase.title}
-          Description: \${testcase.description}
-          Steps: \${testcase.steps}
-          Expected Result: \${testcase.expectedResults}
-          Automation/Manual: \${testcase.automationManual}
-          Priority: \${testcase.priority}
-          Created By: \${testcase.createdBy}
-          Created Date: \${testcase.createdDate}
-          Last Modified Date: \${testcase.lastModifiedDate}
-          Risk: \${testcase.risk}
-          Version: \${testcase.version}
-          Type: \${testcase.type}
-        \`;
-        
-        const embeddingResponse = await axios.post(
-          \`\${TESTLEAF_API_BASE}/embedding/text/\${USER_EMAIL}\`,
-          {
-            input: inputText,
-            model: "text-embedding-3-small"
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(AUTH_TOKEN && { 'Authorization': \`Bearer \${AUTH_TOKEN}\` })
-            }
-          }
-        );
-
-        if (embeddingResponse.data.status !== 200) {
-          throw new Error(\`Testleaf API error: \${embeddingResponse.data.message}\`);
-        }
-
-        const vector = embeddingResponse.data.data[0].embedding;
-        const cost = embeddingResponse.data.cost || 0;
-        const tokens = embeddingResponse.data.usage?.total_tokens || 0;
-        
-        totalCost += cost;
-        totalTokens += tokens;
-
-        const doc = {
-          ...testcase,
-          embedding: vector,
-          createdAt: new Date(),
-          sourceFile: "${fileName}",
-          embeddingMetadata: {
-            model: embeddingResponse.data.model,
-            cost: cost,
-            tokens: tokens,
-            apiSource: 'testleaf'
-          }
-        };
-
-        await collection.insertOne(doc);
-        processed++;
-        
-        console.log(\`✅ Processed \${processed}/\${testcases.length}: \${testcase.id}\`);
-        
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-      } catch (error) {
-        console.error(\`❌ Error processing \${testcase.id}: \${error.message}\`);
-        continue;
-      }
-    }
-
-    console.log(\`\\n🎉 Processing complete for ${fileName}!\`);
-    console.log(\`💰 Total Cost: $\${totalCost.toFixed(6)}\`);
-    console.log(\`🔢 Total Tokens: \${totalTokens}\`);
-    console.log(\`📊 Processed: \${processed}/\${testcases.length}\`);
-
-  } catch (err) {
-    console.error("❌ Error:", err.message);
-    process.exit(1);
-  } finally {
-    await mongoClient.close();
-  }
-}
-
-main();
-`;
-
-      const tempScriptPath = path.join(__dirname, `temp-embeddings-${Date.now()}.js`);
-      fs.writeFileSync(tempScriptPath, scriptContent);
-
-    try {
-      await new Promise((resolve, reject) => {
-        const child = spawn('node', [tempScriptPath], { cwd: __dirname });
-        
-        let output = '';
-        let error = '';
-
-        child.stdout.on('data', (data) => {
-          output += data.toString();
-        });
-
-        child.stderr.on('data', (data) => {
-          error += data.toString();
-        });
-
-        child.on('close', (code) => {
-          fs.unlinkSync(tempScriptPath);
-          
-          if (code === 0) {
-            results.push({
-              file: fileName,
-              status: 'completed',
-              output
-            });
-            resolve();
-          } else {
-            results.push({
-              file: fileName,
-              status: 'failed',
-              error: error || output
-            });
-            resolve(); // Continue with other files
-          }
-        });
-      });
-    } catch (error) {
-      results.push({
-        file: fileName,
-        status: 'failed',
-        error: error.message
-      });
-    }
-    
-    // Update job progress
-    updateJob(jobId, {
-      progress: results.length,
-      results: [...results]
-    });
-  }
-
-  // Mark job as complete
-  updateJob(jobId, {
-    status: 'completed',
-    endTime: new Date(),
-    results
-  });
-}
-
 // Get environment variables
 app.get('/api/env', (req, res) => {
   try {
@@ -694,37 +789,73 @@ app.post('/api/env', (req, res) => {
 });
 
 // ======================== Query Preprocessing ========================
+/**
+ * Preprocess a query: test case ID extraction, normalization, abbreviation and synonym expansion
+ * @param {Object} body - { query, options }
+ * @returns {Object} - Response body (processedQuery is the query to search with)
+ */
+function preprocessSearchQuery({ query, options = {} } = {}) {
+  if (!query || typeof query !== 'string') {
+    throw badRequest('Query is required');
+  }
+
+  console.log('🔍 Preprocessing query:', query);
+
+  // 0 is a valid limit (no synonym variants); only a missing or non-numeric value falls back to 5
+  const maxSynonymVariations = parseInt(options.maxSynonymVariations, 10);
+
+  // Full pipeline: test case ID extraction → normalize → abbreviations → synonyms
+  const result = preprocessQuery(query, {
+    enableAbbreviations: options.enableAbbreviations !== false,
+    enableSynonyms: options.enableSynonyms !== false,
+    maxSynonymVariations: Number.isInteger(maxSynonymVariations) ? Math.max(0, maxSynonymVariations) : 5,
+    customAbbreviations: options.customAbbreviations || {},
+    customSynonyms: options.customSynonyms || {},
+    smartExpansion: !!options.smartExpansion,
+    preserveTestCaseIds: options.preserveTestCaseIds !== false
+  });
+
+  const { abbreviationMappings = [], synonymMappings = [], testCaseIds = [] } = result.metadata;
+
+  // First variation is the abbreviation-expanded query (with test case IDs re-attached)
+  const finalQuery = result.synonymExpanded[0] || result.abbreviationExpanded || result.normalized;
+
+  // Flat list of every term the pipeline introduced
+  const expandedTerms = [
+    ...abbreviationMappings.map(m => m.expansion),
+    ...synonymMappings.flatMap(m => m.synonyms)
+  ];
+
+  const response = {
+    ...result,
+    finalQuery,
+    processedQuery: finalQuery,
+    expandedTerms,
+    transformations: {
+      normalized: result.normalized !== query,
+      abbreviationsExpanded: result.abbreviationExpanded !== result.normalized,
+      synonymsExpanded: result.synonymExpanded.length > 1
+    },
+    metadata: {
+      ...result.metadata,
+      abbreviationsFound: abbreviationMappings.length,
+      testCaseIds,
+      pipeline: 'full'
+    }
+  };
+
+  console.log(`✅ Preprocessing complete: ${abbreviationMappings.length} abbreviations, ${synonymMappings.length} synonym mappings, ${result.synonymExpanded.length} variations`);
+  return response;
+}
+
 // Preprocess query: normalization, abbreviation expansion, synonym expansion
 app.post('/api/search/preprocess', async (req, res) => {
   try {
-    const { query, options = {} } = req.body;
-    
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
-    }
-
-    console.log('🔍 Preprocessing query:', query);
-
-    // Simple preprocessing without heavy operations - just return the query with basic processing
-    const result = {
-      original: query,
-      normalized: query.toLowerCase().trim(),
-      abbreviationExpanded: query, // Skip heavy abbreviation processing
-      synonymExpanded: [query], // Skip heavy synonym processing  
-      finalQuery: query.toLowerCase().trim(),
-      expandedTerms: [],
-      metadata: {
-        processingTime: 1,
-        abbreviationsFound: 0,
-        synonymMappings: [],
-        testCaseIds: [],
-        pipeline: 'simplified'
-      }
-    };
-
-    console.log('✅ Preprocessing complete (simplified)');
-    res.json(result);
+    res.json(preprocessSearchQuery(req.body));
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Preprocessing error:', error);
     res.status(500).json({ 
       error: 'Failed to preprocess query', 
@@ -738,28 +869,32 @@ app.post('/api/search/analyze', async (req, res) => {
   try {
     const { query } = req.body;
     
-    if (!query) {
+    if (!query || typeof query !== 'string') {
       return res.status(400).json({ error: 'Query is required' });
     }
 
     console.log('🔍 Analyzing query:', query);
 
-    // Simple analysis without heavy operations
-    const analysis = {
+    const { analysis, normalized } = analyzeQuery(query);
+
+    const response = {
       original: query,
-      normalized: query.toLowerCase().trim(),
-      tokens: query.toLowerCase().split(/\s+/),
-      potentialAbbreviations: [],
-      potentialSynonyms: [],
+      normalized,
+      tokens: analysis.tokens,
+      potentialAbbreviations: analysis.abbreviations,
+      potentialSynonyms: analysis.synonymOpportunities,
+      testCaseIds: analysis.testCaseIds,
+      analysis,
       metadata: {
-        wordCount: query.split(/\s+/).length,
+        wordCount: analysis.tokenCount,
         hasSpecialChars: /[^a-zA-Z0-9\s]/.test(query),
-        analysis: 'simplified'
+        estimatedVariations: analysis.estimatedVariations,
+        analysis: 'full'
       }
     };
 
-    console.log('✅ Analysis complete (simplified)');
-    res.json(analysis);
+    console.log(`✅ Analysis complete: ${analysis.abbreviations.length} abbreviations, ${analysis.synonymOpportunities.length} synonym opportunities`);
+    res.json(response);
   } catch (error) {
     console.error('Analysis error:', error);
     res.status(500).json({ 
@@ -771,59 +906,69 @@ app.post('/api/search/analyze', async (req, res) => {
 
 // ======================== Summarization & Deduplication ========================
 
-// Deduplicate results based on similarity
-app.post('/api/search/deduplicate', async (req, res) => {
-  try {
-    const { results, threshold = 0.85 } = req.body;
-    
-    if (!results || !Array.isArray(results)) {
-      return res.status(400).json({ error: 'Results array is required' });
-    }
+/**
+ * Drop results whose title is at least threshold-similar to an earlier result's title
+ * @param {Object} body - { results, threshold }
+ * @returns {Object} - Response body: { original, deduplicated, duplicates, stats }
+ */
+function deduplicateSearchResults({ results, threshold = 0.85 } = {}) {
+  if (!results || !Array.isArray(results)) {
+    throw badRequest('Results array is required');
+  }
 
-    const deduplicated = [];
-    const duplicates = [];
-    const seenTitles = new Map();
+  const deduplicated = [];
+  const duplicates = [];
+  const seenTitles = new Map();
 
-    for (const result of results) {
-      const title = result.title?.toLowerCase() || '';
-      const id = result.id || '';
+  for (const result of results) {
+    const title = result.title?.toLowerCase() || '';
+    const id = result.id || '';
 
-      // Check for exact title match
-      let isDuplicate = false;
+    // Check for exact title match
+    let isDuplicate = false;
+    
+    for (const [seenTitle, seenResult] of seenTitles.entries()) {
+      // Calculate similarity (Jaccard similarity for simple implementation)
+      const similarity = calculateTextSimilarity(title, seenTitle);
       
-      for (const [seenTitle, seenResult] of seenTitles.entries()) {
-        // Calculate similarity (Jaccard similarity for simple implementation)
-        const similarity = calculateTextSimilarity(title, seenTitle);
-        
-        if (similarity >= threshold) {
-          isDuplicate = true;
-          duplicates.push({
-            ...result,
-            duplicateOf: seenResult.id,
-            similarity: similarity.toFixed(3)
-          });
-          break;
-        }
+      if (similarity >= threshold) {
+        isDuplicate = true;
+        duplicates.push({
+          ...result,
+          duplicateOf: seenResult.id,
+          similarity: similarity.toFixed(3)
+        });
+        break;
       }
+    }
 
-      if (!isDuplicate) {
-        deduplicated.push(result);
-        seenTitles.set(title, result);
-      }
+    if (!isDuplicate) {
+      deduplicated.push(result);
+      seenTitles.set(title, result);
     }
+  }
 
-    res.json({
-      original: results,
-      deduplicated,
-      duplicates,
-      stats: {
-        originalCount: results.length,
-        deduplicatedCount: deduplicated.length,
-        duplicatesRemoved: duplicates.length,
-        reductionPercentage: ((duplicates.length / results.length) * 100).toFixed(1)
-      }
-    });
+  return {
+    original: results,
+    deduplicated,
+    duplicates,
+    stats: {
+      originalCount: results.length,
+      deduplicatedCount: deduplicated.length,
+      duplicatesRemoved: duplicates.length,
+      reductionPercentage: ((duplicates.length / results.length) * 100).toFixed(1)
+    }
+  };
+}
+
+// Deduplicate results based on similarity
+app.post('/api/search/deduplicate', async (req, res) => {
+  try {
+    res.json(deduplicateSearchResults(req.body));
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Deduplication error:', error);
     res.status(500).json({ 
       error: 'Failed to deduplicate results', 
@@ -832,112 +977,98 @@ app.post('/api/search/deduplicate', async (req, res) => {
   }
 });
 
-// Summarize search results using TestLeaf API
-app.post('/api/search/summarize', async (req, res) => {
-  try {
-    const { results, summaryType = 'concise' } = req.body;
-    
-    if (!results || !Array.isArray(results)) {
-      return res.status(400).json({ error: 'Results array is required' });
-    }
+/**
+ * Summarize search results with the LLM (shared by the JSON and streaming endpoints)
+ * @param {Object} body - { results, summaryType }
+ * @param {Object} hooks - { onStep, onToken, signal }
+ * @returns {Promise<Object>} - Response body
+ */
+async function summarizeSearchResults({ results, summaryType = 'concise' } = {}, { onStep = () => {}, onToken, signal } = {}) {
+  if (!results || !Array.isArray(results)) {
+    throw badRequest('Results array is required');
+  }
 
-    if (results.length === 0) {
-      return res.json({
-        summary: 'No results to summarize',
-        tokens: { prompt: 0, completion: 0, total: 0 },
-        cost: 0
-      });
-    }
+  if (results.length === 0) {
+    return {
+      summary: 'No results to summarize',
+      tokens: { prompt: 0, completion: 0, total: 0 },
+      cost: 0
+    };
+  }
 
-    // Prepare concise content for summarization (reduce detail to avoid large prompts)
-    // Handle both field name formats and include key information only
-    const resultsText = results.map((r, idx) => {
-      const id = r.testCaseId || r.id || 'N/A';
-      const title = r.testCaseTitle || r.title || 'No title';
-      const module = r.module || 'Unknown';
-      const priority = r.priority || 'N/A';
-      const type = r.type || 'Functional';
-      
-      // Simplified format - just key fields
-      return `${idx + 1}. ${id} | ${module} | ${priority} | ${type} | ${title}`;
-    }).join('\n');
+  // Prepare concise content for summarization (reduce detail to avoid large prompts)
+  // Handle both field name formats and include key information only
+  const resultsText = results.map((r, idx) => {
+    const id = r.testCaseId || r.id || 'N/A';
+    const title = r.testCaseTitle || r.title || 'No title';
+    const module = r.module || 'Unknown';
+    const priority = r.priority || 'N/A';
+    const type = r.type || 'Functional';
+    
+    // Simplified format - just key fields
+    return `${idx + 1}. ${id} | ${module} | ${priority} | ${type} | ${title}`;
+  }).join('\n');
 
-    const systemPrompt = summaryType === 'detailed'
-      ? `You are a QA expert. Analyze test cases and provide a CONCISE summary covering:
+  const systemPrompt = summaryType === 'detailed'
+    ? `You are a QA expert. Analyze test cases and provide a CONCISE summary covering:
 1. Modules tested and main functionality
 2. Priority distribution (P1/P2/P3)
 3. Test coverage gaps
 4. Key scenarios (positive, negative, edge cases)
 Keep it under 300 words.`
-      : 'You are a QA expert. Provide a concise summary of test cases in 2-3 sentences.';
-
-    const userPrompt = summaryType === 'detailed' 
-      ? `Analyze these ${results.length} test cases. Group by module, note priority distribution, identify coverage gaps:\n\n${resultsText}`
-      : `Summarize these test cases:\n\n${resultsText}`;
-
-    // Use Testleaf API for chat completion
-    console.log('🔧 Testleaf Config Check:');
-    console.log('   API Base:', TESTLEAF_API_BASE);
-    console.log('   User Email:', USER_EMAIL);
-    console.log('   Auth Token:', AUTH_TOKEN ? `${AUTH_TOKEN.substring(0, 5)}...` : 'NOT SET');
-    
-    if (!TESTLEAF_API_BASE || !USER_EMAIL || !AUTH_TOKEN) {
-      throw new Error('TESTLEAF_API_BASE, USER_EMAIL, and AUTH_TOKEN are required for summarization feature');
-    }
-    
-    // Use Testleaf chat completions endpoint
-    const apiUrl = `${TESTLEAF_API_BASE}/v1/chat/completions`;
-    console.log('🌐 Making request to:', apiUrl);
-
-    const response = await axios.post(apiUrl, {
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      temperature: 0.2,
-      max_tokens: summaryType === 'detailed' ? 400 : 200  // Reduced from 1000 to 400 to avoid large summaries
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${AUTH_TOKEN}`
-      }
-    });
-
-    // Log the response for debugging
-    console.log('Testleaf API Response:', JSON.stringify(response.data, null, 2));
-
-    // Check if response has expected structure (Testleaf API transaction response)
-    if (!response.data || !response.data.transaction || !response.data.transaction.response) {
-      throw new Error(`Unexpected API response structure: ${JSON.stringify(response.data)}`);
-    }
-
-    // Testleaf API response structure (wrapped in transaction)
-    const openaiResponse = response.data.transaction.response;
-    const summary = openaiResponse.choices[0].message.content;
-    const usage = openaiResponse.usage;
-
-    // Extract cost from Testleaf response 
-    const totalCost = response.data.transaction.cost || 0;
-    const inputCost = totalCost * 0.15; // Approximate input cost based on gpt-4o-mini pricing
-    const outputCost = totalCost * 0.85; // Approximate output cost
+    : 'You are a QA expert. Provide a concise summary of test cases in 2-3 sentences.';
+
+  const userPrompt = summaryType === 'detailed' 
+    ? `Analyze these ${results.length} test cases. Group by module, note priority distribution, identify coverage gaps:\n\n${resultsText}`
+    : `Summarize these test cases:\n\n${resultsText}`;
+
+  onStep({ step: 1, name: 'Prepare Results', status: 'completed', count: results.length });
+
+  const llm = getLLMClient();
+  console.log(`🤖 Summarizing with ${llm.name} (${llm.model})`);
+  onStep({ step: 2, name: 'LLM Summarization', status: 'in-progress', provider: llm.name, model: llm.model });
+
+  const completion = await chatWithHooks(llm, {
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ],
+    temperature: 0.2,
+    maxTokens: summaryType === 'detailed' ? 400 : 200  // Reduced from 1000 to 400 to avoid large summaries
+  }, { onToken, signal });
+
+  const summary = completion.content;
+  const usage = completion.usage;
+  const { input: inputCost, output: outputCost, total: totalCost } = completion.cost;
+
+  onStep({ step: 2, name: 'LLM Summarization', status: 'completed', tokens: usage.total_tokens });
+
+  return {
+    summary,
+    tokens: {
+      prompt: usage.prompt_tokens,
+      completion: usage.completion_tokens,
+      total: usage.total_tokens
+    },
+    cost: {
+      input: inputCost.toFixed(6),
+      output: outputCost.toFixed(6),
+      total: totalCost.toFixed(6)
+    },
+    model: completion.model,
+    provider: completion.provider,
+    summaryType
+  };
+}
 
-    res.json({
-      summary,
-      tokens: {
-        prompt: usage.prompt_tokens,
-        completion: usage.completion_tokens,
-        total: usage.total_tokens
-      },
-      cost: {
-        input: inputCost.toFixed(6),
-        output: outputCost.toFixed(6),
-        total: totalCost.toFixed(6)
-      },
-      model: 'gpt-4o-mini',
-      summaryType
-    });
+// Summarize search results using TestLeaf API
+app.post('/api/search/summarize', async (req, res) => {
+  try {
+    res.json(await summarizeSearchResults(req.body));
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Summarization error:', error);
     console.error('Error response:', error.response?.data);
     console.error('Error status:', error.response?.status);
@@ -946,220 +1077,235 @@ Keep it under 300 words.`
       error: 'Failed to summarize results', 
       details: error.message,
       apiError: error.response?.data,
-      hint: 'Make sure TESTLEAF_API_BASE, USER_EMAIL, and AUTH_TOKEN are set in .env file'
+      hint: 'Check the LLM_PROVIDER configuration (testleaf needs TESTLEAF_API_BASE, USER_EMAIL, and AUTH_TOKEN in .env)'
     });
   }
 });
 
+// Same as /api/search/summarize, streamed as Server-Sent Events
+app.post('/api/search/summarize/stream', streamingRoute(summarizeSearchResults, 'Failed to summarize results'));
+
 // ======================== RAG-Enhanced Test Prompt Endpoint ========================
-app.post('/api/test-prompt', async (req, res) => {
+/**
+ * Run a prompt (optionally enriched with related user stories) and validate the output
+ * Shared by the JSON and streaming endpoints.
+ * @param {Object} body - { prompt, userStory, relatedContext, temperature, maxTokens, enableRAG, jsonSchema, maxRepairAttempts }
+ * @param {Object} hooks - { onStep, onToken, signal }
+ * @returns {Promise<Object>} - Response body
+ */
+async function runTestPrompt(body = {}, { onStep = () => {}, onToken, signal } = {}) {
+  const { 
+    prompt, 
+    userStory, 
+    relatedContext, 
+    temperature = 0.5, 
+    maxTokens = 15000, 
+    enableRAG = true,
+    jsonSchema,
+    maxRepairAttempts = 1
+  } = body;
+  
+  if (!prompt) {
+    throw badRequest('Prompt is required');
+  }
+
+  // Output schema is optional; without one the response is only parsed, never repaired
+  let outputSchema = null;
   try {
-    const { 
-      prompt, 
-      userStory, 
-      relatedContext, 
-      temperature = 0.5, 
-      maxTokens = 15000, 
-      enableRAG = true 
-    } = req.body;
-    
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' });
-    }
+    outputSchema = normalizeSchema(jsonSchema);
+    if (outputSchema) compileSchema(outputSchema);
+  } catch (schemaError) {
+    throw badRequest('Invalid JSON Schema', schemaError.message);
+  }
 
-    let enhancedPrompt = prompt;
-    let ragContext = null;
-    let contextSource = 'none';
+  let enhancedPrompt = prompt;
+  let ragContext = null;
+  let contextSource = 'none';
 
-    // Use pre-processed context if provided (from User Story Rating pipeline)
-    if (relatedContext && relatedContext.stories && relatedContext.stories.length > 0) {
-      console.log('🔄 Using pre-processed context from analysis pipeline');
-      contextSource = 'pre-processed';
-      
-      ragContext = {
-        count: relatedContext.count || relatedContext.stories.length,
-        stories: relatedContext.stories.map(story => ({
-          id: story.id || story._id,
-          title: story.title,
-          summary: story.summary,
-          epic: story.epic,
-          priority: story.priority,
-          status: story.status,
-          score: story.score || 'N/A'
-        })),
-        summary: relatedContext.summary
-      };
+  // Use pre-processed context if provided (from User Story Rating pipeline)
+  if (relatedContext && relatedContext.stories && relatedContext.stories.length > 0) {
+    console.log('🔄 Using pre-processed context from analysis pipeline');
+    contextSource = 'pre-processed';
+    
+    ragContext = {
+      count: relatedContext.count || relatedContext.stories.length,
+      stories: relatedContext.stories.map(story => ({
+        id: story.id || story._id,
+        title: story.title,
+        summary: story.summary,
+        epic: story.epic,
+        priority: story.priority,
+        status: story.status,
+        score: story.score || 'N/A'
+      })),
+      summary: relatedContext.summary
+    };
 
-      console.log(`✅ Pre-processed context: ${ragContext.count} stories with summary`);
+    console.log(`✅ Pre-processed context: ${ragContext.count} stories with summary`);
+    
+  } else if (enableRAG && userStory) {
+    // RAG Enhancement: Find related user stories if enableRAG is true and userStory is provided
+    try {
+      console.log('🔍 RAG: Searching for related user stories...');
+      contextSource = 'vector-search';
       
-    } else if (enableRAG && userStory) {
-      // RAG Enhancement: Find related user stories if enableRAG is true and userStory is provided
-      try {
-        console.log('🔍 RAG: Searching for related user stories...');
-        contextSource = 'vector-search';
-        
-        // Extract key information from the user story for search
-        const searchQuery = `${userStory.title || ''} ${userStory.summary || ''} ${userStory.description || ''}`.trim();
+      // Extract key information from the user story for search
+      const searchQuery = `${userStory.title || ''} ${userStory.summary || ''} ${userStory.description || ''}`.trim();
+      
+      if (searchQuery) {
+        const db = await createMongoClient();
         
-        if (searchQuery) {
-          const db = await createMongoClient();
-          
-          // Perform vector search for similar user stories
-          const vectorResults = await db.collection('user_stories').aggregate([
-            {
-              $vectorSearch: {
-                index: 'vector_index_user_story',
-                path: 'combined_text',
-                queryVector: await getEmbedding(searchQuery),
-                numCandidates: 25, // Reduced from 50 to 25
-                limit: 5 // Reduced from 10 to 5 to match other limits
-              }
-            },
-            {
-              $project: {
-                _id: 1,
-                id: 1,
-                title: 1,
-                summary: 1,
-                description: 1,
-                epic: 1,
-                priority: 1,
-                status: 1,
-                acceptanceCriteria: 1,
-                score: { $meta: 'vectorSearchScore' }
-              }
+        // Perform vector search for similar user stories
+        const vectorResults = await db.collection('user_stories').aggregate([
+          {
+            $vectorSearch: {
+              index: 'vector_index_user_story',
+              path: 'combined_text',
+              queryVector: (await embedText(searchQuery)).vector,
+              numCandidates: 25, // Reduced from 50 to 25
+              limit: 5 // Reduced from 10 to 5 to match other limits
+            }
+          },
+          {
+            $project: {
+              _id: 1,
+              id: 1,
+              title: 1,
+              summary: 1,
+              description: 1,
+              epic: 1,
+              priority: 1,
+              status: 1,
+              acceptanceCriteria: 1,
+              score: { $meta: 'vectorSearchScore' }
             }
-          ]).toArray();
-
-          console.log(`🎯 RAG: Found ${vectorResults.length} related user stories`);
-
-          if (vectorResults.length > 0) {
-            // Format related stories for context
-            const relatedStories = vectorResults.slice(0, 5).map(story => ({
-              id: story.id || story._id,
-              title: story.title,
-              summary: story.summary,
-              epic: story.epic,
-              priority: story.priority,
-              status: story.status,
-              score: story.score?.toFixed(3)
-            }));
-
-            ragContext = {
-              count: relatedStories.length,
-              stories: relatedStories
-            };
-
-            // Enhance the prompt with related context
-            const contextSection = `
+          }
+        ]).toArray();
+
+        console.log(`🎯 RAG: Found ${vectorResults.length} related user stories`);
+
+        if (vectorResults.length > 0) {
+          // Format related stories for context
+          const relatedStories = vectorResults.slice(0, 5).map(story => ({
+            id: story.id || story._id,
+            title: story.title,
+            summary: story.summary,
+            epic: story.epic,
+            priority: story.priority,
+            status: story.status,
+            score: story.score?.toFixed(3)
+          }));
+
+          ragContext = {
+            count: relatedStories.length,
+            stories: relatedStories
+          };
+
+          // Enhance the prompt with related context
+          const contextSection = `
 # RELATED USER STORIES CONTEXT:
 Based on vector similarity search, here are ${relatedStories.length} related user stories for additional context:
 
 ${relatedStories.map((story, index) => `
 ${index + 1}. **${story.id}**: ${story.title}
-   - Summary: ${story.summary || 'N/A'}
-   - Epic: ${story.epic || 'N/A'}
-   - Priority: ${story.priority || 'N/A'}
-   - Status: ${story.status || 'N/A'}
-   - Similarity Score: ${story.score}
+ - Summary: ${story.summary || 'N/A'}
+ - Epic: ${story.epic || 'N/A'}
+ - Priority: ${story.priority || 'N/A'}
+ - Status: ${story.status || 'N/A'}
+ - Similarity Score: ${story.score}
 `).join('')}
 
 ---
 
 `;
 
-            // Insert context before the main analysis
-            enhancedPrompt = enhancedPrompt.replace(
-              '# ANALYSIS CONTEXT:',
-              contextSection + '# ANALYSIS CONTEXT:'
-            );
+          // Insert context before the main analysis
+          enhancedPrompt = enhancedPrompt.replace(
+            '# ANALYSIS CONTEXT:',
+            contextSection + '# ANALYSIS CONTEXT:'
+          );
 
-            console.log('✅ RAG: Enhanced prompt with related stories context');
-          }
+          console.log('✅ RAG: Enhanced prompt with related stories context');
         }
-      } catch (ragError) {
-        console.error('⚠️  RAG Error (continuing without context):', ragError.message);
-        contextSource = 'error';
-        // Continue without RAG enhancement
       }
+    } catch (ragError) {
+      console.error('⚠️  RAG Error (continuing without context):', ragError.message);
+      contextSource = 'error';
+      // Continue without RAG enhancement
     }
+  }
 
-    // Use Testleaf API for chat completion
-    console.log('🔧 Testleaf Config Check (RAG-Enhanced Prompt):');
-    console.log('   API Base:', TESTLEAF_API_BASE);
-    console.log('   User Email:', USER_EMAIL);
-    console.log('   Auth Token:', AUTH_TOKEN ? `${AUTH_TOKEN.substring(0, 5)}...` : 'NOT SET');
-    console.log('   RAG Enabled:', enableRAG);
-    console.log('   Context Source:', contextSource);
-    console.log('   Context Added:', ragContext ? 'Yes' : 'No');
-    
-    if (!TESTLEAF_API_BASE || !USER_EMAIL || !AUTH_TOKEN) {
-      throw new Error('TESTLEAF_API_BASE, USER_EMAIL, and AUTH_TOKEN are required for prompt testing');
-    }
-    
-    const apiUrl = `${TESTLEAF_API_BASE}/v1/chat/completions`;
-    console.log('🌐 Making request to:', apiUrl);
-
-    const requestData = {
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'user', content: enhancedPrompt }
-      ],
-      temperature: temperature,
-      max_tokens: maxTokens
-    };
-
-    const response = await axios.post(apiUrl, requestData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${AUTH_TOKEN}`
-      },
-      timeout: 300000, // 5 minutes timeout (instead of default 60s)
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity
-    });
+  onStep({ step: 1, name: 'Context Retrieval', status: 'completed', contextSource, contextCount: ragContext?.count || 0 });
+
+  const llm = getLLMClient();
+  console.log(`🤖 LLM Provider (RAG-Enhanced Prompt): ${llm.name} (${llm.model})`);
+  console.log('   RAG Enabled:', enableRAG);
+  console.log('   Context Source:', contextSource);
+  console.log('   Context Added:', ragContext ? 'Yes' : 'No');
+
+  onStep({ step: 2, name: 'LLM Generation', status: 'in-progress', provider: llm.name, model: llm.model });
+
+  const completion = await completeWithSchema(llm, {
+    messages: [
+      { role: 'user', content: enhancedPrompt }
+    ],
+    schema: outputSchema,
+    maxRepairAttempts: outputSchema ? maxRepairAttempts : 0,
+    temperature: temperature,
+    maxTokens: maxTokens,
+    timeout: 300000, // 5 minutes timeout (instead of default 60s)
+    // Streaming: partial output, and a step event before each repair round-trip restarts it
+    onToken,
+    signal,
+    onRepair: (attempt, errors) => onStep({ step: 3, name: 'Schema Validation', status: 'repairing', attempt, errors })
+  });
 
-    // Check if response has expected structure (Testleaf API transaction response)
-    if (!response.data || !response.data.transaction || !response.data.transaction.response) {
-      throw new Error(`Unexpected API response structure: ${JSON.stringify(response.data)}`);
-    }
+  onStep({ step: 2, name: 'LLM Generation', status: 'completed', tokens: completion.usage.total_tokens });
 
-    // Extract data from Testleaf response structure (wrapped in transaction)
-    const openaiResponse = response.data.transaction.response;
-    const aiResponse = openaiResponse.choices[0].message.content;
-    const usage = openaiResponse.usage;
+  const parsedResponse = completion.data;
+  const usage = completion.usage;
+  const { input: inputCost, output: outputCost, total: totalCost } = completion.cost;
 
-    // Extract cost from Testleaf response
-    const totalCost = response.data.transaction.cost || 0;
-    const inputCost = totalCost * 0.15; // Approximate input cost based on gpt-4o-mini pricing
-    const outputCost = totalCost * 0.85; // Approximate output cost
+  if (outputSchema) {
+    console.log(`📋 Schema validation: ${completion.valid ? 'passed' : `failed (${completion.errors.length} errors)`} after ${completion.attempts.length} repair attempt(s)`);
+    onStep({ step: 3, name: 'Schema Validation', status: completion.valid ? 'completed' : 'failed', errors: completion.errors });
+  }
 
-    // Try to parse as JSON
-    let parsedResponse;
-    try {
-      parsedResponse = JSON.parse(aiResponse);
-    } catch (e) {
-      parsedResponse = { raw: aiResponse };
+  return {
+    response: parsedResponse,
+    ragContext: ragContext,
+    contextSource: contextSource,
+    tokens: {
+      prompt: usage.prompt_tokens,
+      completion: usage.completion_tokens,
+      total: usage.total_tokens
+    },
+    cost: {
+      input: inputCost.toFixed(6),
+      output: outputCost.toFixed(6),
+      total: totalCost.toFixed(6)
+    },
+    model: completion.model,
+    provider: completion.provider,
+    enhanced: ragContext !== null,
+    validation: {
+      schemaProvided: outputSchema !== null,
+      valid: completion.valid,
+      errors: completion.errors,
+      truncated: completion.truncated,
+      initialErrors: completion.initialErrors,
+      repairAttempts: completion.attempts
     }
+  };
+}
 
-    res.json({
-      response: parsedResponse,
-      ragContext: ragContext,
-      contextSource: contextSource,
-      tokens: {
-        prompt: usage.prompt_tokens,
-        completion: usage.completion_tokens,
-        total: usage.total_tokens
-      },
-      cost: {
-        input: inputCost.toFixed(6),
-        output: outputCost.toFixed(6),
-        total: totalCost.toFixed(6)
-      },
-      model: 'gpt-4o-mini',
-      enhanced: ragContext !== null
-    });
+app.post('/api/test-prompt', async (req, res) => {
+  try {
+    res.json(await runTestPrompt(req.body));
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, ...(error.details && { details: error.details }) });
+    }
     console.error('RAG-Enhanced prompt test error:', error);
     
     // Handle rate limiting specifically
@@ -1181,6 +1327,9 @@ ${index + 1}. **${story.id}**: ${story.title}
   }
 });
 
+// Same as /api/test-prompt, streamed as Server-Sent Events
+app.post('/api/test-prompt/stream', streamingRoute(runTestPrompt, 'Failed to test prompt'));
+
 // Helper function to calculate text similarity (Jaccard similarity)
 function calculateTextSimilarity(text1, text2) {
   const words1 = new Set(text1.toLowerCase().split(/\s+/));
@@ -1192,73 +1341,74 @@ function calculateTextSimilarity(text1, text2) {
   return intersection.size / union.size;
 }
 
+// Facet fields plus whatever the in-process filters need to read
+function facetProjection(clauses) {
+  return filterProjection(clauses, Object.fromEntries(FACET_FIELDS.map(field => [field, 1])));
+}
+
+// Ranked pools of the search routes, paged with cursors (see src/retrieval/searchCursor.js)
+const searchPools = createSearchPoolCache();
+
+// Where each fused result of a page came from
+function foundInStats(results) {
+  return {
+    foundInBoth: results.filter(r => r.foundIn === 'both').length,
+    foundInBm25Only: results.filter(r => r.foundIn === 'bm25').length,
+    foundInVectorOnly: results.filter(r => r.foundIn === 'vector').length
+  };
+}
+
 // Search vector database
 app.post('/api/search', async (req, res) => {
   try {
-    const { query, limit = 5, filters = {} } = req.body;
+    const { query, filters = {}, facets: includeFacets = true, rawQuery = false } = req.body;
+    const page = parsePageRequest(req.body, { defaultLimit: 5 });
+    if (page.cursor) {
+      return res.json(searchPools.resume('vector', page));
+    }
     
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
     }
+    const { parsedQuery, clauses } = parseSearchRequest(query, filters, { raw: rawQuery });
 
-    // Create a MongoClient, connect once, validate DB/collection/index and reuse for the search
-    const mongoClient = new MongoClient(process.env.MONGODB_URI, {
-      ssl: true,
-      tlsAllowInvalidCertificates: true,
-      tlsAllowInvalidHostnames: true,
-      serverSelectionTimeoutMS: 30000,
-      connectTimeoutMS: 30000,
-      socketTimeoutMS: 30000,
-    });
-    await mongoClient.connect();
+    // Open the configured vector store once, validate DB/collection/index and reuse it for the search
+    const store = createVectorStore();
+    await store.connect();
     // Validate DB/collection/index and ensure documents exist
-    const validation = await validateDbCollectionIndex(mongoClient, process.env.DB_NAME, process.env.COLLECTION_NAME, process.env.VECTOR_INDEX_NAME, true);
+    const validation = await store.validate(process.env.COLLECTION_NAME, process.env.VECTOR_INDEX_NAME, true);
     if (!validation.ok) {
-      try { await mongoClient.close(); } catch (e) {}
+      try { await store.close(); } catch (e) {}
       return res.status(400).json({ error: validation.error });
     }
 
-    const db = mongoClient.db(process.env.DB_NAME);
-    const collection = db.collection(process.env.COLLECTION_NAME);
-
-    // Generate embedding for query
-    const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-    const USER_EMAIL = process.env.USER_EMAIL;
-    const AUTH_TOKEN = process.env.AUTH_TOKEN;
-
-    const embeddingResponse = await axios.post(
-      `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-      {
-        input: query,
-        model: "text-embedding-3-small"
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${AUTH_TOKEN}`
-        }
-      }
-    );
+    const collection = store.collection(process.env.COLLECTION_NAME);
 
-    if (embeddingResponse.data.status !== 200) {
-      throw new Error(`Testleaf API error: ${embeddingResponse.data.message}`);
-    }
+    // Generate embedding for the query text (qualifiers and exclusions removed)
+    const embedding = await embedText(parsedQuery.searchText);
+    const queryVector = embedding.vector;
 
-    const queryVector = embeddingResponse.data.data[0].embedding;
+    // Filters on fields the vector index declares are applied inside $vectorSearch, the rest after it
+    const filterFields = await store.vectorFilterFields(process.env.COLLECTION_NAME, process.env.VECTOR_INDEX_NAME);
+    const filterPlan = planVectorFilters(clauses, filterFields);
+    const postMatch = combineMatchFilters(filterPlan.postFilter, buildExclusionMatch(parsedQuery.excluded, DEFAULT_BM25_FIELDS));
 
-    // Calculate candidates and internal limit for vector search
-    const requestedLimit = parseInt(limit);
-    const numCandidates = Math.max(100, requestedLimit * 10); // At least 100 candidates
-    const vectorSearchLimit = Math.min(numCandidates, requestedLimit * 10); // Limit must be <= numCandidates
+    // Calculate candidates and internal limit for vector search (a pool deeper than one page, for paging)
+    const poolSize = poolSizeFor(page);
+    const numCandidates = Math.max(100, page.limit * 10, poolSize); // At least 100 candidates
+    // Over-fetch when results are filtered afterwards or facets count the whole candidate window;
+    // limit must be <= numCandidates
+    const postFiltering = postMatch || filterPlan.inProcess.length > 0;
+    const vectorSearchLimit = postFiltering || includeFacets ? numCandidates : poolSize;
 
-    // Build vector search WITHOUT pre-filtering (to avoid index requirement)
     const vectorSearchStage = {
       $vectorSearch: {
         queryVector,
         path: "embedding",
         numCandidates: numCandidates,
-        limit: vectorSearchLimit, // Get more candidates for post-filtering
-        index: process.env.VECTOR_INDEX_NAME
+        limit: vectorSearchLimit,
+        index: process.env.VECTOR_INDEX_NAME,
+        ...(filterPlan.preFilter && { filter: filterPlan.preFilter })
       }
     };
 
@@ -1272,28 +1422,29 @@ app.post('/api/search', async (req, res) => {
       }
     ];
 
-    // Apply metadata filters using $match stage (works without index)
-    if (Object.keys(filters).length > 0) {
-      const matchConditions = {};
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value) {
-          matchConditions[key] = value;
-        }
-      });
+    if (filterPlan.preFilter) {
+      console.log('🔍 Pre-filtering in $vectorSearch:', JSON.stringify(filterPlan.preFilter));
+    }
+
+    // Filters the index cannot take and exclusions: $match on the over-fetched results
+    if (postMatch) {
       pipeline.push({
-        $match: matchConditions
+        $match: postMatch
       });
-      console.log('🔍 Applying filters with $match:', matchConditions);
+      console.log('🔍 Applying filters with $match:', JSON.stringify(postMatch));
     }
 
-    // Add limit after filtering
-    pipeline.push({
-      $limit: requestedLimit
-    });
+    // Add limit after filtering (version ranges are checked on the results, and facets need every
+    // candidate, so those limit there)
+    if (filterPlan.inProcess.length === 0 && !includeFacets) {
+      pipeline.push({
+        $limit: poolSize
+      });
+    }
 
     // Project fields
     pipeline.push({
-      $project: {
+      $project: filterProjection(filterPlan.inProcess, {
         id: 1,
         module: 1,
         preRequisites: 1,
@@ -1312,31 +1463,45 @@ app.post('/api/search', async (req, res) => {
         sourceFile: 1,
         createdAt: 1,
         score: 1
-      }
+      })
     });
 
     console.log('🔍 Search Query:', query);
     console.log('🔍 Filters:', JSON.stringify(filters));
     console.log('🔍 Pipeline:', JSON.stringify(pipeline, null, 2));
 
-    const results = await collection.aggregate(pipeline).toArray();
-    console.log('✅ Found results:', results.length);
+    const candidates = (await collection.aggregate(pipeline).toArray())
+      .filter(result => matchesSearchFilters(result, filterPlan.inProcess));
+    const pool = candidates.slice(0, poolSize);
+    console.log('✅ Found results:', pool.length);
+
+    // Vector search ranks every document, so facets count its whole candidate window (fetched above)
+    const facets = includeFacets ? countFacets(candidates) : null;
     
-    await mongoClient.close();
+    await store.close();
 
-    const responseData = {
+    const responseData = searchPools.respond('vector', pool, page, {
       success: true,
       query,
+      parsedQuery,
       filters,
-      results,
-      cost: embeddingResponse.data.cost || 0,
-      tokens: embeddingResponse.data.usage?.total_tokens || 0
-    };
+      filterMode: filterPlan.mode,
+      preFilteredFields: filterPlan.preFiltered,
+      postFilteredFields: filterPlan.postFiltered,
+      facets,
+      facetSource: facets ? 'candidates' : null,
+      cost: embedding.cost,
+      tokens: embedding.tokens
+    });
     
-    console.log('📤 Sending response with', results.length, 'results');
+    console.log('📤 Sending response with', responseData.results.length, 'results');
     res.json(responseData);
 
   } catch (error) {
+    // 410: the cursor's results have expired
+    if (error.status === 400 || error.status === 410) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('❌ Search failed:', error.message);
     console.error('Error details:', error);
     res.status(500).json({ error: 'Search failed', details: error.message });
@@ -1346,57 +1511,55 @@ app.post('/api/search', async (req, res) => {
 // ======================== BM25 Search Endpoint ========================
 app.post('/api/search/bm25', async (req, res) => {
   try {
-    const { query, limit = 10, filters = {}, fields = ['id', 'title', 'description', 'steps', 'expectedResults', 'module'] } = req.body;
+    const { query, filters = {}, facets: includeFacets = true, rawQuery = false, fields = ['id', 'title', 'description', 'steps', 'expectedResults', 'module'] } = req.body;
+    const page = parsePageRequest(req.body, { defaultLimit: 10 });
+    if (page.cursor) {
+      return res.json(searchPools.resume('bm25', page));
+    }
     
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
     }
+    const { parsedQuery, clauses } = parseSearchRequest(query, filters, { raw: rawQuery });
 
     console.log(`🔤 BM25 Search request: "${query}"`);
-    console.log(`   Limit: ${limit}`);
+    console.log(`   Limit: ${page.limit}, offset: ${page.offset}`);
     console.log(`   Filters:`, filters);
 
-    const mongoClient = new MongoClient(process.env.MONGODB_URI, {
-      ssl: true,
-      tlsAllowInvalidCertificates: true,
-      tlsAllowInvalidHostnames: true,
-      serverSelectionTimeoutMS: 30000,
-      connectTimeoutMS: 30000,
-      socketTimeoutMS: 30000,
-    });
+    const store = createVectorStore();
 
-    await mongoClient.connect();
+    await store.connect();
 
-    const validation = await validateDbCollectionIndex(
-      mongoClient, 
-      process.env.DB_NAME, 
+    const validation = await store.validate(
       process.env.COLLECTION_NAME, 
       process.env.BM25_INDEX_NAME,
       true
     );
     
     if (!validation.ok) {
-      try { await mongoClient.close(); } catch (e) {}
+      try { await store.close(); } catch (e) {}
       return res.status(400).json({ error: validation.error });
     }
 
-    const db = mongoClient.db(process.env.DB_NAME);
-    const collection = db.collection(process.env.COLLECTION_NAME);
+    const collection = store.collection(process.env.COLLECTION_NAME);
+
+    // Filters on keyword fields go into the $search compound, the rest into a $match after it
+    const keywordFields = await store.searchKeywordFields(process.env.COLLECTION_NAME, process.env.BM25_INDEX_NAME);
+    const searchFilter = toSearchCompound(clauses, keywordFields);
+    // Exclusions matching an enum value (-automated) cannot be a mustNot on keyword fields
+    const matchFilter = combineMatchFilters(toMatchFilter(searchFilter.remaining), buildValueExclusionMatch(parsedQuery.excluded));
+    const inProcess = inProcessClauses(searchFilter.remaining);
 
     // Build BM25 search pipeline
     const pipeline = [
       {
-        $search: {
+        $search: addSearchCompoundFilters({
           index: process.env.BM25_INDEX_NAME,
-          text: {
-            query: query,
-            path: fields,
-            fuzzy: {
-              maxEdits: 1,
-              prefixLength: 2
-            }
-          }
-        }
+          ...buildQueryOperator(parsedQuery, { path: fields })
+        }, {
+          filter: searchFilter.filter,
+          mustNot: [...searchFilter.mustNot, ...buildExclusionOperators(parsedQuery.excluded, fields)]
+        })
       },
       {
         $addFields: {
@@ -1405,24 +1568,16 @@ app.post('/api/search/bm25', async (req, res) => {
       }
     ];
 
-    // Apply filters if provided
-    if (Object.keys(filters).length > 0) {
-      const matchConditions = {};
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value && value !== '') {
-          matchConditions[key] = value;
-        }
-      });
-
-      if (Object.keys(matchConditions).length > 0) {
-        pipeline.push({ $match: matchConditions });
-      }
+    if (matchFilter) {
+      pipeline.push({ $match: matchFilter });
     }
 
-    // Add projection and limit
+    // Add projection and limit: a pool deeper than one page for paging (over-fetched when version
+    // ranges are checked on the results)
+    const poolSize = poolSizeFor(page);
     pipeline.push(
       {
-        $project: {
+        $project: filterProjection(inProcess, {
           id: 1,
           module: 1,
           title: 1,
@@ -1435,33 +1590,61 @@ app.post('/api/search/bm25', async (req, res) => {
           sourceFile: 1,
           createdAt: 1,
           score: 1
-        }
+        })
       },
-      { $limit: parseInt(limit) }
+      { $limit: inProcess.length > 0 ? poolSize * 10 : poolSize }
     );
 
     console.log('🔍 BM25 Pipeline:', JSON.stringify(pipeline, null, 2));
 
     const startTime = Date.now();
-    const results = await collection.aggregate(pipeline).toArray();
+    const pool = (await collection.aggregate(pipeline).toArray())
+      .filter(result => matchesSearchFilters(result, inProcess))
+      .slice(0, poolSize);
     const searchTime = Date.now() - startTime;
 
-    await mongoClient.close();
+    // $searchMeta counts the whole match set, but only when every filter is inside the $search operator
+    let facets = null;
+    let facetSource = null;
+    if (includeFacets) {
+      const facetFields = await store.searchFacetFields(process.env.COLLECTION_NAME, process.env.BM25_INDEX_NAME);
+      if (!matchFilter && inProcess.length === 0 && canUseSearchMeta(FACET_FIELDS, facetFields)) {
+        const rows = await collection.aggregate(buildSearchMetaFacetPipeline(pipeline[0].$search)).toArray();
+        facets = readSearchMetaFacets(rows).facets;
+        facetSource = 'searchMeta';
+      } else {
+        const candidates = await collection.aggregate([
+          pipeline[0],
+          ...(matchFilter ? [{ $match: matchFilter }] : []),
+          { $project: facetProjection(inProcess) },
+          { $limit: FACET_CANDIDATE_LIMIT }
+        ]).toArray();
+        facets = countFacets(candidates.filter(result => matchesSearchFilters(result, inProcess)));
+        facetSource = 'candidates';
+      }
+    }
 
-    console.log(`✅ BM25 Search complete: ${results.length} results in ${searchTime}ms`);
+    await store.close();
 
-    res.json({
+    console.log(`✅ BM25 Search complete: ${pool.length} results in ${searchTime}ms`);
+
+    res.json(searchPools.respond('bm25', pool, page, {
       success: true,
       searchType: 'bm25',
       query,
+      parsedQuery,
       filters,
-      results,
-      count: results.length,
+      facets,
+      facetSource,
       searchTime,
       timestamp: new Date().toISOString()
-    });
+    }));
 
   } catch (error) {
+    // 410: the cursor's results have expired
+    if (error.status === 400 || error.status === 410) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('❌ BM25 Search error:', error);
     res.status(500).json({ 
       error: 'BM25 search failed', 
@@ -1470,338 +1653,385 @@ app.post('/api/search/bm25', async (req, res) => {
   }
 });
 
-// ======================== Hybrid Search Endpoint (BM25 + Vector) ========================
-app.post('/api/search/hybrid', async (req, res) => {
-  try {
-    // Add DNS configuration for macOS
-    dns.setServers(['8.8.8.8', '8.8.4.4']);
-    
-    const { 
-      query, 
-      limit = 10, 
-      filters = {},
-      bm25Weight = 0.5,
-      vectorWeight = 0.5,
-      bm25Fields = ['id', 'title', 'description', 'steps', 'expectedResults', 'module'],
-      useUserStories = false // New parameter to switch between collections
-    } = req.body;
-    
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
+// ======================== Multi-Variation Search Helpers ========================
+
+// Build the list of query variations to fan out over (original query first, no duplicates)
+function buildQueryVariations(query, maxVariations = 5, preprocessOptions = {}) {
+  const preprocessed = preprocessQuery(query, {
+    ...preprocessOptions,
+    maxSynonymVariations: maxVariations
+  });
+
+  const seen = new Set();
+  const variations = [];
+  for (const variation of [query, ...preprocessed.synonymExpanded]) {
+    const key = variation.trim().toLowerCase();
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      variations.push(variation.trim());
     }
+  }
 
-    console.log(`🔀 Hybrid Search request: "${query}"`);
-    console.log(`📋 Request body:`, JSON.stringify(req.body, null, 2));
-    console.log(`   BM25 Weight: ${bm25Weight}, Vector Weight: ${vectorWeight}`);
-    console.log(`   Collection: ${useUserStories ? 'user_stories' : 'test_cases'}`);
-    console.log(`   useUserStories flag: ${useUserStories}`);
+  return {
+    variations: variations.slice(0, Math.max(1, maxVariations)),
+    preprocessing: preprocessed.metadata
+  };
+}
 
-    const mongoClient = createMongoClient();
+// Run BM25 and vector retrieval once per variation and collect every ranked list
+async function searchAcrossVariations(collection, variations, { buildBm25Pipeline, buildVectorPipeline, skipBM25 = false }) {
+  let cost = 0;
+  let tokens = 0;
+  let bm25Time = 0;
+  let vectorTime = 0;
 
-    await mongoClient.connect();
+  const perVariation = await Promise.all(variations.map(async (variation) => {
+    const lists = [];
 
-    // Use different collections and indexes based on useUserStories flag
-    const collectionName = useUserStories ? process.env.USER_STORIES_COLLECTION_NAME : process.env.COLLECTION_NAME;
-    const bm25IndexName = useUserStories ? process.env.USER_STORIES_BM25_INDEX_NAME : process.env.BM25_INDEX_NAME;
-    const vectorIndexName = useUserStories ? process.env.USER_STORIES_VECTOR_INDEX_NAME : process.env.VECTOR_INDEX_NAME;
-
-    console.log(`📋 Environment variables used:`);
-    console.log(`   Collection: ${collectionName}`);
-    console.log(`   BM25 Index: ${bm25IndexName}`);
-    console.log(`   Vector Index: ${vectorIndexName}`);
-
-    // Validate both indexes exist
-    const bm25Validation = await validateDbCollectionIndex(
-      mongoClient, 
-      process.env.DB_NAME, 
-      collectionName, 
-      bm25IndexName,
-      true
-    );
-    
-    const vectorValidation = await validateDbCollectionIndex(
-      mongoClient, 
-      process.env.DB_NAME, 
-      collectionName, 
-      vectorIndexName,
-      true
-    );
-
-    // For user stories, if BM25 index doesn't exist, fall back to vector-only search
-    const skipBM25 = useUserStories && !bm25Validation.ok;
-    
-    if (skipBM25) {
-      console.log(`⚠️ BM25 Index not found for user stories, using vector-only search`);
-    } else if (!bm25Validation.ok) {
-      await mongoClient.close();
-      return res.status(400).json({ error: bm25Validation.error });
+    if (!skipBM25) {
+      const bm25StartTime = Date.now();
+      const bm25Results = await collection.aggregate(buildBm25Pipeline(variation)).toArray();
+      bm25Time += Date.now() - bm25StartTime;
+      lists.push({ variation, source: 'bm25', results: bm25Results });
     }
 
-    if (!vectorValidation.ok) {
-      await mongoClient.close();
-      return res.status(400).json({ error: vectorValidation.error });
-    }
+    const vectorStartTime = Date.now();
+    const embedding = await embedText(variation);
+    cost += embedding.cost;
+    tokens += embedding.tokens;
+    const vectorResults = await collection.aggregate(buildVectorPipeline(embedding.vector)).toArray();
+    vectorTime += Date.now() - vectorStartTime;
+    lists.push({ variation, source: 'vector', results: vectorResults });
+
+    return lists;
+  }));
+
+  return {
+    rankedLists: perVariation.flat(),
+    cost,
+    tokens,
+    bm25Time,
+    vectorTime
+  };
+}
 
-    const db = mongoClient.db(process.env.DB_NAME);
-    const collection = db.collection(collectionName);
+// Reciprocal Rank Fusion over any number of ranked lists, tracking which variation surfaced each hit
+function fuseRankedListsRRF(rankedLists, k = 60) {
+  const resultMap = new Map();
 
-    const searchLimit = parseInt(limit) * 3; // Get more for better combination
-    const totalStartTime = Date.now(); // Add total timing
+  rankedLists.forEach(({ variation, source, results }) => {
+    results.forEach((doc, index) => {
+      const key = doc._id.toString();
+      const rank = index + 1;
+      const contribution = 1 / (k + rank);
 
-    // 1. BM25 Search (skip if not available for user stories)
-    let bm25Results = [];
-    let bm25Time = 0;
-    
-    if (!skipBM25) {
-      console.log('🔤 Running BM25 search...');
-      const bm25StartTime = Date.now();
-      
-      const bm25Pipeline = [
-        {
-          $search: {
-            index: bm25IndexName,
-            text: {
-              query: query,
-              path: bm25Fields,
-              fuzzy: {
-                maxEdits: 1,
-                prefixLength: 2
-              }
-            }
-          }
-        },
-        {
-          $addFields: {
-            bm25Score: { $meta: "searchScore" }
-          }
-        },
-        {
-          $project: {
-            _id: 1,
-            id: 1,
-            key: 1, // User story key
-            summary: 1, // User story summary
-            description: 1,
-            module: 1,
-            title: 1,
-            steps: 1,
-            expectedResults: 1,
-            priority: 1,
-            status: 1,
-            project: 1,
-            epic: 1,
-            acceptanceCriteria: 1,
-            businessValue: 1,
-            risk: 1,
-            dependencies: 1,
-            automationManual: 1,
-            sourceFile: 1,
-            createdAt: 1,
-            bm25Score: 1
-          }
-        },
-        { $limit: searchLimit }
-      ];
+      if (!resultMap.has(key)) {
+        const { bm25Score, vectorScore, ...fields } = doc;
+        resultMap.set(key, {
+          ...fields,
+          bm25Score: 0,
+          vectorScore: 0,
+          rrfScore: 0,
+          sources: new Set(),
+          matchedVariations: [],
+          variationHits: []
+        });
+      }
 
-      bm25Results = await collection.aggregate(bm25Pipeline).toArray();
-      bm25Time = Date.now() - bm25StartTime;
-      console.log(`✅ BM25 search completed: ${bm25Results.length} results`);
-    } else {
-      console.log('⚠️ Skipping BM25 search - using vector-only approach');
-    }
+      const entry = resultMap.get(key);
+      entry.rrfScore += contribution;
+      entry.sources.add(source);
+      if (source === 'bm25') entry.bm25Score = Math.max(entry.bm25Score, doc.bm25Score || 0);
+      if (source === 'vector') entry.vectorScore = Math.max(entry.vectorScore, doc.vectorScore || 0);
+      if (!entry.matchedVariations.includes(variation)) entry.matchedVariations.push(variation);
+      entry.variationHits.push({ variation, source, rank });
+    });
+  });
 
-    // 2. Vector Search
-    console.log('🧠 Running vector search...');
-    const vectorStartTime = Date.now();
+  const fused = Array.from(resultMap.values()).map(({ sources, ...entry }) => ({
+    ...entry,
+    foundIn: sources.size > 1 ? 'both' : [...sources][0]
+  }));
+  fused.sort((a, b) => b.rrfScore - a.rrfScore);
 
-    const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.com/ai';
-    const USER_EMAIL = process.env.USER_EMAIL;
-    const AUTH_TOKEN = process.env.AUTH_TOKEN;
+  // Scale to 0-1 so fused scores display alongside the other hybrid scores
+  const maxScore = fused[0]?.rrfScore || 1;
+  fused.forEach(doc => {
+    doc.rrfScoreNormalized = doc.rrfScore / maxScore;
+  });
 
-    const embeddingResponse = await axios.post(
-      `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-      {
-        input: query,
-        model: "text-embedding-3-small"
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${AUTH_TOKEN}`
-        }
-      }
-    );
+  return fused;
+}
 
-    if (embeddingResponse.data.status !== 200) {
-      throw new Error(`Testleaf API error: ${embeddingResponse.data.message}`);
-    }
+// ======================== Hybrid Search Endpoint (BM25 + Vector) ========================
+/**
+ * Hybrid search (BM25 + vector) over test cases or user stories, one page of the combined pool
+ * Shared by the endpoint and the generation pipeline.
+ * @param {Object} body - { query, filters, limit, cursor, bm25Weight, vectorWeight, bm25Fields, useUserStories, expandVariations, maxVariations, preprocessOptions, facets, rawQuery }
+ * @returns {Promise<Object>} - Response body
+ * @throws {Error} - status 400 for invalid requests, 410 for expired cursors
+ */
+async function runHybridSearch(body = {}) {
+  // Add DNS configuration for macOS
+  dns.setServers(['8.8.8.8', '8.8.4.4']);
+  
+  const { 
+    query, 
+    filters = {},
+    bm25Weight = 0.5,
+    vectorWeight = 0.5,
+    bm25Fields = ['id', 'title', 'description', 'steps', 'expectedResults', 'module'],
+    useUserStories = false, // New parameter to switch between collections
+    expandVariations = false, // Fan out over preprocessed synonym variations
+    maxVariations = 5,
+    preprocessOptions = {},
+    facets: includeFacets = true,
+    rawQuery = false // Plain text: no inline qualifiers, phrases or exclusions
+  } = body;
+  const page = parsePageRequest(body, { defaultLimit: 10 });
+  if (page.cursor) {
+    const resumed = searchPools.resume('hybrid', page);
+    return { ...resumed, stats: { ...foundInStats(resumed.results), ...resumed.stats } };
+  }
+  
+  if (!query) {
+    throw badRequest('Query is required');
+  }
+  const { parsedQuery, clauses } = parseSearchRequest(query, filters, { raw: rawQuery });
+
+  console.log(`🔀 Hybrid Search request: "${query}"`);
+  console.log(`📋 Request body:`, JSON.stringify(body, null, 2));
+  console.log(`   BM25 Weight: ${bm25Weight}, Vector Weight: ${vectorWeight}`);
+  console.log(`   Collection: ${useUserStories ? 'user_stories' : 'test_cases'}`);
+  console.log(`   useUserStories flag: ${useUserStories}`);
+
+  const store = createVectorStore();
+
+  await store.connect();
+
+  // Use different collections and indexes based on useUserStories flag
+  const collectionName = useUserStories ? process.env.USER_STORIES_COLLECTION_NAME : process.env.COLLECTION_NAME;
+  const bm25IndexName = useUserStories ? process.env.USER_STORIES_BM25_INDEX_NAME : process.env.BM25_INDEX_NAME;
+  const vectorIndexName = useUserStories ? process.env.USER_STORIES_VECTOR_INDEX_NAME : process.env.VECTOR_INDEX_NAME;
+
+  console.log(`📋 Environment variables used:`);
+  console.log(`   Collection: ${collectionName}`);
+  console.log(`   BM25 Index: ${bm25IndexName}`);
+  console.log(`   Vector Index: ${vectorIndexName}`);
+
+  // Validate both indexes exist
+  const bm25Validation = await store.validate(
+    collectionName, 
+    bm25IndexName,
+    true
+  );
+  
+  const vectorValidation = await store.validate(
+    collectionName, 
+    vectorIndexName,
+    true
+  );
+
+  // For user stories, if BM25 index doesn't exist, fall back to vector-only search
+  const skipBM25 = useUserStories && !bm25Validation.ok;
+  
+  if (skipBM25) {
+    console.log(`⚠️ BM25 Index not found for user stories, using vector-only search`);
+  } else if (!bm25Validation.ok) {
+    await store.close();
+    throw badRequest(bm25Validation.error);
+  }
 
-    const queryVector = embeddingResponse.data.data[0].embedding;
+  if (!vectorValidation.ok) {
+    await store.close();
+    throw badRequest(vectorValidation.error);
+  }
 
-    // Ensure numCandidates >= limit for MongoDB vector search
-    const vectorNumCandidates = Math.max(searchLimit * 2, 200);
+  const collection = store.collection(collectionName);
+
+  const searchLimit = Math.max(page.limit * 3, poolSizeFor(page)); // Get more for better combination, and pages beyond the first
+  const totalStartTime = Date.now(); // Add total timing
+
+  // Filters are pushed into each retriever where its index allows and checked again on the combined hits
+  const searchFilter = toSearchCompound(clauses, skipBM25 ? [] : await store.searchKeywordFields(collectionName, bm25IndexName));
+  const vectorFilter = toVectorSearchFilter(clauses, await store.vectorFilterFields(collectionName, vectorIndexName));
+
+  const resultProjection = filterProjection(clauses, {
+    _id: 1,
+    id: 1,
+    key: 1, // User story key
+    summary: 1, // User story summary
+    description: 1,
+    module: 1,
+    title: 1,
+    steps: 1,
+    expectedResults: 1,
+    priority: 1,
+    status: 1,
+    project: 1,
+    epic: 1,
+    acceptanceCriteria: 1,
+    businessValue: 1,
+    risk: 1,
+    dependencies: 1,
+    automationManual: 1,
+    version: 1,
+    createdBy: 1,
+    sourceFile: 1,
+    createdAt: 1
+  });
 
-    const vectorPipeline = [
-      {
-        $vectorSearch: {
-          queryVector,
-          path: "embedding",
-          numCandidates: vectorNumCandidates,
-          limit: searchLimit,
-          index: vectorIndexName
-        }
-      },
-      {
-        $addFields: {
-          vectorScore: { $meta: "vectorSearchScore" }
-        }
-      },
-      {
-        $project: {
-          _id: 1,
-          id: 1,
-          key: 1, // User story key
-          summary: 1, // User story summary
-          description: 1,
-          module: 1,
-          title: 1,
-          steps: 1,
-          expectedResults: 1,
-          priority: 1,
-          status: 1,
-          project: 1,
-          epic: 1,
-          acceptanceCriteria: 1,
-          businessValue: 1,
-          risk: 1,
-          dependencies: 1,
-          automationManual: 1,
-          sourceFile: 1,
-          createdAt: 1,
-          vectorScore: 1
-        }
-      }
-    ];
+  const buildBm25Pipeline = (text) => buildBm25SearchPipeline(text, {
+    indexName: bm25IndexName,
+    fields: bm25Fields,
+    limit: searchLimit,
+    projection: resultProjection,
+    searchFilter,
+    match: toMatchFilter(searchFilter.remaining),
+    phrases: parsedQuery.phrases,
+    excluded: parsedQuery.excluded
+  });
 
-    const vectorResults = await collection.aggregate(vectorPipeline).toArray();
-    const vectorTime = Date.now() - vectorStartTime;
+  // Ensure numCandidates >= limit for MongoDB vector search
+  const buildVectorPipeline = (queryVector) => buildVectorSearchPipeline(queryVector, {
+    indexName: vectorIndexName,
+    limit: searchLimit,
+    numCandidates: Math.max(searchLimit * 2, 200),
+    projection: resultProjection,
+    filter: vectorFilter.filter,
+    match: combineMatchFilters(toMatchFilter(vectorFilter.remaining), buildExclusionMatch(parsedQuery.excluded, bm25Fields))
+  });
 
-    // 3. Normalize and combine scores
-    console.log('🔀 Combining results...');
-    
-    // Normalize BM25 scores (if available)
-    const bm25Scores = bm25Results.map(r => r.bm25Score);
-    const bm25Max = bm25Scores.length > 0 ? Math.max(...bm25Scores, 1) : 1;
-    const bm25Min = bm25Scores.length > 0 ? Math.min(...bm25Scores, 0) : 0;
-    const bm25Range = bm25Max - bm25Min || 1;
-
-    // Normalize Vector scores
-    const vectorScores = vectorResults.map(r => r.vectorScore);
-    const vectorMax = Math.max(...vectorScores, 1);
-    const vectorMin = Math.min(...vectorScores, 0);
-    const vectorRange = vectorMax - vectorMin || 1;
-
-    // Create result map
-    const resultMap = new Map();
-
-    // Add BM25 results with normalized scores (if available)
-    if (!skipBM25) {
-      bm25Results.forEach(result => {
-        const key = result._id.toString();
-        const normalizedScore = (result.bm25Score - bm25Min) / bm25Range;
-        resultMap.set(key, {
-          ...result,
-          bm25ScoreNormalized: normalizedScore,
-          vectorScore: 0,
-          vectorScoreNormalized: 0,
-          hybridScore: normalizedScore * bm25Weight,
-          foundIn: 'bm25'
-        });
-      });
-    }
+  // Multi-variation mode: fan out over synonym expansions and fuse every ranked list with RRF
+  if (expandVariations) {
+    const { variations, preprocessing } = buildQueryVariations(parsedQuery.searchText, parseInt(maxVariations) || 5, preprocessOptions);
+    console.log(`🌐 Multi-variation search over ${variations.length} variations:`, variations);
 
-    // Add/merge vector results with normalized scores
-    vectorResults.forEach(result => {
-      const key = result._id.toString();
-      const normalizedScore = (result.vectorScore - vectorMin) / vectorRange;
-      
-      if (resultMap.has(key)) {
-        // Merge - found in both BM25 and vector
-        const existing = resultMap.get(key);
-        existing.vectorScore = result.vectorScore;
-        existing.vectorScoreNormalized = normalizedScore;
-        existing.hybridScore += normalizedScore * vectorWeight;
-        existing.foundIn = 'both';
-      } else {
-        // New result - only in vector (or BM25 was skipped)
-        const foundIn = skipBM25 ? 'vector-only' : 'vector';
-        const hybridScore = skipBM25 ? normalizedScore : normalizedScore * vectorWeight;
-        
-        resultMap.set(key, {
-          ...result,
-          bm25Score: 0,
-          bm25ScoreNormalized: 0,
-          vectorScoreNormalized: normalizedScore,
-          hybridScore: hybridScore,
-          foundIn: foundIn
-        });
-      }
+    const fanOut = await searchAcrossVariations(collection, variations, {
+      buildBm25Pipeline,
+      buildVectorPipeline,
+      skipBM25
     });
 
-    // Convert to array and sort by hybrid score
-    let combinedResults = Array.from(resultMap.values());
-    combinedResults.sort((a, b) => b.hybridScore - a.hybridScore);
-
-    // Apply filters if provided
-    if (Object.keys(filters).length > 0) {
-      combinedResults = combinedResults.filter(result => {
-        return Object.entries(filters).every(([key, value]) => {
-          if (!value || value === '') return true;
-          return result[key] === value;
-        });
-      });
-    }
+    const fusedResults = fuseRankedListsRRF(fanOut.rankedLists)
+      .map(doc => ({
+        ...doc,
+        hybridScore: doc.rrfScoreNormalized
+      }))
+      .filter(result => matchesSearchFilters(result, clauses));
 
-    // Limit results
-    const finalResults = combinedResults.slice(0, parseInt(limit));
+    // Facets count the fused candidates of every variation
+    const facets = includeFacets ? countFacets(fusedResults) : null;
 
-    await mongoClient.close();
+    await store.close();
 
     const totalTime = Date.now() - totalStartTime;
-    console.log(`✅ Hybrid Search complete: ${finalResults.length} results in ${totalTime}ms`);
-
-    // Calculate statistics
-    const bothCount = finalResults.filter(r => r.foundIn === 'both').length;
-    const bm25OnlyCount = finalResults.filter(r => r.foundIn === 'bm25').length;
-    const vectorOnlyCount = finalResults.filter(r => r.foundIn === 'vector').length;
+    console.log(`✅ Multi-variation Search complete: ${fusedResults.length} results in ${totalTime}ms`);
 
-    res.json({
+    // Pages are cut from the fused pool; foundIn counts describe the page
+    const response = searchPools.respond('hybrid', fusedResults, page, {
       success: true,
-      searchType: skipBM25 ? 'vector-only' : 'hybrid',
+      searchType: 'multi-variation',
       query,
+      parsedQuery,
+      variations,
       filters,
       weights: { bm25: bm25Weight, vector: vectorWeight },
-      results: finalResults,
-      count: finalResults.length,
+      fusionMethod: 'rrf',
+      facets,
+      facetSource: facets ? 'candidates' : null,
       bm25Skipped: skipBM25,
       stats: {
-        foundInBoth: bothCount,
-        foundInBm25Only: bm25OnlyCount,
-        foundInVectorOnly: vectorOnlyCount,
-        bm25ResultCount: bm25Results.length,
-        vectorResultCount: vectorResults.length
+        variationCount: variations.length,
+        rankedListCount: fanOut.rankedLists.length,
+        totalCandidates: fusedResults.length
       },
+      preprocessing,
       timing: {
-        bm25Time,
-        vectorTime,
+        bm25Time: fanOut.bm25Time,
+        vectorTime: fanOut.vectorTime,
         totalTime
       },
-      cost: embeddingResponse.data.cost || 0,
-      tokens: embeddingResponse.data.usage?.total_tokens || 0,
+      cost: fanOut.cost,
+      tokens: fanOut.tokens,
       timestamp: new Date().toISOString()
     });
+    return { ...response, stats: { ...foundInStats(response.results), ...response.stats } };
+  }
+
+  // 1. BM25 Search (skip if not available for user stories)
+  let bm25Results = [];
+  let bm25Time = 0;
+  
+  if (!skipBM25) {
+    console.log('🔤 Running BM25 search...');
+    const bm25StartTime = Date.now();
+
+    bm25Results = await collection.aggregate(buildBm25Pipeline(parsedQuery.searchText)).toArray();
+    bm25Time = Date.now() - bm25StartTime;
+    console.log(`✅ BM25 search completed: ${bm25Results.length} results`);
+  } else {
+    console.log('⚠️ Skipping BM25 search - using vector-only approach');
+  }
+
+  // 2. Vector Search
+  console.log('🧠 Running vector search...');
+  const vectorStartTime = Date.now();
+
+  const embedding = await embedText(parsedQuery.searchText);
+  const queryVector = embedding.vector;
+
+  const vectorResults = await collection.aggregate(buildVectorPipeline(queryVector)).toArray();
+  const vectorTime = Date.now() - vectorStartTime;
+
+  // 3. Normalize and combine scores
+  console.log('🔀 Combining results...');
+  const combinedResults = combineHybridResults(bm25Results, vectorResults, { bm25Weight, vectorWeight, skipBM25 })
+    .filter(result => matchesSearchFilters(result, clauses));
+
+  // Facets count every combined candidate
+  const facets = includeFacets ? countFacets(combinedResults) : null;
+
+  await store.close();
+
+  const totalTime = Date.now() - totalStartTime;
+  console.log(`✅ Hybrid Search complete: ${combinedResults.length} results in ${totalTime}ms`);
+
+  // Pages are cut from the combined pool; foundIn counts describe the page
+  const response = searchPools.respond('hybrid', combinedResults, page, {
+    success: true,
+    searchType: skipBM25 ? 'vector-only' : 'hybrid',
+    query,
+    parsedQuery,
+    filters,
+    weights: { bm25: bm25Weight, vector: vectorWeight },
+    facets,
+    facetSource: facets ? 'candidates' : null,
+    bm25Skipped: skipBM25,
+    stats: {
+      bm25ResultCount: bm25Results.length,
+      vectorResultCount: vectorResults.length
+    },
+    timing: {
+      bm25Time,
+      vectorTime,
+      totalTime
+    },
+    cost: embedding.cost,
+    tokens: embedding.tokens,
+    timestamp: new Date().toISOString()
+  });
+  return { ...response, stats: { ...foundInStats(response.results), ...response.stats } };
+}
 
+app.post('/api/search/hybrid', async (req, res) => {
+  try {
+    res.json(await runHybridSearch(req.body));
   } catch (error) {
+    // 410: the cursor's results have expired
+    if (error.status === 400 || error.status === 410) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('❌ Hybrid Search error:', error);
     res.status(500).json({ 
       error: 'Hybrid search failed', 
@@ -1810,109 +2040,102 @@ app.post('/api/search/hybrid', async (req, res) => {
   }
 });
 
-// Reranking endpoint with Score Fusion and Normalization
-app.post('/api/search/rerank', async (req, res) => {
-  try {
-    // Add DNS configuration for macOS
-    dns.setServers(['8.8.8.8', '8.8.4.4']);
-    
-    const { 
-      query, 
-      limit = 10, 
-      filters = {}, 
-      fusionMethod = 'rrf', // rrf, weighted, or reciprocal
-      rerankTopK = 50,
-      bm25Weight = 0.4,
-      vectorWeight = 0.6,
-      useUserStories = false // New parameter to switch between collections
-    } = req.body;
-    
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
-    }
-
-    const startTime = Date.now();
-
-    // Create a MongoClient
-    const mongoClient = createMongoClient();
-    await mongoClient.connect();
-
-    // Use different collections and indexes based on useUserStories flag
-    const collectionName = useUserStories ? process.env.USER_STORIES_COLLECTION_NAME : process.env.COLLECTION_NAME;
-    const bm25IndexName = useUserStories ? process.env.USER_STORIES_BM25_INDEX_NAME : process.env.BM25_INDEX_NAME;
-    const vectorIndexName = useUserStories ? process.env.USER_STORIES_VECTOR_INDEX_NAME : process.env.VECTOR_INDEX_NAME;
-
-    console.log(`\n🔄 Reranking Search with Score Fusion for: "${query}"`);
-    console.log(`📊 Fusion Method: ${fusionMethod.toUpperCase()}, Top-K: ${rerankTopK}, Final Limit: ${limit}`);
-    console.log(`📋 Collection: ${collectionName}, useUserStories: ${useUserStories}`);
-
-    const db = mongoClient.db(process.env.DB_NAME);
-    const collection = db.collection(collectionName);
-
-    console.log(`\n🔄 Reranking Search with Score Fusion for: "${query}"`);
-    console.log(`📊 Fusion Method: ${fusionMethod.toUpperCase()}, Top-K: ${rerankTopK}, Final Limit: ${limit}`);
-
-    // Step 1: Get both BM25 and Vector results
-    const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.com/ai';
-    const USER_EMAIL = process.env.USER_EMAIL;
-    const AUTH_TOKEN = process.env.AUTH_TOKEN;
-
-    // Generate embedding for vector search
-    const embeddingResponse = await axios.post(
-      `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-      {
-        input: query,
-        model: "text-embedding-3-small"
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${AUTH_TOKEN}`
-        }
-      }
-    );
-
-    if (embeddingResponse.data.status !== 200) {
-      throw new Error(`Testleaf API error: ${embeddingResponse.data.message}`);
-    }
-
-    const queryVector = embeddingResponse.data.data[0].embedding;
-    const embeddingCost = embeddingResponse.data.cost || 0;
-    const embeddingTokens = embeddingResponse.data.usage?.total_tokens || 0;
-
-    // Parallel search: BM25 and Vector
-    const searchStartTime = Date.now();
-
-    // BM25 Pipeline
-    const weights = {
-      id: 10.0,
-      title: 8.0,
-      module: 5.0,
-      description: 2.0,
-      expectedResults: 1.5,
-      steps: 1.0,
-      preRequisites: 0.8
-    };
-
+/**
+ * BM25 + vector retrieval re-ranked by score fusion (rrf, weighted or reciprocal), one page of the pool
+ * Shared by the endpoint and the generation pipeline.
+ * @param {Object} body - { query, filters, limit, cursor, fusionMethod, rerankTopK, bm25Weight, vectorWeight, useUserStories, expandVariations, maxVariations, preprocessOptions, facets, rawQuery }
+ * @returns {Promise<Object>} - Response body
+ * @throws {Error} - status 400 for invalid requests, 410 for expired cursors
+ */
+async function runRerankSearch(body = {}) {
+  // Add DNS configuration for macOS
+  dns.setServers(['8.8.8.8', '8.8.4.4']);
+  
+  const { 
+    query, 
+    filters = {}, 
+    fusionMethod = 'rrf', // rrf, weighted, or reciprocal
+    rerankTopK = 50,
+    bm25Weight = 0.4,
+    vectorWeight = 0.6,
+    useUserStories = false, // New parameter to switch between collections
+    expandVariations = false, // Fan out over preprocessed synonym variations
+    maxVariations = 5,
+    preprocessOptions = {},
+    facets: includeFacets = true,
+    rawQuery = false // Plain text: no inline qualifiers, phrases or exclusions
+  } = body;
+  const page = parsePageRequest(body, { defaultLimit: 10 });
+  if (page.cursor) {
+    return searchPools.resume('rerank', page);
+  }
+  
+  if (!query) {
+    throw badRequest('Query is required');
+  }
+  const { parsedQuery, clauses } = parseSearchRequest(query, filters, { raw: rawQuery });
+
+  const startTime = Date.now();
+
+  // Open the configured vector store
+  const store = createVectorStore();
+  await store.connect();
+
+  // Use different collections and indexes based on useUserStories flag
+  const collectionName = useUserStories ? process.env.USER_STORIES_COLLECTION_NAME : process.env.COLLECTION_NAME;
+  const bm25IndexName = useUserStories ? process.env.USER_STORIES_BM25_INDEX_NAME : process.env.BM25_INDEX_NAME;
+  const vectorIndexName = useUserStories ? process.env.USER_STORIES_VECTOR_INDEX_NAME : process.env.VECTOR_INDEX_NAME;
+
+  console.log(`\n🔄 Reranking Search with Score Fusion for: "${query}"`);
+  console.log(`📊 Fusion Method: ${fusionMethod.toUpperCase()}, Top-K: ${rerankTopK}, Final Limit: ${page.limit}`);
+  console.log(`📋 Collection: ${collectionName}, useUserStories: ${useUserStories}`);
+
+  const collection = store.collection(collectionName);
+
+  // Filters are pushed into each retriever where its index allows and checked again on the fused hits
+  const searchFilter = toSearchCompound(clauses, await store.searchKeywordFields(collectionName, bm25IndexName));
+  const vectorFilter = toVectorSearchFilter(clauses, await store.vectorFilterFields(collectionName, vectorIndexName));
+  // Excluded words and phrases drop results from both retrievers
+  const exclusionMatch = buildExclusionMatch(parsedQuery.excluded, DEFAULT_BM25_FIELDS);
+  const bm25Match = combineMatchFilters(toMatchFilter(searchFilter.remaining), exclusionMatch);
+  const vectorMatch = combineMatchFilters(toMatchFilter(vectorFilter.remaining), exclusionMatch);
+
+  console.log(`\n🔄 Reranking Search with Score Fusion for: "${query}"`);
+  console.log(`📊 Fusion Method: ${fusionMethod.toUpperCase()}, Top-K: ${rerankTopK}, Final Limit: ${page.limit}`);
+
+  // Step 1: Get both BM25 and Vector results
+  // BM25 Pipeline
+  const weights = {
+    id: 10.0,
+    title: 8.0,
+    module: 5.0,
+    description: 2.0,
+    expectedResults: 1.5,
+    steps: 1.0,
+    preRequisites: 0.8
+  };
+
+  const buildBm25Pipeline = (text) => {
     const searchFields = Object.entries(weights).map(([field, weight]) => ({
       text: {
-        query: query,
+        query: text,
         path: field,
         fuzzy: { maxEdits: 1, prefixLength: 2 },
         score: { boost: { value: weight } }
       }
     }));
 
-    const bm25Pipeline = [
+    return [
       {
-        $search: {
+        $search: addSearchCompoundFilters({
           index: bm25IndexName,
           compound: {
             should: searchFields,
             minimumShouldMatch: 1
           }
-        }
+        }, searchFilter)
       },
+      ...(bm25Match ? [{ $match: bm25Match }] : []),
       {
         $addFields: {
           bm25Score: { $meta: "searchScore" }
@@ -1920,228 +2143,325 @@ app.post('/api/search/rerank', async (req, res) => {
       },
       { $limit: rerankTopK }
     ];
+  };
 
-    if (Object.keys(filters).length > 0) {
-      bm25Pipeline.push({ $match: filters });
-    }
+  // Vector Pipeline
+  const buildVectorPipeline = (queryVector) => [
+    {
+      $vectorSearch: {
+        queryVector,
+        path: "embedding",
+        numCandidates: Math.max(rerankTopK * 2, 100),
+        limit: rerankTopK,
+        index: vectorIndexName,
+        ...(vectorFilter.filter && { filter: vectorFilter.filter })
+      }
+    },
+    ...(vectorMatch ? [{ $match: vectorMatch }] : []),
+    {
+      $addFields: {
+        vectorScore: { $meta: "vectorSearchScore" }
+      }
+    },
+    { $project: { embedding: 0 } }
+  ];
 
-    // Vector Pipeline
-    const vectorPipeline = [
-      {
-        $vectorSearch: {
-          queryVector,
-          path: "embedding",
-          numCandidates: Math.max(rerankTopK * 2, 100),
-          limit: rerankTopK,
-          index: vectorIndexName,
-          ...(Object.keys(filters).length > 0 && { filter: filters })
-        }
-      },
-      {
-        $addFields: {
-          vectorScore: { $meta: "vectorSearchScore" }
-        }
-      },
-      { $project: { embedding: 0 } }
-    ];
+  // Multi-variation mode: fan out over synonym expansions and fuse every ranked list with RRF
+  if (expandVariations) {
+    const { variations, preprocessing } = buildQueryVariations(parsedQuery.searchText, parseInt(maxVariations) || 5, preprocessOptions);
+    console.log(`🌐 Multi-variation rerank over ${variations.length} variations:`, variations);
 
-    // Execute both searches in parallel with error handling
-    let bm25Results = [];
-    let vectorResults = [];
-    
+    const searchStartTime = Date.now();
+    let fanOut;
     try {
-      [bm25Results, vectorResults] = await Promise.all([
-        collection.aggregate(bm25Pipeline).toArray(),
-        collection.aggregate(vectorPipeline).toArray()
-      ]);
+      fanOut = await searchAcrossVariations(collection, variations, { buildBm25Pipeline, buildVectorPipeline });
     } catch (searchError) {
       // If BM25 index doesn't exist for user stories, try vector-only search
       if (useUserStories && searchError.message.includes('index')) {
         console.log(`⚠️ BM25 Index not found for user stories, using vector-only search`);
-        bm25Results = [];
-        vectorResults = await collection.aggregate(vectorPipeline).toArray();
+        fanOut = await searchAcrossVariations(collection, variations, { buildBm25Pipeline, buildVectorPipeline, skipBM25: true });
       } else {
         throw searchError;
       }
     }
-
     const searchTime = Date.now() - searchStartTime;
-    console.log(`✅ Retrieved ${bm25Results.length} BM25 + ${vectorResults.length} Vector results in ${searchTime}ms`);
 
-    // Step 2: Score Fusion and Normalization
     const rerankStartTime = Date.now();
-    console.log(`🔄 Applying ${fusionMethod.toUpperCase()} score fusion...`);
-
-    // Create a map to combine results
-    const resultMap = new Map();
-
-    // Normalize scores using min-max normalization
-    const normalizeBM25 = (score, minScore, maxScore) => {
-      if (maxScore === minScore) return 1.0;
-      return (score - minScore) / (maxScore - minScore);
-    };
-
-    const normalizeVector = (score, minScore, maxScore) => {
-      if (maxScore === minScore) return 1.0;
-      return (score - minScore) / (maxScore - minScore);
-    };
-
-    // Get min/max scores for normalization
-    const bm25Scores = bm25Results.map(r => r.bm25Score);
-    const vectorScores = vectorResults.map(r => r.vectorScore);
-    const minBM25 = Math.min(...bm25Scores, 0);
-    const maxBM25 = Math.max(...bm25Scores, 1);
-    const minVector = Math.min(...vectorScores, 0);
-    const maxVector = Math.max(...vectorScores, 1);
-
-    // Process BM25 results
-    bm25Results.forEach((doc, index) => {
-      const id = doc._id.toString();
-      const normalizedScore = normalizeBM25(doc.bm25Score, minBM25, maxBM25);
-      
-      resultMap.set(id, {
+    const matchingResults = fuseRankedListsRRF(fanOut.rankedLists).filter(doc => matchesSearchFilters(doc, clauses));
+    const fusedResults = matchingResults.map((doc, index) => {
+      const bestHit = doc.variationHits.reduce((best, hit) => (hit.rank < best.rank ? hit : best));
+      return {
         ...doc,
-        bm25Score: doc.bm25Score,
-        bm25Normalized: normalizedScore,
-        bm25Rank: index + 1,
-        vectorScore: 0,
-        vectorNormalized: 0,
-        vectorRank: null,
-        foundIn: 'bm25'
-      });
-    });
-
-    // Process Vector results and merge
-    vectorResults.forEach((doc, index) => {
-      const id = doc._id.toString();
-      const normalizedScore = normalizeVector(doc.vectorScore, minVector, maxVector);
-      
-      if (resultMap.has(id)) {
-        // Document found in both
-        const existing = resultMap.get(id);
-        existing.vectorScore = doc.vectorScore;
-        existing.vectorNormalized = normalizedScore;
-        existing.vectorRank = index + 1;
-        existing.foundIn = 'both';
-      } else {
-        // Document only in vector
-        resultMap.set(id, {
-          ...doc,
-          bm25Score: 0,
-          bm25Normalized: 0,
-          vectorScore: doc.vectorScore,
-          vectorNormalized: normalizedScore,
-          vectorRank: index + 1,
-          foundIn: 'vector'
-        });
-      }
-    });
-
-    // Convert to array for processing
-    const allResults = Array.from(resultMap.values());
-
-    // Apply fusion method
-    let fusedResults = [];
-
-    if (fusionMethod === 'rrf') {
-      // Reciprocal Rank Fusion (RRF)
-      const k = 60; // RRF constant
-      fusedResults = allResults.map(doc => {
-        const bm25RRF = doc.bm25Rank ? 1 / (k + doc.bm25Rank) : 0;
-        const vectorRRF = doc.vectorRank ? 1 / (k + doc.vectorRank) : 0;
-        const fusedScore = bm25RRF + vectorRRF;
-        
-        return {
-          ...doc,
-          fusedScore,
-          fusionComponents: {
-            bm25RRF: bm25RRF.toFixed(4),
-            vectorRRF: vectorRRF.toFixed(4)
-          }
-        };
-      });
-    } else if (fusionMethod === 'weighted') {
-      // Weighted normalized scores
-      fusedResults = allResults.map(doc => {
-        const fusedScore = (doc.bm25Normalized * bm25Weight) + (doc.vectorNormalized * vectorWeight);
-        
-        return {
-          ...doc,
-          fusedScore,
-          fusionComponents: {
-            bm25Contribution: (doc.bm25Normalized * bm25Weight).toFixed(4),
-            vectorContribution: (doc.vectorNormalized * vectorWeight).toFixed(4)
-          }
-        };
-      });
-    } else if (fusionMethod === 'reciprocal') {
-      // Reciprocal scoring with weights
-      fusedResults = allResults.map(doc => {
-        const bm25Reciprocal = doc.bm25Rank ? (1 / doc.bm25Rank) * bm25Weight : 0;
-        const vectorReciprocal = doc.vectorRank ? (1 / doc.vectorRank) * vectorWeight : 0;
-        const fusedScore = bm25Reciprocal + vectorReciprocal;
-        
-        return {
-          ...doc,
-          fusedScore,
-          fusionComponents: {
-            bm25Reciprocal: bm25Reciprocal.toFixed(4),
-            vectorReciprocal: vectorReciprocal.toFixed(4)
-          }
-        };
-      });
-    }
-
-    // Sort by fused score
-    fusedResults.sort((a, b) => b.fusedScore - a.fusedScore);
-
-    // Add ranking information
-    fusedResults.forEach((doc, index) => {
-      doc.newRank = index + 1;
-      doc.originalRank = doc.bm25Rank || doc.vectorRank || index + 1;
-      doc.rankChange = doc.originalRank - doc.newRank;
+        fusedScore: doc.rrfScore,
+        newRank: index + 1,
+        originalRank: bestHit.rank,
+        rankChange: bestHit.rank - (index + 1)
+      };
     });
-
     const rerankingTime = Date.now() - rerankStartTime;
 
-    // Get before/after results
-    const beforeResults = (fusionMethod === 'rrf' ? vectorResults : bm25Results).slice(0, limit);
-    const afterResults = fusedResults.slice(0, limit);
-    const totalTime = Date.now() - startTime;
+    // Facets count the fused candidates of every variation
+    const facets = includeFacets ? countFacets(fusedResults) : null;
 
-    console.log(`✅ Score fusion complete in ${rerankingTime}ms`);
-    console.log(`📊 Top result: ${afterResults[0]?.id} (Found in: ${afterResults[0]?.foundIn})`);
+    const totalTime = Date.now() - startTime;
 
-    await mongoClient.close();
+    await store.close();
 
-    // Calculate statistics
-    const bothCount = fusedResults.filter(r => r.foundIn === 'both').length;
-    const bm25OnlyCount = fusedResults.filter(r => r.foundIn === 'bm25').length;
-    const vectorOnlyCount = fusedResults.filter(r => r.foundIn === 'vector').length;
+    console.log(`✅ Multi-variation rerank complete: ${fusedResults.length} results in ${totalTime}ms`);
 
-    res.json({
+    // Pages are cut from the reranked pool
+    return searchPools.respond('rerank', fusedResults, page, {
       success: true,
-      searchType: 'rerank',
+      searchType: 'rerank-multi-variation',
+      fusionMethod: 'rrf',
       query,
+      parsedQuery,
+      variations,
       filters,
-      results: afterResults,
-      count: afterResults.length,
+      facets,
+      facetSource: facets ? 'candidates' : null,
       totalCandidates: fusedResults.length,
       rerankTopK,
       searchTime,
       rerankingTime,
       totalTime,
-      cost: embeddingResponse.data.cost || 0,
-      tokens: embeddingResponse.data.usage?.total_tokens || 0,
+      cost: fanOut.cost,
+      tokens: fanOut.tokens,
       stats: {
-        foundInBoth: bothCount,
-        foundInBm25Only: bm25OnlyCount,
-        foundInVectorOnly: vectorOnlyCount
+        foundInBoth: fusedResults.filter(r => r.foundIn === 'both').length,
+        foundInBm25Only: fusedResults.filter(r => r.foundIn === 'bm25').length,
+        foundInVectorOnly: fusedResults.filter(r => r.foundIn === 'vector').length,
+        variationCount: variations.length,
+        rankedListCount: fanOut.rankedLists.length
       },
+      preprocessing,
       timestamp: new Date().toISOString()
     });
+  }
+
+  // Generate embedding for vector search
+  const embedding = await embedText(parsedQuery.searchText);
+  const queryVector = embedding.vector;
+
+  // Parallel search: BM25 and Vector
+  const searchStartTime = Date.now();
+
+  const bm25Pipeline = buildBm25Pipeline(parsedQuery.searchText);
+  const vectorPipeline = buildVectorPipeline(queryVector);
+
+  // Execute both searches in parallel with error handling
+  let bm25Results = [];
+  let vectorResults = [];
+  
+  try {
+    [bm25Results, vectorResults] = await Promise.all([
+      collection.aggregate(bm25Pipeline).toArray(),
+      collection.aggregate(vectorPipeline).toArray()
+    ]);
+  } catch (searchError) {
+    // If BM25 index doesn't exist for user stories, try vector-only search
+    if (useUserStories && searchError.message.includes('index')) {
+      console.log(`⚠️ BM25 Index not found for user stories, using vector-only search`);
+      bm25Results = [];
+      vectorResults = await collection.aggregate(vectorPipeline).toArray();
+    } else {
+      throw searchError;
+    }
+  }
+
+  const searchTime = Date.now() - searchStartTime;
+  console.log(`✅ Retrieved ${bm25Results.length} BM25 + ${vectorResults.length} Vector results in ${searchTime}ms`);
+
+  // Step 2: Score Fusion and Normalization
+  const rerankStartTime = Date.now();
+  console.log(`🔄 Applying ${fusionMethod.toUpperCase()} score fusion...`);
+
+  // Create a map to combine results
+  const resultMap = new Map();
+
+  // Normalize scores using min-max normalization
+  const normalizeBM25 = (score, minScore, maxScore) => {
+    if (maxScore === minScore) return 1.0;
+    return (score - minScore) / (maxScore - minScore);
+  };
+
+  const normalizeVector = (score, minScore, maxScore) => {
+    if (maxScore === minScore) return 1.0;
+    return (score - minScore) / (maxScore - minScore);
+  };
+
+  // Get min/max scores for normalization
+  const bm25Scores = bm25Results.map(r => r.bm25Score);
+  const vectorScores = vectorResults.map(r => r.vectorScore);
+  const minBM25 = Math.min(...bm25Scores, 0);
+  const maxBM25 = Math.max(...bm25Scores, 1);
+  const minVector = Math.min(...vectorScores, 0);
+  const maxVector = Math.max(...vectorScores, 1);
+
+  // Process BM25 results
+  bm25Results.forEach((doc, index) => {
+    const id = doc._id.toString();
+    const normalizedScore = normalizeBM25(doc.bm25Score, minBM25, maxBM25);
+    
+    resultMap.set(id, {
+      ...doc,
+      bm25Score: doc.bm25Score,
+      bm25Normalized: normalizedScore,
+      bm25Rank: index + 1,
+      vectorScore: 0,
+      vectorNormalized: 0,
+      vectorRank: null,
+      foundIn: 'bm25'
+    });
+  });
+
+  // Process Vector results and merge
+  vectorResults.forEach((doc, index) => {
+    const id = doc._id.toString();
+    const normalizedScore = normalizeVector(doc.vectorScore, minVector, maxVector);
+    
+    if (resultMap.has(id)) {
+      // Document found in both
+      const existing = resultMap.get(id);
+      existing.vectorScore = doc.vectorScore;
+      existing.vectorNormalized = normalizedScore;
+      existing.vectorRank = index + 1;
+      existing.foundIn = 'both';
+    } else {
+      // Document only in vector
+      resultMap.set(id, {
+        ...doc,
+        bm25Score: 0,
+        bm25Normalized: 0,
+        vectorScore: doc.vectorScore,
+        vectorNormalized: normalizedScore,
+        vectorRank: index + 1,
+        foundIn: 'vector'
+      });
+    }
+  });
+
+  // Convert to array for processing (version ranges are only checked here)
+  const allResults = Array.from(resultMap.values()).filter(doc => matchesSearchFilters(doc, clauses));
+
+  // Apply fusion method
+  let fusedResults = [];
+
+  if (fusionMethod === 'rrf') {
+    // Reciprocal Rank Fusion (RRF)
+    const k = 60; // RRF constant
+    fusedResults = allResults.map(doc => {
+      const bm25RRF = doc.bm25Rank ? 1 / (k + doc.bm25Rank) : 0;
+      const vectorRRF = doc.vectorRank ? 1 / (k + doc.vectorRank) : 0;
+      const fusedScore = bm25RRF + vectorRRF;
+      
+      return {
+        ...doc,
+        fusedScore,
+        fusionComponents: {
+          bm25RRF: bm25RRF.toFixed(4),
+          vectorRRF: vectorRRF.toFixed(4)
+        }
+      };
+    });
+  } else if (fusionMethod === 'weighted') {
+    // Weighted normalized scores
+    fusedResults = allResults.map(doc => {
+      const fusedScore = (doc.bm25Normalized * bm25Weight) + (doc.vectorNormalized * vectorWeight);
+      
+      return {
+        ...doc,
+        fusedScore,
+        fusionComponents: {
+          bm25Contribution: (doc.bm25Normalized * bm25Weight).toFixed(4),
+          vectorContribution: (doc.vectorNormalized * vectorWeight).toFixed(4)
+        }
+      };
+    });
+  } else if (fusionMethod === 'reciprocal') {
+    // Reciprocal scoring with weights
+    fusedResults = allResults.map(doc => {
+      const bm25Reciprocal = doc.bm25Rank ? (1 / doc.bm25Rank) * bm25Weight : 0;
+      const vectorReciprocal = doc.vectorRank ? (1 / doc.vectorRank) * vectorWeight : 0;
+      const fusedScore = bm25Reciprocal + vectorReciprocal;
+      
+      return {
+        ...doc,
+        fusedScore,
+        fusionComponents: {
+          bm25Reciprocal: bm25Reciprocal.toFixed(4),
+          vectorReciprocal: vectorReciprocal.toFixed(4)
+        }
+      };
+    });
+  }
+
+  // Sort by fused score
+  fusedResults.sort((a, b) => b.fusedScore - a.fusedScore);
 
+  // Add ranking information
+  fusedResults.forEach((doc, index) => {
+    doc.newRank = index + 1;
+    doc.originalRank = doc.bm25Rank || doc.vectorRank || index + 1;
+    doc.rankChange = doc.originalRank - doc.newRank;
+  });
+
+  const rerankingTime = Date.now() - rerankStartTime;
+
+  // Facets count every fused candidate
+  const facets = includeFacets ? countFacets(fusedResults) : null;
+
+  // Get before/after results
+  const beforeResults = (fusionMethod === 'rrf' ? vectorResults : bm25Results)
+    .filter(doc => matchesSearchFilters(doc, clauses))
+    .slice(0, page.limit);
+  const totalTime = Date.now() - startTime;
+
+  console.log(`✅ Score fusion complete in ${rerankingTime}ms`);
+  console.log(`📊 Top result: ${fusedResults[0]?.id} (Found in: ${fusedResults[0]?.foundIn})`);
+
+  await store.close();
+
+  // Calculate statistics
+  const bothCount = fusedResults.filter(r => r.foundIn === 'both').length;
+  const bm25OnlyCount = fusedResults.filter(r => r.foundIn === 'bm25').length;
+  const vectorOnlyCount = fusedResults.filter(r => r.foundIn === 'vector').length;
+
+  // Pages are cut from the reranked pool
+  return searchPools.respond('rerank', fusedResults, page, {
+    success: true,
+    searchType: 'rerank',
+    fusionMethod,
+    query,
+    parsedQuery,
+    filters,
+    facets,
+    facetSource: facets ? 'candidates' : null,
+    totalCandidates: fusedResults.length,
+    rerankTopK,
+    searchTime,
+    rerankingTime,
+    totalTime,
+    cost: embedding.cost,
+    tokens: embedding.tokens,
+    stats: {
+      foundInBoth: bothCount,
+      foundInBm25Only: bm25OnlyCount,
+      foundInVectorOnly: vectorOnlyCount
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Reranking endpoint with Score Fusion and Normalization
+app.post('/api/search/rerank', async (req, res) => {
+  try {
+    res.json(await runRerankSearch(req.body));
   } catch (error) {
+    // 410: the cursor's results have expired
+    if (error.status === 400 || error.status === 410) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('❌ Reranking error:', error);
     
     // If MongoDB is down, load real user stories from local JSON file as fallback
@@ -2194,6 +2514,8 @@ app.post('/api/search/rerank', async (req, res) => {
             foundInBm25Only: 0,
             foundInVectorOnly: 0
           },
+          hasMore: false,
+          nextCursor: null,
           timestamp: new Date().toISOString(),
           note: 'Real user stories from local JSON - MongoDB connection unavailable'
         });
@@ -2210,11 +2532,434 @@ app.post('/api/search/rerank', async (req, res) => {
         });
       }
     }
-    
-    res.status(500).json({ 
-      error: 'Reranking failed', 
-      details: error.message 
+    
+    res.status(500).json({ 
+      error: 'Reranking failed', 
+      details: error.message 
+    });
+  }
+});
+
+// ======================== Test Case ID Allocation ========================
+
+// Next free test case ID (read-only peek; use /api/testcases/reserve-ids to claim IDs)
+app.get('/api/testcases/latest-id', async (req, res) => {
+  let mongoClient = null;
+  try {
+    const { prefix, module } = req.query;
+
+    mongoClient = createMongoClient();
+    await mongoClient.connect();
+    const db = mongoClient.db(process.env.DB_NAME);
+
+    const next = await peekNextTestCaseId(db, { prefix, module });
+    console.log(`🔢 Latest test case ID for ${next.prefix}: ${next.latestId || 'none'}, next: ${next.nextTestCaseId}`);
+
+    res.json({
+      success: true,
+      ...next
+    });
+
+  } catch (error) {
+    console.error('❌ Latest test case ID lookup failed:', error.message);
+    res.status(500).json({ error: 'Failed to determine latest test case ID', details: error.message });
+  } finally {
+    if (mongoClient) {
+      try { await mongoClient.close(); } catch (e) {}
+    }
+  }
+});
+
+// Atomically reserve a block of test case IDs
+app.post('/api/testcases/reserve-ids', async (req, res) => {
+  let mongoClient = null;
+  try {
+    const { count = 1, prefix, module, reservedBy } = req.body;
+
+    if (!Number.isInteger(Number(count)) || Number(count) < 1) {
+      return res.status(400).json({ error: 'count must be a positive integer' });
+    }
+
+    mongoClient = createMongoClient();
+    await mongoClient.connect();
+    const db = mongoClient.db(process.env.DB_NAME);
+
+    const reservation = await reserveTestCaseIds(db, { count, prefix, module, reservedBy });
+
+    res.json({
+      success: true,
+      ...reservation
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Test case ID reservation failed:', error.message);
+    res.status(500).json({ error: 'Failed to reserve test case IDs', details: error.message });
+  } finally {
+    if (mongoClient) {
+      try { await mongoClient.close(); } catch (e) {}
+    }
+  }
+});
+
+// ======================== Test Case Generation Pipeline ========================
+
+// End-to-end RAG generation: preprocess → hybrid search → rerank → dedup → summarize → prompt → generate → validate
+app.post('/api/generate/test-cases', async (req, res) => {
+  const {
+    userStory,
+    promptTemplate = DEFAULT_PROMPT_TEMPLATE,
+    preprocess = true,
+    searchLimit = 50,
+    rerankTopK = 50,
+    topK = 10,
+    dedupThreshold = 0.95,
+    summaryCount = 5,
+    referenceCount = 5,
+    testCaseCount = 6,
+    bm25Weight = 0.4,
+    vectorWeight = 0.6,
+    temperature = 0.5,
+    maxTokens = 10000,
+    idPrefix, // Test case ID prefix (default: the module's prefix, or TC_)
+    idModule,
+    testCaseSchema, // JSON Schema for one generated test case (default: DEFAULT_TEST_CASE_SCHEMA)
+    maxRepairAttempts = 1
+  } = req.body;
+
+  if (!userStory || !String(userStory).trim()) {
+    return res.status(400).json({ error: 'User story is required' });
+  }
+
+  let customTestCaseSchema = null;
+  let generationSchema;
+  try {
+    customTestCaseSchema = normalizeSchema(testCaseSchema);
+    generationSchema = buildGenerationSchema(customTestCaseSchema || DEFAULT_TEST_CASE_SCHEMA);
+    compileSchema(generationSchema);
+  } catch (schemaError) {
+    return res.status(400).json({ error: 'Invalid JSON Schema', details: schemaError.message });
+  }
+
+  const steps = [];
+  let currentStep = null;
+
+  // Time a pipeline step and record its cost/tokens
+  const runStep = async (index, fn) => {
+    currentStep = PIPELINE_STEPS[index];
+    const stepStartTime = Date.now();
+    const { result, cost = 0, tokens = 0, status = 'completed', details } = await fn();
+    steps.push({
+      step: index + 1,
+      name: PIPELINE_STEPS[index],
+      status,
+      time: Date.now() - stepStartTime,
+      cost: parseFloat(cost) || 0,
+      tokens: tokens || 0,
+      ...(details && { details })
+    });
+    console.log(`   ${status === 'completed' ? '✅' : '⚠️'} Step ${index + 1}: ${PIPELINE_STEPS[index]} (${steps[steps.length - 1].time}ms)`);
+    return result;
+  };
+
+  const totalStartTime = Date.now();
+  console.log(`\n🧪 Test case generation pipeline for: "${String(userStory).substring(0, 80)}..."`);
+
+  try {
+    // STEP 1: User story input
+    await runStep(0, async () => ({ result: userStory }));
+
+    // STEP 2: Query preprocessing (falls back to the raw story on failure)
+    const preprocessing = await runStep(1, async () => {
+      if (!preprocess) {
+        return { result: null, status: 'skipped' };
+      }
+      try {
+        const data = preprocessSearchQuery({
+          query: userStory,
+          options: {
+            enableAbbreviations: true,
+            enableSynonyms: true,
+            maxSynonymVariations: 5,
+            smartExpansion: true,
+            preserveTestCaseIds: true
+          }
+        });
+        return { result: data };
+      } catch (error) {
+        return { result: null, status: 'failed', details: error.message };
+      }
+    });
+    const processedQuery = preprocessing?.processedQuery || userStory;
+
+    // STEP 3: Hybrid search (the story is plain text, not inline search syntax)
+    const searchData = await runStep(2, async () => {
+      const data = await runHybridSearch({
+        query: processedQuery,
+        limit: searchLimit,
+        bm25Weight,
+        vectorWeight,
+        facets: false,
+        rawQuery: true
+      });
+      return { result: data, cost: data.cost, tokens: data.tokens };
+    });
+
+    // STEP 4: RRF re-ranking (falls back to the hybrid results)
+    const rerankData = await runStep(3, async () => {
+      try {
+        const data = await runRerankSearch({
+          query: processedQuery,
+          limit: topK,
+          fusionMethod: 'rrf',
+          rerankTopK,
+          bm25Weight,
+          vectorWeight,
+          facets: false,
+          rawQuery: true
+        });
+        return { result: data, cost: data.cost, tokens: data.tokens };
+      } catch (error) {
+        return { result: null, status: 'failed', details: error.message };
+      }
+    });
+    const rerankedResults = rerankData?.results || (searchData.results || []).slice(0, topK);
+
+    // STEP 5: Deduplication
+    const dedupData = await runStep(4, async () => {
+      if (rerankedResults.length <= 5) {
+        return { result: null, status: 'skipped' };
+      }
+      const data = deduplicateSearchResults({
+        results: rerankedResults.map(({ embedding, ...rest }) => rest),
+        threshold: dedupThreshold
+      });
+      return { result: data };
+    });
+
+    const topResults = (dedupData?.deduplicated || rerankedResults)
+      .slice(0, topK)
+      .map(({ embedding, ...rest }) => rest);
+
+    if (topResults.length === 0) {
+      throw new Error('No search results found for the user story after deduplication');
+    }
+
+    const averageSimilarity = topResults.reduce((sum, tc) => sum + (tc.score || 0), 0) / topResults.length;
+
+    // STEP 6: Summarization of the top results
+    const summaryData = await runStep(5, async () => {
+      const data = await summarizeSearchResults({
+        results: topResults.slice(0, summaryCount),
+        summaryType: 'detailed'
+      });
+      return { result: data, cost: data.cost?.total, tokens: data.tokens?.total };
+    });
+
+    // STEP 7: ICEPOT prompt with retrieved context and a reserved block of test case IDs
+    const { prompt, nextTestCaseId, reservedIds } = await runStep(6, async () => {
+      let nextId = 'TC_NEW_001';
+      let ids = [];
+      let mongoClient = null;
+      try {
+        mongoClient = createMongoClient();
+        await mongoClient.connect();
+        const reservation = await reserveTestCaseIds(mongoClient.db(process.env.DB_NAME), {
+          count: testCaseCount,
+          prefix: idPrefix,
+          module: idModule,
+          reservedBy: 'generate/test-cases'
+        });
+        nextId = reservation.nextTestCaseId;
+        ids = reservation.ids;
+      } catch (error) {
+        console.warn('⚠️ Could not reserve test case IDs, using', nextId, '-', error.message);
+      } finally {
+        if (mongoClient) {
+          try { await mongoClient.close(); } catch (e) {}
+        }
+      }
+
+      return {
+        result: {
+          nextTestCaseId: nextId,
+          reservedIds: ids,
+          prompt: buildGenerationPrompt({
+            promptTemplate,
+            userStory,
+            summary: summaryData.summary,
+            topResults,
+            referenceCount,
+            nextTestCaseId: nextId,
+            reservedIds: ids,
+            testCaseCount,
+            testCaseSchema: customTestCaseSchema
+          })
+        },
+        status: ids.length > 0 ? 'completed' : 'warnings'
+      };
+    });
+
+    // STEP 8: LLM generation
+    const llm = getLLMClient();
+    const messages = [{ role: 'user', content: prompt }];
+    const llmOptions = {
+      maxTokens,
+      timeout: 300000 // 5 minutes, generation of several test cases is slow
+    };
+    const completion = await runStep(7, async () => {
+      const result = await llm.chat({ messages, temperature, ...llmOptions });
+      return { result, cost: result.cost.total, tokens: result.usage.total_tokens };
+    });
+
+    // STEP 9: JSON Schema validation (AJV), with repair round-trips for invalid output
+    const { response, validationErrors, repair } = await runStep(8, async () => {
+      const idNotes = [];
+      const validationOptions = {
+        schema: generationSchema,
+        // The LLM does not always follow the reserved ID instructions
+        prepare: data => { idNotes.splice(0, idNotes.length, ...applyReservedIds(data, reservedIds)); },
+        extraValidate: validateStepCounts
+      };
+
+      const initial = parseAndValidate(completion.content, { ...validationOptions, finishReason: completion.finishReason });
+      const repaired = await repairOutput(llm, {
+        messages,
+        content: completion.content,
+        result: initial,
+        ...validationOptions,
+        ...llmOptions,
+        maxAttempts: maxRepairAttempts
+      });
+      const { result } = repaired;
+
+      return {
+        result: {
+          response: result.data,
+          validationErrors: result.errors,
+          repair: {
+            initialErrors: initial.errors,
+            truncated: result.truncated,
+            attempts: repaired.attempts
+          }
+        },
+        status: result.valid ? 'completed' : 'warnings',
+        cost: repaired.cost.total,
+        tokens: repaired.usage.total_tokens,
+        ...((idNotes.length > 0 || repaired.attempts.length > 0) && {
+          details: [
+            ...idNotes,
+            ...repaired.attempts.map(a => `Repair attempt ${a.attempt}: ${a.valid ? 'valid' : `${a.errors.length} error(s) left`}`)
+          ]
+        })
+      };
+    });
+
+    // STEP 10: Assemble the result
+    await runStep(9, async () => ({ result: null }));
+
+    const totalTime = Date.now() - totalStartTime;
+    const totalCost = steps.reduce((sum, step) => sum + step.cost, 0);
+    const totalTokens = steps.reduce((sum, step) => sum + step.tokens, 0);
+
+    console.log(`🎉 Generation pipeline complete: ${response.newTestCases?.length || 0} test cases in ${totalTime}ms ($${totalCost.toFixed(6)})`);
+
+    res.json({
+      success: true,
+      testCases: Array.isArray(response.newTestCases) ? response.newTestCases : [],
+      response,
+      validation: {
+        passed: validationErrors.length === 0,
+        errors: validationErrors,
+        schema: customTestCaseSchema ? 'custom' : 'default',
+        ...repair
+      },
+      context: {
+        originalQuery: userStory,
+        processedQuery,
+        preprocessing,
+        searchResults: searchData.results?.length || 0,
+        rerank: rerankData && {
+          fusionMethod: rerankData.fusionMethod || 'rrf',
+          count: rerankData.results?.length || 0
+        },
+        dedup: dedupData?.stats || null,
+        existingTestCases: topResults,
+        averageSimilarity,
+        ragSummary: summaryData.summary,
+        nextTestCaseId,
+        reservedIds,
+        promptVersion: hashPromptTemplate(promptTemplate)
+      },
+      steps,
+      totals: {
+        time: totalTime,
+        cost: totalCost.toFixed(6),
+        tokens: totalTokens
+      },
+      model: completion.model,
+      provider: completion.provider,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`❌ Test case generation failed at "${currentStep}":`, error.message);
+    res.status(error.status === 400 ? 400 : 500).json({
+      error: 'Test case generation failed',
+      details: error.message,
+      failedStep: currentStep,
+      steps
+    });
+  }
+});
+
+// Persist reviewed/accepted generated test cases into the test case collection
+app.post('/api/generate/test-cases/accept', async (req, res) => {
+  let mongoClient = null;
+  try {
+    const { testCases, provenance = {}, acceptedBy } = req.body;
+
+    if (!Array.isArray(testCases) || testCases.length === 0) {
+      return res.status(400).json({ error: 'testCases array is required' });
+    }
+
+    console.log(`💾 Accepting ${testCases.length} generated test case(s) into ${process.env.COLLECTION_NAME}`);
+
+    mongoClient = createMongoClient();
+    await mongoClient.connect();
+    const collection = mongoClient.db(process.env.DB_NAME).collection(process.env.COLLECTION_NAME);
+
+    const result = await persistGeneratedTestCases(collection, testCases, {
+      ...provenance,
+      acceptedBy: acceptedBy || provenance.acceptedBy
+    });
+
+    console.log(`✅ Inserted ${result.inserted.length}, skipped ${result.skipped.length}`);
+    result.skipped.forEach(skip => console.log(`   ⏭️  ${skip.id || `#${skip.index + 1}`}: ${skip.reason}`));
+
+    res.json({
+      success: true,
+      inserted: result.inserted,
+      skipped: result.skipped,
+      insertedCount: result.inserted.length,
+      skippedCount: result.skipped.length,
+      embedding: {
+        model: result.embeddingModel,
+        cost: result.cost,
+        tokens: result.tokens
+      },
+      timestamp: new Date().toISOString()
     });
+
+  } catch (error) {
+    console.error('❌ Accepting generated test cases failed:', error.message);
+    res.status(500).json({ error: 'Failed to save generated test cases', details: error.message });
+  } finally {
+    if (mongoClient) {
+      try { await mongoClient.close(); } catch (e) {}
+    }
   }
 });
 
@@ -2232,26 +2977,28 @@ app.post('/api/user-story/search', async (req, res) => {
     console.log('🔍 User Story Hybrid Search API Call');
     console.log('📋 User Story:', userStory.substring(0, 100) + '...');
 
-    // Make the hybrid search call with useUserStories flag
-    const hybridSearchResponse = await axios.post('http://localhost:3001/api/search/hybrid', {
+    // Hybrid search over the user stories collection; the story is plain text, not inline search syntax
+    const searchData = await runHybridSearch({
       query: userStory,
       limit: limit,
       bm25Weight: 0.5,
       vectorWeight: 0.5,
-      useUserStories: true
-    }, {
-      headers: { 'Content-Type': 'application/json' }
+      useUserStories: true,
+      rawQuery: true
     });
 
     console.log('✅ Hybrid Search Response:', {
-      resultsCount: hybridSearchResponse.data.results?.length || 0,
-      searchType: hybridSearchResponse.data.searchType,
-      bm25Skipped: hybridSearchResponse.data.bm25Skipped
+      resultsCount: searchData.results?.length || 0,
+      searchType: searchData.searchType,
+      bm25Skipped: searchData.bm25Skipped
     });
 
-    res.json(hybridSearchResponse.data);
+    res.json(searchData);
 
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('❌ User Story Search error:', error);
     res.status(500).json({ 
       error: 'User story search failed', 
@@ -2302,42 +3049,23 @@ Keep it under 400 words and focus on actionable insights for story assessment.`;
 
     const userPrompt = `Analyze these ${userStories.length} similar user stories${userStoryContext ? ` for the context: ${userStoryContext}` : ''}. Identify patterns, themes, and insights:\n\n${storiesText}`;
 
-    console.log('🌐 Making Testleaf API request for user story summarization');
+    const llm = getLLMClient();
+    console.log(`🌐 Making ${llm.name} LLM request for user story summarization`);
 
-    // Use Testleaf API for chat completion
-    if (!TESTLEAF_API_BASE || !USER_EMAIL || !AUTH_TOKEN) {
-      throw new Error('TESTLEAF_API_BASE, USER_EMAIL, and AUTH_TOKEN are required for summarization');
-    }
-    
-    const apiUrl = `${TESTLEAF_API_BASE}/v1/chat/completions`;
-    const response = await axios.post(apiUrl, {
-      model: 'gpt-4o-mini',
+    const completion = await llm.chat({
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
       ],
       temperature: 0.3,
-      max_tokens: 500
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${AUTH_TOKEN}`
-      }
+      maxTokens: 500
     });
 
-    console.log('📊 Testleaf API Response received');
+    console.log('📊 LLM response received');
 
-    // Check response structure
-    if (!response.data || !response.data.transaction || !response.data.transaction.response) {
-      throw new Error(`Unexpected API response structure: ${JSON.stringify(response.data)}`);
-    }
-
-    const openaiResponse = response.data.transaction.response;
-    const summary = openaiResponse.choices[0].message.content;
-    const usage = openaiResponse.usage;
-    const totalCost = response.data.transaction.cost || 0;
-    const inputCost = totalCost * 0.15;
-    const outputCost = totalCost * 0.85;
+    const summary = completion.content;
+    const usage = completion.usage;
+    const { input: inputCost, output: outputCost, total: totalCost } = completion.cost;
 
     console.log('✅ User Story Summarization Complete:', {
       summaryLength: summary.length,
@@ -2357,7 +3085,8 @@ Keep it under 400 words and focus on actionable insights for story assessment.`;
         output: outputCost.toFixed(6),
         total: totalCost.toFixed(6)
       },
-      model: 'gpt-4o-mini',
+      model: completion.model,
+      provider: completion.provider,
       summaryType: 'user_story_analysis',
       userStorySpecific: true,
       storiesAnalyzed: userStories.length,
@@ -2369,95 +3098,107 @@ Keep it under 400 words and focus on actionable insights for story assessment.`;
     res.status(500).json({ 
       error: 'User story summarization failed', 
       details: error.message,
-      hint: 'Check TESTLEAF_API_BASE, USER_EMAIL, and AUTH_TOKEN configuration'
+      hint: 'Check the LLM_PROVIDER configuration (testleaf needs TESTLEAF_API_BASE, USER_EMAIL, and AUTH_TOKEN)'
     });
   }
 });
 
-// User Story Rating Endpoint (final step)
-app.post('/api/user-story/rate', async (req, res) => {
-  try {
-    const { userStory, aiSummary } = req.body;
-    
-    if (!userStory) {
-      return res.status(400).json({ error: 'User story is required' });
-    }
+/**
+ * Rate a user story against similar stories (shared by the JSON and streaming endpoints)
+ * @param {Object} body - { userStory, aiSummary }
+ * @param {Object} hooks - { onStep, onToken, signal }
+ * @returns {Promise<Object>} - Response body
+ */
+async function rateUserStory(body = {}, { onStep = () => {}, onToken, signal } = {}) {
+  const { userStory, aiSummary } = body;
+  
+  if (!userStory) {
+    throw badRequest('User story is required');
+  }
 
-    console.log('🎯 User Story Rating API Call');
-    console.log('📋 Rating user story, fetching similar stories from database');
+  console.log('🎯 User Story Rating API Call');
+  console.log('📋 Rating user story, fetching similar stories from database');
 
-    // ======================== Fetch Similar Stories from Database ========================
-    let similarStories = [];
-    let dbConnectionSuccessful = false;
+  // ======================== Fetch Similar Stories from Database ========================
+  onStep({ step: 1, name: 'Similar Stories', status: 'in-progress' });
+  let similarStories = [];
+  let dbConnectionSuccessful = false;
+  
+  try {
+    // Add DNS configuration
+    dns.setServers(['8.8.8.8', '8.8.4.4']);
     
-    try {
-      // Add DNS configuration
-      dns.setServers(['8.8.8.8', '8.8.4.4']);
-      
-      const mongoClient = createMongoClient();
-      await mongoClient.connect();
-      
-      const db = mongoClient.db(process.env.DB_NAME);
-      const collection = db.collection(process.env.USER_STORIES_COLLECTION_NAME);
-      
-      // Quick check if collection exists and has documents
-      const count = await collection.countDocuments();
+    const mongoClient = createMongoClient();
+    await mongoClient.connect();
+    
+    const db = mongoClient.db(process.env.DB_NAME);
+    const collection = db.collection(process.env.USER_STORIES_COLLECTION_NAME);
+    
+    // Quick check if collection exists and has documents
+    const count = await collection.countDocuments();
+    
+    if (count > 0) {
+      console.log('🔍 Fetching random sample of user stories from database (fast method)...');
       
-      if (count > 0) {
-        console.log('🔍 Fetching random sample of user stories from database (fast method)...');
-        
-        // Use simple aggregation to get random stories (much faster than vector search)
-        const randomStoriesPipeline = [
-          { $sample: { size: 5 } }, // Get 5 random stories
-          {
-            $project: {
-              key: 1,
-              summary: 1,
-              description: 1,
-              status: 1,
-              priority: 1,
-              score: 0.8 // Fixed score since we're not doing similarity search
-            }
+      // Use simple aggregation to get random stories (much faster than vector search)
+      const randomStoriesPipeline = [
+        { $sample: { size: 5 } }, // Get 5 random stories
+        {
+          $project: {
+            key: 1,
+            summary: 1,
+            description: 1,
+            status: 1,
+            priority: 1,
+            score: 0.8 // Fixed score since we're not doing similarity search
           }
-        ];
-
-        similarStories = await collection.aggregate(randomStoriesPipeline).toArray();
-        console.log(`✅ Found ${similarStories.length} sample stories from database (fast method)`);
-        dbConnectionSuccessful = true;
-      } else {
-        console.log('📭 No user stories found in database collection');
-      }
-      
-      await mongoClient.close();
-      
-    } catch (dbError) {
-      console.log('⚠️ Database fetch failed, using fallback:', dbError.message);
-      
-      // Try fallback to local JSON if database fails
-      try {
-        const storiesPath = path.join(__dirname, '../src/data/stories.json');
-        if (fs.existsSync(storiesPath)) {
-          console.log('📂 Loading fallback user stories from local JSON...');
-          const storiesData = JSON.parse(fs.readFileSync(storiesPath, 'utf8'));
-          similarStories = storiesData.slice(0, 5).map(story => ({
-            key: story.key,
-            summary: story.summary,
-            description: story.description,
-            status: story.status,
-            priority: story.priority,
-            score: 0.8
-          }));
-          console.log(`📊 Loaded ${similarStories.length} stories from fallback JSON`);
         }
-      } catch (fallbackError) {
-        console.log('⚠️ Fallback JSON loading also failed:', fallbackError.message);
-      }
+      ];
+
+      similarStories = await collection.aggregate(randomStoriesPipeline).toArray();
+      console.log(`✅ Found ${similarStories.length} sample stories from database (fast method)`);
+      dbConnectionSuccessful = true;
+    } else {
+      console.log('📭 No user stories found in database collection');
     }
     
-    console.log('📋 Rating user story with', similarStories?.length || 0, 'similar stories context');
+    await mongoClient.close();
+    
+  } catch (dbError) {
+    console.log('⚠️ Database fetch failed, using fallback:', dbError.message);
+    
+    // Try fallback to local JSON if database fails
+    try {
+      const storiesPath = path.join(__dirname, '../src/data/stories.json');
+      if (fs.existsSync(storiesPath)) {
+        console.log('📂 Loading fallback user stories from local JSON...');
+        const storiesData = JSON.parse(fs.readFileSync(storiesPath, 'utf8'));
+        similarStories = storiesData.slice(0, 5).map(story => ({
+          key: story.key,
+          summary: story.summary,
+          description: story.description,
+          status: story.status,
+          priority: story.priority,
+          score: 0.8
+        }));
+        console.log(`📊 Loaded ${similarStories.length} stories from fallback JSON`);
+      }
+    } catch (fallbackError) {
+      console.log('⚠️ Fallback JSON loading also failed:', fallbackError.message);
+    }
+  }
+  
+  console.log('📋 Rating user story with', similarStories?.length || 0, 'similar stories context');
+  onStep({
+    step: 1,
+    name: 'Similar Stories',
+    status: 'completed',
+    count: similarStories?.length || 0,
+    source: dbConnectionSuccessful ? 'database' : (similarStories?.length > 0 ? 'fallback-json' : 'none')
+  });
 
-    // Build the rating prompt with context
-    const ratingPrompt = `You are an expert Product Owner and QA analyst. Analyze this user story and provide detailed scoring.
+  // Build the rating prompt with context
+  const ratingPrompt = `You are an expert Product Owner and QA analyst. Analyze this user story and provide detailed scoring.
 
 # USER STORY TO ANALYZE:
 """
@@ -2497,129 +3238,394 @@ ${similarStories && similarStories.length > 0 ? 'Use the similar stories above a
 
 # REQUIRED JSON OUTPUT:
 {
-  "overallRating": {
-    "score": <average of all component scores>,
-    "feedback": "<overall assessment>",
-    "suggestions": ["<improvement 1>", "<improvement 2>", "<improvement 3>"]
-  },
-  "componentScores": {
-    "title": {
-      "score": <1-10>,
-      "feedback": "<title assessment>"
-    },
-    "description": {
-      "score": <1-10>,
-      "feedback": "<description assessment>"
-    },
-    "acceptanceCriteria": {
-      "score": <1-10>,
-      "feedback": "<criteria assessment>"
-    }
+"overallRating": {
+  "score": <average of all component scores>,
+  "feedback": "<overall assessment>",
+  "suggestions": ["<improvement 1>", "<improvement 2>", "<improvement 3>"]
+},
+"componentScores": {
+  "title": {
+    "score": <1-10>,
+    "feedback": "<title assessment>"
   },
-  "analysis": {
-    "strengths": ["<strength 1>", "<strength 2>"],
-    "weaknesses": ["<weakness 1>", "<weakness 2>"],
-    "complexity": "<Low|Medium|High>",
-    "estimatedEffort": "<effort estimate>",
-    "businessValue": "<Low|Medium|High>",
-    "similarityContext": "<how this relates to similar stories found>"
+  "description": {
+    "score": <1-10>,
+    "feedback": "<description assessment>"
   },
-  "dependencies": [],
-  "aiFeedback": "<detailed analysis and recommendations>"
+  "acceptanceCriteria": {
+    "score": <1-10>,
+    "feedback": "<criteria assessment>"
+  }
+},
+"analysis": {
+  "strengths": ["<strength 1>", "<strength 2>"],
+  "weaknesses": ["<weakness 1>", "<weakness 2>"],
+  "complexity": "<Low|Medium|High>",
+  "estimatedEffort": "<effort estimate>",
+  "businessValue": "<Low|Medium|High>",
+  "similarityContext": "<how this relates to similar stories found>"
+},
+"dependencies": [],
+"aiFeedback": "<detailed analysis and recommendations>"
 }
 
 Return only valid JSON.`;
 
-    console.log('🌐 Making Testleaf API request for user story rating');
+  const llm = getLLMClient();
+  console.log(`🌐 Making ${llm.name} LLM request for user story rating`);
 
-    const response = await axios.post(`${TESTLEAF_API_BASE}/v1/chat/completions`, {
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'user', content: ratingPrompt }
-      ],
-      temperature: 0.3,
-      max_tokens: 2000
+  onStep({ step: 2, name: 'LLM Rating', status: 'in-progress', provider: llm.name, model: llm.model });
+
+  const completion = await chatWithHooks(llm, {
+    messages: [
+      { role: 'user', content: ratingPrompt }
+    ],
+    temperature: 0.3,
+    maxTokens: 2000
+  }, { onToken, signal });
+
+  onStep({ step: 2, name: 'LLM Rating', status: 'completed', tokens: completion.usage.total_tokens });
+
+  const aiAnalysis = completion.content;
+  const usage = completion.usage;
+  const totalCost = completion.cost.total;
+
+  console.log('✅ User Story Rating Complete');
+
+  // Parse the JSON response
+  let parsedAnalysis;
+  try {
+    parsedAnalysis = JSON.parse(aiAnalysis);
+  } catch (e) {
+    console.error('Failed to parse AI response:', e);
+    // Provide fallback analysis
+    parsedAnalysis = {
+      overallRating: { 
+        score: 6, 
+        feedback: "Analysis completed with basic assessment", 
+        suggestions: ["Add more detailed acceptance criteria", "Clarify business value", "Include edge cases"]
+      },
+      componentScores: {
+        title: { score: 6, feedback: "Title provides basic structure" },
+        description: { score: 6, feedback: "Description includes user story format" },
+        acceptanceCriteria: { score: 5, feedback: "Acceptance criteria could be more detailed" }
+      },
+      analysis: {
+        strengths: ["Clear user story format"],
+        weaknesses: ["Could benefit from more detail"],
+        complexity: "Medium",
+        estimatedEffort: "2-3 story points",
+        businessValue: "Medium",
+        similarityContext: `Analyzed with ${similarStories?.length || 0} similar stories as context`
+      },
+      dependencies: [],
+      aiFeedback: "User story analysis completed successfully."
+    };
+  }
+
+  return {
+    success: true,
+    ...parsedAnalysis,
+    metadata: {
+      similarStoriesCount: similarStories?.length || 0,
+      similarStoriesSource: dbConnectionSuccessful ? 'database' : (similarStories?.length > 0 ? 'fallback-json' : 'none'),
+      aiSummaryUsed: !!aiSummary,
+      tokens: {
+        prompt: usage.prompt_tokens,
+        completion: usage.completion_tokens,
+        total: usage.total_tokens
+      },
+      cost: {
+        input: (totalCost * 0.15).toFixed(6),
+        output: (totalCost * 0.85).toFixed(6),
+        total: totalCost.toFixed(6)
+      },
+      model: completion.model,
+      provider: completion.provider,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+// User Story Rating Endpoint (final step)
+app.post('/api/user-story/rate', async (req, res) => {
+  try {
+    res.json(await rateUserStory(req.body));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ User Story Rating error:', error);
+    res.status(500).json({ 
+      error: 'User story rating failed', 
+      details: error.message 
+    });
+  }
+});
+
+// Same as /api/user-story/rate, streamed as Server-Sent Events
+app.post('/api/user-story/rate/stream', streamingRoute(rateUserStory, 'User story rating failed'));
+
+// ======================== End User Story Individual Endpoints ========================
+
+// ======================== Release Stories ========================
+// Plain-text user stories under releases/<version>/stories, imported into the user stories collection
+
+// Releases with a stories folder
+app.get('/api/releases', (req, res) => {
+  try {
+    res.json({ releases: listReleases() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list releases', details: error.message });
+  }
+});
+
+// Parsed stories of a release (nothing is stored)
+app.get('/api/releases/:version/stories', (req, res) => {
+  try {
+    const { version, stories, files } = readReleaseStories(resolveReleaseDir(req.params.version));
+    res.json({ version, stories, files });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to read release stories', details: error.message });
+  }
+});
+
+// Embed a release's stories into the user stories collection (upsert by key; unchanged stories are skipped).
+// Body: { dryRun } - dryRun reports what would be inserted/updated without embedding anything
+app.post('/api/releases/:version/import', async (req, res) => {
+  let mongoClient = null;
+  try {
+    const { dryRun = false } = req.body || {};
+    const { version, stories, files } = readReleaseStories(resolveReleaseDir(req.params.version));
+
+    if (stories.length === 0) {
+      return res.status(400).json({ error: 'No stories to import', details: `No parsable .txt stories in releases/${version}/stories`, files });
+    }
+
+    console.log(`📥 ${dryRun ? 'Previewing' : 'Importing'} ${stories.length} stories from release ${version} into ${process.env.USER_STORIES_COLLECTION_NAME}`);
+
+    mongoClient = createMongoClient();
+    await mongoClient.connect();
+    const collection = mongoClient.db(process.env.DB_NAME).collection(process.env.USER_STORIES_COLLECTION_NAME);
+
+    const result = await syncUserStories(collection, stories, {
+      dryRun: Boolean(dryRun),
+      embeddingModel: getEmbeddingProvider().model
+    });
+
+    const { insert, update, unchanged, failed } = result.summary;
+    console.log(`✅ Release ${version}: ${insert} inserted, ${update} updated, ${unchanged} unchanged, ${failed} failed${dryRun ? ' (dry run)' : ''}`);
+
+    res.json({ success: failed === 0, dryRun: Boolean(dryRun), version, files, ...result });
+  } catch (error) {
+    console.error('❌ Release import failed:', error.message);
+    res.status(error.status || 500).json({ error: 'Release import failed', details: error.message });
+  } finally {
+    if (mongoClient) await mongoClient.close().catch(() => {});
+  }
+});
+
+// Impact of a release's stories on the existing test cases: hybrid retrieval per story, then
+// modules touched, stories without coverage and a regression suite ordered by risk and priority.
+// Body: { version, perStoryLimit, minVectorScore, bm25Weight, vectorWeight }
+async function analyzeRelease(body = {}, { onStep = () => {}, signal } = {}) {
+  const {
+    version,
+    perStoryLimit = DEFAULT_IMPACT_OPTIONS.perStoryLimit,
+    minVectorScore = DEFAULT_IMPACT_OPTIONS.minVectorScore,
+    bm25Weight = 0.5,
+    vectorWeight = 0.5
+  } = body;
+
+  if (!version) {
+    throw badRequest('Release version is required');
+  }
+  let releaseDir;
+  try {
+    releaseDir = resolveReleaseDir(version);
+  } catch (error) {
+    throw badRequest(error.message);
+  }
+
+  const limit = Math.min(Math.max(parseInt(perStoryLimit) || DEFAULT_IMPACT_OPTIONS.perStoryLimit, 1), 50);
+  const threshold = Number.isFinite(Number(minVectorScore)) ? Number(minVectorScore) : DEFAULT_IMPACT_OPTIONS.minVectorScore;
+
+  onStep({ step: 1, name: 'Load Stories', status: 'in-progress' });
+  const { stories, files } = readReleaseStories(releaseDir);
+  if (stories.length === 0) {
+    throw badRequest('No stories to analyze', `No parsable .txt stories in releases/${version}/stories`);
+  }
+  onStep({ step: 1, name: 'Load Stories', status: 'completed', count: stories.length });
+  console.log(`🧭 Release impact analysis for ${version}: ${stories.length} stories`);
+
+  const store = createVectorStore();
+  await store.connect();
+
+  try {
+    const collectionName = process.env.COLLECTION_NAME;
+    const bm25Validation = await store.validate(collectionName, process.env.BM25_INDEX_NAME, true);
+    const vectorValidation = await store.validate(collectionName, process.env.VECTOR_INDEX_NAME, true);
+    if (!vectorValidation.ok) {
+      throw badRequest(vectorValidation.error);
+    }
+    // Vector-only still gives a usable report when the BM25 index is missing
+    const skipBM25 = !bm25Validation.ok;
+    if (skipBM25) {
+      console.log(`⚠️ BM25 index unavailable (${bm25Validation.error}); impact analysis uses vector search only`);
+    }
+
+    const collection = store.collection(collectionName);
+    onStep({ step: 2, name: 'Retrieve Test Cases', status: 'in-progress', processed: 0, total: stories.length });
+
+    const report = await analyzeReleaseImpact(stories, {
+      search: (text) => hybridSearch(collection, text, {
+        bm25IndexName: process.env.BM25_INDEX_NAME,
+        vectorIndexName: process.env.VECTOR_INDEX_NAME,
+        limit: limit * 2, // The extra hits become candidates for stories without coverage
+        projection: IMPACT_PROJECTION,
+        bm25Weight,
+        vectorWeight,
+        skipBM25
+      }),
+      findLinked: (keys) => collection.aggregate(buildLinkedTestCasesPipeline(keys)).toArray()
     }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${AUTH_TOKEN}`
+      perStoryLimit: limit,
+      minVectorScore: threshold,
+      signal,
+      onStory: ({ index, total, key, affected }) => {
+        onStep({ step: 2, name: 'Retrieve Test Cases', status: 'in-progress', processed: index + 1, total, key, affected });
       }
     });
 
-    if (!response.data || !response.data.transaction || !response.data.transaction.response) {
-      throw new Error(`Unexpected API response structure`);
-    }
+    onStep({ step: 2, name: 'Retrieve Test Cases', status: 'completed', processed: stories.length, total: stories.length });
+    console.log(`✅ Release ${version}: ${report.summary.affectedTestCases} test cases affected, ${report.summary.uncoveredStories} stories without coverage`);
+
+    return {
+      success: true,
+      version,
+      searchType: skipBM25 ? 'vector-only' : 'hybrid',
+      options: { perStoryLimit: limit, minVectorScore: threshold, bm25Weight, vectorWeight },
+      files,
+      ...report,
+      timestamp: new Date().toISOString()
+    };
+  } finally {
+    await store.close();
+  }
+}
 
-    const openaiResponse = response.data.transaction.response;
-    const aiAnalysis = openaiResponse.choices[0].message.content;
-    const usage = openaiResponse.usage;
-    const totalCost = response.data.transaction.cost || 0;
+app.post('/api/releases/:version/impact', async (req, res) => {
+  try {
+    res.json(await analyzeRelease({ ...req.body, version: req.params.version }));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, ...(error.details && { details: error.details }) });
+    }
+    console.error('❌ Release impact analysis error:', error);
+    res.status(error.status || 500).json({ error: 'Release impact analysis failed', details: error.message });
+  }
+});
 
-    console.log('✅ User Story Rating Complete');
+// Same as /api/releases/:version/impact, with per-story progress streamed as Server-Sent Events
+const streamReleaseImpact = streamingRoute(analyzeRelease, 'Release impact analysis failed');
+app.post('/api/releases/:version/impact/stream', (req, res) => {
+  req.body = { ...req.body, version: req.params.version };
+  return streamReleaseImpact(req, res);
+});
 
-    // Parse the JSON response
-    let parsedAnalysis;
-    try {
-      parsedAnalysis = JSON.parse(aiAnalysis);
-    } catch (e) {
-      console.error('Failed to parse AI response:', e);
-      // Provide fallback analysis
-      parsedAnalysis = {
-        overallRating: { 
-          score: 6, 
-          feedback: "Analysis completed with basic assessment", 
-          suggestions: ["Add more detailed acceptance criteria", "Clarify business value", "Include edge cases"]
-        },
-        componentScores: {
-          title: { score: 6, feedback: "Title provides basic structure" },
-          description: { score: 6, feedback: "Description includes user story format" },
-          acceptanceCriteria: { score: 5, feedback: "Acceptance criteria could be more detailed" }
-        },
-        analysis: {
-          strengths: ["Clear user story format"],
-          weaknesses: ["Could benefit from more detail"],
-          complexity: "Medium",
-          estimatedEffort: "2-3 story points",
-          businessValue: "Medium",
-          similarityContext: `Analyzed with ${similarStories?.length || 0} similar stories as context`
-        },
-        dependencies: [],
-        aiFeedback: "User story analysis completed successfully."
-      };
+// ======================== Jira Sync ========================
+// Pull stories from Jira into the user stories collection in the background.
+// Body: { full, dryRun, jql } - incremental (issues updated since the last completed sync) unless full is set
+// or there is no previous sync; jql overrides JIRA_SYNC_JQL for this run
+app.post('/api/jira/sync', async (req, res) => {
+  try {
+    const { full = false, dryRun = false, jql } = req.body || {};
+    if (jql !== undefined && (typeof jql !== 'string' || !jql.trim())) {
+      return res.status(400).json({ error: 'jql must be a non-empty string' });
     }
 
-    res.json({
+    const run = await jiraSync.start({ full, dryRun, jql: jql?.trim() });
+    res.status(202).json({
       success: true,
-      ...parsedAnalysis,
-      metadata: {
-        similarStoriesCount: similarStories?.length || 0,
-        similarStoriesSource: dbConnectionSuccessful ? 'database' : (similarStories?.length > 0 ? 'fallback-json' : 'none'),
-        aiSummaryUsed: !!aiSummary,
-        tokens: {
-          prompt: usage.prompt_tokens,
-          completion: usage.completion_tokens,
-          total: usage.total_tokens
-        },
-        cost: {
-          input: (totalCost * 0.15).toFixed(6),
-          output: (totalCost * 0.85).toFixed(6),
-          total: totalCost.toFixed(6)
-        },
-        model: 'gpt-4o-mini',
-        timestamp: new Date().toISOString()
-      }
+      jobId: run.id,
+      status: run.status,
+      mode: run.mode,
+      dryRun: run.dryRun,
+      since: run.since,
+      jql: run.jql,
+      message: `Jira ${run.mode} sync started`
     });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to start Jira sync', details: error.message });
+  }
+});
 
+// Past sync runs (newest first) and the time incremental syncs continue from
+app.get('/api/jira/sync/history', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+    const [runs, lastSync] = await Promise.all([jiraSync.history({ limit }), jiraSync.lastSync()]);
+    res.json({ runs, lastSync, running: jiraSync.isRunning() });
   } catch (error) {
-    console.error('❌ User Story Rating error:', error);
-    res.status(500).json({ 
-      error: 'User story rating failed', 
-      details: error.message 
+    res.status(500).json({ error: 'Failed to load Jira sync history', details: error.message });
+  }
+});
+
+// One sync run
+app.get('/api/jira/sync/:jobId', async (req, res) => {
+  try {
+    const run = await jiraSync.get(req.params.jobId);
+    if (!run) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load Jira sync run', details: error.message });
+  }
+});
+
+// Jira webhook (issue created / updated / deleted): re-embeds or deletes the story in the user stories
+// collection. Register http(s)://<host>/api/jira/webhook in Jira with JIRA_WEBHOOK_SECRET as its secret
+// (or append ?secret=<JIRA_WEBHOOK_SECRET> where Jira cannot sign deliveries)
+app.post('/api/jira/webhook', async (req, res) => {
+  const { webhookSecret } = readJiraConfig();
+  if (!webhookSecret) {
+    return res.status(503).json({ error: 'Jira webhook is not configured', details: 'Set JIRA_WEBHOOK_SECRET' });
+  }
+  const verification = verifyWebhookSecret({ rawBody: req.rawBody, headers: req.headers, query: req.query }, webhookSecret);
+  if (!verification.ok) {
+    console.warn(`⚠️ Rejected Jira webhook: ${verification.error}`);
+    return res.status(401).json({ error: 'Webhook rejected', details: verification.error });
+  }
+
+  try {
+    const event = await jiraWebhook.handle(req.body);
+    // A 5xx makes Jira retry the delivery
+    res.status(event.status === 'failed' ? 500 : 200).json({
+      success: event.status !== 'failed',
+      eventId: event.id,
+      key: event.key,
+      status: event.status,
+      action: event.action,
+      reason: event.reason,
+      ...(event.error && { details: event.error })
     });
+  } catch (error) {
+    console.error('❌ Jira webhook error:', error);
+    res.status(500).json({ error: 'Failed to process Jira webhook', details: error.message });
   }
 });
 
-// ======================== End User Story Individual Endpoints ========================
+// Webhook event log, newest first (?limit=50&key=HC-287)
+app.get('/api/jira/webhook/events', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const events = await jiraWebhook.events({ limit, key: req.query.key || null });
+    res.json({ events });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load Jira webhook events', details: error.message });
+  }
+});
 
 // Start the server
 app.listen(PORT, () => {
@@ -2628,4 +3634,21 @@ app.listen(PORT, () => {
   console.log(`🌐 API Base: ${TESTLEAF_API_BASE}`);
   console.log(`👤 User Email: ${USER_EMAIL || 'NOT SET'}`);
   console.log(`🔑 Auth Token: ${AUTH_TOKEN ? 'SET' : 'NOT SET'}`);
+  console.log(`🤖 LLM Provider: ${getLLMClient().name} (${getLLMClient().model})`);
+  console.log(`🧩 Embedding Provider: ${getEmbeddingProvider().name} (${getEmbeddingProvider().model})`);
+  console.log(`🗄️  Vector Store: ${getVectorStoreBackend()}${process.env.LOCAL_STORE_DIR ? ` (fixtures: ${process.env.LOCAL_STORE_DIR})` : ''}`);
+  console.log(`📦 Job Store: ${getJobStoreBackend()}`);
+
+  // Pick up embedding jobs interrupted by the last shutdown
+  embeddingJobs.resume()
+    .then(resumed => {
+      if (resumed.length > 0) console.log(`↩️  Resuming ${resumed.length} embedding job(s): ${resumed.join(', ')}`);
+    })
+    .catch(error => console.error('❌ Failed to resume embedding jobs:', error.message));
+
+  jiraSync.markInterrupted()
+    .then(interrupted => {
+      if (interrupted.length > 0) console.log(`⚠️ Marked ${interrupted.length} interrupted Jira sync run(s) as failed`);
+    })
+    .catch(error => console.error('❌ Failed to check Jira sync runs:', error.message));
 });
\ No newline at end of file
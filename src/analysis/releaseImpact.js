@@ -0,0 +1,236 @@
+/**
+ * Release Impact Analysis
+ * Maps the user stories of a release (see ingestion/releaseStories.js) onto existing test cases:
+ * test cases likely affected per story, modules touched, stories without coverage, and a
+ * regression suite ordered by risk and priority.
+ *
+ * A retrieved test case counts as likely affected when it
+ *   - lists the story key in linkedStories (match: 'linked'),
+ *   - was found by both BM25 and vector search (match: 'both'), or
+ *   - has a vector score of at least minVectorScore (match: 'vector').
+ * A story with no likely affected test case has no coverage.
+ */
+
+export const RISK_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
+export const PRIORITY_RANK = { p1: 4, critical: 4, highest: 4, p2: 3, high: 3, p3: 2, medium: 2, p4: 1, low: 1, lowest: 0 };
+
+export const DEFAULT_IMPACT_OPTIONS = {
+  perStoryLimit: 10,
+  minVectorScore: 0.75
+};
+
+// Test case fields carried into the report
+export const IMPACT_PROJECTION = {
+  _id: 1,
+  id: 1,
+  title: 1,
+  module: 1,
+  priority: 1,
+  risk: 1,
+  type: 1,
+  automationManual: 1,
+  linkedStories: 1
+};
+
+const rank = (table, value) => table[String(value || '').trim().toLowerCase()] ?? 0;
+
+/**
+ * Search text for a story: title, impact area, narrative and acceptance criteria
+ * @param {Object} story - Parsed release story
+ * @returns {string}
+ */
+export function buildStoryQuery(story) {
+  const narrative = String(story.description || '').split(/\n\s*\n/)[0];
+  return [story.summary, story.impactArea, narrative, story.acceptanceCriteria]
+    .filter(Boolean)
+    .join('. ')
+    .slice(0, 2000);
+}
+
+// linkedStories is an array since the migration, but older documents hold "HC-1, HC-2" strings
+function linkedKeys(testCase) {
+  const value = testCase.linkedStories;
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,;\s]+/);
+  return list.map(key => String(key).trim().toUpperCase()).filter(Boolean);
+}
+
+/**
+ * $match pipeline for test cases linked to any of the given story keys
+ * @param {Array<string>} keys - Story keys
+ * @returns {Array} - Aggregation pipeline
+ */
+export function buildLinkedTestCasesPipeline(keys) {
+  const escaped = keys.map(key => key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return [
+    // Matches array elements and comma-separated strings alike, without HC-28 matching HC-287
+    { $match: { linkedStories: { $regex: `(^|[^A-Za-z0-9-])(${escaped.join('|')})(?![0-9])`, $options: 'i' } } },
+    { $project: IMPACT_PROJECTION }
+  ];
+}
+
+function toMatch(testCase, { match, hybridScore = null, vectorScore = null, foundIn = null }) {
+  return {
+    _id: testCase._id,
+    id: testCase.id,
+    title: testCase.title,
+    module: testCase.module || null,
+    priority: testCase.priority || null,
+    risk: testCase.risk || null,
+    type: testCase.type || null,
+    automationManual: testCase.automationManual || null,
+    match,
+    hybridScore,
+    vectorScore,
+    foundIn
+  };
+}
+
+/**
+ * Impact report for a set of stories
+ * @param {Array<Object>} stories - Parsed release stories
+ * @param {Object} deps - { search(text) => { results, cost, tokens }, findLinked(keys) => test cases }
+ * @param {Object} options - { perStoryLimit, minVectorScore, onStory({ index, total, key, affected }), signal }
+ * @returns {Promise<Object>} - { summary, stories, modules, uncoveredStories, regressionSuite, cost, tokens }
+ */
+export async function analyzeReleaseImpact(stories, { search, findLinked }, options = {}) {
+  const {
+    perStoryLimit = DEFAULT_IMPACT_OPTIONS.perStoryLimit,
+    minVectorScore = DEFAULT_IMPACT_OPTIONS.minVectorScore,
+    onStory = () => {},
+    signal
+  } = options;
+
+  const keys = stories.map(story => story.key).filter(Boolean);
+  const linked = keys.length > 0 ? await findLinked(keys) : [];
+
+  let cost = 0;
+  let tokens = 0;
+  const storyReports = [];
+
+  for (const [index, story] of stories.entries()) {
+    if (signal?.aborted) {
+      throw new Error('Impact analysis cancelled');
+    }
+
+    const { results, cost: searchCost = 0, tokens: searchTokens = 0 } = await search(buildStoryQuery(story));
+    cost += searchCost;
+    tokens += searchTokens;
+
+    const byId = new Map();
+    const storyLinked = linked.filter(testCase => linkedKeys(testCase).includes(String(story.key).toUpperCase()));
+    storyLinked.forEach(testCase => byId.set(String(testCase._id), toMatch(testCase, { match: 'linked' })));
+
+    const candidates = [];
+    results.forEach(result => {
+      const key = String(result._id);
+      const likely = result.foundIn === 'both' || (result.vectorScore || 0) >= minVectorScore;
+      const scores = { hybridScore: result.hybridScore, vectorScore: result.vectorScore || null, foundIn: result.foundIn };
+
+      if (byId.has(key)) {
+        Object.assign(byId.get(key), scores);
+      } else if (likely) {
+        byId.set(key, toMatch(result, { match: result.foundIn === 'both' ? 'both' : 'vector', ...scores }));
+      } else {
+        candidates.push(toMatch(result, { match: null, ...scores }));
+      }
+    });
+
+    // Linked test cases are always kept; retrieved ones fill up to perStoryLimit
+    const affected = [...byId.values()].slice(0, Math.max(perStoryLimit, storyLinked.length));
+    storyReports.push({
+      key: story.key,
+      summary: story.summary,
+      epic: story.epic || null,
+      impactArea: story.impactArea || null,
+      priority: story.priority?.name || story.priority || null,
+      risk: story.risk || null,
+      status: story.status?.name || story.status || null,
+      covered: affected.length > 0,
+      affected,
+      // Retrieved but below the likely-affected bar; worth a look when a story has no coverage
+      candidates: candidates.slice(0, Math.max(0, perStoryLimit - affected.length))
+    });
+
+    onStory({ index, total: stories.length, key: story.key, affected: affected.length });
+  }
+
+  return {
+    ...summarizeImpact(storyReports),
+    cost,
+    tokens
+  };
+}
+
+/**
+ * Modules touched, uncovered stories and the regression suite for per-story results
+ * Suite order: effective risk (higher of the test case's and its stories' risk), then test case
+ * priority, then how many stories hit it, then best retrieval score.
+ * @param {Array<Object>} storyReports - Per-story results from analyzeReleaseImpact
+ * @returns {Object} - { summary, stories, modules, uncoveredStories, regressionSuite }
+ */
+export function summarizeImpact(storyReports) {
+  const suite = new Map();
+  const modules = new Map();
+
+  storyReports.forEach(story => {
+    story.affected.forEach(testCase => {
+      const key = String(testCase._id);
+      if (!suite.has(key)) {
+        suite.set(key, { ...testCase, stories: [], bestScore: 0, effectiveRisk: testCase.risk });
+      }
+      const entry = suite.get(key);
+      entry.stories.push(story.key);
+      entry.bestScore = Math.max(entry.bestScore, testCase.match === 'linked' ? 1 : testCase.hybridScore || 0);
+      if (rank(RISK_RANK, story.risk) > rank(RISK_RANK, entry.effectiveRisk)) {
+        entry.effectiveRisk = story.risk;
+      }
+
+      const moduleName = testCase.module || 'Unassigned';
+      if (!modules.has(moduleName)) modules.set(moduleName, { module: moduleName, testCases: new Set(), stories: new Set() });
+      modules.get(moduleName).testCases.add(key);
+      modules.get(moduleName).stories.add(story.key);
+    });
+  });
+
+  const regressionSuite = [...suite.values()]
+    .sort((a, b) =>
+      rank(RISK_RANK, b.effectiveRisk) - rank(RISK_RANK, a.effectiveRisk) ||
+      rank(PRIORITY_RANK, b.priority) - rank(PRIORITY_RANK, a.priority) ||
+      b.stories.length - a.stories.length ||
+      b.bestScore - a.bestScore
+    )
+    .map(({ match, hybridScore, vectorScore, foundIn, ...testCase }, index) => ({ order: index + 1, ...testCase }));
+
+  const moduleList = [...modules.values()]
+    .map(m => ({ module: m.module, testCaseCount: m.testCases.size, stories: [...m.stories] }))
+    .sort((a, b) => b.testCaseCount - a.testCaseCount || a.module.localeCompare(b.module));
+
+  const uncoveredStories = storyReports
+    .filter(story => !story.covered)
+    .map(({ key, summary, priority, risk, impactArea }) => ({ key, summary, priority, risk, impactArea }));
+
+  return {
+    summary: {
+      stories: storyReports.length,
+      coveredStories: storyReports.length - uncoveredStories.length,
+      uncoveredStories: uncoveredStories.length,
+      affectedTestCases: regressionSuite.length,
+      modules: moduleList.length
+    },
+    stories: storyReports,
+    modules: moduleList,
+    uncoveredStories,
+    regressionSuite
+  };
+}
+
+export default {
+  RISK_RANK,
+  PRIORITY_RANK,
+  DEFAULT_IMPACT_OPTIONS,
+  IMPACT_PROJECTION,
+  buildStoryQuery,
+  buildLinkedTestCasesPipeline,
+  analyzeReleaseImpact,
+  summarizeImpact
+};
@@ -0,0 +1,282 @@
+/**
+ * Test Case Generation
+ * Prompt building and response schemas for the RAG test case generation pipeline
+ * (POST /api/generate/test-cases). Mirrors what the Prompt & Schema screen used to do in the browser.
+ */
+
+export const DEFAULT_PROMPT_TEMPLATE = `# HEALTHCARE TEST CASE GENERATION
+
+## INSTRUCTION
+Generate 6 high-quality test cases for the user story using retrieved test case context. Each must:
+- Include 5-8 detailed, numbered test steps
+- Define measurable expected results
+- Cover positive, negative, and edge cases
+- Reference source test cases
+
+## CONTEXT
+MongoDB database with 6,000+ healthcare test cases covering Patient Registration, Laboratory, Ward Management, Billing, Prescription, Diagnostics.
+Healthcare entities: UHID, PRN, ERN, OTP.
+
+## EXAMPLES
+Study the retrieved test cases below for format, terminology, and step structure.
+
+## PERSONA
+Senior QA Engineer with healthcare systems expertise (HIPAA, HMS, PHI/PII).
+
+## OUTPUT FORMAT
+Valid JSON with this schema:
+{
+  "analysis": {
+    "userStoryTitle": "string",
+    "userStoryModule": "string",
+    "existingCoverageCount": number,
+    "gapsIdentified": ["string"]
+  },
+  "newTestCases": [{
+    "testCaseId": "string",
+    "module": "string",
+    "testCaseTitle": "string",
+    "testCaseDescription": "string",
+    "preconditions": "string",
+    "testSteps": "string with \\r\\n separators",
+    "expectedResults": "string",
+    "priority": "P1|P2|P3",
+    "testType": "Integration|Functional",
+    "riskLevel": "Critical|High|Medium|Low",
+    "linkedUserStories": ["string"],
+    "sourceCitations": ["string"],
+    "complianceNotes": "string",
+    "estimatedExecutionTime": "string"
+  }],
+  "rationale": [{"testCaseId": "string", "reason": "string"}],
+  "recommendations": "string"
+}
+
+## TONE
+Professional, technical. Use precise healthcare terminology (UHID, PRN, ERN). Measurable language. Compliance awareness.`;
+
+export const PIPELINE_STEPS = [
+  'User Story Input',
+  'Query Preprocessing (Normalize → Abbreviations → Synonyms)',
+  'Hybrid Search (BM25 + Vector, weighted fusion)',
+  'RRF Re-Ranking (top 10 selected)',
+  'Deduplication',
+  'Summarization',
+  'Prompt Template + Context (ICEPOT framework)',
+  'LLM Generation',
+  'JSON Schema Validation (AJV) + Repair',
+  'Result Assembly'
+];
+
+/**
+ * Build the ICEPOT generation prompt from the user story and retrieved context
+ * @param {Object} params - { promptTemplate, userStory, summary, topResults, referenceCount, nextTestCaseId, reservedIds, testCaseCount, testCaseSchema }
+ *   testCaseSchema - optional JSON Schema each test case must follow (replaces the built-in test case format)
+ * @returns {string} - Full prompt
+ */
+export function buildGenerationPrompt({
+  promptTemplate = DEFAULT_PROMPT_TEMPLATE,
+  userStory,
+  summary,
+  topResults = [],
+  referenceCount = 5,
+  nextTestCaseId = 'TC_NEW_001',
+  reservedIds = [],
+  testCaseCount = 6,
+  testCaseSchema = null
+}) {
+  // Only the fields that matter for generation, to keep the prompt small
+  const essentialTestCases = topResults.slice(0, Math.min(referenceCount, topResults.length)).map(tc => ({
+    id: tc.id,
+    module: tc.module,
+    title: tc.title,
+    steps: tc.steps, // Most important field for generation
+    priority: tc.priority
+  }));
+
+  return `${promptTemplate}
+
+### USER STORY FOR TEST GENERATION:
+${userStory}
+
+### RAG SUMMARY (${topResults.length} similar test cases found):
+${summary}
+
+### REFERENCE TEST CASES (Top ${essentialTestCases.length} - Study the test steps format):
+${JSON.stringify(essentialTestCases, null, 2)}
+
+### REQUIREMENTS:
+1. ${reservedIds.length > 0 ? `Use exactly these IDs, in order: ${reservedIds.join(', ')}` : `Start IDs from ${nextTestCaseId}, continue sequentially`}
+2. ${testCaseSchema ? 'Every item of newTestCases must conform to the TEST CASE JSON SCHEMA below' : 'Format testSteps with \\r\\n: "1.Step\\r\\n2.Step\\r\\n..."'}
+3. Include 5-8 steps per test case
+4. Add linkedUserStories and sourceCitations arrays
+5. Generate ${testCaseCount} test cases covering various scenarios
+
+### OUTPUT JSON:
+{
+  "analysis": {
+    "userStoryTitle": "string",
+    "userStoryModule": "string",
+    "existingCoverageCount": ${topResults.length},
+    "gapsIdentified": ["string"]
+  },
+  "newTestCases": [${testCaseSchema ? `<test case conforming to the TEST CASE JSON SCHEMA, testCaseId "${nextTestCaseId}">` : `{
+    "testCaseId": "${nextTestCaseId}",
+    "module": "string",
+    "testCaseTitle": "string",
+    "testCaseDescription": "string",
+    "preconditions": "string",
+    "testSteps": "string with \\r\\n",
+    "expectedResults": "string",
+    "priority": "P1|P2|P3",
+    "testType": "Integration|Functional",
+    "riskLevel": "High|Medium|Low",
+    "linkedUserStories": ["string"],
+    "sourceCitations": ["string"],
+    "complianceNotes": "string",
+    "estimatedExecutionTime": "string"
+  }`}],
+  "rationale": [{"testCaseId": "string", "reason": "string"}],
+  "recommendations": "string"
+}${testCaseSchema ? `
+
+### TEST CASE JSON SCHEMA:
+${JSON.stringify(testCaseSchema, null, 2)}` : ''}`;
+}
+
+/**
+ * Force generated test cases onto the reserved ID block (the LLM does not always follow instructions)
+ * @param {Object} response - Parsed generation response
+ * @param {Array<string>} reservedIds - IDs reserved for this generation
+ * @returns {Array<string>} - Notes for every reassigned ID
+ */
+export function applyReservedIds(response, reservedIds = []) {
+  const notes = [];
+  if (!Array.isArray(response?.newTestCases) || reservedIds.length === 0) {
+    return notes;
+  }
+
+  response.newTestCases.forEach((tc, idx) => {
+    if (idx >= reservedIds.length) {
+      notes.push(`Test case ${idx + 1}: no reserved ID left, kept ${tc.testCaseId}`);
+      return;
+    }
+    if (tc.testCaseId !== reservedIds[idx]) {
+      const previousId = tc.testCaseId;
+      tc.testCaseId = reservedIds[idx];
+
+      // Keep rationale entries pointing at the right test case
+      (response.rationale || []).forEach(entry => {
+        if (previousId && entry.testCaseId === previousId) entry.testCaseId = reservedIds[idx];
+      });
+      notes.push(`Test case ${idx + 1}: ID ${previousId || '(missing)'} reassigned to ${reservedIds[idx]}`);
+    }
+  });
+
+  return notes;
+}
+
+// Shape of one generated test case (what the prompt asks for)
+export const DEFAULT_TEST_CASE_SCHEMA = {
+  type: 'object',
+  required: [
+    'testCaseId',
+    'module',
+    'testCaseTitle',
+    'testCaseDescription',
+    'testSteps',
+    'expectedResults',
+    'priority',
+    'linkedUserStories'
+  ],
+  properties: {
+    // Any prefix: reserved IDs (testCaseIdAllocator.js) are written in before validation
+    testCaseId: { type: 'string', minLength: 1 },
+    module: { type: 'string', minLength: 1 },
+    testCaseTitle: { type: 'string', minLength: 1 },
+    testCaseDescription: { type: 'string', minLength: 1 },
+    preconditions: { type: 'string' },
+    // RAG format is a \r\n separated string; arrays are accepted too
+    testSteps: {
+      anyOf: [
+        { type: 'string', minLength: 1 },
+        { type: 'array', items: { type: 'string' }, minItems: 5 }
+      ]
+    },
+    expectedResults: { type: 'string', minLength: 1 },
+    priority: { type: 'string', minLength: 1 },
+    testType: { type: 'string' },
+    riskLevel: { type: 'string' },
+    linkedUserStories: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    sourceCitations: { type: 'array', items: { type: 'string' } },
+    complianceNotes: { type: 'string' },
+    estimatedExecutionTime: { type: 'string' }
+  }
+};
+
+/**
+ * JSON Schema for the whole generation response, wrapping a test case schema
+ * @param {Object} testCaseSchema - Schema for one item of newTestCases
+ * @returns {Object}
+ */
+export function buildGenerationSchema(testCaseSchema = DEFAULT_TEST_CASE_SCHEMA) {
+  return {
+    type: 'object',
+    required: ['analysis', 'newTestCases', 'rationale'],
+    properties: {
+      analysis: {
+        type: 'object',
+        required: ['userStoryTitle'],
+        properties: {
+          userStoryTitle: { type: 'string', minLength: 1 },
+          userStoryModule: { type: 'string' },
+          existingCoverageCount: { type: 'number' },
+          gapsIdentified: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      newTestCases: { type: 'array', minItems: 1, items: testCaseSchema },
+      rationale: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            testCaseId: { type: 'string' },
+            reason: { type: 'string' }
+          }
+        }
+      },
+      recommendations: { type: 'string' }
+    }
+  };
+}
+
+/**
+ * Step count check for string testSteps (not expressible in JSON Schema)
+ * @param {Object} response - Parsed generation response
+ * @param {number} minSteps - Minimum number of steps
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+export function validateStepCounts(response, minSteps = 5) {
+  const errors = [];
+  if (!Array.isArray(response?.newTestCases)) return errors;
+
+  response.newTestCases.forEach((tc, idx) => {
+    if (typeof tc?.testSteps !== 'string') return;
+    const stepCount = tc.testSteps.split(/\\r\\n|\\n|\r\n|\n/).filter(s => s.trim()).length;
+    if (stepCount < minSteps) {
+      errors.push(`/newTestCases/${idx}/testSteps must have at least ${minSteps} steps (found ${stepCount})`);
+    }
+  });
+
+  return errors;
+}
+
+export default {
+  DEFAULT_PROMPT_TEMPLATE,
+  PIPELINE_STEPS,
+  buildGenerationPrompt,
+  DEFAULT_TEST_CASE_SCHEMA,
+  buildGenerationSchema,
+  applyReservedIds,
+  validateStepCounts
+};
@@ -0,0 +1,204 @@
+/**
+ * Test Case ID Allocator
+ * Hands out test case IDs (TC_001, TC_LAB_042, ...) without collisions between concurrent generations.
+ *
+ * Each prefix has a counter document in the counters collection ({ _id: 'testcase:<prefix>', seq }).
+ * The counter is seeded from the highest ID already in the test case collection, then blocks are
+ * reserved with a single atomic $inc, so two requests can never receive the same number.
+ *
+ * Configuration (environment):
+ *   COUNTERS_COLLECTION_NAME - counters collection (default: counters)
+ */
+
+const DEFAULT_PREFIX = 'TC_';
+const DEFAULT_PAD_WIDTH = 3;
+const MAX_BLOCK_SIZE = 500;
+
+function allocatorError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function counterKey(prefix) {
+  return `testcase:${prefix}`;
+}
+
+function getCountersCollection(db) {
+  return db.collection(process.env.COUNTERS_COLLECTION_NAME || 'counters');
+}
+
+/**
+ * Format a numeric ID with its prefix, e.g. (TC_, 7, 3) -> TC_007
+ * @param {string} prefix - ID prefix
+ * @param {number} number - Sequence number
+ * @param {number} padWidth - Minimum digit count
+ * @returns {string}
+ */
+export function formatTestCaseId(prefix, number, padWidth = DEFAULT_PAD_WIDTH) {
+  return `${prefix}${String(number).padStart(padWidth, '0')}`;
+}
+
+/**
+ * Split an ID into prefix and number, e.g. TC_LAB_042 -> { prefix: 'TC_LAB_', number: 42, width: 3 }
+ * @param {string} id - Test case ID
+ * @returns {Object|null}
+ */
+export function parseTestCaseId(id) {
+  const match = typeof id === 'string' ? id.match(/^(.*?)(\d+)$/) : null;
+  if (!match) return null;
+  return { prefix: match[1], number: parseInt(match[2], 10), width: match[2].length };
+}
+
+/**
+ * Find the ID prefix a module already uses (its most common prefix), falling back to TC_
+ * @param {Collection} collection - Test case collection
+ * @param {string} module - Module name
+ * @returns {Promise<string>}
+ */
+export async function resolveModulePrefix(collection, module) {
+  if (!module) return DEFAULT_PREFIX;
+
+  const docs = await collection.find({ module }, { projection: { id: 1 } }).toArray();
+  const prefixCounts = new Map();
+  docs.forEach(doc => {
+    const parsed = parseTestCaseId(doc.id);
+    if (parsed && parsed.prefix) {
+      prefixCounts.set(parsed.prefix, (prefixCounts.get(parsed.prefix) || 0) + 1);
+    }
+  });
+
+  if (prefixCounts.size === 0) return DEFAULT_PREFIX;
+  return [...prefixCounts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Scan the test case collection for the highest ID under a prefix
+ * @param {Collection} collection - Test case collection
+ * @param {string} prefix - ID prefix
+ * @returns {Promise<Object>} - { highest, latestId, padWidth, count }
+ */
+export async function scanHighestId(collection, prefix = DEFAULT_PREFIX) {
+  const docs = await collection
+    .find({ id: { $regex: `^${escapeRegex(prefix)}\\d+$` } }, { projection: { id: 1 } })
+    .toArray();
+
+  let highest = 0;
+  let latestId = null;
+  let padWidth = DEFAULT_PAD_WIDTH;
+
+  // Numeric comparison: TC_1000 sorts before TC_999 as a string
+  docs.forEach(doc => {
+    const parsed = parseTestCaseId(doc.id);
+    if (!parsed) return;
+    padWidth = Math.max(padWidth, parsed.width);
+    if (parsed.number > highest) {
+      highest = parsed.number;
+      latestId = doc.id;
+    }
+  });
+
+  return { highest, latestId, padWidth, count: docs.length };
+}
+
+/**
+ * Raise the prefix counter to at least the highest existing ID (atomic $max upsert)
+ * @param {Db} db - Database handle
+ * @param {string} prefix - ID prefix
+ * @param {number} highest - Highest number found in the collection
+ * @returns {Promise<number>} - Current counter value
+ */
+async function seedCounter(db, prefix, highest) {
+  const counter = await getCountersCollection(db).findOneAndUpdate(
+    { _id: counterKey(prefix) },
+    {
+      $max: { seq: highest },
+      $setOnInsert: { prefix, createdAt: new Date() }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return counter?.seq ?? highest;
+}
+
+/**
+ * Look at the next free ID without reserving it
+ * @param {Db} db - Database handle
+ * @param {Object} options - { collectionName, prefix, module }
+ * @returns {Promise<Object>} - { prefix, latestId, latestNumber, nextId, nextTestCaseId, existingCount }
+ */
+export async function peekNextTestCaseId(db, options = {}) {
+  const collection = db.collection(options.collectionName || process.env.COLLECTION_NAME);
+  const prefix = options.prefix || await resolveModulePrefix(collection, options.module);
+
+  const scan = await scanHighestId(collection, prefix);
+  const counter = await getCountersCollection(db).findOne({ _id: counterKey(prefix) });
+  const latestNumber = Math.max(scan.highest, counter?.seq || 0);
+  const padWidth = counter?.padWidth || scan.padWidth;
+
+  return {
+    prefix,
+    latestId: latestNumber > 0 ? formatTestCaseId(prefix, latestNumber, padWidth) : null,
+    latestNumber,
+    nextId: latestNumber + 1,
+    nextTestCaseId: formatTestCaseId(prefix, latestNumber + 1, padWidth),
+    existingCount: scan.count
+  };
+}
+
+/**
+ * Atomically reserve a block of consecutive IDs
+ * @param {Db} db - Database handle
+ * @param {Object} options - { collectionName, prefix, module, count, reservedBy }
+ * @returns {Promise<Object>} - { prefix, ids, start, end, nextTestCaseId }
+ * @throws {Error} - status 400 when count is outside 1..MAX_BLOCK_SIZE
+ */
+export async function reserveTestCaseIds(db, options = {}) {
+  const count = parseInt(options.count, 10) || 1;
+  if (count < 1 || count > MAX_BLOCK_SIZE) {
+    throw allocatorError(`count must be between 1 and ${MAX_BLOCK_SIZE}`);
+  }
+
+  const collection = db.collection(options.collectionName || process.env.COLLECTION_NAME);
+  const prefix = options.prefix || await resolveModulePrefix(collection, options.module);
+
+  const scan = await scanHighestId(collection, prefix);
+  await seedCounter(db, prefix, scan.highest);
+
+  const counter = await getCountersCollection(db).findOneAndUpdate(
+    { _id: counterKey(prefix) },
+    {
+      $inc: { seq: count },
+      $max: { padWidth: scan.padWidth },
+      $set: { updatedAt: new Date(), lastReservedBy: options.reservedBy || null }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  const end = counter.seq;
+  const start = end - count + 1;
+  const padWidth = counter.padWidth || scan.padWidth;
+  const ids = Array.from({ length: count }, (_, i) => formatTestCaseId(prefix, start + i, padWidth));
+
+  console.log(`🔢 Reserved ${count} test case ID(s) for ${prefix}: ${ids[0]} → ${ids[ids.length - 1]}`);
+
+  return {
+    prefix,
+    ids,
+    start,
+    end,
+    nextTestCaseId: ids[0]
+  };
+}
+
+export default {
+  formatTestCaseId,
+  parseTestCaseId,
+  resolveModulePrefix,
+  scanHighestId,
+  peekNextTestCaseId,
+  reserveTestCaseIds
+};
@@ -0,0 +1,177 @@
+/**
+ * Test Case Persistence
+ * Stores reviewed/accepted generated test cases in the test case collection.
+ * Maps the generator's field names onto the stored schema (the one excel-to-json produces),
+ * embeds each case with the same text and content hash as the test case sync (testCaseSync.js),
+ * so a later re-ingest sees it as unchanged, and records where it came from.
+ */
+
+import crypto from 'crypto';
+import { embedBatch } from '../providers/embeddingProvider.js';
+import { buildEmbeddingInput, hashEmbeddingContent } from '../ingestion/testCaseSync.js';
+
+// Generator field → stored field
+export const GENERATED_FIELD_MAP = {
+  testCaseId: 'id',
+  module: 'module',
+  testCaseTitle: 'title',
+  testCaseDescription: 'description',
+  preconditions: 'preRequisites',
+  testSteps: 'steps',
+  expectedResults: 'expectedResults',
+  priority: 'priority',
+  riskLevel: 'risk',
+  testType: 'type',
+  linkedUserStories: 'linkedStories'
+};
+
+const REQUIRED_FIELDS = ['id', 'title', 'steps'];
+
+/**
+ * Short, stable version tag for a prompt template (first 12 hex chars of its SHA-256)
+ * @param {string} promptTemplate - Prompt template text
+ * @returns {string}
+ */
+export function hashPromptTemplate(promptTemplate = '') {
+  return crypto.createHash('sha256').update(promptTemplate).digest('hex').substring(0, 12);
+}
+
+// Steps are stored as one CRLF-separated string, like the Excel imports
+function normalizeSteps(steps) {
+  if (Array.isArray(steps)) {
+    return steps.map(step => String(step).trim()).filter(Boolean).join('\r\n');
+  }
+  return typeof steps === 'string' ? steps.replace(/\\r\\n|\\n/g, '\r\n').trim() : '';
+}
+
+function normalizeLinkedStories(linked) {
+  if (Array.isArray(linked)) return linked.map(s => String(s).trim()).filter(Boolean);
+  if (typeof linked === 'string') return linked.split(',').map(s => s.trim()).filter(Boolean);
+  return [];
+}
+
+/**
+ * Map one generated test case onto the stored schema and attach provenance
+ * Fields that are already in stored form (id, title, steps, ...) are accepted as-is so edited
+ * cases can come back in either shape.
+ * @param {Object} testCase - Generated test case
+ * @param {Object} provenance - { userStory, promptVersion, model, provider, generatedAt, acceptedBy }
+ * @returns {Object} - Document ready for embedding/insert
+ */
+export function mapGeneratedTestCase(testCase, provenance = {}) {
+  const doc = {};
+
+  Object.entries(GENERATED_FIELD_MAP).forEach(([generatedField, storedField]) => {
+    const value = testCase[generatedField] ?? testCase[storedField];
+    if (value !== undefined && value !== null && value !== '') {
+      doc[storedField] = value;
+    }
+  });
+
+  doc.steps = normalizeSteps(doc.steps);
+  doc.linkedStories = normalizeLinkedStories(doc.linkedStories);
+  if (typeof doc.id === 'string') doc.id = doc.id.trim();
+
+  const now = new Date();
+
+  return {
+    ...doc,
+    automationManual: testCase.automationManual || 'Manual',
+    createdBy: provenance.acceptedBy || 'AI Generator',
+    createdDate: now.toISOString().split('T')[0],
+    lastModifiedDate: now.toISOString().split('T')[0],
+    version: testCase.version || '1.0',
+    sourceFile: 'generated',
+    createdAt: now,
+    provenance: {
+      source: 'llm-rag-generation',
+      sourceUserStory: provenance.userStory || null,
+      promptVersion: provenance.promptVersion || null,
+      model: provenance.model || null,
+      provider: provenance.provider || null,
+      generatedAt: provenance.generatedAt ? new Date(provenance.generatedAt) : null,
+      acceptedAt: now,
+      acceptedBy: provenance.acceptedBy || null,
+      sourceCitations: testCase.sourceCitations || [],
+      complianceNotes: testCase.complianceNotes || null,
+      estimatedExecutionTime: testCase.estimatedExecutionTime || null
+    }
+  };
+}
+
+/**
+ * Map, embed and insert accepted test cases
+ * Cases missing required fields, duplicated within the batch or whose ID already exists are skipped.
+ * @param {Collection} collection - Test case collection
+ * @param {Array} testCases - Accepted generated test cases
+ * @param {Object} provenance - { userStory, promptVersion, model, provider, generatedAt, acceptedBy }
+ * @returns {Promise<Object>} - { inserted, skipped, cost, tokens, embeddingModel }
+ */
+export async function persistGeneratedTestCases(collection, testCases, provenance = {}) {
+  const skipped = [];
+  const candidates = [];
+  const seenIds = new Set();
+
+  testCases.forEach((testCase, index) => {
+    const doc = mapGeneratedTestCase(testCase, provenance);
+    const missing = REQUIRED_FIELDS.filter(field => !doc[field]);
+
+    if (missing.length > 0) {
+      skipped.push({ index, id: doc.id || null, reason: `Missing required field(s): ${missing.join(', ')}` });
+    } else if (seenIds.has(doc.id)) {
+      skipped.push({ index, id: doc.id, reason: 'Duplicate ID in request' });
+    } else {
+      seenIds.add(doc.id);
+      candidates.push({ index, doc });
+    }
+  });
+
+  // Never overwrite an existing test case
+  if (candidates.length > 0) {
+    const existing = await collection
+      .find({ id: { $in: candidates.map(c => c.doc.id) } }, { projection: { id: 1 } })
+      .toArray();
+    const existingIds = new Set(existing.map(doc => doc.id));
+
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      if (existingIds.has(candidates[i].doc.id)) {
+        skipped.push({ index: candidates[i].index, id: candidates[i].doc.id, reason: 'ID already exists in the collection' });
+        candidates.splice(i, 1);
+      }
+    }
+  }
+
+  if (candidates.length === 0) {
+    return { inserted: [], skipped, cost: 0, tokens: 0, embeddingModel: null };
+  }
+
+  const embedding = await embedBatch(candidates.map(c => buildEmbeddingInput(c.doc)));
+  const docs = candidates.map((c, i) => ({
+    ...c.doc,
+    embedding: embedding.vectors[i],
+    contentHash: hashEmbeddingContent(c.doc),
+    embeddingMetadata: {
+      model: embedding.model,
+      cost: embedding.cost / candidates.length,
+      tokens: Math.round(embedding.tokens / candidates.length),
+      apiSource: embedding.provider
+    }
+  }));
+
+  const result = await collection.insertMany(docs);
+
+  return {
+    inserted: docs.map((doc, i) => ({ id: doc.id, _id: result.insertedIds[i], title: doc.title })),
+    skipped: skipped.sort((a, b) => a.index - b.index),
+    cost: embedding.cost,
+    tokens: embedding.tokens,
+    embeddingModel: embedding.model
+  };
+}
+
+export default {
+  GENERATED_FIELD_MAP,
+  hashPromptTemplate,
+  mapGeneratedTestCase,
+  persistGeneratedTestCases
+};
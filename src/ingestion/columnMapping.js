@@ -0,0 +1,236 @@
+/**
+ * Column Mapping
+ * Target fields and header alias tables for spreadsheet imports, and a matcher that proposes
+ * a header → field mapping for an unknown layout.
+ *
+ * A column map is a plain object { "<spreadsheet header>": "<field>" }. Several headers may map to
+ * the same field; the first one with a value wins (see mapRow in excelToJson.js).
+ */
+
+// Target fields per entity; required fields are flagged in proposals when nothing maps to them
+export const ENTITY_FIELDS = {
+  testcase: [
+    { field: 'module', label: 'Module' },
+    { field: 'id', label: 'Test Case ID', required: true },
+    { field: 'preRequisites', label: 'Pre-Requisites' },
+    { field: 'title', label: 'Title', required: true },
+    { field: 'description', label: 'Description' },
+    { field: 'steps', label: 'Steps' },
+    { field: 'expectedResults', label: 'Expected Results' },
+    { field: 'automationManual', label: 'Automation/Manual' },
+    { field: 'priority', label: 'Priority' },
+    { field: 'createdBy', label: 'Created By' },
+    { field: 'createdDate', label: 'Created Date' },
+    { field: 'lastModifiedDate', label: 'Last Modified Date' },
+    { field: 'risk', label: 'Risk' },
+    { field: 'version', label: 'Version' },
+    { field: 'type', label: 'Type' },
+    { field: 'linkedStories', label: 'Linked Stories' }
+  ],
+  userstory: [
+    { field: 'key', label: 'Story Key', required: true },
+    { field: 'summary', label: 'Summary', required: true },
+    { field: 'description', label: 'Description' },
+    { field: 'status', label: 'Status' },
+    { field: 'priority', label: 'Priority' },
+    { field: 'assignee', label: 'Assignee' },
+    { field: 'reporter', label: 'Reporter' },
+    { field: 'created', label: 'Created' },
+    { field: 'updated', label: 'Updated' },
+    { field: 'project', label: 'Project' },
+    { field: 'epic', label: 'Epic' },
+    { field: 'storyPoints', label: 'Story Points' },
+    { field: 'components', label: 'Components' },
+    { field: 'labels', label: 'Labels' },
+    { field: 'fixVersions', label: 'Fix Versions' },
+    { field: 'acceptanceCriteria', label: 'Acceptance Criteria' },
+    { field: 'businessValue', label: 'Business Value' },
+    { field: 'risk', label: 'Risk' },
+    { field: 'dependencies', label: 'Dependencies' },
+    { field: 'notes', label: 'Notes' },
+    { field: 'sprint', label: 'Sprint' },
+    { field: 'team', label: 'Team' }
+  ]
+};
+
+// Field → known spreadsheet headers (camelCase exports first, then the older capitalized layouts)
+export const FIELD_ALIASES = {
+  testcase: {
+    module: ['module', 'Module'],
+    id: ['testCaseId', 'Test ID', 'Test Case ID', 'TC ID'],
+    preRequisites: ['preRequisites', 'Pre-Requisites', 'Preconditions'],
+    title: ['title', 'Test Title', 'Test Case Title'],
+    description: ['description', 'Test Case Description'],
+    steps: ['steps', 'Test Steps'],
+    expectedResults: ['expectedResults', 'Expected Results', 'Expected Result'],
+    automationManual: ['automationManual', 'Automation/Manual'],
+    priority: ['priority', 'Priority'],
+    createdBy: ['createdBy', 'Created By'],
+    createdDate: ['createdDate', 'Created Date'],
+    lastModifiedDate: ['lastModifiedDate', 'Last modified date'],
+    risk: ['risk', 'Risk'],
+    version: ['version', 'Version'],
+    type: ['type', 'Type'],
+    linkedStories: ['linkedStories', 'Linked Stories']
+  },
+  userstory: {
+    key: ['storyId', 'Story Key', 'Story ID', 'ID', 'Key', 'Issue Key'],
+    summary: ['summary', 'Summary', 'Title', 'Story Title', 'User Story', 'Story Summary'],
+    description: ['description', 'Description', 'Story Description', 'Details', 'User Story Description'],
+    status: ['statusCategory', 'Status', 'Story Status', 'Issue Status'],
+    priority: ['priority', 'Priority', 'Story Priority', 'Issue Priority'],
+    assignee: ['assignee', 'Assignee', 'Assigned To'],
+    reporter: ['reporter', 'Reporter', 'Created By'],
+    created: ['createdDate', 'Created', 'Created Date', 'Creation Date'],
+    updated: ['updatedDate', 'Updated', 'Updated Date', 'Last Modified', 'Last Modified Date'],
+    project: ['projectName', 'Project', 'Project Key', 'Project Name'],
+    epic: ['parentSummary', 'Epic', 'Epic Link', 'Epic Name'],
+    storyPoints: ['storyPoints', 'Story Points', 'Points', 'Estimate', 'Effort', 'Story Point Estimate'],
+    components: ['components', 'Components', 'Component'],
+    labels: ['labels', 'Labels', 'Tags'],
+    fixVersions: ['fixVersions', 'Fix Version', 'Fix Versions', 'Target Version', 'Release', 'Version'],
+    acceptanceCriteria: ['acceptanceCriteria', 'Acceptance Criteria', 'AC', 'Definition of Done', 'Acceptance'],
+    businessValue: ['businessValue', 'Business Value'],
+    risk: ['risk', 'Risk'],
+    dependencies: ['dependencies', 'Dependencies'],
+    notes: ['notes', 'Notes', 'Comments', 'Remarks'],
+    sprint: ['Sprint', 'Current Sprint', 'Sprint Name'],
+    team: ['Team', 'Squad', 'Development Team']
+  }
+};
+
+export const ENTITIES = Object.keys(ENTITY_FIELDS);
+
+/**
+ * Flatten an alias table into a column map
+ * @param {Object} aliases - { field: [headers] }
+ * @returns {Object} - { header: field }
+ */
+export function buildColumnMap(aliases) {
+  const columnMap = {};
+  Object.entries(aliases).forEach(([field, headers]) => {
+    headers.forEach(header => { columnMap[header] = field; });
+  });
+  return columnMap;
+}
+
+export const TEST_CASE_COLUMN_MAP = buildColumnMap(FIELD_ALIASES.testcase);
+export const USER_STORY_COLUMN_MAP = buildColumnMap(FIELD_ALIASES.userstory);
+
+/**
+ * Field names for an entity
+ * @param {string} entity - testcase | userstory
+ * @returns {Array<string>}
+ */
+export function getEntityFieldNames(entity) {
+  const fields = ENTITY_FIELDS[entity];
+  if (!fields) {
+    throw new Error(`Unknown entity "${entity}". Expected one of: ${ENTITIES.join(', ')}`);
+  }
+  return fields.map(f => f.field);
+}
+
+// "Test Case ID" / "test_case_id" / "testCaseId" all compare as "testcaseid"
+export function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Propose a header → field mapping for a sheet
+ * Headers are matched in rounds, strongest first, and each field is used at most once:
+ *   profile    - the header is in the given column map (e.g. a saved profile)
+ *   alias      - the header is a known alias of the field
+ *   normalized - equal to a field name or alias ignoring case, spaces and punctuation
+ *   partial    - contains a field name or alias (4+ characters), e.g. "Detailed Test Steps"
+ * @param {Array<string>} headers - Sheet headers
+ * @param {string} entity - testcase | userstory
+ * @param {Object} options - { columnMap } to prefer (a saved profile)
+ * @returns {Object} - { columns: { header: field|null }, matches: [{ header, field, match }], unmappedHeaders, missingRequired }
+ */
+export function proposeMapping(headers, entity = 'testcase', { columnMap = null } = {}) {
+  const fieldNames = getEntityFieldNames(entity);
+  const aliases = FIELD_ALIASES[entity];
+
+  const candidates = fieldNames.map(field => ({
+    field,
+    exact: new Set(aliases[field] || []),
+    normalized: new Set([field, ...(aliases[field] || [])].map(normalizeHeader))
+  }));
+
+  const rounds = [
+    ['profile', (header) => (columnMap && fieldNames.includes(columnMap[header]) ? columnMap[header] : null)],
+    ['alias', (header) => candidates.find(c => c.exact.has(header))?.field],
+    ['normalized', (header) => candidates.find(c => c.normalized.has(normalizeHeader(header)))?.field],
+    ['partial', (header) => {
+      const normalized = normalizeHeader(header);
+      return candidates.find(c => [...c.normalized].some(n => n.length >= 4 && normalized.includes(n)))?.field;
+    }]
+  ];
+
+  const assigned = new Map(); // header -> { field, match }
+  const usedFields = new Set();
+
+  rounds.forEach(([match, findField]) => {
+    headers.forEach(header => {
+      if (assigned.has(header)) return;
+      const field = findField(header);
+      if (field && !usedFields.has(field)) {
+        assigned.set(header, { field, match });
+        usedFields.add(field);
+      }
+    });
+  });
+
+  const columns = {};
+  const matches = headers.map(header => {
+    const entry = assigned.get(header);
+    columns[header] = entry ? entry.field : null;
+    return { header, field: entry ? entry.field : null, match: entry ? entry.match : null };
+  });
+
+  return {
+    columns,
+    matches,
+    unmappedHeaders: headers.filter(header => !assigned.has(header)),
+    missingRequired: ENTITY_FIELDS[entity].filter(f => f.required && !usedFields.has(f.field)).map(f => f.field)
+  };
+}
+
+/**
+ * Guess whether a sheet holds test cases or user stories from its headers
+ * The entity whose required fields are all covered wins; otherwise the one with more confident matches.
+ * @param {Array<string>} headers - Sheet headers
+ * @param {Object} options - { columnMaps: { entity: columnMap } } to prefer (saved profiles)
+ * @returns {Object} - { entity, proposals: { entity: proposeMapping result } }
+ */
+export function suggestEntity(headers, { columnMaps = {} } = {}) {
+  const proposals = {};
+  ENTITIES.forEach(entity => {
+    proposals[entity] = proposeMapping(headers, entity, { columnMap: columnMaps[entity] || null });
+  });
+
+  const score = (entity) => {
+    const proposal = proposals[entity];
+    const confident = proposal.matches.filter(m => m.match && m.match !== 'partial').length;
+    return (proposal.missingRequired.length === 0 ? 1000 : 0) + confident;
+  };
+
+  const entity = headers.length === 0
+    ? null
+    : ENTITIES.reduce((best, candidate) => (score(candidate) > score(best) ? candidate : best), ENTITIES[0]);
+
+  return { entity, proposals };
+}
+
+export default {
+  ENTITIES,
+  ENTITY_FIELDS,
+  FIELD_ALIASES,
+  TEST_CASE_COLUMN_MAP,
+  USER_STORY_COLUMN_MAP,
+  buildColumnMap,
+  getEntityFieldNames,
+  normalizeHeader,
+  proposeMapping,
+  suggestEntity
+};
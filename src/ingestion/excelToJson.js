@@ -0,0 +1,285 @@
+/**
+ * Excel → JSON conversion
+ * Reads worksheets (xlsx, xls or csv) and maps their columns onto test case or user story fields,
+ * in-process. One upload can convert several sheets, each as its own entity.
+ * The column map comes from a mapping profile or the user's confirmed mapping (see columnMapping.js).
+ * Used by POST /api/upload-excel and src/scripts/data-conversion/excel-to-json.js.
+ *
+ * Progress is reported through onProgress({ stage, processed, total, message }) with
+ * stage one of: read | map | write | done.
+ */
+
+import xlsx from 'xlsx';
+import fs from 'fs';
+import { TEST_CASE_COLUMN_MAP, USER_STORY_COLUMN_MAP, getEntityFieldNames } from './columnMapping.js';
+import { transformToUserStoryFormat, UNTITLED_STORY } from './userStoryFormat.js';
+
+export { TEST_CASE_COLUMN_MAP };
+
+export const DEFAULT_SHEET_NAME = 'Testcases';
+
+/**
+ * Find a worksheet by name (exact match first, then case-insensitive)
+ * @param {Object} workbook - xlsx workbook
+ * @param {string} sheetName - Requested sheet name
+ * @returns {string|null} - Actual sheet name, or null when the workbook has no such sheet
+ */
+export function resolveSheetName(workbook, sheetName) {
+  if (workbook.Sheets[sheetName]) return sheetName;
+  const wanted = String(sheetName || '').trim().toLowerCase();
+  return workbook.SheetNames.find(name => name.toLowerCase() === wanted) || null;
+}
+
+function readWorkbook(input) {
+  return Buffer.isBuffer(input)
+    ? xlsx.read(input, { type: 'buffer' })
+    : xlsx.readFile(input);
+}
+
+/**
+ * Headers, row count and a few sample rows of every sheet (for proposing a column mapping)
+ * @param {string|Buffer} input - Workbook path or file contents
+ * @param {Object} options - { sampleRows }
+ * @returns {Array<Object>} - [{ sheetName, headers, rowCount, sample }]
+ */
+export function readWorkbookHeaders(input, { sampleRows = 3 } = {}) {
+  const workbook = readWorkbook(input);
+
+  return workbook.SheetNames.map(sheetName => {
+    const sheet = workbook.Sheets[sheetName];
+    const [headerRow = []] = xlsx.utils.sheet_to_json(sheet, { header: 1, defval: '', range: 0 });
+    const rows = xlsx.utils.sheet_to_json(sheet, { defval: '' });
+
+    return {
+      sheetName,
+      headers: headerRow.map(header => String(header)).filter(header => header.trim() !== ''),
+      rowCount: rows.length,
+      sample: rows.slice(0, sampleRows)
+    };
+  });
+}
+
+/**
+ * Map one spreadsheet row onto entity fields
+ * @param {Object} row - Row keyed by column header
+ * @param {Object} columnMap - Header → field
+ * @param {Array<string>} fields - Fields every record gets (empty string when unmapped)
+ * @returns {Object}
+ */
+export function mapRow(row, columnMap = TEST_CASE_COLUMN_MAP, fields = getEntityFieldNames('testcase')) {
+  const mappedRow = {};
+  fields.forEach(field => { mappedRow[field] = ''; });
+  for (const [excelCol, jsonKey] of Object.entries(columnMap)) {
+    // A header that is present and non-empty wins over an alias mapped to the same field
+    if (Object.prototype.hasOwnProperty.call(row, excelCol) && row[excelCol] !== '') {
+      mappedRow[jsonKey] = row[excelCol];
+    } else if (!mappedRow[jsonKey]) {
+      mappedRow[jsonKey] = '';
+    }
+  }
+  return mappedRow;
+}
+
+// Test case rows keep the flat stored shape; blank rows are skipped
+function convertTestCaseRows(rawData, { columnMap, fields, onProgress }) {
+  const records = [];
+  const mappedRows = [];
+  const issues = [];
+  let skipped = 0;
+
+  rawData.forEach((row, index) => {
+    const excelRow = index + 2;
+    if (isBlankRow(row)) {
+      skipped++;
+      return;
+    }
+
+    const record = mapRow(row, columnMap, fields);
+    if (!record.id) {
+      issues.push({ row: excelRow, id: null, error: 'Row has no test case ID' });
+    }
+    records.push(record);
+    mappedRows.push({ row: excelRow, values: record });
+
+    if ((index + 1) % 100 === 0) {
+      onProgress({ stage: 'map', processed: index + 1, total: rawData.length });
+    }
+  });
+
+  return { records, mappedRows, issues, skipped };
+}
+
+// User story rows become the Jira-like structure; rows without a summary are dropped
+function convertUserStoryRows(rawData, { columnMap, fields, onProgress }) {
+  const records = [];
+  const mappedRows = [];
+  const issues = [];
+  let skipped = 0;
+
+  rawData.forEach((row, index) => {
+    const excelRow = index + 2;
+    if (isBlankRow(row)) {
+      skipped++;
+      return;
+    }
+    mappedRows.push({ row: excelRow, values: mapRow(row, columnMap, fields) });
+
+    const story = transformToUserStoryFormat(row, index, columnMap);
+    if (!story.summary || story.summary === UNTITLED_STORY || String(story.summary).trim() === '') {
+      skipped++;
+      issues.push({ row: excelRow, id: story.key, error: 'Row has no summary; skipped' });
+      return;
+    }
+    if (!Object.entries(columnMap).some(([header, field]) => field === 'key' && row[header])) {
+      issues.push({ row: excelRow, id: story.key, error: `Row has no story key; generated ${story.key}` });
+    }
+    records.push(story);
+
+    if ((index + 1) % 100 === 0) {
+      onProgress({ stage: 'map', processed: index + 1, total: rawData.length });
+    }
+  });
+
+  return { records, mappedRows, issues, skipped };
+}
+
+function isBlankRow(row) {
+  return Object.values(row).every(value => String(value).trim() === '');
+}
+
+function sheetNotFound(workbook, sheetName) {
+  const error = new Error(`Sheet "${sheetName}" not found. Available sheets: ${workbook.SheetNames.join(', ')}`);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Convert one sheet of a loaded workbook
+ * @param {Object} workbook - xlsx workbook
+ * @param {Object} options - { sheetName, entity, columnMap, onProgress }
+ * @returns {Object} - { entity, records, mappedRows, sheetName, rowCount, skipped, issues, unmappedColumns }
+ *   mappedRows: [{ row, values }] field values of every non-blank row, for importValidation.js
+ */
+export function convertSheet(workbook, options = {}) {
+  const {
+    sheetName = DEFAULT_SHEET_NAME,
+    entity = 'testcase',
+    onProgress = () => {}
+  } = options;
+  const columnMap = options.columnMap || (entity === 'userstory' ? USER_STORY_COLUMN_MAP : TEST_CASE_COLUMN_MAP);
+  const fields = options.fields || getEntityFieldNames(entity);
+
+  const resolvedSheet = resolveSheetName(workbook, sheetName);
+  if (!resolvedSheet) {
+    throw sheetNotFound(workbook, sheetName);
+  }
+
+  const rawData = xlsx.utils.sheet_to_json(workbook.Sheets[resolvedSheet], { defval: '' });
+  const headers = rawData.length > 0 ? Object.keys(rawData[0]) : [];
+  const unmappedColumns = headers.filter(header => !columnMap[header]);
+
+  const converted = entity === 'userstory'
+    ? convertUserStoryRows(rawData, { columnMap, fields, onProgress })
+    : convertTestCaseRows(rawData, { columnMap, fields, onProgress });
+
+  onProgress({ stage: 'map', sheetName: resolvedSheet, processed: rawData.length, total: rawData.length, message: `Mapped ${converted.records.length} rows` });
+
+  return {
+    entity,
+    ...converted,
+    sheetName: resolvedSheet,
+    rowCount: rawData.length,
+    unmappedColumns
+  };
+}
+
+/**
+ * Convert a worksheet into records
+ * @param {string|Buffer} input - Workbook path or file contents
+ * @param {Object} options - { sheetName, entity, columnMap, fields, onProgress }
+ * @returns {Object} - { entity, records, sheetName, sheetNames, rowCount, skipped, issues, unmappedColumns }
+ *   issues: [{ row, id, error }] per spreadsheet row (row is the 1-based Excel row, header = 1)
+ */
+export function convertWorkbook(input, options = {}) {
+  const { onProgress = () => {} } = options;
+
+  onProgress({ stage: 'read', processed: 0, total: 0, message: 'Reading workbook' });
+  const workbook = readWorkbook(input);
+
+  return { ...convertSheet(workbook, options), sheetNames: workbook.SheetNames };
+}
+
+/**
+ * Convert a worksheet and write the records to a JSON file
+ * @param {string|Buffer} input - Workbook path or file contents
+ * @param {string} outputFile - Destination JSON path
+ * @param {Object} options - { sheetName, entity, columnMap, fields, onProgress }
+ * @returns {Object} - convertWorkbook result plus { outputFile }
+ */
+export function convertWorkbookToFile(input, outputFile, options = {}) {
+  const { onProgress = () => {} } = options;
+  const result = convertWorkbook(input, options);
+
+  onProgress({ stage: 'write', processed: result.records.length, total: result.records.length, message: `Writing ${outputFile}` });
+  fs.writeFileSync(outputFile, JSON.stringify(result.records, null, 2), 'utf-8');
+  onProgress({ stage: 'done', processed: result.records.length, total: result.records.length });
+
+  return { ...result, outputFile };
+}
+
+/**
+ * Convert several sheets of one workbook, each as its own entity, without writing anything
+ * @param {string|Buffer} input - Workbook path or file contents
+ * @param {Array<Object>} sheets - [{ sheetName, entity, columnMap }]
+ * @param {Object} options - { onProgress }
+ * @returns {Object} - { sheetNames, results: [convertSheet result] }
+ */
+export function convertWorkbookSheets(input, sheets, options = {}) {
+  const { onProgress = () => {} } = options;
+
+  onProgress({ stage: 'read', processed: 0, total: sheets.length, message: 'Reading workbook' });
+  const workbook = readWorkbook(input);
+
+  // Fail before converting anything when a sheet is missing
+  sheets.forEach(sheet => {
+    if (!resolveSheetName(workbook, sheet.sheetName)) throw sheetNotFound(workbook, sheet.sheetName);
+  });
+
+  const results = sheets.map(sheet => convertSheet(workbook, { ...sheet, onProgress }));
+  return { sheetNames: workbook.SheetNames, results };
+}
+
+/**
+ * Convert several sheets of one workbook, each as its own entity, into one JSON file per sheet
+ * @param {string|Buffer} input - Workbook path or file contents
+ * @param {Array<Object>} sheets - [{ sheetName, entity, columnMap }]
+ * @param {Object} options - { outputFileFor(result, index) => path, onProgress }
+ * @returns {Object} - { sheetNames, results: [convertSheet result + { outputFile }] }
+ */
+export function convertWorkbookSheetsToFiles(input, sheets, options = {}) {
+  const { outputFileFor, onProgress = () => {} } = options;
+  const { sheetNames, results } = convertWorkbookSheets(input, sheets, { onProgress });
+
+  const written = results.map((result, index) => {
+    const outputFile = outputFileFor(result, index);
+    onProgress({ stage: 'write', sheetName: result.sheetName, processed: index + 1, total: results.length, message: `Writing ${outputFile}` });
+    fs.writeFileSync(outputFile, JSON.stringify(result.records, null, 2), 'utf-8');
+    return { ...result, outputFile };
+  });
+
+  onProgress({ stage: 'done', processed: results.length, total: results.length });
+  return { sheetNames, results: written };
+}
+
+export default {
+  DEFAULT_SHEET_NAME,
+  TEST_CASE_COLUMN_MAP,
+  resolveSheetName,
+  readWorkbookHeaders,
+  mapRow,
+  convertSheet,
+  convertWorkbook,
+  convertWorkbookToFile,
+  convertWorkbookSheets,
+  convertWorkbookSheetsToFiles
+};
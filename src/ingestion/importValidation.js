@@ -0,0 +1,175 @@
+/**
+ * Import Validation
+ * Row-level checks for spreadsheet imports, run on the mapped field values before anything is embedded.
+ *
+ * Findings: { row, id, severity, field, code, message, value }
+ *   row      - 1-based Excel row (header = 1)
+ *   severity - error (the row will not import cleanly) | warning (imports, but check the value)
+ *   code     - missing-required | duplicate-id | existing-id | invalid-value | invalid-date
+ */
+
+// Per entity: ID field, required fields with the severity of a missing value, allowed values and date fields
+export const VALIDATION_RULES = {
+  testcase: {
+    idField: 'id',
+    required: {
+      id: { severity: 'error', message: 'Missing test case ID; the row cannot be embedded' },
+      title: { severity: 'error', message: 'Missing title' }
+    },
+    allowedValues: {
+      priority: ['P1', 'P2', 'P3', 'P4', 'Critical', 'Highest', 'High', 'Medium', 'Low', 'Lowest'],
+      risk: ['Critical', 'High', 'Medium', 'Low'],
+      type: ['Functional', 'Integration', 'UI', 'API', 'Regression', 'Smoke', 'Performance', 'Security']
+    },
+    dateFields: ['createdDate', 'lastModifiedDate']
+  },
+  userstory: {
+    idField: 'key',
+    required: {
+      key: { severity: 'warning', message: 'Missing story key; a key is generated' },
+      summary: { severity: 'error', message: 'Missing summary; the row is skipped' }
+    },
+    allowedValues: {
+      priority: ['P1', 'P2', 'P3', 'P4', 'Critical', 'Highest', 'High', 'Medium', 'Low', 'Lowest'],
+      risk: ['Critical', 'High', 'Medium', 'Low']
+    },
+    dateFields: ['created', 'updated']
+  }
+};
+
+// Largest Excel date serial (9999-12-31)
+const MAX_EXCEL_SERIAL = 2958465;
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Same normalization as testCaseSync: IDs from Excel can be numbers or carry stray whitespace
+function idKey(value) {
+  return isEmpty(value) ? '' : String(value).trim();
+}
+
+/**
+ * Whether a cell holds a usable date: an Excel serial number, a Date, or a string Date can parse
+ * @param {*} value - Cell value
+ * @returns {boolean}
+ */
+export function isValidDate(value) {
+  if (value instanceof Date) return !isNaN(value.getTime());
+  if (typeof value === 'number') return value > 0 && value <= MAX_EXCEL_SERIAL;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text) > 0 && Number(text) <= MAX_EXCEL_SERIAL;
+  return !isNaN(new Date(text).getTime());
+}
+
+function getRules(entity) {
+  const rules = VALIDATION_RULES[entity];
+  if (!rules) {
+    throw new Error(`Unknown entity "${entity}". Expected one of: ${Object.keys(VALIDATION_RULES).join(', ')}`);
+  }
+  return rules;
+}
+
+/**
+ * IDs present in mapped rows (for the collection lookup)
+ * @param {Array<Object>} rows - [{ row, values }] from convertSheet
+ * @param {string} entity - testcase | userstory
+ * @returns {Array<string>}
+ */
+export function collectRowIds(rows, entity) {
+  const { idField } = getRules(entity);
+  return [...new Set(rows.map(({ values }) => idKey(values[idField])).filter(Boolean))];
+}
+
+/**
+ * IDs that are already stored
+ * @param {Collection} collection - Test case or user story collection
+ * @param {Array<string>} ids - IDs from collectRowIds
+ * @param {string} entity - testcase | userstory
+ * @returns {Promise<Set<string>>}
+ */
+export async function findExistingIds(collection, ids, entity) {
+  const { idField } = getRules(entity);
+  if (ids.length === 0) return new Set();
+
+  // Stored IDs may be numbers when the source sheet had numeric IDs
+  const candidates = [...ids, ...ids.filter(id => /^\d+$/.test(id)).map(Number)];
+  const docs = await collection
+    .find({ [idField]: { $in: candidates } }, { projection: { [idField]: 1 } })
+    .toArray();
+  return new Set(docs.map(doc => idKey(doc[idField])));
+}
+
+/**
+ * Validate the mapped rows of one sheet
+ * @param {Array<Object>} rows - [{ row, values }] from convertSheet (values keyed by entity field)
+ * @param {string} entity - testcase | userstory
+ * @param {Object} options - { existingIds: Set of stored IDs, or null when the collection was not checked }
+ * @returns {Object} - { entity, collectionChecked, summary, findings }
+ */
+export function validateRows(rows, entity, { existingIds = null } = {}) {
+  const rules = getRules(entity);
+  const findings = [];
+  const firstRowById = new Map();
+
+  rows.forEach(({ row, values }) => {
+    const id = idKey(values[rules.idField]) || null;
+    const add = (severity, field, code, message, value) => {
+      findings.push({ row, id, severity, field, code, message, value: value === undefined ? null : value });
+    };
+
+    Object.entries(rules.required).forEach(([field, { severity, message }]) => {
+      if (isEmpty(values[field])) add(severity, field, 'missing-required', message);
+    });
+
+    if (id) {
+      if (firstRowById.has(id)) {
+        add('error', rules.idField, 'duplicate-id', `Duplicate ID; first used on row ${firstRowById.get(id)} (this row is ignored)`, id);
+      } else {
+        firstRowById.set(id, row);
+        if (existingIds?.has(id)) {
+          add('warning', rules.idField, 'existing-id', 'ID already stored; embedding this file updates the stored record', id);
+        }
+      }
+    }
+
+    Object.entries(rules.allowedValues).forEach(([field, allowed]) => {
+      const value = values[field];
+      if (isEmpty(value)) return;
+      const match = allowed.some(option => option.toLowerCase() === String(value).trim().toLowerCase());
+      if (!match) add('warning', field, 'invalid-value', `Unknown ${field} "${value}"; expected one of ${allowed.join(', ')}`, value);
+    });
+
+    rules.dateFields.forEach(field => {
+      const value = values[field];
+      if (!isEmpty(value) && !isValidDate(value)) {
+        add('warning', field, 'invalid-date', `Cannot parse ${field} "${value}" as a date`, value);
+      }
+    });
+  });
+
+  const rowsWith = (severity) => new Set(findings.filter(f => f.severity === severity).map(f => f.row)).size;
+  const rowsWithErrors = rowsWith('error');
+
+  return {
+    entity,
+    collectionChecked: existingIds !== null,
+    summary: {
+      rows: rows.length,
+      valid: rows.length - rowsWithErrors,
+      rowsWithErrors,
+      rowsWithWarnings: rowsWith('warning'),
+      errors: findings.filter(f => f.severity === 'error').length,
+      warnings: findings.filter(f => f.severity === 'warning').length
+    },
+    findings
+  };
+}
+
+export default {
+  VALIDATION_RULES,
+  isValidDate,
+  collectRowIds,
+  findExistingIds,
+  validateRows
+};
@@ -0,0 +1,85 @@
+/**
+ * Jira Stories
+ * Turns Jira issues into the Jira-like user story structure stored in the user stories
+ * collection, and builds the JQL for full and incremental syncs.
+ *
+ * Incremental syncs use a relative JQL date (updated >= -90m) rather than an absolute one:
+ * JQL dates are read in the Jira user's time zone, relative ones are not.
+ */
+
+/**
+ * Transform Jira issue to a clean format
+ * @param {Object} issue - Jira issue object
+ * @param {Object} options - { baseURL } for the browse link
+ * @returns {Object} Cleaned user story object
+ */
+export function transformUserStory(issue, { baseURL = '' } = {}) {
+  return {
+    key: issue.key,
+    summary: issue.fields.summary,
+    description: issue.fields.description?.content?.[0]?.content?.[0]?.text ||
+      issue.fields.description ||
+      'No description available',
+    status: {
+      name: issue.fields.status.name,
+      category: issue.fields.status.statusCategory.name
+    },
+    priority: {
+      name: issue.fields.priority?.name || 'None',
+      id: issue.fields.priority?.id || null
+    },
+    assignee: issue.fields.assignee ? {
+      displayName: issue.fields.assignee.displayName,
+      emailAddress: issue.fields.assignee.emailAddress,
+      accountId: issue.fields.assignee.accountId
+    } : null,
+    reporter: issue.fields.reporter ? {
+      displayName: issue.fields.reporter.displayName,
+      emailAddress: issue.fields.reporter.emailAddress,
+      accountId: issue.fields.reporter.accountId
+    } : null,
+    created: issue.fields.created,
+    updated: issue.fields.updated,
+    components: issue.fields.components?.map(comp => comp.name) || [],
+    labels: issue.fields.labels || [],
+    fixVersions: issue.fields.fixVersions?.map(version => version.name) || [],
+    storyPoints: issue.fields.customfield_10016 || null,
+    issueLinks: issue.fields.issuelinks?.map(link => ({
+      type: link.type.name,
+      direction: link.type.inward || link.type.outward,
+      linkedIssue: link.inwardIssue?.key || link.outwardIssue?.key
+    })) || [],
+    url: `${baseURL}/browse/${issue.key}`
+  };
+}
+
+/**
+ * JQL selecting the stories to sync, without ordering
+ * @param {Object} config - { projectKey, jql } (jql wins when set)
+ * @returns {string}
+ */
+export function buildBaseJql({ projectKey, jql }) {
+  const base = jql || `project = ${projectKey} AND issuetype = Story`;
+  return base.replace(/\s+ORDER\s+BY\s+.*$/i, '').trim();
+}
+
+/**
+ * JQL for one sync run
+ * @param {string} baseJql - buildBaseJql result
+ * @param {Object} options - { since, overlapMinutes, now } (no since: full sync)
+ *   overlapMinutes widens the window to absorb clock skew; unchanged stories are skipped anyway
+ * @returns {string}
+ */
+export function buildSyncJql(baseJql, { since = null, overlapMinutes = 5, now = new Date() } = {}) {
+  if (!since) {
+    return `${baseJql} ORDER BY updated ASC`;
+  }
+  const minutes = Math.max(Math.ceil((now.getTime() - new Date(since).getTime()) / 60000), 0) + overlapMinutes;
+  return `(${baseJql}) AND updated >= -${minutes}m ORDER BY updated ASC`;
+}
+
+export default {
+  transformUserStory,
+  buildBaseJql,
+  buildSyncJql
+};
@@ -0,0 +1,242 @@
+/**
+ * Jira Webhook
+ * Keeps the user stories collection in step with Jira: issue created/updated events re-embed the
+ * story (through userStorySync.js, so an update that does not touch the embedded text costs
+ * nothing), issue deleted events remove it. Every delivery is written to an event log.
+ *
+ * Deliveries are authenticated with a shared secret, either
+ *   - signed:  X-Hub-Signature: sha256=<HMAC-SHA256 of the raw body>  (Jira Cloud webhooks with a secret)
+ *   - token:   X-Webhook-Secret: <secret> header or ?secret=<secret>     (Jira Automation, Data Center)
+ *
+ * Event log entries: { id, type: 'jira-webhook', webhookEvent, key, status, action, reason,
+ * changedFields, issueUpdated, receivedAt, error }. Status: applied | unchanged | ignored | failed.
+ *
+ * Configuration (environment):
+ *   JIRA_WEBHOOK_SECRET - shared secret; deliveries are refused while it is unset
+ */
+
+import crypto from 'crypto';
+import { getEmbeddingProvider } from '../providers/embeddingProvider.js';
+import { createMongoClient } from '../providers/vectorStore.js';
+import { transformUserStory } from './jiraStories.js';
+import { syncUserStories } from './userStorySync.js';
+
+const UPSERT_EVENTS = ['jira:issue_created', 'jira:issue_updated'];
+const DELETE_EVENTS = ['jira:issue_deleted'];
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check a delivery against the shared secret
+ * @param {Object} request - { rawBody, headers, query } (header names lower-case, as Express has them)
+ * @param {string} secret - JIRA_WEBHOOK_SECRET
+ * @returns {Object} - { ok, method, error } (method: signature | token)
+ */
+export function verifyWebhookSecret({ rawBody, headers = {}, query = {} }, secret) {
+  if (!secret) {
+    return { ok: false, error: 'JIRA_WEBHOOK_SECRET is not set' };
+  }
+
+  const signature = headers['x-hub-signature'];
+  if (signature) {
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody || '').digest('hex')}`;
+    return safeEqual(signature, expected)
+      ? { ok: true, method: 'signature' }
+      : { ok: false, error: 'Signature does not match' };
+  }
+
+  const token = headers['x-webhook-secret'] || query.secret;
+  if (token) {
+    return safeEqual(token, secret)
+      ? { ok: true, method: 'token' }
+      : { ok: false, error: 'Secret does not match' };
+  }
+
+  return { ok: false, error: 'No X-Hub-Signature, X-Webhook-Secret or secret parameter' };
+}
+
+/**
+ * What a delivery asks for
+ * @param {Object} payload - Webhook body ({ webhookEvent, timestamp, issue, changelog })
+ * @param {Object} options - { projectKey, issueType } only matching issues are applied
+ * @returns {Object} - { action: upsert | delete | ignore, key, reason, changedFields, issueUpdated }
+ */
+export function classifyWebhookEvent(payload, { projectKey = null, issueType = 'Story' } = {}) {
+  const { webhookEvent, issue, changelog } = payload || {};
+  const key = issue?.key || null;
+  const changedFields = (changelog?.items || []).map(item => item.field);
+  const base = { key, changedFields, issueUpdated: issue?.fields?.updated || null };
+
+  if (!UPSERT_EVENTS.includes(webhookEvent) && !DELETE_EVENTS.includes(webhookEvent)) {
+    return { ...base, action: 'ignore', reason: `Unhandled event ${webhookEvent || '(none)'}` };
+  }
+  if (!key) {
+    return { ...base, action: 'ignore', reason: 'Payload has no issue key' };
+  }
+  if (DELETE_EVENTS.includes(webhookEvent)) {
+    return { ...base, action: 'delete', reason: 'Issue deleted in Jira' };
+  }
+
+  const issueProject = issue.fields?.project?.key || key.split('-')[0];
+  if (projectKey && issueProject.toUpperCase() !== projectKey.toUpperCase()) {
+    return { ...base, action: 'ignore', reason: `Issue is in project ${issueProject}, not ${projectKey}` };
+  }
+  const type = issue.fields?.issuetype?.name;
+  if (issueType && type && type.toLowerCase() !== issueType.toLowerCase()) {
+    // A story turned into another issue type no longer belongs in the collection
+    return changedFields.includes('issuetype')
+      ? { ...base, action: 'delete', reason: `Issue type changed to ${type}` }
+      : { ...base, action: 'ignore', reason: `Issue type is ${type}, not ${issueType}` };
+  }
+
+  return { ...base, action: 'upsert', reason: webhookEvent === 'jira:issue_created' ? 'Issue created in Jira' : 'Issue updated in Jira' };
+}
+
+/**
+ * Create the handler
+ * @param {Object} options - { eventStore, openCollection, getConfig, issueType }
+ *   eventStore is a job store (see jobs/jobStore.js) used as the event log
+ *   openCollection() resolves to { collection, close } (default: USER_STORIES_COLLECTION_NAME through MONGODB_URI)
+ *   getConfig() returns { baseURL, projectKey } (see providers/jiraClient.js)
+ * @returns {Object} - { handle(payload), events({ limit, key }), purge(retentionHours) }
+ */
+export function createJiraWebhookHandler(options = {}) {
+  const {
+    eventStore,
+    getConfig,
+    issueType = 'Story',
+    openCollection = async () => {
+      const client = createMongoClient();
+      await client.connect();
+      return {
+        collection: client.db(process.env.DB_NAME).collection(process.env.USER_STORIES_COLLECTION_NAME),
+        close: () => client.close()
+      };
+    }
+  } = options;
+
+  const queues = new Map(); // key -> tail promise; deliveries for one issue are applied in order
+
+  async function apply(payload, classification) {
+    const config = getConfig();
+    const connection = await openCollection();
+    try {
+      const { collection } = connection;
+
+      if (classification.action === 'delete') {
+        const { deletedCount } = await collection.deleteOne({ key: classification.key });
+        return deletedCount > 0
+          ? { status: 'applied', action: 'delete' }
+          : { status: 'unchanged', action: 'delete', reason: 'Story was not in the collection' };
+      }
+
+      // Jira does not guarantee delivery order; never overwrite a newer version
+      const stored = await collection.findOne({ key: classification.key }, { projection: { updated: 1 } });
+      if (stored?.updated && classification.issueUpdated && new Date(stored.updated) > new Date(classification.issueUpdated)) {
+        return { status: 'ignored', action: 'upsert', reason: `Stored story is newer (${stored.updated})` };
+      }
+
+      const story = transformUserStory(payload.issue, { baseURL: config.baseURL });
+      const result = await syncUserStories(collection, [story], { embeddingModel: getEmbeddingProvider().model });
+      const [entry] = result.results;
+      if (entry.action === 'failed') {
+        throw new Error(entry.error);
+      }
+      return {
+        status: entry.action === 'unchanged' ? 'unchanged' : 'applied',
+        action: entry.action,
+        reason: entry.reason,
+        cost: result.cost,
+        tokens: result.tokens
+      };
+    } finally {
+      try { await connection.close(); } catch (e) {}
+    }
+  }
+
+  async function processDelivery(payload, receivedAt) {
+    const config = getConfig();
+    const classification = classifyWebhookEvent(payload, { projectKey: config.projectKey || null, issueType });
+    const event = {
+      id: `jira-webhook-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      type: 'jira-webhook',
+      webhookEvent: payload?.webhookEvent || null,
+      key: classification.key,
+      changedFields: classification.changedFields,
+      issueUpdated: classification.issueUpdated,
+      receivedAt,
+      startTime: receivedAt // The event store lists newest first by startTime
+    };
+
+    let outcome;
+    if (classification.action === 'ignore') {
+      outcome = { status: 'ignored', action: null, reason: classification.reason };
+    } else {
+      try {
+        outcome = { reason: classification.reason, ...(await apply(payload, classification)) };
+      } catch (error) {
+        outcome = { status: 'failed', action: classification.action, reason: classification.reason, error: error.message };
+      }
+    }
+
+    const logged = { ...event, ...outcome, endTime: new Date() };
+    await eventStore.create(logged);
+    console.log(`${outcome.status === 'failed' ? '❌' : '🪝'} Jira webhook ${event.webhookEvent} ${event.key || ''}: ${outcome.status}${outcome.reason ? ` (${outcome.reason})` : ''}`);
+    return logged;
+  }
+
+  return {
+    /**
+     * Apply one delivery and log it
+     * @param {Object} payload - Webhook body
+     * @returns {Promise<Object>} - Logged event
+     */
+    handle(payload) {
+      const key = payload?.issue?.key || '';
+      const receivedAt = new Date();
+      const run = (queues.get(key) || Promise.resolve()).then(() => processDelivery(payload, receivedAt));
+      const tail = run.catch(() => {});
+      queues.set(key, tail);
+      tail.then(() => {
+        if (queues.get(key) === tail) queues.delete(key);
+      });
+      return run;
+    },
+
+    /**
+     * Logged deliveries, newest first
+     * @param {Object} options - { limit, key }
+     * @returns {Promise<Array<Object>>}
+     */
+    async events({ limit = 50, key = null } = {}) {
+      const all = await eventStore.list();
+      return all
+        .filter(event => event.type === 'jira-webhook' && (!key || event.key === key))
+        .slice(0, limit);
+    },
+
+    /**
+     * Delete logged deliveries older than the retention window
+     * @param {number} retentionHours - Hours to keep events
+     * @returns {Promise<number>} - Purged event count
+     */
+    async purge(retentionHours = parseFloat(process.env.JOB_RETENTION_HOURS) || 168) {
+      const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+      const expired = (await eventStore.list()).filter(event => new Date(event.receivedAt || event.startTime).getTime() < cutoff);
+      for (const event of expired) {
+        await eventStore.remove(event.id);
+      }
+      return expired.length;
+    }
+  };
+}
+
+export default {
+  verifyWebhookSecret,
+  classifyWebhookEvent,
+  createJiraWebhookHandler
+};
@@ -0,0 +1,174 @@
+/**
+ * Mapping Profiles
+ * Named column maps for spreadsheet imports, kept server-side in one JSON file so every user of
+ * the server (and the repo, if committed) shares them.
+ *
+ * Profile: { name, entity, description, sheetName, columns: { header: field }, builtIn, createdAt, updatedAt }
+ * Built-in profiles reproduce the default layouts and cannot be overwritten or deleted.
+ *
+ * Configuration (environment):
+ *   MAPPING_PROFILES_FILE - profile file (default: src/config/mapping-profiles.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { ENTITIES, TEST_CASE_COLUMN_MAP, USER_STORY_COLUMN_MAP, getEntityFieldNames } from './columnMapping.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_PROFILES_FILE = path.join(__dirname, '../config/mapping-profiles.json');
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _-]{0,63}$/;
+
+export const BUILT_IN_PROFILES = [
+  {
+    name: 'testcases-default',
+    entity: 'testcase',
+    description: 'Standard test case export (camelCase or capitalized headers)',
+    sheetName: 'Testcases',
+    columns: TEST_CASE_COLUMN_MAP,
+    builtIn: true
+  },
+  {
+    name: 'userstories-default',
+    entity: 'userstory',
+    description: 'Jira-style user story export',
+    sheetName: 'stories',
+    columns: USER_STORY_COLUMN_MAP,
+    builtIn: true
+  }
+];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Check a profile and return the stored shape (unmapped headers are dropped)
+ * @param {Object} profile - Profile from a request
+ * @returns {Object}
+ */
+export function validateProfile(profile) {
+  const { name, entity = 'testcase', description = '', sheetName = null, columns } = profile || {};
+
+  if (!name || !PROFILE_NAME_PATTERN.test(name)) {
+    throw badRequest('Profile name must be 1-64 characters: letters, digits, spaces, "-" or "_"');
+  }
+  if (!ENTITIES.includes(entity)) {
+    throw badRequest(`Unknown entity "${entity}". Expected one of: ${ENTITIES.join(', ')}`);
+  }
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    throw badRequest('columns must be an object of { "<header>": "<field>" }');
+  }
+
+  const fieldNames = getEntityFieldNames(entity);
+  const mapped = Object.entries(columns).filter(([, field]) => field);
+  const unknown = mapped.filter(([, field]) => !fieldNames.includes(field));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown ${entity} field(s): ${unknown.map(([header, field]) => `${header} → ${field}`).join(', ')}`);
+  }
+  if (mapped.length === 0) {
+    throw badRequest('Map at least one column');
+  }
+
+  return {
+    name,
+    entity,
+    description: String(description),
+    sheetName: sheetName ? String(sheetName) : null,
+    columns: Object.fromEntries(mapped)
+  };
+}
+
+/**
+ * File-backed profile store
+ * @param {Object} options - { file }
+ * @returns {Object} - { list, get, save, remove }
+ */
+export function createMappingProfileStore(options = {}) {
+  const { file = process.env.MAPPING_PROFILES_FILE || DEFAULT_PROFILES_FILE } = options;
+
+  const readCustom = () => {
+    if (!fs.existsSync(file)) return [];
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return Array.isArray(data.profiles) ? data.profiles : [];
+  };
+
+  const writeCustom = (profiles) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ profiles }, null, 2));
+    fs.renameSync(tempFile, file);
+  };
+
+  const findBuiltIn = (name) => BUILT_IN_PROFILES.find(p => p.name === name);
+
+  return {
+    /**
+     * All profiles, built-in first
+     * @param {Object} filter - { entity }
+     * @returns {Array<Object>}
+     */
+    list({ entity } = {}) {
+      return [...BUILT_IN_PROFILES, ...readCustom()]
+        .filter(profile => !entity || profile.entity === entity);
+    },
+
+    get(name) {
+      return findBuiltIn(name) || readCustom().find(p => p.name === name) || null;
+    },
+
+    /**
+     * Create or replace a custom profile
+     * @param {Object} profile - { name, entity, description, sheetName, columns }
+     * @returns {Object} - Stored profile
+     */
+    save(profile) {
+      const validated = validateProfile(profile);
+      if (findBuiltIn(validated.name)) {
+        throw badRequest(`"${validated.name}" is a built-in profile; save under another name`);
+      }
+
+      const profiles = readCustom();
+      const index = profiles.findIndex(p => p.name === validated.name);
+      const now = new Date().toISOString();
+      const stored = {
+        ...validated,
+        builtIn: false,
+        createdAt: index === -1 ? now : profiles[index].createdAt,
+        updatedAt: now
+      };
+
+      if (index === -1) profiles.push(stored);
+      else profiles[index] = stored;
+      writeCustom(profiles);
+      return stored;
+    },
+
+    /**
+     * Delete a custom profile
+     * @param {string} name - Profile name
+     * @returns {boolean} - false when no such custom profile exists
+     */
+    remove(name) {
+      if (findBuiltIn(name)) {
+        throw badRequest(`"${name}" is a built-in profile and cannot be deleted`);
+      }
+      const profiles = readCustom();
+      const remaining = profiles.filter(p => p.name !== name);
+      if (remaining.length === profiles.length) return false;
+      writeCustom(remaining);
+      return true;
+    }
+  };
+}
+
+export default {
+  BUILT_IN_PROFILES,
+  validateProfile,
+  createMappingProfileStore
+};
@@ -0,0 +1,245 @@
+/**
+ * Release Stories
+ * Parses the plain-text user stories kept with each release (releases/<version>/stories/*.txt)
+ * into the Jira-like user story structure (see userStoryFormat.js), tagged with the release version.
+ *
+ * A story file is a sequence of "Label:" sections; the value follows on the same line or the next lines:
+ *   User Story: HC-287 – Dynamic Queue List          (key and title, separated by a dash)
+ *   Summary: / Description:                          (free text)
+ *   Epic: / Impact Area: / Priority: / Risk: / Status:
+ *   Acceptance Criteria:                             (Given/When/Then paragraphs, one per blank-line block)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { getStatusCategory, getPriorityId } from './userStoryFormat.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_RELEASES_DIR = path.join(__dirname, '../../releases');
+
+// Release folders are version numbers (1.21.2, 2.0, 2.0.1-hotfix)
+const VERSION_PATTERN = /^\d+(\.\d+)*([-.][A-Za-z0-9]+)*$/;
+
+// Section label → story field
+const SECTIONS = {
+  'user story': 'heading',
+  summary: 'narrative',
+  description: 'details',
+  epic: 'epic',
+  'impact area': 'impactArea',
+  'acceptance criteria': 'acceptanceCriteria',
+  priority: 'priority',
+  risk: 'risk',
+  status: 'status'
+};
+
+const SECTION_PATTERN = new RegExp(`^\\s*(${Object.keys(SECTIONS).join('|')})\\s*:\\s*(.*)$`, 'i');
+
+/**
+ * Split a story file into its labelled sections
+ * @param {string} text - File contents
+ * @returns {Object} - { heading, narrative, details, epic, ... } raw section text (trimmed)
+ */
+export function splitSections(text) {
+  const sections = {};
+  let current = null;
+
+  String(text).replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const match = line.match(SECTION_PATTERN);
+    if (match) {
+      current = SECTIONS[match[1].toLowerCase()];
+      sections[current] = match[2] ? [match[2]] : [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  });
+
+  return Object.fromEntries(
+    Object.entries(sections).map(([field, lines]) => [field, lines.join('\n').trim()])
+  );
+}
+
+/**
+ * Parse Given/When/Then acceptance criteria; each blank-line separated block is one criterion
+ * @param {string} text - Acceptance Criteria section
+ * @returns {Array<Object>} - [{ given, when, then, text }] (given/when/then are null when the block has no such clause)
+ */
+export function parseAcceptanceCriteria(text) {
+  if (!text) return [];
+
+  return text.split(/\n\s*\n/)
+    .map(block => block.replace(/\s*\n\s*/g, ' ').trim())
+    .filter(Boolean)
+    .map(block => {
+      const match = block.match(/^given\s+(.+?)(?:,?\s+when\s+(.+?))?,?\s+then\s+(.+)$/i);
+      return {
+        given: match ? match[1].trim() : null,
+        when: match && match[2] ? match[2].trim() : null,
+        then: match ? match[3].replace(/\.$/, '').trim() : null,
+        text: block
+      };
+    });
+}
+
+// "HC-287 – Dynamic Queue List" → { key, title }
+function parseHeading(heading) {
+  const match = String(heading || '').match(/^([A-Za-z][A-Za-z0-9]*-\d+)\s*(?:[-–—:]\s*(.*))?$/);
+  if (!match) return { key: null, title: heading || '' };
+  return { key: match[1].toUpperCase(), title: (match[2] || '').trim() };
+}
+
+/**
+ * Parse one story file
+ * @param {string} text - File contents
+ * @param {Object} options - { version, sourceFile } (sourceFile is also the key fallback: us-287.txt → US-287)
+ * @returns {Object} - { story, warnings }
+ */
+export function parseReleaseStory(text, { version = null, sourceFile = null } = {}) {
+  const sections = splitSections(text);
+  const warnings = [];
+
+  let { key, title } = parseHeading(sections.heading);
+  if (!key && sourceFile) {
+    key = path.basename(sourceFile, path.extname(sourceFile)).toUpperCase();
+    warnings.push(`No story key in "User Story:" line; using ${key} from the file name`);
+  }
+  if (!title) {
+    title = sections.narrative ? sections.narrative.split(/[.\n]/)[0].trim() : '';
+    warnings.push('No title in "User Story:" line');
+  }
+
+  const criteria = parseAcceptanceCriteria(sections.acceptanceCriteria);
+  if (criteria.length === 0) {
+    warnings.push('No acceptance criteria');
+  } else if (criteria.some(c => !c.given || !c.then)) {
+    warnings.push('Some acceptance criteria are not in Given/When/Then form');
+  }
+
+  ['priority', 'risk', 'status'].forEach(field => {
+    if (!sections[field]) warnings.push(`No ${field}`);
+  });
+
+  // Description keeps the "As a ... I want ..." narrative first, like the Excel imports
+  const description = [sections.narrative, sections.details].filter(Boolean).join('\n\n');
+  const statusName = sections.status || 'To Do';
+  const priorityName = sections.priority || 'Medium';
+
+  const story = {
+    key,
+    summary: title,
+    description: description || 'No description provided',
+    status: {
+      name: statusName,
+      category: getStatusCategory(statusName)
+    },
+    priority: {
+      name: priorityName,
+      id: getPriorityId(priorityName)
+    },
+    assignee: null,
+    reporter: null,
+    components: [],
+    labels: [],
+    fixVersions: version ? [version] : [],
+    release: version,
+    epic: sections.epic || null,
+    impactArea: sections.impactArea || null,
+    acceptanceCriteria: criteria.map(c => c.text).join('\n'),
+    acceptanceCriteriaItems: criteria,
+    risk: sections.risk || '',
+    sourceType: 'release-notes',
+    sourceFile,
+    importedAt: new Date().toISOString()
+  };
+
+  return { story, warnings };
+}
+
+/**
+ * Release versions with a stories folder
+ * @param {string} releasesDir - Releases root
+ * @returns {Array<Object>} - [{ version, storyCount }], oldest first
+ */
+export function listReleases(releasesDir = DEFAULT_RELEASES_DIR) {
+  if (!fs.existsSync(releasesDir)) return [];
+
+  return fs.readdirSync(releasesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && VERSION_PATTERN.test(entry.name))
+    .map(entry => ({ version: entry.name, storyCount: listStoryFiles(path.join(releasesDir, entry.name)).length }))
+    .filter(release => release.storyCount > 0)
+    .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+}
+
+function listStoryFiles(releaseDir) {
+  const storiesDir = path.join(releaseDir, 'stories');
+  if (!fs.existsSync(storiesDir)) return [];
+  return fs.readdirSync(storiesDir)
+    .filter(file => file.toLowerCase().endsWith('.txt'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(file => path.join(storiesDir, file));
+}
+
+/**
+ * Read and parse every story of a release
+ * @param {string} releaseDir - Release folder (releases/<version>); the folder name is the version
+ * @param {Object} options - { version } to override the folder name
+ * @returns {Object} - { version, stories, files: [{ file, key, warnings, error }] }
+ */
+export function readReleaseStories(releaseDir, { version = path.basename(path.resolve(releaseDir)) } = {}) {
+  if (!fs.existsSync(releaseDir)) {
+    const error = new Error(`Release folder not found: ${releaseDir}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const stories = [];
+  const files = [];
+  const seenKeys = new Map();
+
+  listStoryFiles(releaseDir).forEach(filePath => {
+    const sourceFile = path.relative(path.dirname(path.dirname(path.resolve(releaseDir))), filePath).split(path.sep).join('/');
+    try {
+      const { story, warnings } = parseReleaseStory(fs.readFileSync(filePath, 'utf-8'), { version, sourceFile });
+      if (seenKeys.has(story.key)) {
+        files.push({ file: sourceFile, key: story.key, warnings, error: `Duplicate story key; already defined in ${seenKeys.get(story.key)}` });
+        return;
+      }
+      seenKeys.set(story.key, sourceFile);
+      stories.push(story);
+      files.push({ file: sourceFile, key: story.key, warnings, error: null });
+    } catch (error) {
+      files.push({ file: sourceFile, key: null, warnings: [], error: error.message });
+    }
+  });
+
+  return { version, stories, files };
+}
+
+/**
+ * Resolve a release version to its folder, refusing anything that is not a plain version name
+ * @param {string} version - Release version (e.g. 1.21.2)
+ * @param {string} releasesDir - Releases root
+ * @returns {string}
+ */
+export function resolveReleaseDir(version, releasesDir = DEFAULT_RELEASES_DIR) {
+  if (!VERSION_PATTERN.test(String(version || ''))) {
+    const error = new Error(`Invalid release version "${version}"`);
+    error.status = 400;
+    throw error;
+  }
+  return path.join(releasesDir, version);
+}
+
+export default {
+  DEFAULT_RELEASES_DIR,
+  splitSections,
+  parseAcceptanceCriteria,
+  parseReleaseStory,
+  listReleases,
+  readReleaseStories,
+  resolveReleaseDir
+};
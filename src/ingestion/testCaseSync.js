@@ -0,0 +1,226 @@
+/**
+ * Test Case Sync
+ * Idempotent (re-)ingestion of test case files into the test case collection.
+ *
+ * Each document is keyed by its business ID (`id`) and stores a `contentHash` of the embedded text.
+ * Re-ingesting a file plans one action per row:
+ *   insert    - ID not in the collection yet
+ *   update    - content hash differs, the embedding model changed, the document predates hashing,
+ *               or earlier runs left duplicate documents for the ID (the extras are deleted)
+ *   unchanged - nothing to do, no embedding call
+ *   invalid   - row has no ID or repeats an ID seen earlier in the file
+ * With removeMissing, documents from the same sourceFile whose ID is no longer in the file are deleted.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { embedText } from '../providers/embeddingProvider.js';
+
+const REPORT_LIMIT = 50;
+
+/**
+ * Text embedded for one test case (all stored fields, like create-embeddings-store)
+ * @param {Object} testcase - Test case record
+ * @returns {string}
+ */
+export function buildEmbeddingInput(testcase) {
+  return `
+          Module: ${testcase.module}
+          ID: ${testcase.id}
+          Pre-Requisites: ${testcase.preRequisites}
+          Title: ${testcase.title}
+          Description: ${testcase.description}
+          Steps: ${testcase.steps}
+          Expected Result: ${testcase.expectedResults}
+          Automation/Manual: ${testcase.automationManual}
+          Priority: ${testcase.priority}
+          Created By: ${testcase.createdBy}
+          Created Date: ${testcase.createdDate}
+          Last Modified Date: ${testcase.lastModifiedDate}
+          Risk: ${testcase.risk}
+          Version: ${testcase.version}
+          Type: ${testcase.type}
+        `;
+}
+
+/**
+ * SHA-256 of the embedded text; equal hashes mean the stored vector is still current
+ * @param {Object} testcase - Test case record
+ * @returns {string}
+ */
+export function hashEmbeddingContent(testcase) {
+  return crypto.createHash('sha256').update(buildEmbeddingInput(testcase)).digest('hex');
+}
+
+// IDs from Excel can be numbers or carry stray whitespace
+function idKey(id) {
+  if (id === undefined || id === null) return '';
+  return String(id).trim();
+}
+
+/**
+ * Read a JSON file of test case records
+ * @param {string} filePath - JSON file path
+ * @returns {Array<Object>}
+ */
+export function loadRecordsFile(filePath) {
+  const records = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (!Array.isArray(records)) {
+    throw new Error('File does not contain an array of records');
+  }
+  return records;
+}
+
+/**
+ * Plan the action for every record of a file against what is stored
+ * @param {Collection} collection - Test case collection
+ * @param {Array<Object>} records - Records from the file
+ * @param {string} sourceFile - File name (scopes removeMissing)
+ * @param {Object} options - { removeMissing, embeddingModel }
+ * @returns {Promise<Object>} - { plan: [{ action, reason, contentHash, existingId, duplicateIds }], removals: [{ _id, id }], summary }
+ */
+export async function diffRecords(collection, records, sourceFile, { removeMissing = false, embeddingModel = null } = {}) {
+  const ids = [...new Set(records.map(record => record?.id).filter(id => idKey(id) !== ''))];
+
+  const existing = ids.length > 0
+    ? await collection
+      .find({ id: { $in: ids } }, { projection: { id: 1, contentHash: 1, 'embeddingMetadata.model': 1 } })
+      .toArray()
+    : [];
+
+  const existingById = new Map();
+  existing.forEach(doc => {
+    const key = idKey(doc.id);
+    if (!existingById.has(key)) existingById.set(key, []);
+    existingById.get(key).push(doc);
+  });
+
+  const seen = new Set();
+  const plan = records.map(record => {
+    const key = idKey(record?.id);
+    if (!key) {
+      return { action: 'invalid', reason: 'Row has no test case ID' };
+    }
+    if (seen.has(key)) {
+      return { action: 'invalid', reason: 'Duplicate ID in file (first occurrence is used)' };
+    }
+    seen.add(key);
+
+    const contentHash = hashEmbeddingContent(record);
+    const docs = existingById.get(key) || [];
+    if (docs.length === 0) {
+      return { action: 'insert', reason: 'New test case', contentHash, existingId: null, duplicateIds: [] };
+    }
+
+    const [kept, ...duplicates] = docs;
+    const update = { action: 'update', contentHash, existingId: kept._id, duplicateIds: duplicates.map(doc => doc._id) };
+
+    if (!kept.contentHash) return { ...update, reason: 'Stored document has no content hash' };
+    if (kept.contentHash !== contentHash) return { ...update, reason: 'Content changed' };
+    if (embeddingModel && kept.embeddingMetadata?.model !== embeddingModel) return { ...update, reason: 'Embedding model changed' };
+    if (duplicates.length > 0) return { ...update, reason: `${duplicates.length} duplicate document(s) for this ID` };
+
+    return { action: 'unchanged', reason: 'Content unchanged', contentHash, existingId: kept._id, duplicateIds: [] };
+  });
+
+  let removals = [];
+  if (removeMissing) {
+    removals = await collection
+      .find({ sourceFile, id: { $nin: ids } }, { projection: { id: 1 } })
+      .toArray();
+  }
+
+  const summary = { total: records.length, insert: 0, update: 0, unchanged: 0, invalid: 0, remove: removals.length };
+  plan.forEach(entry => { summary[entry.action]++; });
+
+  return { plan, removals, summary };
+}
+
+/**
+ * Embed a record and write it according to its planned action
+ * @param {Collection} collection - Test case collection
+ * @param {Object} testcase - Test case record
+ * @param {Object} entry - Plan entry from diffRecords (insert or update)
+ * @param {string} sourceFile - File the record came from
+ * @returns {Promise<Object>} - { cost, tokens }
+ */
+export async function upsertRecord(collection, testcase, entry, sourceFile) {
+  const embedding = await embedText(buildEmbeddingInput(testcase));
+  const now = new Date();
+
+  const doc = {
+    ...testcase,
+    embedding: embedding.vector,
+    contentHash: entry.contentHash,
+    sourceFile,
+    updatedAt: now,
+    embeddingMetadata: {
+      model: embedding.model,
+      cost: embedding.cost,
+      tokens: embedding.tokens,
+      apiSource: embedding.provider
+    }
+  };
+
+  if (entry.action === 'update') {
+    await collection.updateOne({ _id: entry.existingId }, { $set: doc });
+    if (entry.duplicateIds.length > 0) {
+      await collection.deleteMany({ _id: { $in: entry.duplicateIds } });
+    }
+  } else {
+    // Upsert on the business ID, so a retried insert never creates a second document
+    await collection.updateOne({ id: testcase.id }, { $set: doc, $setOnInsert: { createdAt: now } }, { upsert: true });
+  }
+
+  return { cost: embedding.cost, tokens: embedding.tokens };
+}
+
+/**
+ * Delete the documents planned for removal
+ * @param {Collection} collection - Test case collection
+ * @param {Array<Object>} removals - [{ _id, id }] from diffRecords
+ * @returns {Promise<number>} - Deleted count
+ */
+export async function removeRecords(collection, removals) {
+  if (removals.length === 0) return 0;
+  const result = await collection.deleteMany({ _id: { $in: removals.map(doc => doc._id) } });
+  return result.deletedCount;
+}
+
+/**
+ * Dry-run report for one file: counts plus the affected IDs (first REPORT_LIMIT of each kind)
+ * @param {string} fileName - File name
+ * @param {Array<Object>} records - Records from the file
+ * @param {Object} diff - diffRecords result
+ * @returns {Object}
+ */
+export function buildDiffReport(fileName, records, diff) {
+  const changes = { insert: [], update: [], invalid: [] };
+
+  diff.plan.forEach((entry, index) => {
+    const list = changes[entry.action];
+    if (!list || list.length >= REPORT_LIMIT) return;
+    const id = records[index]?.id ?? null;
+    list.push(entry.action === 'insert' ? id : { index, id, reason: entry.reason });
+  });
+
+  return {
+    file: fileName,
+    summary: diff.summary,
+    changes: {
+      ...changes,
+      remove: diff.removals.slice(0, REPORT_LIMIT).map(doc => doc.id)
+    },
+    truncated: ['insert', 'update', 'invalid', 'remove'].some(action => diff.summary[action] > REPORT_LIMIT)
+  };
+}
+
+export default {
+  buildEmbeddingInput,
+  hashEmbeddingContent,
+  loadRecordsFile,
+  diffRecords,
+  upsertRecord,
+  removeRecords,
+  buildDiffReport
+};
@@ -0,0 +1,184 @@
+/**
+ * User Story Format
+ * Turns spreadsheet rows into the Jira-like user story structure the user story search and
+ * embedding scripts expect. Used by POST /api/upload-excel and excel-to-userstories.js.
+ */
+
+import { USER_STORY_COLUMN_MAP } from './columnMapping.js';
+
+export const UNTITLED_STORY = 'Untitled User Story';
+
+/**
+ * Transform raw Excel data to user story format
+ * @param {Object} rawRow - Row keyed by column header
+ * @param {number} index - 0-based data row index (used for generated keys)
+ * @param {Object} columnMap - Header → user story field
+ * @returns {Object} - Jira-like user story
+ */
+export function transformToUserStoryFormat(rawRow, index, columnMap = USER_STORY_COLUMN_MAP) {
+  // First, map columns according to columnMap
+  const mappedRow = {};
+  for (const [excelCol, jsonKey] of Object.entries(columnMap)) {
+    // Only map if the column exists in the Excel row AND has a value
+    if (Object.prototype.hasOwnProperty.call(rawRow, excelCol) && rawRow[excelCol]) {
+      mappedRow[jsonKey] = rawRow[excelCol];
+    }
+  }
+
+  // Transform to match Jira-like user stories structure
+  const transformedRow = {
+    // Core fields
+    key: mappedRow.key || `US-${String(index + 1).padStart(3, '0')}`,
+    summary: mappedRow.summary || UNTITLED_STORY,
+    description: mappedRow.description || 'No description provided',
+    
+    // Status object (to match Jira format)
+    status: {
+      name: mappedRow.status || 'To Do',
+      category: getStatusCategory(mappedRow.status || 'To Do')
+    },
+    
+    // Priority object (to match Jira format)
+    priority: {
+      name: mappedRow.priority || 'Medium',
+      id: getPriorityId(mappedRow.priority || 'Medium')
+    },
+    
+    // Assignee object (if provided)
+    assignee: mappedRow.assignee ? {
+      displayName: mappedRow.assignee,
+      emailAddress: null,
+      accountId: null
+    } : null,
+    
+    // Reporter object (if provided)
+    reporter: mappedRow.reporter ? {
+      displayName: mappedRow.reporter,
+      emailAddress: null,
+      accountId: null
+    } : null,
+    
+    // Dates (convert to ISO format if possible)
+    created: formatDate(mappedRow.created) || new Date().toISOString(),
+    updated: formatDate(mappedRow.updated) || new Date().toISOString(),
+    
+    // Arrays (handle comma-separated values)
+    components: parseArrayField(mappedRow.components),
+    labels: parseArrayField(mappedRow.labels),
+    fixVersions: parseArrayField(mappedRow.fixVersions),
+    
+    // Story points (convert to number)
+    storyPoints: parseFloat(mappedRow.storyPoints) || null,
+    
+    // Additional fields for Excel import
+    project: mappedRow.project || 'UNKNOWN',
+    epic: mappedRow.epic || null,
+    acceptanceCriteria: mappedRow.acceptanceCriteria || '',
+    businessValue: mappedRow.businessValue || '',
+    risk: mappedRow.risk || '',
+    dependencies: mappedRow.dependencies || '',
+    notes: mappedRow.notes || '',
+    sprint: mappedRow.sprint || null,
+    team: mappedRow.team || null,
+    
+    // Issue links (empty for Excel import)
+    issueLinks: [],
+    
+    // URL (will be empty for Excel import)
+    url: '',
+    
+    // Metadata for tracking source
+    sourceType: 'excel',
+    importedAt: new Date().toISOString(),
+    originalRowIndex: index + 1
+  };
+
+  return transformedRow;
+}
+
+/**
+ * Parse comma-separated values into array
+ */
+export function parseArrayField(value) {
+  if (!value || typeof value !== 'string') return [];
+  return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Map status to category (basic mapping)
+ */
+export function getStatusCategory(status) {
+  const statusLower = status.toLowerCase();
+  if (statusLower.includes('done') || statusLower.includes('complete') || statusLower.includes('closed') || statusLower.includes('resolved')) {
+    return 'Done';
+  } else if (statusLower.includes('progress') || statusLower.includes('dev') || statusLower.includes('testing') || statusLower.includes('review')) {
+    return 'In Progress';
+  } else {
+    return 'To Do';
+  }
+}
+
+/**
+ * Map priority to ID (basic mapping; P1-P4 as used in the release notes and Excel exports)
+ */
+export function getPriorityId(priority) {
+  const priorityMap = {
+    'highest': '1',
+    'high': '2', 
+    'medium': '3',
+    'low': '4',
+    'lowest': '5',
+    'p1': '1',
+    'p2': '2',
+    'p3': '3',
+    'p4': '4'
+  };
+  return priorityMap[priority.toLowerCase()] || '3';
+}
+
+/**
+ * Format date string to ISO format
+ */
+export function formatDate(dateString) {
+  if (!dateString) return null;
+  
+  // Handle if it's already a Date object
+  if (dateString instanceof Date) {
+    return dateString.toISOString();
+  }
+  
+  // Handle string dates
+  if (typeof dateString === 'string') {
+    if (dateString.trim() === '') return null;
+    try {
+      const date = new Date(dateString);
+      if (isNaN(date.getTime())) return null;
+      return date.toISOString();
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  // Handle Excel numeric dates
+  if (typeof dateString === 'number') {
+    try {
+      // Excel dates are days since 1899-12-30
+      const date = new Date((dateString - 25569) * 86400 * 1000);
+      if (isNaN(date.getTime())) return null;
+      return date.toISOString();
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  return null;
+}
+
+export default {
+  UNTITLED_STORY,
+  transformToUserStoryFormat,
+  parseArrayField,
+  getStatusCategory,
+  getPriorityId,
+  formatDate
+};
@@ -0,0 +1,141 @@
+/**
+ * User Story Sync
+ * Idempotent (re-)ingestion of user stories into the user stories collection, keyed by story `key`.
+ * Like testCaseSync.js, each document stores a `contentHash` of the embedded text, so unchanged
+ * stories are skipped without an embedding call and changed ones are re-embedded in place.
+ */
+
+import crypto from 'crypto';
+import { embedText } from '../providers/embeddingProvider.js';
+
+/**
+ * Text embedded for one user story (the fields create-userstories-embeddings-store embeds,
+ * plus the release, impact area and risk when present)
+ * @param {Object} userStory - Jira-like user story
+ * @returns {string}
+ */
+export function buildUserStoryEmbeddingInput(userStory) {
+  const list = (value) => (Array.isArray(value) ? value.join(', ') : '');
+
+  return `
+    Story Key: ${userStory.key || ''}
+    Summary: ${userStory.summary || ''}
+    Description: ${userStory.description || ''}
+    Status: ${userStory.status?.name || ''}
+    Priority: ${userStory.priority?.name || ''}
+    Assignee: ${userStory.assignee?.displayName || ''}
+    Reporter: ${userStory.reporter?.displayName || ''}
+    Project: ${userStory.project || ''}
+    Epic: ${userStory.epic || ''}
+    Story Points: ${userStory.storyPoints || ''}
+    Components: ${list(userStory.components)}
+    Labels: ${list(userStory.labels)}
+    Fix Versions: ${list(userStory.fixVersions)}
+    Acceptance Criteria: ${userStory.acceptanceCriteria || ''}
+    Business Value: ${userStory.businessValue || ''}
+    Dependencies: ${userStory.dependencies || ''}
+    Notes: ${userStory.notes || ''}
+    ${userStory.release ? `Release: ${userStory.release}` : ''}
+    ${userStory.impactArea ? `Impact Area: ${userStory.impactArea}` : ''}
+    ${userStory.risk ? `Risk: ${userStory.risk}` : ''}
+  `.trim();
+}
+
+/**
+ * SHA-256 of the embedded text
+ * @param {Object} userStory - Jira-like user story
+ * @returns {string}
+ */
+export function hashUserStoryContent(userStory) {
+  return crypto.createHash('sha256').update(buildUserStoryEmbeddingInput(userStory)).digest('hex');
+}
+
+/**
+ * Embed and upsert user stories by key, skipping those whose content and embedding model are unchanged
+ * @param {Collection} collection - User stories collection
+ * @param {Array<Object>} stories - Jira-like user stories (each needs a key)
+ * @param {Object} options - { dryRun, embeddingModel, onProgress({ processed, total, key, action }) }
+ * @returns {Promise<Object>} - { summary: { total, insert, update, unchanged, failed }, results: [{ key, action, reason, error }], cost, tokens }
+ */
+export async function syncUserStories(collection, stories, { dryRun = false, embeddingModel = null, onProgress = () => {} } = {}) {
+  const keys = stories.map(story => story.key).filter(Boolean);
+  const existing = keys.length > 0
+    ? await collection
+      .find({ key: { $in: keys } }, { projection: { key: 1, contentHash: 1, 'embeddingMetadata.model': 1 } })
+      .toArray()
+    : [];
+  const existingByKey = new Map(existing.map(doc => [doc.key, doc]));
+
+  const summary = { total: stories.length, insert: 0, update: 0, unchanged: 0, failed: 0 };
+  const results = [];
+  let cost = 0;
+  let tokens = 0;
+
+  for (const [index, story] of stories.entries()) {
+    let entry;
+    if (!story.key) {
+      entry = { key: null, action: 'failed', reason: 'Story has no key', error: 'Story has no key' };
+    } else {
+      const contentHash = hashUserStoryContent(story);
+      const stored = existingByKey.get(story.key);
+
+      if (!stored) {
+        entry = { key: story.key, action: 'insert', reason: 'New user story' };
+      } else if (stored.contentHash !== contentHash) {
+        entry = { key: story.key, action: 'update', reason: stored.contentHash ? 'Content changed' : 'Stored story has no content hash' };
+      } else if (embeddingModel && stored.embeddingMetadata?.model !== embeddingModel) {
+        entry = { key: story.key, action: 'update', reason: 'Embedding model changed' };
+      } else {
+        entry = { key: story.key, action: 'unchanged', reason: 'Content unchanged' };
+      }
+
+      if (!dryRun && (entry.action === 'insert' || entry.action === 'update')) {
+        try {
+          const inputText = buildUserStoryEmbeddingInput(story);
+          const embedding = await embedText(inputText);
+          const now = new Date();
+          cost += embedding.cost;
+          tokens += embedding.tokens;
+
+          await collection.updateOne(
+            { key: story.key },
+            {
+              $set: {
+                ...story,
+                embedding: embedding.vector,
+                contentHash,
+                searchableText: inputText,
+                updatedAt: now,
+                lastEmbeddingUpdate: now,
+                embeddingMetadata: {
+                  model: embedding.model,
+                  cost: embedding.cost,
+                  tokens: embedding.tokens,
+                  apiSource: embedding.provider,
+                  inputTextLength: inputText.length,
+                  generatedAt: now.toISOString()
+                }
+              },
+              $setOnInsert: { createdAt: now }
+            },
+            { upsert: true }
+          );
+        } catch (error) {
+          entry = { ...entry, action: 'failed', error: error.message };
+        }
+      }
+    }
+
+    summary[entry.action]++;
+    results.push({ error: null, ...entry });
+    onProgress({ processed: index + 1, total: stories.length, key: entry.key, action: entry.action });
+  }
+
+  return { summary, results, cost, tokens };
+}
+
+export default {
+  buildUserStoryEmbeddingInput,
+  hashUserStoryContent,
+  syncUserStories
+};
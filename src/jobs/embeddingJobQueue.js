@@ -0,0 +1,614 @@
+/**
+ * Embedding Job Queue
+ * Runs "create embeddings" jobs in-process with their state kept in a job store, so a job
+ * survives a server restart and picks up where it stopped.
+ *
+ * Files are synced idempotently (see src/ingestion/testCaseSync.js): each file is diffed against
+ * the collection first, then only new and changed records are embedded and upserted by ID.
+ * User story files (*-userstories.json, from the Excel import) go to the user stories collection
+ * through src/ingestion/userStorySync.js instead, upserted by story key; removeMissing does not apply.
+ *
+ * Every handled record is checkpointed per file:
+ *   checkpoints[file] = { nextIndex, doneAhead, processed, inserted, updated, unchanged, invalid, failed,
+ *                         removed, total, cost, tokens, errors }
+ * nextIndex is the first record not yet handled; doneAhead lists records past it that parallel
+ * workers already finished, so a resumed job does not embed a record twice.
+ *
+ * Job status: queued → in-progress → completed | failed | cancelled (cancelling while a running
+ * job winds down its in-flight records).
+ *
+ * Progress events { type, jobId, file, index, id, error, processed, total, at } go to the onEvent
+ * option; all but record-processed are also kept on the job (job.events, most recent MAX_JOB_EVENTS).
+ * Types: job-started, file-started, record-processed, record-failed, records-removed, file-completed,
+ * file-failed, job-completed, job-cancelled.
+ *
+ * Configuration (environment):
+ *   EMBEDDING_JOB_CONCURRENCY - records embedded in parallel within a file (default: 1)
+ *   EMBEDDING_JOB_MAX_ACTIVE  - jobs running at the same time (default: 1)
+ *   JOB_RETENTION_HOURS       - finished jobs older than this are purged (default: 168)
+ */
+
+import path from 'path';
+import { getEmbeddingProvider } from '../providers/embeddingProvider.js';
+import { createMongoClient } from '../providers/vectorStore.js';
+import { loadRecordsFile, diffRecords, upsertRecord, removeRecords, buildDiffReport } from '../ingestion/testCaseSync.js';
+import { syncUserStories } from '../ingestion/userStorySync.js';
+
+const MAX_CONCURRENCY = 10;
+const MAX_ERRORS_PER_FILE = 100;
+const MAX_JOB_EVENTS = 200;
+const REPORT_LIMIT = 50; // Entries per list in a preview report, as in buildDiffReport
+const UNCHANGED_CHECKPOINT_INTERVAL = 100; // Unchanged records are cheap; checkpoint them in batches
+const RECORD_DELAY_MS = 100; // Small delay between records to avoid overwhelming the embedding API
+
+export const ACTIVE_STATUSES = ['queued', 'in-progress', 'cancelling'];
+export const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Suffix of converted user story sheets (/api/upload-excel); every other file holds test cases
+export const USER_STORY_FILE_SUFFIX = '-userstories.json';
+
+/**
+ * What a data file holds, from its name
+ * @param {string} fileName - File name in the data directory
+ * @returns {string} - userstory | testcase
+ */
+export function fileEntity(fileName) {
+  return String(fileName).endsWith(USER_STORY_FILE_SUFFIX) ? 'userstory' : 'testcase';
+}
+
+function clampConcurrency(value) {
+  return Math.min(Math.max(parseInt(value, 10) || 1, 1), MAX_CONCURRENCY);
+}
+
+/**
+ * Create the queue
+ * @param {Object} options - { store, dataDir, concurrency, maxActive, openCollection, onEvent }
+ *   dataDir holds the JSON files; only plain file names are accepted
+ *   openCollection(entity) resolves to { collection, close } (default: COLLECTION_NAME, or
+ *   USER_STORIES_COLLECTION_NAME for userstory, through MONGODB_URI)
+ * @returns {Object} - { enqueue, preview, cancel, get, list, resume, purge, isRunning }
+ */
+export function createEmbeddingJobQueue(options = {}) {
+  const {
+    store,
+    dataDir,
+    concurrency: defaultConcurrency = process.env.EMBEDDING_JOB_CONCURRENCY,
+    maxActive = parseInt(process.env.EMBEDDING_JOB_MAX_ACTIVE, 10) || 1,
+    onEvent = () => {},
+    openCollection = async (entity = 'testcase') => {
+      const client = createMongoClient();
+      await client.connect();
+      const collectionName = entity === 'userstory' ? process.env.USER_STORIES_COLLECTION_NAME : process.env.COLLECTION_NAME;
+      return {
+        collection: client.db(process.env.DB_NAME).collection(collectionName),
+        close: () => client.close()
+      };
+    }
+  } = options;
+
+  const pending = [];
+  const running = new Map(); // jobId -> { cancelled }
+
+  const pump = () => {
+    while (running.size < maxActive && pending.length > 0) {
+      const jobId = pending.shift();
+      const control = { cancelled: false };
+      running.set(jobId, control);
+
+      runJob(jobId, control)
+        .catch(async error => {
+          console.error(`❌ Embedding job ${jobId} failed:`, error.message);
+          await store.update(jobId, { status: 'failed', error: error.message, endTime: new Date(), currentFile: null });
+        })
+        .finally(() => {
+          running.delete(jobId);
+          pump();
+        });
+    }
+  };
+
+  // Report an event; kept events are written with the next job update
+  const recordEvent = (job, event) => {
+    const fullEvent = { jobId: job.id, ...event, at: new Date() };
+    try { onEvent(fullEvent); } catch (e) {}
+    if (event.type !== 'record-processed') {
+      job.events = [...(job.events || []), fullEvent].slice(-MAX_JOB_EVENTS);
+    }
+  };
+
+  // One connection per entity, opened when a file first needs it
+  const openConnections = () => {
+    const connections = new Map();
+    return {
+      collectionFor: async (entity) => {
+        if (!connections.has(entity)) connections.set(entity, await openCollection(entity));
+        return connections.get(entity).collection;
+      },
+      closeAll: async () => {
+        for (const connection of connections.values()) {
+          try { await connection.close(); } catch (e) {}
+        }
+      }
+    };
+  };
+
+  // Only plain file names from the data directory
+  const loadFile = (fileName) => loadRecordsFile(path.join(dataDir, path.basename(fileName)));
+
+  async function processFile(job, fileName, collection, control, persist) {
+    const checkpoint = {
+      nextIndex: 0,
+      doneAhead: [],
+      processed: 0,
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      invalid: 0,
+      failed: 0,
+      removed: 0,
+      total: 0,
+      cost: 0,
+      tokens: 0,
+      errors: [],
+      ...(job.checkpoints?.[fileName] || {})
+    };
+    const errors = [...checkpoint.errors];
+
+    const records = loadFile(fileName);
+    checkpoint.total = records.length;
+
+    // Records finished before a restart are now "unchanged" in the diff, so it is safe to recompute
+    const diff = await diffRecords(collection, records, fileName, {
+      removeMissing: job.removeMissing,
+      embeddingModel: getEmbeddingProvider().model
+    });
+
+    if (checkpoint.nextIndex > 0) {
+      console.log(`↩️  Resuming ${fileName} at record ${checkpoint.nextIndex + 1}/${records.length}`);
+    } else {
+      console.log(`🚀 Processing ${records.length} test cases from ${fileName}: ${diff.summary.insert} new, ${diff.summary.update} changed, ${diff.summary.unchanged} unchanged`);
+    }
+
+    const done = new Set(checkpoint.doneAhead);
+    let cursor = checkpoint.nextIndex;
+    let sinceCheckpoint = 0;
+
+    const saveCheckpoint = () => {
+      // Advance the watermark over every contiguous finished record
+      while (done.has(checkpoint.nextIndex)) {
+        done.delete(checkpoint.nextIndex);
+        checkpoint.nextIndex++;
+      }
+      checkpoint.doneAhead = [...done].sort((a, b) => a - b);
+      checkpoint.errors = errors;
+      sinceCheckpoint = 0;
+      job.checkpoints = { ...job.checkpoints, [fileName]: { ...checkpoint } };
+      return persist({ checkpoints: job.checkpoints, events: job.events });
+    };
+
+    const reportError = (index, testcase, message) => {
+      if (errors.length < MAX_ERRORS_PER_FILE) {
+        errors.push({ index, id: testcase?.id ?? null, error: message });
+      }
+      recordEvent(job, { type: 'record-failed', file: fileName, index, id: testcase?.id ?? null, error: message, processed: checkpoint.processed, total: records.length });
+    };
+
+    const worker = async () => {
+      while (!control.cancelled) {
+        while (cursor < records.length && done.has(cursor)) cursor++;
+        if (cursor >= records.length) return;
+        const index = cursor++;
+        const testcase = records[index];
+        const entry = diff.plan[index];
+        let embedded = false;
+
+        if (entry.action === 'unchanged') {
+          checkpoint.unchanged++;
+        } else if (entry.action === 'invalid') {
+          checkpoint.invalid++;
+          reportError(index, testcase, entry.reason);
+        } else {
+          embedded = true;
+          try {
+            const { cost, tokens } = await upsertRecord(collection, testcase, entry, fileName);
+            checkpoint.processed++;
+            checkpoint[entry.action === 'insert' ? 'inserted' : 'updated']++;
+            checkpoint.cost += cost;
+            checkpoint.tokens += tokens;
+            console.log(`✅ ${entry.action === 'insert' ? 'Inserted' : 'Updated'} ${testcase.id} (${entry.reason})`);
+            recordEvent(job, { type: 'record-processed', file: fileName, index, id: testcase.id, action: entry.action, processed: checkpoint.processed, total: records.length });
+          } catch (error) {
+            checkpoint.failed++;
+            console.error(`❌ Error processing ${testcase?.id}: ${error.message}`);
+            reportError(index, testcase, error.message);
+          }
+        }
+
+        done.add(index);
+        if (embedded || entry.action === 'invalid' || ++sinceCheckpoint >= UNCHANGED_CHECKPOINT_INTERVAL) {
+          await saveCheckpoint();
+        }
+        if (embedded) {
+          await new Promise(resolve => setTimeout(resolve, RECORD_DELAY_MS));
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: clampConcurrency(job.concurrency) }, worker));
+    await saveCheckpoint();
+
+    const finished = checkpoint.nextIndex >= records.length;
+
+    // Removals only once the whole file went through, never for a cancelled run
+    if (finished && diff.removals.length > 0) {
+      checkpoint.removed += await removeRecords(collection, diff.removals);
+      recordEvent(job, { type: 'records-removed', file: fileName, removed: checkpoint.removed, ids: diff.removals.slice(0, MAX_ERRORS_PER_FILE).map(doc => doc.id) });
+      console.log(`🗑️ Removed ${checkpoint.removed} test cases no longer in ${fileName}`);
+      await saveCheckpoint();
+    }
+
+    const counts = [
+      `${checkpoint.inserted} inserted`,
+      `${checkpoint.updated} updated`,
+      `${checkpoint.unchanged} unchanged`,
+      checkpoint.removed > 0 && `${checkpoint.removed} removed`,
+      checkpoint.invalid > 0 && `${checkpoint.invalid} invalid`,
+      checkpoint.failed > 0 && `${checkpoint.failed} failed`
+    ].filter(Boolean).join(', ');
+
+    return {
+      file: fileName,
+      status: finished ? 'completed' : 'cancelled',
+      processed: checkpoint.processed,
+      inserted: checkpoint.inserted,
+      updated: checkpoint.updated,
+      unchanged: checkpoint.unchanged,
+      removed: checkpoint.removed,
+      invalid: checkpoint.invalid,
+      failed: checkpoint.failed,
+      total: records.length,
+      cost: checkpoint.cost,
+      tokens: checkpoint.tokens,
+      errors,
+      output: `${records.length} test cases: ${counts}` +
+        ` | Cost: $${checkpoint.cost.toFixed(6)} | Tokens: ${checkpoint.tokens}` +
+        `${finished ? '' : ' (cancelled)'}`
+    };
+  }
+
+  // User stories are synced one at a time, so a cancelled or restarted job stops between stories
+  async function processUserStoryFile(job, fileName, collection, control, persist) {
+    const checkpoint = {
+      nextIndex: 0,
+      processed: 0,
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      invalid: 0,
+      failed: 0,
+      removed: 0,
+      total: 0,
+      cost: 0,
+      tokens: 0,
+      errors: [],
+      ...(job.checkpoints?.[fileName] || {})
+    };
+    const errors = [...checkpoint.errors];
+
+    const stories = loadFile(fileName);
+    checkpoint.total = stories.length;
+    const embeddingModel = getEmbeddingProvider().model;
+
+    console.log(checkpoint.nextIndex > 0
+      ? `↩️  Resuming ${fileName} at story ${checkpoint.nextIndex + 1}/${stories.length}`
+      : `🚀 Processing ${stories.length} user stories from ${fileName}`);
+
+    const saveCheckpoint = () => {
+      checkpoint.errors = errors;
+      job.checkpoints = { ...job.checkpoints, [fileName]: { ...checkpoint } };
+      return persist({ checkpoints: job.checkpoints, events: job.events });
+    };
+
+    while (!control.cancelled && checkpoint.nextIndex < stories.length) {
+      const index = checkpoint.nextIndex;
+      const story = stories[index];
+      const { results: [entry], cost, tokens } = await syncUserStories(collection, [story], { embeddingModel });
+
+      if (entry.action === 'unchanged') {
+        checkpoint.unchanged++;
+      } else if (entry.action === 'failed') {
+        // A story without a key is a bad row, anything else a failed embedding or write
+        checkpoint[entry.key ? 'failed' : 'invalid']++;
+        if (errors.length < MAX_ERRORS_PER_FILE) {
+          errors.push({ index, id: entry.key, error: entry.error });
+        }
+        recordEvent(job, { type: 'record-failed', file: fileName, index, id: entry.key, error: entry.error, processed: checkpoint.processed, total: stories.length });
+      } else {
+        checkpoint.processed++;
+        checkpoint[entry.action === 'insert' ? 'inserted' : 'updated']++;
+        checkpoint.cost += cost;
+        checkpoint.tokens += tokens;
+        console.log(`✅ ${entry.action === 'insert' ? 'Inserted' : 'Updated'} ${entry.key} (${entry.reason})`);
+        recordEvent(job, { type: 'record-processed', file: fileName, index, id: entry.key, action: entry.action, processed: checkpoint.processed, total: stories.length });
+      }
+
+      checkpoint.nextIndex++;
+      const embedded = entry.action === 'insert' || entry.action === 'update';
+      if (entry.action !== 'unchanged' || checkpoint.nextIndex % UNCHANGED_CHECKPOINT_INTERVAL === 0) {
+        await saveCheckpoint();
+      }
+      if (embedded) {
+        await new Promise(resolve => setTimeout(resolve, RECORD_DELAY_MS));
+      }
+    }
+    await saveCheckpoint();
+
+    const finished = checkpoint.nextIndex >= stories.length;
+    const counts = [
+      `${checkpoint.inserted} inserted`,
+      `${checkpoint.updated} updated`,
+      `${checkpoint.unchanged} unchanged`,
+      checkpoint.invalid > 0 && `${checkpoint.invalid} invalid`,
+      checkpoint.failed > 0 && `${checkpoint.failed} failed`
+    ].filter(Boolean).join(', ');
+
+    return {
+      file: fileName,
+      entity: 'userstory',
+      status: finished ? 'completed' : 'cancelled',
+      processed: checkpoint.processed,
+      inserted: checkpoint.inserted,
+      updated: checkpoint.updated,
+      unchanged: checkpoint.unchanged,
+      removed: 0,
+      invalid: checkpoint.invalid,
+      failed: checkpoint.failed,
+      total: stories.length,
+      cost: checkpoint.cost,
+      tokens: checkpoint.tokens,
+      errors,
+      output: `${stories.length} user stories: ${counts}` +
+        ` | Cost: $${checkpoint.cost.toFixed(6)} | Tokens: ${checkpoint.tokens}` +
+        `${finished ? '' : ' (cancelled)'}`
+    };
+  }
+
+  // Dry run of a user story file, in the shape of buildDiffReport
+  async function previewUserStoryFile(fileName, collection) {
+    const stories = loadFile(fileName);
+    const { summary, results } = await syncUserStories(collection, stories, {
+      dryRun: true,
+      embeddingModel: getEmbeddingProvider().model
+    });
+    const changes = { insert: [], update: [], invalid: [], remove: [] };
+    results.forEach((entry, index) => {
+      const action = entry.action === 'failed' ? 'invalid' : entry.action;
+      const list = changes[action];
+      if (!list || list.length >= REPORT_LIMIT) return;
+      list.push(action === 'insert' ? entry.key : { index, id: entry.key, reason: entry.reason });
+    });
+
+    return {
+      file: fileName,
+      entity: 'userstory',
+      summary: { total: summary.total, insert: summary.insert, update: summary.update, unchanged: summary.unchanged, invalid: summary.failed, remove: 0 },
+      changes,
+      truncated: ['insert', 'update', 'failed'].some(action => summary[action] > REPORT_LIMIT)
+    };
+  }
+
+  async function runJob(jobId, control) {
+    let job = await store.get(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return;
+    if (job.status === 'cancelling') {
+      await store.update(jobId, { status: 'cancelled', endTime: new Date() });
+      return;
+    }
+
+    // Updates are chained so checkpoints land in order
+    let chain = Promise.resolve();
+    const persist = (updates) => {
+      chain = chain.then(() => store.update(jobId, updates));
+      return chain;
+    };
+
+    recordEvent(job, { type: 'job-started', resumed: (job.runs || 0) > 0 });
+    job = await store.update(jobId, { status: 'in-progress', runs: (job.runs || 0) + 1, events: job.events });
+    const results = [...(job.results || [])];
+
+    const { collectionFor, closeAll } = openConnections();
+
+    try {
+      for (const fileName of job.files) {
+        if (control.cancelled) break;
+        if (results.some(r => r.file === fileName && (r.status === 'completed' || r.status === 'failed'))) {
+          continue; // Finished before a restart
+        }
+
+        recordEvent(job, { type: 'file-started', file: fileName });
+        await persist({ currentFile: fileName, events: job.events });
+
+        let result;
+        try {
+          result = fileEntity(fileName) === 'userstory'
+            ? await processUserStoryFile(job, fileName, await collectionFor('userstory'), control, persist)
+            : await processFile(job, fileName, await collectionFor('testcase'), control, persist);
+        } catch (error) {
+          result = { file: fileName, status: 'failed', error: error.message };
+        }
+        if (result.status === 'completed') {
+          recordEvent(job, { type: 'file-completed', file: fileName, processed: result.processed, total: result.total });
+        } else if (result.status === 'failed') {
+          recordEvent(job, { type: 'file-failed', file: fileName, error: result.error });
+        }
+
+        const existing = results.findIndex(r => r.file === fileName);
+        if (existing !== -1) results[existing] = result;
+        else results.push(result);
+
+        await persist({
+          progress: results.filter(r => r.status !== 'cancelled').length,
+          results: [...results],
+          events: job.events
+        });
+      }
+    } finally {
+      await chain;
+      await closeAll();
+    }
+
+    recordEvent(job, { type: control.cancelled ? 'job-cancelled' : 'job-completed' });
+    await store.update(jobId, {
+      status: control.cancelled ? 'cancelled' : 'completed',
+      endTime: new Date(),
+      currentFile: null,
+      results,
+      events: job.events
+    });
+    console.log(`${control.cancelled ? '🛑' : '🎉'} Embedding job ${jobId} ${control.cancelled ? 'cancelled' : 'complete'}`);
+  }
+
+  return {
+    /**
+     * Create a job for the given files and queue it
+     * @param {Array<string>} files - File names in the data directory
+     * @param {Object} jobOptions - { concurrency, removeMissing }
+     * @returns {Promise<Object>} - Created job
+     */
+    async enqueue(files, jobOptions = {}) {
+      const job = {
+        id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        type: 'embeddings',
+        files,
+        status: 'queued',
+        progress: 0,
+        total: files.length,
+        results: [],
+        checkpoints: {},
+        events: [],
+        concurrency: clampConcurrency(jobOptions.concurrency ?? defaultConcurrency),
+        removeMissing: Boolean(jobOptions.removeMissing),
+        startTime: new Date(),
+        currentFile: null,
+        runs: 0
+      };
+
+      await store.create(job);
+      pending.push(job.id);
+      pump();
+      return job;
+    },
+
+    /**
+     * Dry run: what a job for these files would insert, update, skip and remove (nothing is written)
+     * @param {Array<string>} files - File names in the data directory
+     * @param {Object} previewOptions - { removeMissing }
+     * @returns {Promise<Array<Object>>} - One diff report per file
+     */
+    async preview(files, previewOptions = {}) {
+      const { collectionFor, closeAll } = openConnections();
+      try {
+        const reports = [];
+        for (const fileName of files) {
+          try {
+            if (fileEntity(fileName) === 'userstory') {
+              reports.push(await previewUserStoryFile(fileName, await collectionFor('userstory')));
+              continue;
+            }
+            const records = loadFile(fileName);
+            const diff = await diffRecords(await collectionFor('testcase'), records, fileName, {
+              removeMissing: Boolean(previewOptions.removeMissing),
+              embeddingModel: getEmbeddingProvider().model
+            });
+            reports.push(buildDiffReport(fileName, records, diff));
+          } catch (error) {
+            reports.push({ file: fileName, error: error.message });
+          }
+        }
+        return reports;
+      } finally {
+        await closeAll();
+      }
+    },
+
+    /**
+     * Cancel a queued or running job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} - Updated job, or null when not found
+     */
+    async cancel(jobId) {
+      const job = await store.get(jobId);
+      if (!job) return null;
+      if (FINISHED_STATUSES.includes(job.status)) {
+        const error = new Error(`Job is already ${job.status}`);
+        error.status = 409;
+        throw error;
+      }
+
+      const pendingIndex = pending.indexOf(jobId);
+      if (pendingIndex !== -1) pending.splice(pendingIndex, 1);
+
+      const control = running.get(jobId);
+      if (control) {
+        // The runner finishes its in-flight records, then marks the job cancelled
+        control.cancelled = true;
+        return store.update(jobId, { status: 'cancelling', cancelRequestedAt: new Date() });
+      }
+
+      return store.update(jobId, { status: 'cancelled', endTime: new Date(), cancelRequestedAt: new Date() });
+    },
+
+    get: (jobId) => store.get(jobId),
+
+    list: (filter = {}) => store.list(filter),
+
+    isRunning: (jobId) => running.has(jobId),
+
+    /**
+     * Re-queue jobs interrupted by a restart (call once at startup)
+     * @returns {Promise<Array<string>>} - Resumed job IDs
+     */
+    async resume() {
+      const interrupted = await store.list({ status: ACTIVE_STATUSES });
+      const resumed = [];
+
+      // Oldest first, so jobs keep their original order
+      for (const job of interrupted.reverse()) {
+        if (running.has(job.id) || pending.includes(job.id)) continue;
+        if (job.status === 'cancelling') {
+          await store.update(job.id, { status: 'cancelled', endTime: new Date() });
+          continue;
+        }
+        await store.update(job.id, { status: 'queued' });
+        pending.push(job.id);
+        resumed.push(job.id);
+      }
+
+      pump();
+      return resumed;
+    },
+
+    /**
+     * Delete finished jobs older than the retention window
+     * @param {number} retentionHours - Hours to keep finished jobs
+     * @returns {Promise<number>} - Purged job count
+     */
+    async purge(retentionHours = parseFloat(process.env.JOB_RETENTION_HOURS) || 168) {
+      const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+      const finished = await store.list({ status: FINISHED_STATUSES });
+      const expired = finished.filter(job => new Date(job.endTime || job.startTime).getTime() < cutoff);
+      for (const job of expired) {
+        await store.remove(job.id);
+      }
+      return expired.length;
+    }
+  };
+}
+
+export default {
+  ACTIVE_STATUSES,
+  FINISHED_STATUSES,
+  USER_STORY_FILE_SUFFIX,
+  fileEntity,
+  createEmbeddingJobQueue
+};
@@ -0,0 +1,234 @@
+/**
+ * Jira Sync Queue
+ * Pulls user stories from Jira into the user stories collection as background jobs, one run at
+ * a time. Every run is kept in a job store, which doubles as the sync history.
+ *
+ * A run pages through the sync JQL (see ingestion/jiraStories.js), transforms the issues and
+ * upserts them by key through ingestion/userStorySync.js, so only new and changed stories are
+ * embedded. Runs are incremental by default: only issues updated since the last completed run
+ * with the same JQL are fetched. Dry runs report what would change and do not move lastSync.
+ *
+ * Run status: queued → in-progress → completed | failed. A run interrupted by a restart is
+ * marked failed; the next incremental run covers its window again.
+ *
+ * Configuration (environment):
+ *   JIRA_SYNC_OVERLAP_MINUTES - extra minutes fetched before lastSync (default: 5)
+ */
+
+import { getEmbeddingProvider } from '../providers/embeddingProvider.js';
+import { createMongoClient } from '../providers/vectorStore.js';
+import { createJiraClient, getJiraConfig, missingJiraSettings } from '../providers/jiraClient.js';
+import { transformUserStory, buildBaseJql, buildSyncJql } from '../ingestion/jiraStories.js';
+import { syncUserStories } from '../ingestion/userStorySync.js';
+
+const MAX_RUN_RESULTS = 200;
+const MAX_RUN_ERRORS = 100;
+
+export const ACTIVE_STATUSES = ['queued', 'in-progress'];
+
+/**
+ * Create the queue
+ * @param {Object} options - { store, getConfig, createClient, openCollection, overlapMinutes }
+ *   getConfig() returns the Jira settings (default: getJiraConfig from the environment)
+ *   openCollection() resolves to { collection, close } (default: USER_STORIES_COLLECTION_NAME through MONGODB_URI)
+ * @returns {Object} - { start, get, history, lastSync, markInterrupted, isRunning }
+ */
+export function createJiraSyncQueue(options = {}) {
+  const {
+    store,
+    getConfig = () => getJiraConfig(),
+    createClient = createJiraClient,
+    overlapMinutes = parseInt(process.env.JIRA_SYNC_OVERLAP_MINUTES, 10) || 5,
+    openCollection = async () => {
+      const client = createMongoClient();
+      await client.connect();
+      return {
+        collection: client.db(process.env.DB_NAME).collection(process.env.USER_STORIES_COLLECTION_NAME),
+        close: () => client.close()
+      };
+    }
+  } = options;
+
+  let running = null; // jobId of the run in progress
+
+  // Most recent completed, non-dry run for this JQL
+  async function lastCompletedRun(baseJql) {
+    const runs = await store.list({ status: 'completed' });
+    return runs.find(run => run.type === 'jira-sync' && !run.dryRun && run.baseJql === baseJql) || null;
+  }
+
+  async function runSync(job, config) {
+    const persist = (updates) => store.update(job.id, updates);
+
+    await persist({ status: 'in-progress' });
+    console.log(`🔄 Jira sync ${job.id} (${job.mode}${job.dryRun ? ', dry run' : ''}): ${job.jql}`);
+
+    const client = createClient(config);
+    const issues = await client.searchAll(job.jql, {
+      onPage: ({ page, fetched }) => {
+        console.log(`📄 Jira page ${page}: ${fetched} issues so far`);
+        return persist({ pages: page, fetched });
+      }
+    });
+
+    const stories = [];
+    const errors = [];
+    issues.forEach(issue => {
+      try {
+        stories.push(transformUserStory(issue, { baseURL: config.baseURL }));
+      } catch (error) {
+        errors.push({ key: issue?.key || null, error: `Could not transform issue: ${error.message}` });
+      }
+    });
+    await persist({ fetched: issues.length, transformed: stories.length });
+
+    const connection = await openCollection();
+    let result;
+    try {
+      result = await syncUserStories(connection.collection, stories, {
+        dryRun: job.dryRun,
+        embeddingModel: getEmbeddingProvider().model,
+        onProgress: ({ processed, total, key, action }) => {
+          if (action !== 'unchanged') console.log(`📝 [${processed}/${total}] ${key}: ${action}`);
+        }
+      });
+    } finally {
+      try { await connection.close(); } catch (e) {}
+    }
+
+    result.results.filter(r => r.error).forEach(r => errors.push({ key: r.key, error: r.error }));
+    // Issues that could not be transformed count as failed
+    const summary = {
+      ...result.summary,
+      total: issues.length,
+      failed: result.summary.failed + (issues.length - stories.length)
+    };
+
+    await persist({
+      status: 'completed',
+      endTime: new Date(),
+      summary,
+      // Unchanged stories are only counted
+      results: result.results.filter(r => r.action !== 'unchanged').slice(0, MAX_RUN_RESULTS),
+      errors: errors.slice(0, MAX_RUN_ERRORS),
+      cost: result.cost,
+      tokens: result.tokens
+    });
+
+    console.log(`✅ Jira sync ${job.id}: ${summary.insert} inserted, ${summary.update} updated, ${summary.unchanged} unchanged, ${summary.failed} failed`);
+  }
+
+  return {
+    /**
+     * Create a sync run and start it in the background
+     * @param {Object} runOptions - { full, dryRun, jql } (jql overrides JIRA_SYNC_JQL for this run)
+     * @returns {Promise<Object>} - Created run
+     */
+    async start(runOptions = {}) {
+      const config = getConfig();
+      const missing = missingJiraSettings(config);
+      if (missing.length > 0) {
+        const error = new Error(`Jira is not configured: set ${missing.join(', ')}`);
+        error.status = 400;
+        throw error;
+      }
+      if (running) {
+        const error = new Error(`Jira sync ${running} is still running`);
+        error.status = 409;
+        throw error;
+      }
+
+      // Claimed before the first await, so two requests cannot both start a run
+      const jobId = `jira-sync-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      running = jobId;
+
+      let job;
+      try {
+        const baseJql = buildBaseJql({ projectKey: config.projectKey, jql: runOptions.jql || config.jql });
+        const previous = runOptions.full ? null : await lastCompletedRun(baseJql);
+        const syncStartedAt = new Date();
+
+        job = {
+          id: jobId,
+          type: 'jira-sync',
+          status: 'queued',
+          mode: previous ? 'incremental' : 'full',
+          dryRun: Boolean(runOptions.dryRun),
+          baseJql,
+          jql: buildSyncJql(baseJql, { since: previous?.syncStartedAt, overlapMinutes, now: syncStartedAt }),
+          since: previous?.syncStartedAt || null,
+          previousRunId: previous?.id || null,
+          // Becomes lastSync once the run completes; issues updated during the run are caught next time
+          syncStartedAt,
+          startTime: syncStartedAt,
+          endTime: null,
+          pages: 0,
+          fetched: 0,
+          transformed: 0,
+          summary: { total: 0, insert: 0, update: 0, unchanged: 0, failed: 0 },
+          results: [],
+          errors: [],
+          cost: 0,
+          tokens: 0
+        };
+
+        await store.create(job);
+      } catch (error) {
+        running = null;
+        throw error;
+      }
+
+      runSync(job, config)
+        .catch(async error => {
+          console.error(`❌ Jira sync ${job.id} failed:`, error.message);
+          await store.update(job.id, { status: 'failed', error: error.message, endTime: new Date() });
+        })
+        .finally(() => {
+          running = null;
+        });
+
+      return job;
+    },
+
+    get: (jobId) => store.get(jobId),
+
+    /**
+     * Past runs, newest first
+     * @param {Object} historyOptions - { limit }
+     * @returns {Promise<Array<Object>>}
+     */
+    async history({ limit = 20 } = {}) {
+      const runs = await store.list();
+      return runs.filter(run => run.type === 'jira-sync').slice(0, limit);
+    },
+
+    /**
+     * Start time of the last completed run for the configured JQL (null before the first sync)
+     * @returns {Promise<Date|null>}
+     */
+    async lastSync() {
+      const config = getConfig();
+      const run = await lastCompletedRun(buildBaseJql({ projectKey: config.projectKey, jql: config.jql }));
+      return run ? new Date(run.syncStartedAt) : null;
+    },
+
+    isRunning: () => running !== null,
+
+    /**
+     * Mark runs interrupted by a restart as failed (call once at startup)
+     * @returns {Promise<Array<string>>} - Interrupted run IDs
+     */
+    async markInterrupted() {
+      const interrupted = await store.list({ status: ACTIVE_STATUSES });
+      for (const run of interrupted) {
+        await store.update(run.id, { status: 'failed', error: 'Interrupted by a server restart', endTime: new Date() });
+      }
+      return interrupted.map(run => run.id);
+    }
+  };
+}
+
+export default {
+  ACTIVE_STATUSES,
+  createJiraSyncQueue
+};
@@ -0,0 +1,214 @@
+/**
+ * Job Store
+ * Persists background job state (embedding runs) so jobs survive a server restart.
+ * Backends: MongoDB (one document per job) and a local directory of <jobId>.json files.
+ *
+ * Both backends expose the same surface:
+ *   await store.create(job);
+ *   const job = await store.get(jobId);
+ *   await store.update(jobId, { status: 'completed' });   // shallow merge, returns the updated job
+ *   const jobs = await store.list({ status: ['queued', 'in-progress'] });
+ *   await store.remove(jobId);
+ *
+ * Configuration (environment):
+ *   JOB_STORE            - mongodb | file (default: mongodb when MONGODB_URI is set, otherwise file)
+ *   JOBS_COLLECTION_NAME - collection for the mongodb backend (default: jobs)
+ *   JOB_STORE_DIR        - directory for the file backend (default: <repo>/.jobs)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { createMongoClient } from '../providers/vectorStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_JOB_STORE_DIR = path.join(__dirname, '../../.jobs');
+
+function matchesStatus(job, status) {
+  if (!status) return true;
+  return Array.isArray(status) ? status.includes(job.status) : job.status === status;
+}
+
+// Dates come back from JSON as strings; keep the same shape the Mongo backend returns
+function reviveDates(job) {
+  ['startTime', 'endTime', 'updatedAt'].forEach(field => {
+    if (job[field]) job[field] = new Date(job[field]);
+  });
+  return job;
+}
+
+/**
+ * MongoDB-backed job store
+ * @param {Object} options - { dbName, collectionName }
+ * @returns {Object} - Job store
+ */
+export function createMongoJobStore(options = {}) {
+  const {
+    dbName = process.env.DB_NAME,
+    collectionName = process.env.JOBS_COLLECTION_NAME || 'jobs'
+  } = options;
+
+  let client = null;
+  let connecting = null;
+
+  // One long-lived connection; job updates are frequent (one per processed record)
+  const collection = async () => {
+    if (!client) {
+      if (!connecting) {
+        const candidate = createMongoClient();
+        connecting = candidate.connect()
+          .then(() => { client = candidate; })
+          .finally(() => { connecting = null; });
+      }
+      await connecting;
+    }
+    return client.db(dbName).collection(collectionName);
+  };
+
+  const toJob = (doc) => {
+    if (!doc) return null;
+    const { _id, ...job } = doc;
+    return { id: _id, ...job };
+  };
+
+  return {
+    name: 'mongodb',
+
+    async create(job) {
+      const { id, ...rest } = job;
+      await (await collection()).insertOne({ _id: id, ...rest, updatedAt: new Date() });
+      return job;
+    },
+
+    async get(jobId) {
+      return toJob(await (await collection()).findOne({ _id: jobId }));
+    },
+
+    async update(jobId, updates) {
+      const { id, ...rest } = updates;
+      const doc = await (await collection()).findOneAndUpdate(
+        { _id: jobId },
+        { $set: { ...rest, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+      return toJob(doc);
+    },
+
+    async list({ status } = {}) {
+      const query = status ? { status: Array.isArray(status) ? { $in: status } : status } : {};
+      const docs = await (await collection()).find(query).sort({ startTime: -1 }).toArray();
+      return docs.map(toJob);
+    },
+
+    async remove(jobId) {
+      await (await collection()).deleteOne({ _id: jobId });
+    },
+
+    async close() {
+      if (client) {
+        await client.close();
+        client = null;
+      }
+    }
+  };
+}
+
+/**
+ * File-backed job store (one JSON file per job)
+ * @param {Object} options - { dir }
+ * @returns {Object} - Job store
+ */
+export function createFileJobStore(options = {}) {
+  const { dir = process.env.JOB_STORE_DIR || DEFAULT_JOB_STORE_DIR } = options;
+
+  const jobPath = (jobId) => path.join(dir, `${path.basename(jobId)}.json`);
+
+  const read = (jobId) => {
+    const file = jobPath(jobId);
+    if (!fs.existsSync(file)) return null;
+    return reviveDates(JSON.parse(fs.readFileSync(file, 'utf-8')));
+  };
+
+  // Write to a temp file and rename, so a crash mid-write never leaves a truncated job file
+  const write = (job) => {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = jobPath(job.id);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(job, null, 2));
+    fs.renameSync(tempFile, file);
+    return job;
+  };
+
+  return {
+    name: 'file',
+
+    async create(job) {
+      return write({ ...job, updatedAt: new Date() });
+    },
+
+    async get(jobId) {
+      return read(jobId);
+    },
+
+    async update(jobId, updates) {
+      const job = read(jobId);
+      if (!job) return null;
+      return write({ ...job, ...updates, id: job.id, updatedAt: new Date() });
+    },
+
+    async list({ status } = {}) {
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+          try {
+            return reviveDates(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')));
+          } catch (error) {
+            console.warn(`⚠️ Skipping unreadable job file ${file}: ${error.message}`);
+            return null;
+          }
+        })
+        .filter(job => job && matchesStatus(job, status))
+        .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+    },
+
+    async remove(jobId) {
+      const file = jobPath(jobId);
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * Backend selected through JOB_STORE
+ * @returns {string}
+ */
+export function getJobStoreBackend() {
+  return (process.env.JOB_STORE || (process.env.MONGODB_URI ? 'mongodb' : 'file')).toLowerCase();
+}
+
+/**
+ * Create a job store
+ * @param {Object} config - { backend, ...backend options }
+ * @returns {Object} - Job store
+ */
+export function createJobStore(config = {}) {
+  const { backend = getJobStoreBackend(), ...options } = config;
+
+  if (backend === 'mongodb' || backend === 'mongo') return createMongoJobStore(options);
+  if (backend === 'file') return createFileJobStore(options);
+
+  throw new Error(`Unknown job store "${backend}". Expected one of: mongodb, file`);
+}
+
+export default {
+  createJobStore,
+  createMongoJobStore,
+  createFileJobStore,
+  getJobStoreBackend
+};
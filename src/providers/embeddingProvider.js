@@ -0,0 +1,266 @@
+/**
+ * Embedding Provider
+ * Single entry point for text embeddings across the server and CLI scripts.
+ * Backends: Testleaf (default), OpenAI-compatible endpoints and a deterministic local provider.
+ *
+ * Configuration (environment):
+ *   EMBEDDING_PROVIDER    - testleaf | openai | local (default: testleaf)
+ *   EMBEDDING_MODEL       - model name sent to remote providers (default: text-embedding-3-small)
+ *   EMBEDDING_DIMENSIONS  - vector size for the local provider (default: 1536, matches the Atlas index)
+ *   OPENAI_API_KEY, OPENAI_BASE_URL - used by the openai provider
+ */
+
+import axios from 'axios';
+import OpenAI from 'openai';
+
+const DEFAULT_MODEL = 'text-embedding-3-small';
+const DEFAULT_DIMENSIONS = 1536;
+
+/**
+ * Testleaf embedding API (/embedding/text and /embedding/batch)
+ * @param {Object} options - { apiBase, userEmail, authToken, model }
+ * @returns {Object} - Embedding provider
+ */
+export function createTestleafEmbeddingProvider(options = {}) {
+  const {
+    apiBase = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.com/ai',
+    userEmail = process.env.USER_EMAIL,
+    authToken = process.env.AUTH_TOKEN,
+    model = process.env.EMBEDDING_MODEL || DEFAULT_MODEL
+  } = options;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(authToken && { 'Authorization': `Bearer ${authToken}` })
+  };
+
+  return {
+    name: 'testleaf',
+    model,
+    dimensions: DEFAULT_DIMENSIONS,
+
+    async embed(text) {
+      const response = await axios.post(
+        `${apiBase}/embedding/text/${userEmail}`,
+        { input: text, model },
+        { headers }
+      );
+
+      if (response.data.status !== 200) {
+        throw new Error(`Testleaf API error: ${response.data.message}`);
+      }
+
+      return {
+        vector: response.data.data[0].embedding,
+        model: response.data.model || model,
+        cost: response.data.cost || 0,
+        tokens: response.data.usage?.total_tokens || 0,
+        provider: 'testleaf'
+      };
+    },
+
+    async embedBatch(texts) {
+      const response = await axios.post(
+        `${apiBase}/embedding/batch/${userEmail}`,
+        { inputs: texts, model },
+        { headers, timeout: 300000 } // Longer timeout for batch requests
+      );
+
+      if (response.data.status !== 200) {
+        throw new Error(`Batch API error: ${response.data.message}`);
+      }
+
+      return {
+        vectors: response.data.data.map(item => item.embedding),
+        model: response.data.model || model,
+        cost: response.data.cost || 0,
+        tokens: response.data.usage?.total_tokens || 0,
+        provider: 'testleaf-batch'
+      };
+    }
+  };
+}
+
+/**
+ * OpenAI-compatible embeddings endpoint (OpenAI, Azure proxies, Ollama, vLLM, ...)
+ * @param {Object} options - { apiKey, baseURL, model, dimensions }
+ * @returns {Object} - Embedding provider
+ */
+export function createOpenAIEmbeddingProvider(options = {}) {
+  const {
+    apiKey = process.env.OPENAI_API_KEY,
+    baseURL = process.env.OPENAI_BASE_URL,
+    model = process.env.EMBEDDING_MODEL || DEFAULT_MODEL,
+    dimensions = process.env.EMBEDDING_DIMENSIONS ? parseInt(process.env.EMBEDDING_DIMENSIONS) : undefined
+  } = options;
+
+  const client = new OpenAI({ apiKey, ...(baseURL && { baseURL }) });
+
+  const request = async (input) => {
+    const response = await client.embeddings.create({
+      model,
+      input,
+      ...(dimensions && { dimensions })
+    });
+
+    return {
+      vectors: response.data.map(item => item.embedding),
+      model: response.model || model,
+      cost: 0, // Not reported by OpenAI-compatible APIs
+      tokens: response.usage?.total_tokens || 0,
+      provider: 'openai'
+    };
+  };
+
+  return {
+    name: 'openai',
+    model,
+    dimensions: dimensions || DEFAULT_DIMENSIONS,
+
+    async embed(text) {
+      const { vectors, ...rest } = await request(text);
+      return { vector: vectors[0], ...rest };
+    },
+
+    embedBatch: request
+  };
+}
+
+/**
+ * Deterministic offline provider: hashed word unigrams and character trigrams, L2-normalised.
+ * Identical text always yields the identical vector, and texts sharing words or word fragments
+ * land close together, which is enough to exercise retrieval end to end without credentials.
+ * @param {Object} options - { dimensions }
+ * @returns {Object} - Embedding provider
+ */
+export function createLocalEmbeddingProvider(options = {}) {
+  const {
+    dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS) || DEFAULT_DIMENSIONS
+  } = options;
+
+  const model = `local-hashed-ngram-${dimensions}`;
+
+  const embedOne = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    const words = String(text || '').toLowerCase().match(/[a-z0-9_]+/g) || [];
+
+    const addFeature = (feature, weight) => {
+      const hash = fnv1a(feature);
+      const sign = (hash & 1) === 0 ? 1 : -1;
+      vector[(hash >>> 1) % dimensions] += sign * weight;
+    };
+
+    for (const word of words) {
+      addFeature(`w:${word}`, 1.0);
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        addFeature(`c:${padded.slice(i, i + 3)}`, 0.5);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return {
+      vector: vector.map(v => v / norm),
+      tokens: words.length
+    };
+  };
+
+  return {
+    name: 'local',
+    model,
+    dimensions,
+
+    async embed(text) {
+      const { vector, tokens } = embedOne(text);
+      return { vector, model, cost: 0, tokens, provider: 'local' };
+    },
+
+    async embedBatch(texts) {
+      const results = texts.map(embedOne);
+      return {
+        vectors: results.map(r => r.vector),
+        model,
+        cost: 0,
+        tokens: results.reduce((sum, r) => sum + r.tokens, 0),
+        provider: 'local'
+      };
+    }
+  };
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} str - Input string
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+const providerFactories = {
+  testleaf: createTestleafEmbeddingProvider,
+  openai: createOpenAIEmbeddingProvider,
+  local: createLocalEmbeddingProvider
+};
+
+/**
+ * Create an embedding provider by name
+ * @param {Object} config - { provider, ...provider options }
+ * @returns {Object} - Embedding provider
+ */
+export function createEmbeddingProvider(config = {}) {
+  const { provider = process.env.EMBEDDING_PROVIDER || 'testleaf', ...options } = config;
+  const factory = providerFactories[provider.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${provider}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+let defaultProvider = null;
+
+/**
+ * Get the provider configured through the environment (created once per process)
+ * @returns {Object} - Embedding provider
+ */
+export function getEmbeddingProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createEmbeddingProvider();
+  }
+  return defaultProvider;
+}
+
+/**
+ * Embed a single text with the configured provider
+ * @param {string} text - Input text
+ * @returns {Promise<Object>} - { vector, model, cost, tokens, provider }
+ */
+export async function embedText(text) {
+  return getEmbeddingProvider().embed(text);
+}
+
+/**
+ * Embed several texts in one call with the configured provider
+ * @param {string[]} texts - Input texts
+ * @returns {Promise<Object>} - { vectors, model, cost, tokens, provider }
+ */
+export async function embedBatch(texts) {
+  return getEmbeddingProvider().embedBatch(texts);
+}
+
+export default {
+  createEmbeddingProvider,
+  createTestleafEmbeddingProvider,
+  createOpenAIEmbeddingProvider,
+  createLocalEmbeddingProvider,
+  getEmbeddingProvider,
+  embedText,
+  embedBatch
+};
@@ -0,0 +1,159 @@
+/**
+ * Jira Client
+ * Paged issue search against the Jira Cloud REST API (or a local stand-in, see
+ * src/scripts/utilities/mock-jira-server.js).
+ *
+ * Searches go to GET /rest/api/3/search/jql and are followed to the last page, whichever way
+ * the server pages:
+ *   { issues, nextPageToken, isLast }          (Jira Cloud)
+ *   { issues, startAt, maxResults, total }     (older offset paging)
+ *
+ * Configuration (environment):
+ *   JIRA_BASE_URL, JIRA_EMAIL, JIRA_API_TOKEN, JIRA_PROJECT_KEY - connection (basic auth with an API token)
+ *   JIRA_SYNC_JQL        - JQL selecting the stories to sync (default: project = <key> AND issuetype = Story)
+ *   JIRA_SYNC_PAGE_SIZE  - issues per search request (default: 50, max 100)
+ *   JIRA_WEBHOOK_SECRET  - shared secret for webhook deliveries (see ingestion/jiraWebhook.js)
+ */
+
+import axios from 'axios';
+
+const MAX_PAGE_SIZE = 100;
+const MAX_PAGES = 1000; // Guards against a server that never reports the last page
+
+// Fields transformUserStory (ingestion/jiraStories.js) reads
+export const JIRA_STORY_FIELDS = [
+  'key',
+  'summary',
+  'description',
+  'status',
+  'priority',
+  'assignee',
+  'reporter',
+  'created',
+  'updated',
+  'components',
+  'labels',
+  'fixVersions',
+  'customfield_10016', // Story Points (may vary)
+  'issuelinks'
+];
+
+/**
+ * Jira settings from the environment
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} - { baseURL, email, apiToken, projectKey, jql, pageSize, webhookSecret }
+ */
+export function getJiraConfig(env = process.env) {
+  return {
+    baseURL: (env.JIRA_BASE_URL || '').trim().replace(/\/+$/, ''),
+    email: (env.JIRA_EMAIL || '').trim(),
+    apiToken: (env.JIRA_API_TOKEN || '').trim(),
+    projectKey: (env.JIRA_PROJECT_KEY || '').trim(),
+    jql: (env.JIRA_SYNC_JQL || '').trim(),
+    pageSize: Math.min(Math.max(parseInt(env.JIRA_SYNC_PAGE_SIZE, 10) || 50, 1), MAX_PAGE_SIZE),
+    webhookSecret: (env.JIRA_WEBHOOK_SECRET || '').trim()
+  };
+}
+
+/**
+ * Names of the required settings that are empty
+ * @param {Object} config - getJiraConfig result
+ * @returns {Array<string>} - e.g. ['JIRA_API_TOKEN']
+ */
+export function missingJiraSettings(config) {
+  return [
+    ['JIRA_BASE_URL', config.baseURL],
+    ['JIRA_EMAIL', config.email],
+    ['JIRA_API_TOKEN', config.apiToken],
+    // The project key is only needed for the default JQL
+    ['JIRA_PROJECT_KEY', config.projectKey || config.jql]
+  ].filter(([, value]) => !value).map(([name]) => name);
+}
+
+// "Request failed with status code 401" is not much help; prefer Jira's own error messages
+function describeError(error) {
+  const data = error.response?.data;
+  const messages = [...(data?.errorMessages || []), ...Object.values(data?.errors || {})];
+  const status = error.response?.status;
+  return `${status ? `Jira responded ${status}` : 'Jira request failed'}: ${messages.join('; ') || error.message}`;
+}
+
+/**
+ * Create a client
+ * @param {Object} config - getJiraConfig result
+ * @returns {Object} - { config, searchPage(params), searchAll(jql, options) }
+ */
+export function createJiraClient(config = getJiraConfig()) {
+  const http = axios.create({
+    baseURL: `${config.baseURL}/rest/api/3`,
+    auth: {
+      username: config.email,
+      password: config.apiToken
+    },
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    },
+    timeout: 30000
+  });
+
+  async function searchPage({ jql, fields = JIRA_STORY_FIELDS, maxResults = config.pageSize, nextPageToken, startAt }) {
+    try {
+      const response = await http.get('/search/jql', {
+        params: {
+          jql,
+          maxResults,
+          fields: fields.join(','),
+          ...(nextPageToken && { nextPageToken }),
+          ...(startAt !== undefined && { startAt })
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw Object.assign(new Error(describeError(error)), { status: error.response?.status });
+    }
+  }
+
+  return {
+    config,
+
+    searchPage,
+
+    /**
+     * Every issue matching a JQL query, page by page
+     * @param {string} jql - JQL query
+     * @param {Object} options - { fields, pageSize, onPage({ page, fetched, total }) }
+     * @returns {Promise<Array<Object>>} - Raw Jira issues
+     */
+    async searchAll(jql, { fields = JIRA_STORY_FIELDS, pageSize = config.pageSize, onPage = () => {} } = {}) {
+      const issues = [];
+      let nextPageToken;
+      let startAt;
+
+      for (let page = 1; page <= MAX_PAGES; page++) {
+        const data = await searchPage({ jql, fields, maxResults: pageSize, nextPageToken, startAt });
+        const pageIssues = data.issues || [];
+        issues.push(...pageIssues);
+        await onPage({ page, fetched: issues.length, total: typeof data.total === 'number' ? data.total : null });
+
+        if (pageIssues.length === 0 || data.isLast === true) break;
+        if (data.nextPageToken) {
+          nextPageToken = data.nextPageToken;
+        } else if (typeof data.total === 'number' && (data.startAt || 0) + pageIssues.length < data.total) {
+          startAt = (data.startAt || 0) + pageIssues.length;
+        } else {
+          break;
+        }
+      }
+
+      return issues;
+    }
+  };
+}
+
+export default {
+  JIRA_STORY_FIELDS,
+  getJiraConfig,
+  missingJiraSettings,
+  createJiraClient
+};
@@ -0,0 +1,434 @@
+/**
+ * LLM Client
+ * Chat-completion abstraction shared by the summarization, prompt-testing and rating routes.
+ * Backends: Testleaf (transaction envelope), OpenAI-compatible endpoints and a scripted mock.
+ *
+ * Configuration (environment):
+ *   LLM_PROVIDER        - testleaf | openai | mock (default: testleaf)
+ *   LLM_MODEL           - chat model (default: gpt-4o-mini)
+ *   LLM_BASE_URL        - OpenAI-compatible base URL (falls back to OPENAI_BASE_URL, then api.openai.com)
+ *   LLM_API_KEY         - OpenAI-compatible API key (falls back to OPENAI_API_KEY)
+ *   LLM_MOCK_RESPONSES  - JSON file of scripted completions for the mock backend
+ *   LLM_MOCK_STREAM_DELAY_MS - delay between streamed mock chunks (default: 0)
+ *
+ * Every client has chat(request); clients that can stream also have chatStream(request), which
+ * calls request.onToken(delta) as text arrives and resolves to the same result shape as chat().
+ */
+
+import axios from 'axios';
+import fs from 'fs';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Testleaf reports one total cost; split it the way gpt-4o-mini pricing roughly does
+const INPUT_COST_SHARE = 0.15;
+const OUTPUT_COST_SHARE = 0.85;
+
+/**
+ * Normalise an OpenAI-style completion body into the client result shape
+ * @param {Object} completion - OpenAI chat.completion object
+ * @param {Object} extra - { totalCost, provider, model }
+ * @returns {Object} - { content, usage, cost, model, provider, finishReason }
+ */
+function toResult(completion, { totalCost = 0, provider, model }) {
+  const choice = completion.choices?.[0];
+  if (!choice || !choice.message) {
+    throw new Error(`Unexpected API response structure: ${JSON.stringify(completion)}`);
+  }
+
+  const usage = completion.usage || {};
+  return {
+    content: choice.message.content,
+    finishReason: choice.finish_reason || null,
+    usage: {
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      total_tokens: usage.total_tokens || 0
+    },
+    cost: {
+      input: totalCost * INPUT_COST_SHARE,
+      output: totalCost * OUTPUT_COST_SHARE,
+      total: totalCost
+    },
+    model: completion.model || model,
+    provider
+  };
+}
+
+// Roughly four characters per token (used when a backend does not report usage)
+function estimateTokens(text = '') {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Read an OpenAI-style SSE completion stream ("data: {chunk}" lines, ending with "data: [DONE]")
+ * @param {Readable} stream - Response body stream
+ * @param {Function} onToken - Called with each content delta
+ * @returns {Promise<Object>} - chat.completion-shaped object assembled from the chunks
+ */
+async function readCompletionStream(stream, onToken) {
+  let buffer = '';
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  let model = null;
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return;
+    const payload = trimmed.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+
+    const chunk = JSON.parse(payload);
+    model = chunk.model || model;
+    if (chunk.usage) usage = chunk.usage;
+
+    const choice = chunk.choices?.[0];
+    if (choice?.delta?.content) {
+      content += choice.delta.content;
+      if (onToken) onToken(choice.delta.content);
+    }
+    if (choice?.finish_reason) finishReason = choice.finish_reason;
+  };
+
+  for await (const data of stream) {
+    buffer += data.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  if (buffer) handleLine(buffer);
+
+  return {
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }],
+    usage
+  };
+}
+
+/**
+ * Testleaf chat completions (/v1/chat/completions wrapped in a transaction envelope)
+ * @param {Object} options - { apiBase, userEmail, authToken, model }
+ * @returns {Object} - LLM client
+ */
+export function createTestleafLLMClient(options = {}) {
+  const {
+    apiBase = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.com/ai',
+    userEmail = process.env.USER_EMAIL,
+    authToken = process.env.AUTH_TOKEN,
+    model = process.env.LLM_MODEL || DEFAULT_MODEL
+  } = options;
+
+  return {
+    name: 'testleaf',
+    model,
+
+    async chat({ messages, temperature, maxTokens, timeout, model: requestModel } = {}) {
+      if (!apiBase || !userEmail || !authToken) {
+        throw new Error('TESTLEAF_API_BASE, USER_EMAIL, and AUTH_TOKEN are required for the testleaf LLM provider');
+      }
+
+      const response = await axios.post(`${apiBase}/v1/chat/completions`, {
+        model: requestModel || model,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        },
+        ...(timeout && { timeout }),
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity
+      });
+
+      // Testleaf wraps the OpenAI response in a transaction
+      if (!response.data || !response.data.transaction || !response.data.transaction.response) {
+        throw new Error(`Unexpected API response structure: ${JSON.stringify(response.data)}`);
+      }
+
+      return toResult(response.data.transaction.response, {
+        totalCost: response.data.transaction.cost || 0,
+        provider: 'testleaf',
+        model: requestModel || model
+      });
+    },
+
+    // The Testleaf envelope is only returned once the completion is done, so the text arrives in one piece
+    async chatStream({ onToken, ...request } = {}) {
+      const result = await this.chat(request);
+      if (onToken && result.content) onToken(result.content);
+      return result;
+    }
+  };
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, Azure proxies, Ollama, vLLM, the local mock server, ...)
+ * @param {Object} options - { baseURL, apiKey, model }
+ * @returns {Object} - LLM client
+ */
+export function createOpenAILLMClient(options = {}) {
+  const {
+    baseURL = process.env.LLM_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    model = process.env.LLM_MODEL || DEFAULT_MODEL
+  } = options;
+
+  return {
+    name: 'openai',
+    model,
+
+    async chat({ messages, temperature, maxTokens, timeout, model: requestModel } = {}) {
+      const response = await axios.post(`${baseURL.replace(/\/$/, '')}/chat/completions`, {
+        model: requestModel || model,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+        },
+        ...(timeout && { timeout }),
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity
+      });
+
+      return toResult(response.data, {
+        provider: 'openai',
+        model: requestModel || model
+      });
+    },
+
+    async chatStream({ messages, temperature, maxTokens, timeout, model: requestModel, onToken, signal } = {}) {
+      const response = await axios.post(`${baseURL.replace(/\/$/, '')}/chat/completions`, {
+        model: requestModel || model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+        },
+        responseType: 'stream',
+        ...(timeout && { timeout }),
+        ...(signal && { signal }),
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity
+      });
+
+      const completion = await readCompletionStream(response.data, onToken);
+
+      // Not every OpenAI-compatible server honours stream_options.include_usage
+      if (!completion.usage) {
+        const promptTokens = estimateTokens(messages.map(m => m.content || '').join(''));
+        const completionTokens = estimateTokens(completion.choices[0].message.content);
+        completion.usage = {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        };
+      }
+
+      return toResult(completion, {
+        provider: 'openai',
+        model: requestModel || model
+      });
+    }
+  };
+}
+
+/**
+ * Load scripted mock completions from a JSON file
+ * Format: [{ "match": "<regex tested against the prompt>", "content": "<string or JSON value>" }, ...]
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Array} - Scripted rules
+ */
+export function loadMockResponses(filePath = process.env.LLM_MOCK_RESPONSES) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Pick the scripted completion for a conversation
+ * The first rule whose `match` regex hits the concatenated message text wins; rules without
+ * `match` act as a catch-all. Object contents are serialised so JSON-expecting routes can parse them.
+ * @param {Array} messages - Chat messages
+ * @param {Array} rules - Scripted rules
+ * @returns {string} - Completion text
+ */
+export function resolveMockCompletion(messages = [], rules = []) {
+  const promptText = messages.map(m => m.content).join('\n');
+
+  const rule = rules.find(r => !r.match || new RegExp(r.match, 'i').test(promptText));
+  if (rule) {
+    return typeof rule.content === 'string' ? rule.content : JSON.stringify(rule.content);
+  }
+
+  return `Mock completion for: ${promptText.slice(0, 120).replace(/\s+/g, ' ').trim()}`;
+}
+
+/**
+ * Build an OpenAI-style chat.completion body around canned content
+ * @param {string} content - Completion text
+ * @param {Array} messages - Chat messages (for token estimates)
+ * @param {string} model - Model name to report
+ * @returns {Object} - chat.completion object
+ */
+export function buildMockCompletion(content, messages = [], model = 'mock-llm') {
+  const promptTokens = estimateTokens(messages.map(m => m.content || '').join(''));
+  const completionTokens = estimateTokens(content);
+
+  return {
+    id: `chatcmpl-mock-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content },
+      finish_reason: 'stop'
+    }],
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    }
+  };
+}
+
+/**
+ * Split a completion into stream-sized chunks (words with their trailing whitespace)
+ * @param {string} content - Completion text
+ * @returns {Array<string>}
+ */
+export function splitIntoStreamChunks(content = '') {
+  return content.match(/\S+\s*|\s+/g) || [];
+}
+
+/**
+ * In-process scripted backend for offline development and CI
+ * @param {Object} options - { responses, responsesFile, model, streamDelayMs }
+ * @returns {Object} - LLM client
+ */
+export function createMockLLMClient(options = {}) {
+  const {
+    responsesFile = process.env.LLM_MOCK_RESPONSES,
+    model = 'mock-llm',
+    streamDelayMs = parseInt(process.env.LLM_MOCK_STREAM_DELAY_MS, 10) || 0
+  } = options;
+
+  let rules = options.responses || loadMockResponses(responsesFile);
+
+  return {
+    name: 'mock',
+    model,
+
+    // Replace the scripted rules at runtime (useful in tests)
+    setResponses(newRules) {
+      rules = newRules || [];
+    },
+
+    async chat({ messages } = {}) {
+      const content = resolveMockCompletion(messages, rules);
+      return toResult(buildMockCompletion(content, messages, model), {
+        provider: 'mock',
+        model
+      });
+    },
+
+    async chatStream({ messages, onToken, signal } = {}) {
+      const content = resolveMockCompletion(messages, rules);
+      for (const chunk of splitIntoStreamChunks(content)) {
+        if (signal?.aborted) throw new Error('Request aborted');
+        if (streamDelayMs > 0) await new Promise(resolve => setTimeout(resolve, streamDelayMs));
+        if (onToken) onToken(chunk);
+      }
+      return toResult(buildMockCompletion(content, messages, model), {
+        provider: 'mock',
+        model
+      });
+    }
+  };
+}
+
+const clientFactories = {
+  testleaf: createTestleafLLMClient,
+  openai: createOpenAILLMClient,
+  mock: createMockLLMClient
+};
+
+/**
+ * Create an LLM client by name
+ * @param {Object} config - { provider, ...client options }
+ * @returns {Object} - LLM client
+ */
+export function createLLMClient(config = {}) {
+  const { provider = process.env.LLM_PROVIDER || 'testleaf', ...options } = config;
+  const factory = clientFactories[provider.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${provider}". Expected one of: ${Object.keys(clientFactories).join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+let defaultClient = null;
+
+/**
+ * Get the client configured through the environment (created once per process)
+ * @returns {Object} - LLM client
+ */
+export function getLLMClient() {
+  if (!defaultClient) {
+    defaultClient = createLLMClient();
+  }
+  return defaultClient;
+}
+
+/**
+ * Run a chat completion with the configured client
+ * @param {Object} request - { messages, temperature, maxTokens, timeout, model }
+ * @returns {Promise<Object>} - { content, usage, cost, model, provider, finishReason }
+ */
+export async function chatCompletion(request) {
+  return getLLMClient().chat(request);
+}
+
+/**
+ * Run a streamed chat completion, falling back to a single chunk for clients without chatStream
+ * @param {Object} client - LLM client
+ * @param {Object} request - { messages, temperature, maxTokens, timeout, model, onToken, signal }
+ * @returns {Promise<Object>} - { content, usage, cost, model, provider, finishReason }
+ */
+export async function streamChat(client, request = {}) {
+  if (typeof client.chatStream === 'function') {
+    return client.chatStream(request);
+  }
+  const { onToken, signal, ...chatRequest } = request;
+  const result = await client.chat(chatRequest);
+  if (onToken && result.content) onToken(result.content);
+  return result;
+}
+
+export default {
+  createLLMClient,
+  createTestleafLLMClient,
+  createOpenAILLMClient,
+  createMockLLMClient,
+  getLLMClient,
+  chatCompletion,
+  streamChat,
+  loadMockResponses,
+  resolveMockCompletion,
+  buildMockCompletion,
+  splitIntoStreamChunks
+};
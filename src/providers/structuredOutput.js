@@ -0,0 +1,323 @@
+/**
+ * Structured Output
+ * Turns raw chat completions into validated JSON: strips markdown fences, detects truncated output,
+ * validates against a JSON Schema (AJV) and runs bounded repair round-trips with the LLM.
+ */
+
+import Ajv from 'ajv';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { streamChat } from './llmClient.js';
+
+export const MAX_REPAIR_ATTEMPTS = 3;
+
+const validatorCache = new Map();
+const VALIDATOR_CACHE_SIZE = 50;
+
+/**
+ * Accept a schema as an object or a JSON string
+ * @param {Object|string} schema - JSON Schema
+ * @returns {Object|null}
+ */
+export function normalizeSchema(schema) {
+  if (!schema) return null;
+  if (typeof schema === 'string') {
+    try {
+      return JSON.parse(schema);
+    } catch (e) {
+      throw new Error(`Schema is not valid JSON: ${e.message}`);
+    }
+  }
+  return schema;
+}
+
+/**
+ * Compile (and cache) a JSON Schema validator; draft-07 by default, 2020-12 when declared
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} - AJV validate function
+ */
+export function compileSchema(schema) {
+  const key = JSON.stringify(schema);
+  if (validatorCache.has(key)) {
+    return validatorCache.get(key);
+  }
+
+  const AjvClass = String(schema.$schema || '').includes('2020-12') ? Ajv2020 : Ajv;
+  const ajv = new AjvClass({ allErrors: true, strict: false });
+  addFormats(ajv);
+
+  let validate;
+  try {
+    validate = ajv.compile(schema);
+  } catch (e) {
+    throw new Error(`Schema could not be compiled: ${e.message}`);
+  }
+
+  if (validatorCache.size >= VALIDATOR_CACHE_SIZE) {
+    validatorCache.delete(validatorCache.keys().next().value);
+  }
+  validatorCache.set(key, validate);
+  return validate;
+}
+
+// Human/LLM-readable AJV error, e.g. "/newTestCases/0/testSteps must have at least 5 items"
+function formatAjvError(error) {
+  const path = error.instancePath || '/';
+  if (error.keyword === 'required') {
+    return `${path} is missing required property "${error.params.missingProperty}"`;
+  }
+  if (error.keyword === 'additionalProperties') {
+    return `${path} has unexpected property "${error.params.additionalProperty}"`;
+  }
+  if (error.keyword === 'enum') {
+    return `${path} must be one of: ${error.params.allowedValues.join(', ')}`;
+  }
+  return `${path} ${error.message}`;
+}
+
+/**
+ * Validate data against a JSON Schema
+ * @param {*} data - Parsed JSON
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - { valid, errors }
+ */
+export function validateAgainstSchema(data, schema) {
+  const validate = compileSchema(schema);
+  const valid = validate(data);
+  return {
+    valid,
+    errors: valid ? [] : [...new Set(validate.errors.map(formatAjvError))]
+  };
+}
+
+/**
+ * Pull the JSON document out of a completion (markdown fences, leading/trailing prose)
+ * @param {string} content - Completion text
+ * @returns {string}
+ */
+export function extractJsonText(content) {
+  let text = typeof content === 'string' ? content.trim() : '';
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (fenced) {
+    text = fenced[1].trim();
+  } else {
+    // Opening fence without a closing one: output was cut off
+    text = text.replace(/^```(?:json)?\s*/, '');
+  }
+
+  const start = text.search(/[{[]/);
+  if (start > 0) text = text.slice(start);
+
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  if (end !== -1 && end < text.length - 1 && !detectUnbalancedJson(text.slice(0, end + 1))) {
+    text = text.slice(0, end + 1);
+  }
+
+  return text;
+}
+
+/**
+ * True when braces/brackets or a string are left open (ignores characters inside strings)
+ * @param {string} text - JSON text
+ * @returns {boolean}
+ */
+export function detectUnbalancedJson(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char);
+    else if (char === '}' || char === ']') stack.pop();
+  }
+
+  return inString || stack.length > 0;
+}
+
+/**
+ * Parse a completion and validate it
+ * @param {string} content - Completion text
+ * @param {Object} options - { schema, finishReason, prepare(data), extraValidate(data) => string[] }
+ *   prepare runs on the parsed JSON before validation (e.g. to normalize IDs)
+ * @returns {Object} - { data, valid, errors, truncated, parsed }
+ */
+export function parseAndValidate(content, { schema = null, finishReason = null, prepare = null, extraValidate = null } = {}) {
+  const jsonText = extractJsonText(content);
+  const truncated = finishReason === 'length' || (jsonText.length > 0 && detectUnbalancedJson(jsonText));
+  const errors = [];
+
+  if (truncated) {
+    errors.push('Output was truncated before the JSON document was complete (token limit reached)');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(jsonText);
+  } catch (e) {
+    errors.push(`Output is not valid JSON: ${e.message}`);
+    return { data: { raw: content }, valid: false, errors, truncated, parsed: false };
+  }
+
+  if (prepare) {
+    prepare(data);
+  }
+  if (schema) {
+    errors.push(...validateAgainstSchema(data, schema).errors);
+  }
+  if (extraValidate) {
+    errors.push(...extraValidate(data));
+  }
+
+  return { data, valid: errors.length === 0, errors, truncated, parsed: true };
+}
+
+// Streamed when the caller wants tokens as they arrive, otherwise a plain completion
+function requestCompletion(llm, { onToken, signal, ...request }) {
+  return onToken ? streamChat(llm, { ...request, onToken, signal }) : llm.chat(request);
+}
+
+/**
+ * Follow-up message asking the model to fix its previous output
+ * @param {Array<string>} errors - Validation errors
+ * @param {Object} options - { schema, truncated }
+ * @returns {string}
+ */
+export function buildRepairPrompt(errors, { schema = null, truncated = false } = {}) {
+  return `Your previous response is not valid for the required output format.
+
+Validation errors:
+${errors.map(error => `- ${error}`).join('\n')}
+${truncated ? '\nThe response was cut off before the JSON was complete. Return the complete document and keep field values shorter so it fits.\n' : ''}${schema ? `\nThe output must conform to this JSON Schema:\n${JSON.stringify(schema, null, 2)}\n` : ''}
+Return ONLY the corrected JSON document, with no markdown fences or commentary.`;
+}
+
+/**
+ * Ask the model to repair invalid output, up to maxAttempts times
+ * @param {Object} llm - LLM client
+ * @param {Object} options - { messages, content, result, schema, prepare, extraValidate, maxAttempts, temperature, maxTokens, timeout,
+ *   onToken, onRepair(attempt, errors), signal }
+ * @returns {Promise<Object>} - { content, result, attempts, usage, cost, completion }
+ */
+export async function repairOutput(llm, {
+  messages,
+  content,
+  result,
+  schema = null,
+  prepare = null,
+  extraValidate = null,
+  maxAttempts = 1,
+  temperature = 0.2,
+  maxTokens,
+  timeout,
+  onToken,
+  onRepair,
+  signal
+}) {
+  const attempts = [];
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  const cost = { input: 0, output: 0, total: 0 };
+  let completion = null;
+  let conversation = messages;
+
+  const limit = Math.min(Math.max(parseInt(maxAttempts, 10) || 0, 0), MAX_REPAIR_ATTEMPTS);
+
+  for (let attempt = 1; attempt <= limit && !result.valid; attempt++) {
+    console.log(`🔧 Repair attempt ${attempt}/${limit}: ${result.errors.length} validation error(s)`);
+    if (onRepair) onRepair(attempt, result.errors);
+
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content },
+      { role: 'user', content: buildRepairPrompt(result.errors, { schema, truncated: result.truncated }) }
+    ];
+
+    completion = await requestCompletion(llm, { messages: conversation, temperature, maxTokens, timeout, onToken, signal });
+    content = completion.content;
+    result = parseAndValidate(content, { schema, finishReason: completion.finishReason, prepare, extraValidate });
+
+    Object.keys(usage).forEach(key => { usage[key] += completion.usage[key] || 0; });
+    Object.keys(cost).forEach(key => { cost[key] += completion.cost[key] || 0; });
+    attempts.push({ attempt, valid: result.valid, errors: result.errors, tokens: completion.usage.total_tokens });
+  }
+
+  return { content, result, attempts, usage, cost, completion };
+}
+
+/**
+ * Chat completion that must produce JSON matching a schema, with bounded repair round-trips
+ * @param {Object} llm - LLM client
+ * @param {Object} options - { messages, schema, prepare, extraValidate, maxRepairAttempts, temperature, maxTokens, timeout,
+ *   onToken, onRepair(attempt, errors), signal }
+ * @returns {Promise<Object>} - { data, valid, errors, truncated, content, attempts, usage, cost, model, provider }
+ */
+export async function completeWithSchema(llm, {
+  messages,
+  schema = null,
+  prepare = null,
+  extraValidate = null,
+  maxRepairAttempts = 1,
+  temperature,
+  maxTokens,
+  timeout,
+  onToken,
+  onRepair,
+  signal
+}) {
+  const completion = await requestCompletion(llm, { messages, temperature, maxTokens, timeout, onToken, signal });
+  const initial = parseAndValidate(completion.content, { schema, finishReason: completion.finishReason, prepare, extraValidate });
+
+  const repair = await repairOutput(llm, {
+    messages,
+    content: completion.content,
+    result: initial,
+    schema,
+    prepare,
+    extraValidate,
+    maxAttempts: maxRepairAttempts,
+    maxTokens,
+    timeout,
+    onToken,
+    onRepair,
+    signal
+  });
+
+  const usage = {};
+  Object.keys(completion.usage).forEach(key => { usage[key] = completion.usage[key] + (repair.usage[key] || 0); });
+  const cost = {};
+  Object.keys(completion.cost).forEach(key => { cost[key] = completion.cost[key] + (repair.cost[key] || 0); });
+
+  return {
+    data: repair.result.data,
+    valid: repair.result.valid,
+    errors: repair.result.errors,
+    truncated: repair.result.truncated,
+    initialErrors: initial.errors,
+    content: repair.content,
+    attempts: repair.attempts,
+    usage,
+    cost,
+    model: (repair.completion || completion).model,
+    provider: completion.provider
+  };
+}
+
+export default {
+  MAX_REPAIR_ATTEMPTS,
+  normalizeSchema,
+  compileSchema,
+  validateAgainstSchema,
+  extractJsonText,
+  detectUnbalancedJson,
+  parseAndValidate,
+  buildRepairPrompt,
+  repairOutput,
+  completeWithSchema
+};
@@ -0,0 +1,1080 @@
+/**
+ * Vector Store
+ * Storage backend behind the search routes.
+ * Backends: MongoDB Atlas ($vectorSearch / $search run server-side) and a local in-process
+ * implementation (exact cosine kNN + BM25 inverted index) that works against a plain MongoDB
+ * or JSON fixture files, with no Atlas Search and no network.
+ *
+ * Both backends expose the same surface:
+ *   await store.connect();
+ *   const validation = await store.validate(collectionName, indexName, requireDocuments);
+ *   const filterFields = await store.vectorFilterFields(collectionName, indexName); // paths $vectorSearch can filter on
+ *   const keywordFields = await store.searchKeywordFields(collectionName, indexName); // fields $search matches whole
+ *   const facetFields = await store.searchFacetFields(collectionName, indexName); // fields $searchMeta can facet on
+ *   const results = await store.collection(collectionName).aggregate(pipeline).toArray();
+ *   await store.close();
+ *
+ * Configuration (environment):
+ *   VECTOR_STORE     - atlas | local (default: atlas)
+ *   LOCAL_STORE_DIR  - directory of <collection>.json fixture files; the local backend reads a
+ *                      collection from here when the file exists, otherwise from MONGODB_URI
+ *   LOCAL_STORE_REFRESH_SECONDS - how long the local backend trusts its last check of a MongoDB
+ *                      source before fingerprinting it again (default: 30; 0 checks on every query)
+ *   MONGODB_TLS      - true | false; default: on for mongodb+srv:// URIs and URIs that ask for
+ *                      tls/ssl, off for a plain mongodb://host (local mongod)
+ */
+
+import { MongoClient } from 'mongodb';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { embedBatch } from './embeddingProvider.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const CONFIG_DIR = path.join(__dirname, '../config');
+
+// Lucene BM25 defaults
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// ======================== Atlas Backend ========================
+
+/**
+ * Whether to connect with TLS: MONGODB_TLS when set, otherwise what the URI implies
+ * @param {string} uri - Connection string
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {boolean}
+ */
+export function useMongoTls(uri = process.env.MONGODB_URI, env = process.env) {
+  if (env.MONGODB_TLS) {
+    return env.MONGODB_TLS.toLowerCase() === 'true';
+  }
+  return /^mongodb\+srv:\/\//.test(uri || '') || /[?&](tls|ssl)=true/i.test(uri || '');
+}
+
+/**
+ * MongoDB client with the TLS settings Atlas needs (plain connection for a local mongod, see useMongoTls)
+ * @returns {MongoClient}
+ */
+export function createMongoClient() {
+  const tls = useMongoTls();
+  return new MongoClient(process.env.MONGODB_URI, {
+    tls,
+    ...(tls && {
+      tlsAllowInvalidCertificates: true,  // Allow invalid certificates for Atlas compatibility
+      tlsAllowInvalidHostnames: true      // Allow invalid hostnames for Atlas compatibility
+    }),
+    serverSelectionTimeoutMS: 30000,   // Increased timeout
+    connectTimeoutMS: 30000,            // Increased timeout
+    socketTimeoutMS: 30000,             // Increased timeout
+    maxPoolSize: 10,
+    retryWrites: true,
+    retryReads: true,
+    // Additional Atlas-specific settings
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+}
+
+/**
+ * Check that a database, collection and (optionally) Atlas Search index exist
+ * @param {MongoClient} client - Connected client
+ * @param {string} dbName - Database name
+ * @param {string} collectionName - Collection name
+ * @param {string|null} indexName - Atlas Search / Vector Search index name to verify
+ * @param {boolean} requireDocuments - Fail when the collection is empty
+ * @returns {Promise<Object>} - { ok, error? }
+ */
+export async function validateDbCollectionIndex(client, dbName, collectionName, indexName, requireDocuments = false) {
+  try {
+    // Attempt to detect database existence via listDatabases (may require privileges)
+    let dbExists = false;
+    try {
+      const admin = client.db().admin();
+      const dbs = await admin.listDatabases();
+      dbExists = dbs.databases.some(d => d.name === dbName);
+    } catch (err) {
+      // If listDatabases fails because of permissions, fallback to checking the collection directly
+      console.warn('⚠️ listDatabases failed (permissions?), falling back to listCollections check:', err.message);
+      dbExists = true; // assume DB exists and proceed to collection check
+    }
+
+    if (!dbExists) {
+      return { ok: false, error: `Database '${dbName}' not found` };
+    }
+
+    const db = client.db(dbName);
+    const collections = await db.listCollections({ name: collectionName }).toArray();
+    if (!collections || collections.length === 0) {
+      return { ok: false, error: `Collection '${collectionName}' not found in database '${dbName}'` };
+    }
+
+    if (requireDocuments) {
+      const count = await db.collection(collectionName).countDocuments();
+      if (count === 0) {
+        return { ok: false, error: `No documents found in collection '${collectionName}'. Please create embeddings first.` };
+      }
+    }
+
+    // Verify Atlas Search indexes (listSearchIndexes command)
+    if (indexName) {
+      try {
+        const collection = db.collection(collectionName);
+        const indexes = await collection.listSearchIndexes().toArray();
+        if (!indexes || !Array.isArray(indexes)) {
+          return { ok: false, error: `Unable to verify search indexes for collection '${collectionName}'.` };
+        }
+        const found = indexes.some(idx => idx.name === indexName);
+        if (!found) {
+          return { ok: false, error: `Search index '${indexName}' not found for collection '${collectionName}'` };
+        }
+      } catch (err) {
+        // Some server versions / permissions may not allow listSearchIndexes; surface helpful message
+        return { ok: false, error: `Could not verify search index '${indexName}': ${err.message}` };
+      }
+    }
+
+    return { ok: true };
+
+  } catch (err) {
+    return { ok: false, error: `Validation failed: ${err.message}` };
+  }
+}
+
+/**
+ * Atlas backend: pipelines run unchanged on the cluster
+ * @param {Object} options - { dbName }
+ * @returns {Object} - Vector store
+ */
+export function createAtlasVectorStore(options = {}) {
+  const { dbName = process.env.DB_NAME } = options;
+  const client = createMongoClient();
+
+  // The deployed definition wins over src/config, which may have drifted
+  async function deployedDefinition(collectionName, indexName) {
+    try {
+      const [index] = await client.db(dbName).collection(collectionName).listSearchIndexes(indexName).toArray();
+      return index?.latestDefinition || null;
+    } catch (err) {
+      console.warn(`⚠️ Could not read search index '${indexName}' definition: ${err.message}`);
+      return null;
+    }
+  }
+
+  return {
+    name: 'atlas',
+    client,
+
+    async connect() {
+      await client.connect();
+    },
+
+    async validate(collectionName, indexName, requireDocuments = false) {
+      return validateDbCollectionIndex(client, dbName, collectionName, indexName, requireDocuments);
+    },
+
+    async vectorFilterFields(collectionName, indexName) {
+      const definition = await deployedDefinition(collectionName, indexName);
+      if (Array.isArray(definition?.fields)) {
+        return definition.fields.filter(f => f.type === 'filter').map(f => f.path);
+      }
+      return resolveVectorFilterFields(collectionName) || [];
+    },
+
+    async searchKeywordFields(collectionName, indexName) {
+      const definition = await deployedDefinition(collectionName, indexName);
+      return keywordFieldsOf(definition?.mappings ? definition : readConfig(getIndexDefinitionFiles(collectionName).search));
+    },
+
+    async searchFacetFields(collectionName, indexName) {
+      const definition = await deployedDefinition(collectionName, indexName);
+      return facetFieldsOf(definition?.mappings ? definition : readConfig(getIndexDefinitionFiles(collectionName).search));
+    },
+
+    collection(collectionName) {
+      return client.db(dbName).collection(collectionName);
+    },
+
+    async close() {
+      await client.close();
+    }
+  };
+}
+
+// ======================== Local Backend: Index Definitions ========================
+
+// Atlas index definitions from src/config, keyed by the collection they were written for
+function getIndexDefinitionFiles(collectionName) {
+  const definitions = {
+    [process.env.COLLECTION_NAME || 'test_cases']: {
+      search: 'testcases-bm25-index.json',
+      vector: 'testcases-vector-index.json'
+    },
+    [process.env.USER_STORIES_COLLECTION_NAME || 'user_stories']: {
+      search: 'user-stories-bm25-index.json',
+      vector: 'user-stories-vector-index.json'
+    }
+  };
+  return definitions[collectionName] || {};
+}
+
+function readConfig(fileName) {
+  if (!fileName) return null;
+  const filePath = path.join(CONFIG_DIR, fileName);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// A field can be indexed several ways at once: { type } or [{ type }, { type }]
+function fieldMappings(mapping) {
+  return Array.isArray(mapping) ? mapping : [mapping];
+}
+
+/**
+ * Resolve which fields the local BM25 index covers and how each is analyzed
+ * Mirrors the Atlas mapping: with "dynamic": false only declared string fields are searchable.
+ * @param {string} collectionName - Collection name
+ * @param {Array} documents - Documents (used for dynamic mappings)
+ * @returns {Object} - { fieldName: 'lucene.standard' | 'lucene.keyword' }
+ */
+function resolveSearchFields(collectionName, documents) {
+  const definition = readConfig(getIndexDefinitionFiles(collectionName).search);
+  const fields = {};
+
+  if (definition?.mappings?.fields) {
+    Object.entries(definition.mappings.fields).forEach(([field, mapping]) => {
+      const stringMapping = fieldMappings(mapping).find(m => m.type === 'string');
+      if (stringMapping) {
+        fields[field] = stringMapping.analyzer || 'lucene.standard';
+      }
+    });
+  }
+
+  // Dynamic mapping (or no definition at all): every top-level string field is searchable
+  if (!definition || definition.mappings?.dynamic) {
+    documents.forEach(doc => {
+      Object.entries(doc).forEach(([field, value]) => {
+        if (!(field in fields) && field !== 'embedding' && (typeof value === 'string' || (Array.isArray(value) && typeof value[0] === 'string'))) {
+          fields[field] = 'lucene.standard';
+        }
+      });
+    });
+  }
+
+  return fields;
+}
+
+// Similarity function declared in the Atlas vector index (cosine when not configured)
+function resolveVectorSimilarity(collectionName, vectorPath) {
+  const definition = readConfig(getIndexDefinitionFiles(collectionName).vector);
+  const vectorField = definition?.fields?.find(f => f.type === 'vector' && f.path === vectorPath);
+  return vectorField?.similarity || 'cosine';
+}
+
+// Fields the Atlas search index analyzes with lucene.keyword, which match whole values
+function keywordFieldsOf(definition) {
+  return Object.entries(definition?.mappings?.fields || {})
+    .filter(([, mapping]) => fieldMappings(mapping).some(m => m.type === 'string' && m.analyzer === 'lucene.keyword'))
+    .map(([field]) => field);
+}
+
+// Fields the Atlas search index can facet on ($searchMeta string facets need token or stringFacet)
+function facetFieldsOf(definition) {
+  return Object.entries(definition?.mappings?.fields || {})
+    .filter(([, mapping]) => fieldMappings(mapping).some(m => m.type === 'token' || m.type === 'stringFacet'))
+    .map(([field]) => field);
+}
+
+// Facetable fields of the Atlas search index (null when there is no definition)
+function resolveFacetFields(collectionName) {
+  const definition = readConfig(getIndexDefinitionFiles(collectionName).search);
+  return definition ? facetFieldsOf(definition) : null;
+}
+
+// Paths declared as "filter" fields in the Atlas vector index (null when there is no definition)
+function resolveVectorFilterFields(collectionName) {
+  const definition = readConfig(getIndexDefinitionFiles(collectionName).vector);
+  if (!definition?.fields) return null;
+  return definition.fields.filter(f => f.type === 'filter').map(f => f.path);
+}
+
+// Field paths a $vectorSearch filter refers to, through $and/$or/$nor
+function collectFilterPaths(filter = {}) {
+  return Object.entries(filter).flatMap(([key, condition]) => (
+    ['$and', '$or', '$nor'].includes(key) ? condition.flatMap(collectFilterPaths) : [key]
+  ));
+}
+
+// ======================== Local Backend: Text Analysis & Scoring ========================
+
+/**
+ * Tokenize a value the way the Atlas analyzer would
+ * lucene.standard lowercases and splits on non-alphanumerics; lucene.keyword keeps the value whole.
+ * @param {*} value - Field value or query string
+ * @param {string} analyzer - Analyzer name
+ * @returns {Array<string>} - Terms
+ */
+export function analyzeText(value, analyzer = 'lucene.standard') {
+  const values = Array.isArray(value) ? value : [value];
+  const terms = [];
+
+  values.forEach(item => {
+    if (item === null || item === undefined || typeof item === 'object') return;
+    const text = String(item);
+    if (analyzer === 'lucene.keyword') {
+      if (text) terms.push(text);
+    } else {
+      terms.push(...(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []));
+    }
+  });
+
+  return terms;
+}
+
+// Levenshtein distance with an early exit once every cell in a row exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Build a per-field inverted index over the documents
+ * @param {Array} documents - Documents
+ * @param {Object} searchFields - { fieldName: analyzer }
+ * @returns {Object} - { fields: { name: { analyzer, postings, lengths, avgLength } }, docCount }
+ */
+export function buildInvertedIndex(documents, searchFields) {
+  const fields = {};
+
+  Object.entries(searchFields).forEach(([field, analyzer]) => {
+    const postings = new Map(); // term -> Map(docIndex -> term frequency)
+    const lengths = new Array(documents.length).fill(0);
+    let totalLength = 0;
+    let docsWithField = 0;
+
+    documents.forEach((doc, docIndex) => {
+      const terms = analyzeText(doc[field], analyzer);
+      if (terms.length === 0) return;
+
+      lengths[docIndex] = terms.length;
+      totalLength += terms.length;
+      docsWithField++;
+
+      terms.forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const termDocs = postings.get(term);
+        termDocs.set(docIndex, (termDocs.get(docIndex) || 0) + 1);
+      });
+    });
+
+    fields[field] = {
+      analyzer,
+      postings,
+      lengths,
+      avgLength: docsWithField > 0 ? totalLength / docsWithField : 0
+    };
+  });
+
+  // Documents are kept for phrase matching, which needs term positions the postings do not hold
+  return { fields, docCount: documents.length, documents };
+}
+
+// Index terms a query term can match, with a weight that decays per edit (1 for exact matches)
+function expandTerm(term, fieldIndex, fuzzy) {
+  const matches = [];
+  if (fieldIndex.postings.has(term)) {
+    matches.push({ term, weight: 1 });
+  }
+  if (!fuzzy || fieldIndex.analyzer === 'lucene.keyword') {
+    return matches;
+  }
+
+  const maxEdits = Math.min(fuzzy.maxEdits ?? 2, 2);
+  const prefix = term.slice(0, fuzzy.prefixLength || 0);
+
+  for (const candidate of fieldIndex.postings.keys()) {
+    if (candidate === term || !candidate.startsWith(prefix)) continue;
+    const distance = editDistance(term, candidate, maxEdits);
+    if (distance <= maxEdits) {
+      matches.push({ term: candidate, weight: 1 - distance / Math.max(term.length, candidate.length) });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Score every document for an Atlas `text` operator ({ query, path, fuzzy, score })
+ * @param {Object} index - Inverted index
+ * @param {Object} operator - text operator
+ * @returns {Map} - docIndex -> score
+ */
+function scoreTextOperator(index, operator) {
+  const scores = new Map();
+  const paths = Array.isArray(operator.path) ? operator.path : [operator.path];
+  const queries = Array.isArray(operator.query) ? operator.query : [operator.query];
+  const boost = operator.score?.boost?.value ?? 1;
+
+  paths.forEach(field => {
+    const fieldIndex = index.fields[field];
+    if (!fieldIndex) return; // Not in the index mapping: Atlas never matches it either
+
+    const queryTerms = queries.flatMap(q => analyzeText(q, fieldIndex.analyzer));
+
+    queryTerms.forEach(queryTerm => {
+      // Best-matching expansion per document, so fuzzy variants don't stack
+      const bestPerDoc = new Map();
+
+      expandTerm(queryTerm, fieldIndex, operator.fuzzy).forEach(({ term, weight }) => {
+        const termDocs = fieldIndex.postings.get(term);
+        const idf = Math.log(1 + (index.docCount - termDocs.size + 0.5) / (termDocs.size + 0.5));
+
+        termDocs.forEach((tf, docIndex) => {
+          const lengthNorm = 1 - BM25_B + BM25_B * (fieldIndex.lengths[docIndex] / (fieldIndex.avgLength || 1));
+          const termScore = weight * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm);
+          bestPerDoc.set(docIndex, Math.max(bestPerDoc.get(docIndex) || 0, termScore));
+        });
+      });
+
+      bestPerDoc.forEach((termScore, docIndex) => {
+        scores.set(docIndex, (scores.get(docIndex) || 0) + termScore * boost);
+      });
+    });
+  });
+
+  return scores;
+}
+
+// Phrase terms in order, with at most `slop` other terms between neighbours
+function containsPhrase(terms, phraseTerms, slop = 0) {
+  for (let start = 0; start < terms.length; start++) {
+    if (terms[start] !== phraseTerms[0]) continue;
+    let position = start;
+    let matched = 1;
+    for (; matched < phraseTerms.length; matched++) {
+      const next = terms.indexOf(phraseTerms[matched], position + 1);
+      if (next === -1 || next - position - 1 > slop) break;
+      position = next;
+    }
+    if (matched === phraseTerms.length) return true;
+  }
+  return false;
+}
+
+// Atlas phrase operator: documents holding the phrase, scored like a text query for its terms
+function scorePhraseOperator(index, operator) {
+  const scores = new Map();
+  const paths = Array.isArray(operator.path) ? operator.path : [operator.path];
+  const queries = Array.isArray(operator.query) ? operator.query : [operator.query];
+  const boost = operator.score?.boost?.value ?? 1;
+
+  paths.forEach(field => {
+    const fieldIndex = index.fields[field];
+    if (!fieldIndex) return;
+
+    queries.forEach(query => {
+      const phraseTerms = analyzeText(query, fieldIndex.analyzer);
+      if (phraseTerms.length === 0 || !phraseTerms.every(term => fieldIndex.postings.has(term))) return;
+
+      scoreTextOperator(index, { query, path: field }).forEach((termScore, docIndex) => {
+        const terms = analyzeText(index.documents[docIndex][field], fieldIndex.analyzer);
+        if (containsPhrase(terms, phraseTerms, operator.slop || 0)) {
+          scores.set(docIndex, (scores.get(docIndex) || 0) + termScore * boost);
+        }
+      });
+    });
+  });
+
+  return scores;
+}
+
+/**
+ * Score every document for a $search stage (text, phrase, or compound with must/should/filter/mustNot)
+ * @param {Object} index - Inverted index
+ * @param {Object} searchStage - $search stage body
+ * @returns {Map} - docIndex -> score (only matching documents)
+ */
+function scoreSearchOperator(index, searchStage) {
+  if (searchStage.text) {
+    return scoreTextOperator(index, searchStage.text);
+  }
+
+  if (searchStage.phrase) {
+    return scorePhraseOperator(index, searchStage.phrase);
+  }
+
+  if (searchStage.compound) {
+    const { must = [], should = [], filter = [], mustNot = [], minimumShouldMatch = 0 } = searchStage.compound;
+    const boost = searchStage.compound.score?.boost?.value ?? 1;
+
+    const mustScores = must.map(clause => scoreSearchOperator(index, clause));
+    const shouldScores = should.map(clause => scoreSearchOperator(index, clause));
+    const filterScores = filter.map(clause => scoreSearchOperator(index, clause));
+    const mustNotScores = mustNot.map(clause => scoreSearchOperator(index, clause));
+
+    // Atlas requires at least one should clause to match when there is nothing else to match on
+    const requiredShould = must.length === 0 && filter.length === 0
+      ? Math.max(minimumShouldMatch, should.length > 0 ? 1 : 0)
+      : minimumShouldMatch;
+
+    const scores = new Map();
+    for (let docIndex = 0; docIndex < index.docCount; docIndex++) {
+      if (!mustScores.every(s => s.has(docIndex))) continue;
+      if (!filterScores.every(s => s.has(docIndex))) continue;
+      if (mustNotScores.some(s => s.has(docIndex))) continue;
+
+      const matchedShould = shouldScores.filter(s => s.has(docIndex));
+      if (matchedShould.length < requiredShould) continue;
+
+      const score = [...mustScores, ...matchedShould].reduce((sum, s) => sum + s.get(docIndex), 0);
+      scores.set(docIndex, score * boost);
+    }
+    return scores;
+  }
+
+  throw new Error(`Unsupported $search operator for the local vector store: ${Object.keys(searchStage).filter(k => k !== 'index').join(', ')}`);
+}
+
+/**
+ * Similarity between two vectors, scaled to 0-1 the way Atlas reports vectorSearchScore
+ * @param {Array<number>} a - Query vector
+ * @param {Array<number>} b - Document vector
+ * @param {string} similarity - cosine | dotProduct | euclidean
+ * @returns {number|null} - Score, or null when dimensions differ
+ */
+export function vectorSimilarity(a, b, similarity = 'cosine') {
+  if (!Array.isArray(b) || a.length !== b.length) return null;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  let squaredDistance = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+    squaredDistance += (a[i] - b[i]) ** 2;
+  }
+
+  if (similarity === 'euclidean') {
+    return 1 / (1 + squaredDistance);
+  }
+  if (similarity === 'dotProduct') {
+    return (1 + dot) / 2;
+  }
+  const cosine = normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  return (1 + cosine) / 2;
+}
+
+// ======================== Local Backend: Aggregation Stages ========================
+
+function getPath(doc, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+function compareValues(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+// MongoDB only compares numbers with numbers; strings and dates are compared as dates, since
+// JSON fixtures have no date type
+function comparable(value, operand) {
+  return value !== undefined && value !== null && (typeof value === 'number') === (typeof operand === 'number');
+}
+
+function matchesCondition(value, condition) {
+  const values = Array.isArray(value) ? value : [value];
+  const isOperatorObject = condition && typeof condition === 'object' && !Array.isArray(condition) &&
+    !(condition instanceof Date) && !(condition instanceof RegExp) &&
+    Object.keys(condition).length > 0 && Object.keys(condition).every(k => k.startsWith('$'));
+
+  if (condition === null) {
+    return value === null || value === undefined;
+  }
+
+  if (condition instanceof RegExp) {
+    return values.some(v => typeof v === 'string' && condition.test(v));
+  }
+
+  if (!isOperatorObject) {
+    // Equality, with MongoDB's "array contains" semantics
+    return values.some(v => String(v) === String(condition)) || JSON.stringify(value) === JSON.stringify(condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return matchesCondition(value, operand);
+      case '$ne': return !matchesCondition(value, operand);
+      case '$in': return operand.some(item => matchesCondition(value, item));
+      case '$nin': return !operand.some(item => matchesCondition(value, item));
+      case '$gt': return values.some(v => comparable(v, operand) && compareValues(v, operand) > 0);
+      case '$gte': return values.some(v => comparable(v, operand) && compareValues(v, operand) >= 0);
+      case '$lt': return values.some(v => comparable(v, operand) && compareValues(v, operand) < 0);
+      case '$lte': return values.some(v => comparable(v, operand) && compareValues(v, operand) <= 0);
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      case '$regex': {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+        return values.some(v => typeof v === 'string' && regex.test(v));
+      }
+      case '$options': return true;
+      case '$not': return !matchesCondition(value, operand);
+      default:
+        throw new Error(`Unsupported query operator for the local vector store: ${operator}`);
+    }
+  });
+}
+
+/**
+ * Evaluate a MongoDB query document against a plain object
+ * @param {Object} doc - Document
+ * @param {Object} query - Query ({ field: value }, operators, $and/$or/$nor)
+ * @returns {boolean}
+ */
+export function matchDocument(doc, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchDocument(doc, sub));
+    if (key === '$or') return condition.some(sub => matchDocument(doc, sub));
+    if (key === '$nor') return !condition.some(sub => matchDocument(doc, sub));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+}
+
+// Resolve an expression inside $addFields / $project: $meta scores, "$field" references and literals
+function evaluateExpression(expression, row) {
+  if (expression && typeof expression === 'object' && '$meta' in expression) {
+    return row.score;
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(row.doc, expression.slice(1));
+  }
+  return expression;
+}
+
+function applyProjection(row, projection) {
+  const entries = Object.entries(projection);
+  const isInclusion = entries.some(([field, spec]) => field !== '_id' && spec !== 0 && spec !== false);
+
+  if (!isInclusion) {
+    const doc = { ...row.doc };
+    entries.forEach(([field]) => delete doc[field]);
+    return { ...row, doc };
+  }
+
+  const doc = {};
+  if (projection._id !== 0 && projection._id !== false && row.doc._id !== undefined) {
+    doc._id = row.doc._id;
+  }
+  entries.forEach(([field, spec]) => {
+    if (field === '_id' || spec === 0 || spec === false) return;
+    if (spec === 1 || spec === true) {
+      if (row.doc[field] !== undefined) doc[field] = row.doc[field];
+    } else {
+      doc[field] = evaluateExpression(spec, row);
+    }
+  });
+  return { ...row, doc };
+}
+
+// $searchMeta with a facet collector: string facet buckets over the documents the operator matches
+function searchMetaFacets(entry, spec) {
+  if (!spec.facet) {
+    throw new Error(`Unsupported $searchMeta collector for the local vector store: ${Object.keys(spec).filter(key => key !== 'index').join(', ')}`);
+  }
+  const { operator, facets = {} } = spec.facet;
+  const docIndexes = operator
+    ? [...scoreSearchOperator(entry.index, operator).keys()]
+    : entry.documents.map((_, docIndex) => docIndex);
+
+  const facetResults = {};
+  Object.entries(facets).forEach(([name, facet]) => {
+    if (facet.type !== 'string') {
+      throw new Error(`Unsupported facet type for the local vector store: ${facet.type}`);
+    }
+    if (entry.facetFields && !entry.facetFields.includes(facet.path)) {
+      throw new Error(`Cannot facet on field "${facet.path}" because it was not indexed as a token field`);
+    }
+    const counts = new Map();
+    docIndexes.forEach(docIndex => {
+      const values = [].concat(getPath(entry.documents[docIndex], facet.path) ?? []);
+      new Set(values.filter(value => typeof value === 'string')).forEach(value => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+    facetResults[name] = {
+      buckets: [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, facet.numBuckets || 10)
+        .map(([value, count]) => ({ _id: value, count }))
+    };
+  });
+
+  return { count: { lowerBound: docIndexes.length }, facet: facetResults };
+}
+
+/**
+ * Run an aggregation pipeline against the in-memory index
+ * Supports the stages the search routes use: $vectorSearch, $search and $searchMeta (first stage only, as on Atlas),
+ * $match, $addFields/$set, $project, $sort, $skip and $limit.
+ * @param {Object} entry - Loaded collection ({ documents, index, similarity })
+ * @param {Array} pipeline - Aggregation pipeline
+ * @returns {Array} - Result documents
+ */
+export function runLocalPipeline(entry, pipeline) {
+  let rows = entry.documents.map(doc => ({ doc, score: undefined }));
+
+  pipeline.forEach((stage, stageIndex) => {
+    const [operator] = Object.keys(stage);
+    const spec = stage[operator];
+
+    if (['$vectorSearch', '$search', '$searchMeta'].includes(operator) && stageIndex !== 0) {
+      throw new Error(`${operator} is only valid as the first stage in a pipeline`);
+    }
+
+    switch (operator) {
+      case '$vectorSearch': {
+        const similarity = entry.similarity(spec.path);
+        if (spec.filter && entry.filterFields) {
+          // Atlas refuses to filter on paths the index does not declare; so does the local store
+          const unindexed = collectFilterPaths(spec.filter).filter(field => !entry.filterFields.includes(field));
+          if (unindexed.length > 0) {
+            throw new Error(`Path '${unindexed[0]}' needs to be indexed as filter`);
+          }
+        }
+        let skipped = 0;
+        rows = rows
+          .filter(row => !spec.filter || matchDocument(row.doc, spec.filter))
+          .map(row => {
+            const score = vectorSimilarity(spec.queryVector, getPath(row.doc, spec.path), similarity);
+            if (score === null) skipped++;
+            return { ...row, score };
+          })
+          .filter(row => row.score !== null)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, spec.limit);
+        if (skipped > 0) {
+          console.warn(`⚠️ Local vector store: ${skipped} document(s) skipped (missing embedding or dimension mismatch)`);
+        }
+        break;
+      }
+
+      case '$search': {
+        const scores = scoreSearchOperator(entry.index, spec);
+        rows = [...scores.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .map(([docIndex, score]) => ({ doc: entry.documents[docIndex], score }));
+        break;
+      }
+
+      case '$searchMeta':
+        rows = [{ doc: searchMetaFacets(entry, spec), score: undefined }];
+        break;
+
+      case '$match':
+        rows = rows.filter(row => matchDocument(row.doc, spec));
+        break;
+
+      case '$addFields':
+      case '$set':
+        rows = rows.map(row => {
+          const doc = { ...row.doc };
+          Object.entries(spec).forEach(([field, expression]) => {
+            doc[field] = evaluateExpression(expression, row);
+          });
+          return { ...row, doc };
+        });
+        break;
+
+      case '$project':
+        rows = rows.map(row => applyProjection(row, spec));
+        break;
+
+      case '$sort':
+        rows = [...rows].sort((a, b) => {
+          for (const [field, direction] of Object.entries(spec)) {
+            const diff = compareValues(getPath(a.doc, field) ?? '', getPath(b.doc, field) ?? '');
+            if (diff !== 0) return direction < 0 ? -diff : diff;
+          }
+          return 0;
+        });
+        break;
+
+      case '$skip':
+        rows = rows.slice(spec);
+        break;
+
+      case '$limit':
+        rows = rows.slice(0, spec);
+        break;
+
+      default:
+        throw new Error(`Unsupported pipeline stage for the local vector store: ${operator}`);
+    }
+  });
+
+  return rows.map(row => row.doc);
+}
+
+// ======================== Local Backend ========================
+
+// Loaded collections survive across requests; reloaded when the source changes
+const localCollections = new Map();
+
+// Last fingerprint of each MongoDB source: { signature, checkedAt }
+const mongoSignatures = new Map();
+
+function defaultRefreshMs() {
+  const seconds = parseFloat(process.env.LOCAL_STORE_REFRESH_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 30) * 1000;
+}
+
+// Text embedded for documents that arrive without a vector (fixtures, freshly imported rows)
+function buildEmbeddingText(doc, searchFields) {
+  return Object.keys(searchFields)
+    .filter(field => doc[field] !== undefined && doc[field] !== null && doc[field] !== '')
+    .map(field => `${field}: ${Array.isArray(doc[field]) ? doc[field].join(', ') : doc[field]}`)
+    .join('\n');
+}
+
+/**
+ * Local backend: documents are loaded into memory and searched in-process
+ * Source per collection: LOCAL_STORE_DIR/<collection>.json when present, otherwise a plain
+ * MongoDB (no Atlas Search needed) at MONGODB_URI.
+ * @param {Object} options - { dbName, dataDir, embedMissing, refreshMs }
+ * @returns {Object} - Vector store
+ */
+export function createLocalVectorStore(options = {}) {
+  const {
+    dbName = process.env.DB_NAME,
+    dataDir = process.env.LOCAL_STORE_DIR,
+    embedMissing = true,
+    refreshMs = defaultRefreshMs()
+  } = options;
+
+  let client = null;
+
+  const fixturePath = (collectionName) => (dataDir ? path.resolve(dataDir, `${collectionName}.json`) : null);
+
+  async function getClient() {
+    if (!client) {
+      if (!process.env.MONGODB_URI) {
+        throw new Error('MONGODB_URI is not set and no LOCAL_STORE_DIR fixture was found');
+      }
+      // Plain connection: works with a local mongod as well as Atlas
+      client = new MongoClient(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 30000 });
+      await client.connect();
+    }
+    return client;
+  }
+
+  // Cheap fingerprint of the source so edits and new imports invalidate the cache
+  async function sourceSignature(collectionName) {
+    const file = fixturePath(collectionName);
+    if (file && fs.existsSync(file)) {
+      return { source: 'file', signature: `file:${fs.statSync(file).mtimeMs}` };
+    }
+    // Fingerprinting reads every document, so a recent result is reused for refreshMs
+    const cacheKey = `${dbName}/${collectionName}`;
+    const cached = mongoSignatures.get(cacheKey);
+    if (cached && Date.now() - cached.checkedAt < refreshMs) {
+      return { source: 'mongodb', signature: cached.signature };
+    }
+
+    // In-place updates keep the count, so fingerprint what the writers change: every document's
+    // _id, contentHash (testCaseSync.js, userStorySync.js) and updatedAt
+    const collection = (await getClient()).db(dbName).collection(collectionName);
+    const hash = crypto.createHash('sha1');
+    let count = 0;
+    const cursor = collection.find({}, { projection: { _id: 1, contentHash: 1, updatedAt: 1 } }).sort({ _id: 1 });
+    for await (const doc of cursor) {
+      hash.update(`${doc._id}|${doc.contentHash ?? ''}|${doc.updatedAt instanceof Date ? doc.updatedAt.getTime() : doc.updatedAt ?? ''}\n`);
+      count++;
+    }
+    const signature = `mongodb:${count}:${hash.digest('hex')}`;
+    mongoSignatures.set(cacheKey, { signature, checkedAt: Date.now() });
+    return { source: 'mongodb', signature };
+  }
+
+  async function loadDocuments(collectionName, source) {
+    if (source === 'file') {
+      return JSON.parse(fs.readFileSync(fixturePath(collectionName), 'utf-8'));
+    }
+    return (await getClient()).db(dbName).collection(collectionName).find({}).toArray();
+  }
+
+  async function loadCollection(collectionName) {
+    const { source, signature } = await sourceSignature(collectionName);
+    const cacheKey = `${dbName}/${collectionName}`;
+    const cached = localCollections.get(cacheKey);
+    if (cached && cached.signature === signature) {
+      return cached;
+    }
+
+    const startTime = Date.now();
+    const documents = (await loadDocuments(collectionName, source)).map((doc, i) => ({
+      ...doc,
+      _id: doc._id ?? doc.id ?? doc.key ?? `local-${i}`
+    }));
+
+    const searchFields = resolveSearchFields(collectionName, documents);
+
+    if (embedMissing) {
+      const missing = documents.filter(doc => !Array.isArray(doc.embedding));
+      if (missing.length > 0) {
+        console.log(`🧮 Local vector store: embedding ${missing.length} document(s) without vectors in '${collectionName}'`);
+        const { vectors } = await embedBatch(missing.map(doc => buildEmbeddingText(doc, searchFields)));
+        missing.forEach((doc, i) => {
+          doc.embedding = vectors[i];
+        });
+      }
+    }
+
+    const entry = {
+      signature,
+      source,
+      documents,
+      index: buildInvertedIndex(documents, searchFields),
+      similarity: (vectorPath) => resolveVectorSimilarity(collectionName, vectorPath),
+      filterFields: resolveVectorFilterFields(collectionName),
+      facetFields: resolveFacetFields(collectionName)
+    };
+    localCollections.set(cacheKey, entry);
+
+    console.log(`📚 Local vector store: indexed ${documents.length} document(s) from ${source} '${collectionName}' in ${Date.now() - startTime}ms`);
+    return entry;
+  }
+
+  return {
+    name: 'local',
+
+    async connect() {
+      // Connections are opened lazily, only for collections without a fixture file
+    },
+
+    async validate(collectionName, indexName, requireDocuments = false) {
+      try {
+        const file = fixturePath(collectionName);
+        if (!(file && fs.existsSync(file))) {
+          const db = (await getClient()).db(dbName);
+          const collections = await db.listCollections({ name: collectionName }).toArray();
+          if (collections.length === 0) {
+            return { ok: false, error: `Collection '${collectionName}' not found in database '${dbName}'` };
+          }
+        }
+
+        if (requireDocuments) {
+          const { documents } = await loadCollection(collectionName);
+          if (documents.length === 0) {
+            return { ok: false, error: `No documents found in collection '${collectionName}'. Please create embeddings first.` };
+          }
+        }
+
+        // Search indexes are built in-process, so any index name is satisfied
+        return { ok: true };
+      } catch (err) {
+        return { ok: false, error: `Validation failed: ${err.message}` };
+      }
+    },
+
+    async vectorFilterFields(collectionName) {
+      return resolveVectorFilterFields(collectionName) || [];
+    },
+
+    async searchKeywordFields(collectionName) {
+      return keywordFieldsOf(readConfig(getIndexDefinitionFiles(collectionName).search));
+    },
+
+    async searchFacetFields(collectionName) {
+      return resolveFacetFields(collectionName) || [];
+    },
+
+    collection(collectionName) {
+      return {
+        collectionName,
+        aggregate(pipeline) {
+          return {
+            async toArray() {
+              const entry = await loadCollection(collectionName);
+              return runLocalPipeline(entry, pipeline);
+            }
+          };
+        },
+        async countDocuments(query = {}) {
+          const entry = await loadCollection(collectionName);
+          return entry.documents.filter(doc => matchDocument(doc, query)).length;
+        }
+      };
+    },
+
+    async close() {
+      if (client) {
+        await client.close();
+        client = null;
+      }
+    }
+  };
+}
+
+const storeFactories = {
+  atlas: createAtlasVectorStore,
+  local: createLocalVectorStore
+};
+
+/**
+ * Create a vector store by name (one per request, like a MongoClient)
+ * @param {Object} config - { backend, ...store options }
+ * @returns {Object} - Vector store
+ */
+export function createVectorStore(config = {}) {
+  const { backend = process.env.VECTOR_STORE || 'atlas', ...options } = config;
+  const factory = storeFactories[backend.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown vector store "${backend}". Expected one of: ${Object.keys(storeFactories).join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Name of the backend selected through the environment
+ * @returns {string}
+ */
+export function getVectorStoreBackend() {
+  return (process.env.VECTOR_STORE || 'atlas').toLowerCase();
+}
+
+export default {
+  createVectorStore,
+  createAtlasVectorStore,
+  createLocalVectorStore,
+  createMongoClient,
+  useMongoTls,
+  validateDbCollectionIndex,
+  getVectorStoreBackend,
+  analyzeText,
+  buildInvertedIndex,
+  vectorSimilarity,
+  matchDocument,
+  runLocalPipeline
+};
@@ -0,0 +1,192 @@
+/**
+ * Hybrid Search
+ * BM25 + vector retrieval over a vector store collection (see providers/vectorStore.js), with the
+ * min-max normalized weighted score combination used by POST /api/search/hybrid.
+ * Shared by the hybrid search route and the release impact analysis.
+ */
+
+import { embedText } from '../providers/embeddingProvider.js';
+import { addSearchCompoundFilters, combineMatchFilters } from './searchFilters.js';
+import { buildQueryOperator, buildExclusionOperators, buildValueExclusionMatch } from './queryParser.js';
+
+export const DEFAULT_BM25_FIELDS = ['id', 'title', 'description', 'steps', 'expectedResults', 'module'];
+
+/**
+ * Atlas Search ($search) pipeline for one query text
+ * @param {string} text - Query text
+ * @param {Object} options - { indexName, fields, limit, projection, searchFilter, match, phrases, excluded }
+ *   searchFilter: compound filters (searchFilters.toSearchCompound), match: $match applied before the limit,
+ *   phrases / excluded: quoted phrases and exclusions from the inline query syntax (queryParser.js)
+ * @returns {Array} - Aggregation pipeline
+ */
+export function buildBm25Pipeline(text, { indexName, fields = DEFAULT_BM25_FIELDS, limit, projection, searchFilter = null, match = null, phrases = [], excluded = [] }) {
+  const postMatch = combineMatchFilters(match, buildValueExclusionMatch(excluded));
+  return [
+    {
+      $search: addSearchCompoundFilters({
+        index: indexName,
+        ...buildQueryOperator({ searchText: text, phrases }, { path: fields })
+      }, {
+        filter: searchFilter?.filter || [],
+        mustNot: [...(searchFilter?.mustNot || []), ...buildExclusionOperators(excluded, fields)]
+      })
+    },
+    ...(postMatch ? [{ $match: postMatch }] : []),
+    {
+      $addFields: {
+        bm25Score: { $meta: 'searchScore' }
+      }
+    },
+    { $project: { ...projection, bm25Score: 1 } },
+    { $limit: limit }
+  ];
+}
+
+/**
+ * Vector Search ($vectorSearch) pipeline for one query vector
+ * @param {Array<number>} queryVector - Query embedding
+ * @param {Object} options - { indexName, limit, numCandidates, projection, filter, match }
+ *   filter: $vectorSearch pre-filter (searchFilters.toVectorSearchFilter), match: $match on the hits
+ * @returns {Array} - Aggregation pipeline
+ */
+export function buildVectorPipeline(queryVector, { indexName, limit, numCandidates = Math.max(limit * 2, 200), projection, filter = null, match = null }) {
+  return [
+    {
+      $vectorSearch: {
+        queryVector,
+        path: 'embedding',
+        numCandidates,
+        limit,
+        index: indexName,
+        ...(filter && { filter })
+      }
+    },
+    ...(match ? [{ $match: match }] : []),
+    {
+      $addFields: {
+        vectorScore: { $meta: 'vectorSearchScore' }
+      }
+    },
+    { $project: { ...projection, vectorScore: 1 } }
+  ];
+}
+
+/**
+ * Merge BM25 and vector hits: each score is min-max normalized, then weighted and summed
+ * @param {Array<Object>} bm25Results - Hits with bm25Score
+ * @param {Array<Object>} vectorResults - Hits with vectorScore
+ * @param {Object} options - { bm25Weight, vectorWeight, skipBM25 } (skipBM25: vector scores count in full)
+ * @returns {Array<Object>} - Hits with bm25ScoreNormalized, vectorScoreNormalized, hybridScore and foundIn, best first
+ */
+export function combineHybridResults(bm25Results, vectorResults, { bm25Weight = 0.5, vectorWeight = 0.5, skipBM25 = false } = {}) {
+  // Normalize BM25 scores (if available)
+  const bm25Scores = bm25Results.map(r => r.bm25Score);
+  const bm25Max = bm25Scores.length > 0 ? Math.max(...bm25Scores, 1) : 1;
+  const bm25Min = bm25Scores.length > 0 ? Math.min(...bm25Scores, 0) : 0;
+  const bm25Range = bm25Max - bm25Min || 1;
+
+  // Normalize Vector scores
+  const vectorScores = vectorResults.map(r => r.vectorScore);
+  const vectorMax = Math.max(...vectorScores, 1);
+  const vectorMin = Math.min(...vectorScores, 0);
+  const vectorRange = vectorMax - vectorMin || 1;
+
+  const resultMap = new Map();
+
+  if (!skipBM25) {
+    bm25Results.forEach(result => {
+      const key = result._id.toString();
+      const normalizedScore = (result.bm25Score - bm25Min) / bm25Range;
+      resultMap.set(key, {
+        ...result,
+        bm25ScoreNormalized: normalizedScore,
+        vectorScore: 0,
+        vectorScoreNormalized: 0,
+        hybridScore: normalizedScore * bm25Weight,
+        foundIn: 'bm25'
+      });
+    });
+  }
+
+  vectorResults.forEach(result => {
+    const key = result._id.toString();
+    const normalizedScore = (result.vectorScore - vectorMin) / vectorRange;
+
+    if (resultMap.has(key)) {
+      // Found in both BM25 and vector
+      const existing = resultMap.get(key);
+      existing.vectorScore = result.vectorScore;
+      existing.vectorScoreNormalized = normalizedScore;
+      existing.hybridScore += normalizedScore * vectorWeight;
+      existing.foundIn = 'both';
+    } else {
+      resultMap.set(key, {
+        ...result,
+        bm25Score: 0,
+        bm25ScoreNormalized: 0,
+        vectorScoreNormalized: normalizedScore,
+        hybridScore: skipBM25 ? normalizedScore : normalizedScore * vectorWeight,
+        foundIn: skipBM25 ? 'vector-only' : 'vector'
+      });
+    }
+  });
+
+  return Array.from(resultMap.values()).sort((a, b) => b.hybridScore - a.hybridScore);
+}
+
+/**
+ * Run BM25 and vector retrieval for one query and combine them
+ * @param {Object} collection - Vector store collection
+ * @param {string} text - Query text
+ * @param {Object} options - { bm25IndexName, vectorIndexName, limit, fields, projection, bm25Weight, vectorWeight, skipBM25 }
+ *   limit is the number of combined hits returned; each retriever fetches three times as many
+ * @returns {Promise<Object>} - { results, bm25Count, vectorCount, cost, tokens, bm25Time, vectorTime }
+ */
+export async function hybridSearch(collection, text, options = {}) {
+  const {
+    bm25IndexName,
+    vectorIndexName,
+    limit = 10,
+    fields = DEFAULT_BM25_FIELDS,
+    projection,
+    bm25Weight = 0.5,
+    vectorWeight = 0.5,
+    skipBM25 = false
+  } = options;
+  const searchLimit = limit * 3;
+
+  let bm25Results = [];
+  let bm25Time = 0;
+  if (!skipBM25) {
+    const bm25StartTime = Date.now();
+    bm25Results = await collection
+      .aggregate(buildBm25Pipeline(text, { indexName: bm25IndexName, fields, limit: searchLimit, projection }))
+      .toArray();
+    bm25Time = Date.now() - bm25StartTime;
+  }
+
+  const vectorStartTime = Date.now();
+  const embedding = await embedText(text);
+  const vectorResults = await collection
+    .aggregate(buildVectorPipeline(embedding.vector, { indexName: vectorIndexName, limit: searchLimit, projection }))
+    .toArray();
+  const vectorTime = Date.now() - vectorStartTime;
+
+  return {
+    results: combineHybridResults(bm25Results, vectorResults, { bm25Weight, vectorWeight, skipBM25 }).slice(0, limit),
+    bm25Count: bm25Results.length,
+    vectorCount: vectorResults.length,
+    cost: embedding.cost,
+    tokens: embedding.tokens,
+    bm25Time,
+    vectorTime
+  };
+}
+
+export default {
+  DEFAULT_BM25_FIELDS,
+  buildBm25Pipeline,
+  buildVectorPipeline,
+  combineHybridResults,
+  hybridSearch
+};
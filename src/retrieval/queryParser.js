@@ -0,0 +1,309 @@
+/**
+ * Query Parser
+ * Inline search syntax typed into the search boxes:
+ *
+ *   module:Wards priority:P1,P2 -automated "queue list" linked:HC-287 created>=2024-01-01
+ *
+ *   field:value              filter (field:a,b for any of, field:a..b for a range)
+ *   field>=value, <=, >, <   range filter
+ *   -field:value             negated filter
+ *   "quoted phrase"          phrase, ranked higher when it appears verbatim
+ *   -word, -"phrase"         exclusion: results mentioning it are dropped, and so are results
+ *                            whose priority/risk/type/automation value is it (-automated)
+ *   anything else            free text
+ *
+ * Qualifiers are only recognised for the fields in QUERY_FIELD_ALIASES; "Note: x" stays text.
+ * Filters come out in the searchFilters.js grammar, so they combine with the request's filters.
+ */
+
+import { parseSearchFilters, combineMatchFilters } from './searchFilters.js';
+
+export const QUERY_FIELD_ALIASES = {
+  id: 'id',
+  module: 'module',
+  priority: 'priority',
+  risk: 'risk',
+  type: 'type',
+  version: 'version',
+  automation: 'automationManual',
+  automationmanual: 'automationManual',
+  linked: 'linkedStories',
+  story: 'linkedStories',
+  linkedstories: 'linkedStories',
+  created: 'createdDate',
+  createddate: 'createdDate',
+  modified: 'lastModifiedDate',
+  updated: 'lastModifiedDate',
+  lastmodifieddate: 'lastModifiedDate',
+  createdby: 'createdBy'
+};
+
+// Enum fields an exclusion is compared with as a whole value, case-insensitively (keyword-indexed,
+// so a text exclusion never reaches them)
+export const EXCLUSION_VALUE_FIELDS = ['automationManual', 'type', 'priority', 'risk'];
+
+const COMPARISON_OPERATORS = { '>=': 'gte', '<=': 'lte', '>': 'gt', '<': 'lt' };
+const OPERATOR_LABELS = { eq: '=', ne: '≠', in: 'in', nin: 'not in', gte: '≥', lte: '≤', gt: '>', lt: '<' };
+
+const QUALIFIER_PATTERN = /^([A-Za-z][A-Za-z_]*)(:|>=|<=|>|<)/;
+
+function queryError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Next token: { negated, field, operator, value, quoted, raw, end }
+function readToken(input, start) {
+  let position = start;
+  const negated = input[position] === '-' && position + 1 < input.length && !/\s/.test(input[position + 1]);
+  if (negated) position++;
+
+  const readValue = (from) => {
+    if (input[from] === '"') {
+      const close = input.indexOf('"', from + 1);
+      const end = close === -1 ? input.length : close;
+      return { value: input.slice(from + 1, end), quoted: true, end: close === -1 ? end : end + 1 };
+    }
+    const match = input.slice(from).match(/^\S*/);
+    return { value: match[0], quoted: false, end: from + match[0].length };
+  };
+
+  const qualifier = input.slice(position).match(QUALIFIER_PATTERN);
+  const field = qualifier && QUERY_FIELD_ALIASES[qualifier[1].toLowerCase()];
+  if (field) {
+    const { value, quoted, end } = readValue(position + qualifier[0].length);
+    if (value) {
+      return { negated, field, operator: qualifier[2], value, quoted, raw: input.slice(start, end), end };
+    }
+  }
+
+  const { value, quoted, end } = readValue(position);
+  return { negated, field: null, value, quoted, raw: input.slice(start, end), end };
+}
+
+// field:value → searchFilters.js conditions ({ op: value } pairs)
+function toConditions({ operator, value, quoted, negated, raw }) {
+  if (operator !== ':') {
+    if (negated) throw queryError(`"${raw}": a comparison cannot be negated`);
+    return [[COMPARISON_OPERATORS[operator], value]];
+  }
+  if (!quoted && value.includes('..')) {
+    if (negated) throw queryError(`"${raw}": a range cannot be negated`);
+    const [from, to] = value.split('..');
+    return [...(from ? [['gte', from]] : []), ...(to ? [['lte', to]] : [])];
+  }
+  if (!quoted && value.includes(',')) {
+    const values = value.split(',').map(item => item.trim()).filter(Boolean);
+    return [[negated ? 'nin' : 'in', values]];
+  }
+  return [[negated ? 'ne' : 'eq', value]];
+}
+
+// Repeated qualifiers widen the list (priority:P1 priority:P2 → in [P1, P2])
+function addCondition(conditions, op, value) {
+  const merged = { eq: 'in', ne: 'nin' };
+  if (merged[op] && (op in conditions || merged[op] in conditions)) {
+    const list = [].concat(conditions[merged[op]] || [], op in conditions ? conditions[op] : [], value);
+    delete conditions[op];
+    conditions[merged[op]] = list;
+  } else if (['in', 'nin'].includes(op) && op in conditions) {
+    conditions[op] = [...conditions[op], ...value];
+  } else {
+    conditions[op] = value;
+  }
+}
+
+function describeCondition(field, op, value) {
+  return `${field} ${OPERATOR_LABELS[op]} ${Array.isArray(value) ? value.join(', ') : value}`;
+}
+
+/**
+ * Parse a search box query
+ * @param {string} input - Raw query
+ * @returns {Object} - { raw, text, phrases, excluded, filters, searchText, interpretation }
+ *   text: free text without qualifiers, phrases or exclusions; searchText: text plus phrases (what
+ *   is embedded and matched); filters: searchFilters.js grammar; interpretation: [{ type, token, label }]
+ *   for display (type: text | phrase | exclude | filter)
+ * @throws {Error} - status 400 for negated ranges and comparisons
+ */
+export function parseSearchQuery(input = '') {
+  const raw = String(input || '');
+  const words = [];
+  const phrases = [];
+  const excluded = [];
+  const filters = {};
+  const interpretation = [];
+
+  let position = 0;
+  while (position < raw.length) {
+    if (/\s/.test(raw[position])) {
+      position++;
+      continue;
+    }
+    const token = readToken(raw, position);
+    position = Math.max(token.end, position + 1);
+
+    if (token.field) {
+      filters[token.field] = filters[token.field] || {};
+      toConditions(token).forEach(([op, value]) => {
+        addCondition(filters[token.field], op, value);
+        interpretation.push({ type: 'filter', token: token.raw, field: token.field, label: describeCondition(token.field, op, value) });
+      });
+    } else if (!token.value.trim()) {
+      continue;
+    } else if (token.negated) {
+      excluded.push(token.value.trim());
+      interpretation.push({ type: 'exclude', token: token.raw, label: `not "${token.value.trim()}"` });
+    } else if (token.quoted) {
+      phrases.push(token.value.trim());
+      interpretation.push({ type: 'phrase', token: token.raw, label: `"${token.value.trim()}"` });
+    } else {
+      words.push(token.value);
+    }
+  }
+
+  const text = words.join(' ');
+  if (text) {
+    interpretation.unshift({ type: 'text', token: text, label: text });
+  }
+
+  // { eq: v } reads better as v in the echoed filters
+  Object.entries(filters).forEach(([field, conditions]) => {
+    const ops = Object.keys(conditions);
+    if (ops.length === 1 && ops[0] === 'eq') filters[field] = conditions.eq;
+    if (ops.length === 1 && ops[0] === 'in') filters[field] = conditions.in;
+  });
+
+  return {
+    raw,
+    text,
+    phrases,
+    excluded,
+    filters,
+    searchText: [text, ...phrases].filter(Boolean).join(' '),
+    interpretation
+  };
+}
+
+/**
+ * $search operator (without index) for a parsed query: fuzzy text over the whole search text,
+ * plus a boosted phrase operator per quoted phrase
+ * @param {Object} parsed - parseSearchQuery result
+ * @param {Object} options - { path, fuzzy, phraseBoost }
+ * @returns {Object} - { text } or { compound }
+ */
+export function buildQueryOperator(parsed, { path, fuzzy = { maxEdits: 1, prefixLength: 2 }, phraseBoost = 2.0 }) {
+  const text = { text: { query: parsed.searchText, path, ...(fuzzy && { fuzzy }) } };
+  if (parsed.phrases.length === 0) return text;
+  return {
+    compound: {
+      should: [
+        text,
+        ...parsed.phrases.map(phrase => ({
+          phrase: { query: phrase, path, score: { boost: { value: phraseBoost } } }
+        }))
+      ],
+      minimumShouldMatch: 1
+    }
+  };
+}
+
+/**
+ * $search mustNot operators for the excluded words and phrases
+ * @param {Array<string>} excluded - parseSearchQuery excluded
+ * @param {Array<string>|string} path - Searched fields
+ * @returns {Array<Object>}
+ */
+export function buildExclusionOperators(excluded, path) {
+  return excluded.map(query => ({ phrase: { query, path } }));
+}
+
+/**
+ * $match dropping documents that mention an excluded word or phrase (for vector results)
+ * @param {Array<string>} excluded - parseSearchQuery excluded
+ * @param {Array<string>} fields - Text fields to look in
+ * @returns {Object|null}
+ */
+export function buildExclusionMatch(excluded, fields) {
+  if (excluded.length === 0) return null;
+  const patterns = excluded.map(item => {
+    const words = item.split(/\s+/).map(escapeRegex);
+    return `(^|\\W)${words.join('\\W+')}(\\W|$)`;
+  });
+  return combineMatchFilters(
+    { $nor: patterns.flatMap(pattern => fields.map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))) },
+    buildValueExclusionMatch(excluded)
+  );
+}
+
+/**
+ * $match dropping documents whose enum fields equal an excluded term (-automated drops
+ * automationManual: "Automated"); $search mustNot cannot do this, keyword matching is case-sensitive
+ * @param {Array<string>} excluded - parseSearchQuery excluded
+ * @param {Array<string>} valueFields - Enum fields (default: EXCLUSION_VALUE_FIELDS)
+ * @returns {Object|null}
+ */
+export function buildValueExclusionMatch(excluded, valueFields = EXCLUSION_VALUE_FIELDS) {
+  if (excluded.length === 0 || valueFields.length === 0) return null;
+  return {
+    $nor: excluded.flatMap(item => valueFields.map(field => ({
+      [field]: { $regex: `^${escapeRegex(item.trim())}$`, $options: 'i' }
+    })))
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Plain-text reading of a query: no qualifiers, phrases or exclusions (for text that was not typed
+ * into a search box, like a user story, where "priority:" or "-word" are just words)
+ * @param {string} input - Raw query
+ * @returns {Object} - Same shape as parseSearchQuery
+ */
+export function parsePlainQuery(input = '') {
+  const raw = String(input || '');
+  const text = raw.trim().replace(/\s+/g, ' ');
+  return {
+    raw,
+    text,
+    phrases: [],
+    excluded: [],
+    filters: {},
+    searchText: text,
+    interpretation: text ? [{ type: 'text', token: text, label: text }] : []
+  };
+}
+
+/**
+ * Parse a search request's query and merge its qualifiers with the body filters
+ * @param {string} query - Raw query
+ * @param {Object} filters - Request body filters (searchFilters.js grammar)
+ * @param {Object} options - { raw: take the query as plain text (parsePlainQuery) }
+ * @returns {Object} - { parsedQuery, clauses } (clauses: both sets, all of which must hold)
+ * @throws {Error} - status 400 when nothing is left to search for, or a filter is invalid
+ */
+export function parseSearchRequest(query, filters = {}, { raw = false } = {}) {
+  const parsedQuery = raw ? parsePlainQuery(query) : parseSearchQuery(query);
+  if (!parsedQuery.searchText) {
+    throw queryError('Add some search text besides field qualifiers and exclusions');
+  }
+  return {
+    parsedQuery,
+    clauses: [...parseSearchFilters(filters), ...parseSearchFilters(parsedQuery.filters)]
+  };
+}
+
+export default {
+  QUERY_FIELD_ALIASES,
+  parseSearchQuery,
+  parsePlainQuery,
+  parseSearchRequest,
+  buildQueryOperator,
+  EXCLUSION_VALUE_FIELDS,
+  buildExclusionOperators,
+  buildExclusionMatch,
+  buildValueExclusionMatch
+};
@@ -0,0 +1,192 @@
+/**
+ * Search Cursors
+ * Paging for the search routes. The first request ranks a candidate pool (deeper than one page),
+ * answers with its first page and, when more remain, caches the pool under a random token.
+ * Follow-up requests send the cursor and are answered from the cached pool, so fused rankings
+ * cannot shift between pages and the retrievers are not run again.
+ *
+ *   POST /api/search/hybrid { query, limit: 10 }               → { results, hasMore, nextCursor }
+ *   POST /api/search/hybrid { cursor: nextCursor, limit: 10 }  → next 10 of the same pool
+ *   POST /api/search/hybrid { query, limit: 10, offset: 20 }   → fresh pool, page from 20
+ *
+ * A cursor is base64url JSON { t: token, o: offset }. Expired or evicted pools answer 410; the
+ * client starts the search again. A limit above MAX_PAGE_SIZE is served as MAX_PAGE_SIZE.
+ *
+ * Configuration (environment):
+ *   SEARCH_POOL_SIZE           - ranked candidates kept per query (default: 100)
+ *   SEARCH_CURSOR_TTL_MINUTES  - minutes a pool stays cached after its last page (default: 15)
+ *   SEARCH_CURSOR_CACHE_SIZE   - pools cached at once, least recently used evicted (default: 200)
+ */
+
+import crypto from 'crypto';
+
+export const MAX_PAGE_SIZE = 100;
+
+function pageError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Ranked candidates a route keeps for paging: at least SEARCH_POOL_SIZE, and always the requested page
+ * @param {Object} page - parsePageRequest result
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {number}
+ */
+export function poolSizeFor({ offset, limit }, env = process.env) {
+  return Math.max(parseInt(env.SEARCH_POOL_SIZE, 10) || 100, offset + limit);
+}
+
+/**
+ * Encode a cursor
+ * @param {string} token - Cached pool token
+ * @param {number} offset - First result of the page it points to
+ * @returns {string}
+ */
+export function encodeCursor(token, offset) {
+  return Buffer.from(JSON.stringify({ t: token, o: offset })).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - encodeCursor result
+ * @returns {Object} - { token, offset }
+ * @throws {Error} - status 400 when the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { t, o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof t === 'string' && t && Number.isInteger(o) && o >= 0) {
+      return { token: t, offset: o };
+    }
+  } catch (e) {}
+  throw pageError('Invalid cursor');
+}
+
+/**
+ * Read the paging fields of a search request
+ * @param {Object} body - Request body ({ limit, offset, cursor })
+ * @param {Object} options - { defaultLimit }
+ * @returns {Object} - { limit, offset, cursor } (limit clamped to MAX_PAGE_SIZE; cursor: decodeCursor result
+ *   or null, it overrides offset)
+ * @throws {Error} - status 400 for a bad limit, offset or cursor
+ */
+export function parsePageRequest({ limit, offset, cursor } = {}, { defaultLimit = 10 } = {}) {
+  const pageLimit = limit === undefined || limit === null || limit === '' ? defaultLimit : Number(limit);
+  if (!Number.isInteger(pageLimit) || pageLimit < 1) {
+    throw pageError('limit must be a whole number of 1 or more');
+  }
+  const pageOffset = offset === undefined || offset === null || offset === '' ? 0 : Number(offset);
+  if (!Number.isInteger(pageOffset) || pageOffset < 0) {
+    throw pageError('offset must be a whole number of 0 or more');
+  }
+  const decoded = cursor ? decodeCursor(cursor) : null;
+  // Larger pages were served before paging existed; cap them rather than reject them
+  return { limit: Math.min(pageLimit, MAX_PAGE_SIZE), offset: decoded ? decoded.offset : pageOffset, cursor: decoded };
+}
+
+/**
+ * One page of a ranked pool
+ * @param {Array<Object>} pool - Ranked results
+ * @param {Object} page - { offset, limit }
+ * @returns {Object} - { results, offset, hasMore }
+ */
+export function slicePage(pool, { offset, limit }) {
+  return {
+    results: pool.slice(offset, offset + limit),
+    offset,
+    hasMore: offset + limit < pool.length
+  };
+}
+
+/**
+ * Create the pool cache
+ * @param {Object} options - { ttlMs, maxEntries }
+ * @returns {Object} - { respond(route, pool, page, response), resume(route, page), size() }
+ */
+export function createSearchPoolCache({
+  ttlMs = (parseFloat(process.env.SEARCH_CURSOR_TTL_MINUTES) || 15) * 60 * 1000,
+  maxEntries = parseInt(process.env.SEARCH_CURSOR_CACHE_SIZE, 10) || 200
+} = {}) {
+  const pools = new Map(); // token -> { route, pool, context, expiresAt }; Map order is recency
+
+  function evict(now = Date.now()) {
+    for (const [token, entry] of pools) {
+      if (entry.expiresAt <= now) pools.delete(token);
+    }
+    while (pools.size > maxEntries) {
+      pools.delete(pools.keys().next().value);
+    }
+  }
+
+  function touch(token, entry) {
+    pools.delete(token);
+    entry.expiresAt = Date.now() + ttlMs;
+    pools.set(token, entry);
+  }
+
+  function pageFields(token, paged) {
+    return {
+      offset: paged.offset,
+      hasMore: paged.hasMore,
+      nextCursor: paged.hasMore ? encodeCursor(token, paged.offset + paged.results.length) : null
+    };
+  }
+
+  return {
+    /**
+     * Answer a fresh search with a page of its pool, caching the pool when more pages remain
+     * @param {string} route - Route name (a cursor only resumes the route that issued it)
+     * @param {Array<Object>} pool - Every ranked result
+     * @param {Object} page - { offset, limit }
+     * @param {Object} response - Response body without results (kept for later pages)
+     * @returns {Object} - response with results, count, offset, hasMore and nextCursor
+     */
+    respond(route, pool, page, response) {
+      const paged = slicePage(pool, page);
+      const token = paged.hasMore ? crypto.randomBytes(12).toString('base64url') : null;
+      if (token) {
+        touch(token, { route, pool, context: response });
+        evict();
+      }
+      return { ...response, results: paged.results, count: paged.results.length, ...pageFields(token, paged) };
+    },
+
+    /**
+     * Answer a cursor request from the cached pool
+     * @param {string} route - Route name
+     * @param {Object} page - parsePageRequest result with a cursor
+     * @returns {Object} - The first response with this page's results, count, offset, hasMore and nextCursor
+     * @throws {Error} - status 410 when the pool has expired, 400 when the cursor belongs to another route
+     */
+    resume(route, { cursor, limit }) {
+      evict();
+      const entry = pools.get(cursor.token);
+      if (!entry) {
+        throw pageError('These results have expired; run the search again', 410);
+      }
+      if (entry.route !== route) {
+        throw pageError(`Cursor belongs to ${entry.route} search, not ${route}`);
+      }
+      touch(cursor.token, entry);
+      const paged = slicePage(entry.pool, { offset: cursor.offset, limit });
+      return { ...entry.context, results: paged.results, count: paged.results.length, ...pageFields(cursor.token, paged) };
+    },
+
+    size() {
+      evict();
+      return pools.size;
+    }
+  };
+}
+
+export default {
+  MAX_PAGE_SIZE,
+  poolSizeFor,
+  encodeCursor,
+  decodeCursor,
+  parsePageRequest,
+  slicePage,
+  createSearchPoolCache
+};
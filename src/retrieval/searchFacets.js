@@ -0,0 +1,96 @@
+/**
+ * Search Facets
+ * Value counts for the documents a search matches, so the search screens can offer one-click
+ * refinements (module: Wards (12), priority: P1 (4), ...).
+ *
+ * Two sources, same output ({ field: [{ value, count }] }, most frequent first):
+ *   searchMeta - Atlas $searchMeta facet collector over the whole match set; needs every faceted
+ *                field indexed as token (see src/config/testcases-bm25-index.json) and every filter
+ *                expressed inside the $search operator
+ *   candidates - counted in-process over the documents the route retrieved (vector and hybrid
+ *                search rank rather than match, so their "match set" is the candidate window)
+ */
+
+export const FACET_FIELDS = ['module', 'priority', 'risk', 'automationManual', 'version', 'createdBy'];
+
+export const DEFAULT_FACET_BUCKETS = 10;
+
+// Documents counted when facets come from candidates rather than the index
+export const FACET_CANDIDATE_LIMIT = 1000;
+
+/**
+ * Count facet values over documents (array values count once per element)
+ * @param {Array<Object>} docs - Documents
+ * @param {Array<string>} fields - Faceted fields
+ * @param {Object} options - { numBuckets }
+ * @returns {Object} - { field: [{ value, count }] }
+ */
+export function countFacets(docs, fields = FACET_FIELDS, { numBuckets = DEFAULT_FACET_BUCKETS } = {}) {
+  const facets = {};
+  fields.forEach(field => {
+    const counts = new Map();
+    docs.forEach(doc => {
+      const values = [].concat(doc?.[field] ?? [])
+        .filter(value => value !== '' && (typeof value === 'string' || typeof value === 'number'))
+        .map(String);
+      new Set(values).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+    facets[field] = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, numBuckets)
+      .map(([value, count]) => ({ value, count }));
+  });
+  return facets;
+}
+
+/**
+ * $searchMeta pipeline counting facets for a $search operator
+ * @param {Object} search - The route's $search stage body ({ index, ...operator })
+ * @param {Object} options - { fields, numBuckets }
+ * @returns {Array<Object>} - Pipeline
+ */
+export function buildSearchMetaFacetPipeline({ index, ...operator }, { fields = FACET_FIELDS, numBuckets = DEFAULT_FACET_BUCKETS } = {}) {
+  return [{
+    $searchMeta: {
+      index,
+      facet: {
+        operator,
+        facets: Object.fromEntries(fields.map(field => [field, { type: 'string', path: field, numBuckets }]))
+      }
+    }
+  }];
+}
+
+/**
+ * Read a $searchMeta facet result
+ * @param {Array<Object>} rows - Aggregation output ([{ count: { lowerBound }, facet: { name: { buckets } } }])
+ * @returns {Object} - { facets: { field: [{ value, count }] }, total }
+ */
+export function readSearchMetaFacets(rows) {
+  const [meta = {}] = rows;
+  const facets = Object.fromEntries(Object.entries(meta.facet || {}).map(([field, { buckets = [] }]) => [
+    field,
+    buckets.map(bucket => ({ value: String(bucket._id), count: bucket.count }))
+  ]));
+  return { facets, total: meta.count?.lowerBound ?? null };
+}
+
+/**
+ * Whether $searchMeta can count every field: each one must be facetable in the search index
+ * @param {Array<string>} fields - Faceted fields
+ * @param {Array<string>} facetFields - store.searchFacetFields()
+ * @returns {boolean}
+ */
+export function canUseSearchMeta(fields, facetFields = []) {
+  return fields.every(field => facetFields.includes(field));
+}
+
+export default {
+  FACET_FIELDS,
+  DEFAULT_FACET_BUCKETS,
+  FACET_CANDIDATE_LIMIT,
+  countFacets,
+  buildSearchMetaFacetPipeline,
+  readSearchMetaFacets,
+  canUseSearchMeta
+};
@@ -0,0 +1,393 @@
+/**
+ * Search Filters
+ * One filter grammar for every search route, translated into $vectorSearch filters, $search
+ * compound clauses, $match stages and in-process predicates with the same meaning.
+ *
+ * Grammar (request body "filters"): one entry per field, all entries must hold.
+ *   { module: 'Login' }                                        equality
+ *   { priority: ['P1', 'P2'] }                                 any of
+ *   { risk: { not: 'Low' } }, { risk: { notIn: ['Low'] } }     negation
+ *   { createdDate: { from: '2024-01-01', to: '2024-06-30' } }  date range (whole days, inclusive)
+ *   { version: { gte: 'v2.0', lt: 'v10' } }                    version range
+ *   { linkedStories: { contains: 'HC-310' } }                  array membership (containsAny, containsAll)
+ *   { automationManual: { exists: true } }
+ * Operators: eq, ne/not, in, nin/notIn, gt, gte/from, lt, lte/to, exists, contains, containsAny,
+ * containsAll. MQL spellings ($in, $ne, ...) are accepted too; empty values are ignored.
+ *
+ * Field types (FILTER_FIELD_TYPES, string otherwise):
+ *   date    - spreadsheet imports store Excel serial numbers, generated test cases ISO date strings
+ *             and older documents BSON dates; a date condition matches all three
+ *   version - compared by numeric segments (v9.0 < v10.0), which no index can do, so version
+ *             ranges are always checked in-process
+ *   array   - membership, as MongoDB matches arrays
+ *
+ * Where a condition cannot be pushed into the search stage ($vectorSearch only filters on indexed
+ * "filter" paths, $search only on keyword-analyzed fields) it becomes a $match after it.
+ */
+
+import { matchDocument } from '../providers/vectorStore.js';
+
+export const FILTER_FIELD_TYPES = {
+  createdDate: 'date',
+  lastModifiedDate: 'date',
+  createdAt: 'date',
+  version: 'version',
+  linkedStories: 'array'
+};
+
+const OPERATOR_ALIASES = {
+  eq: 'eq',
+  ne: 'ne',
+  not: 'ne',
+  in: 'in',
+  nin: 'nin',
+  notIn: 'nin',
+  gt: 'gt',
+  gte: 'gte',
+  from: 'gte',
+  lt: 'lt',
+  lte: 'lte',
+  to: 'lte',
+  exists: 'exists',
+  contains: 'eq',
+  containsAny: 'in',
+  containsAll: 'all'
+};
+
+const MQL_OPERATORS = { eq: '$eq', ne: '$ne', in: '$in', nin: '$nin', gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte', exists: '$exists' };
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXCEL_EPOCH_DAYS = 25569; // 1970-01-01 as an Excel serial date
+
+function filterError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// 'YYYY-MM-DD' covers the whole day; a timestamp is an instant
+function parseDateBound(value, field) {
+  if (value instanceof Date && !isNaN(value)) {
+    return { start: value, end: value, dateOnly: false };
+  }
+  if (typeof value === 'string' && DATE_ONLY_PATTERN.test(value.trim())) {
+    const start = new Date(`${value.trim()}T00:00:00.000Z`);
+    if (!isNaN(start)) return { start, end: new Date(start.getTime() + DAY_MS), dateOnly: true };
+  }
+  if (typeof value === 'string' && !isNaN(Date.parse(value))) {
+    const instant = new Date(value);
+    return { start: instant, end: instant, dateOnly: false };
+  }
+  throw filterError(`"${value}" is not a date for ${field} (use YYYY-MM-DD or an ISO timestamp)`);
+}
+
+// Whole days become half-open ranges: to 2024-06-30 means before 2024-07-01
+function dateClauses(field, op, value) {
+  const { start, end, dateOnly } = parseDateBound(value, field);
+  const clause = (clauseOp, date) => ({ field, type: 'date', op: clauseOp, value: date });
+  switch (op) {
+    case 'eq': return dateOnly ? [clause('gte', start), clause('lt', end)] : [clause('gte', start), clause('lte', start)];
+    case 'gte': return [clause('gte', start)];
+    case 'gt': return [dateOnly ? clause('gte', end) : clause('gt', start)];
+    case 'lt': return [clause('lt', start)];
+    case 'lte': return [dateOnly ? clause('lt', end) : clause('lte', start)];
+    default:
+      throw filterError(`Date filters on ${field} take eq, gt, gte/from, lt, lte/to or exists`);
+  }
+}
+
+/**
+ * Numeric segments of a version label ('v10.2' → [10, 2])
+ * @param {*} value - Version label
+ * @returns {Array<number>|null}
+ */
+export function parseVersion(value) {
+  const match = String(value ?? '').match(/\d+(\.\d+)*/);
+  return match ? match[0].split('.').map(Number) : null;
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function toClauses(field, type, op, value) {
+  if (op === 'eq' && Array.isArray(value)) op = 'in';
+  if (op === 'ne' && Array.isArray(value)) op = 'nin';
+
+  if (op === 'exists') {
+    return [{ field, type, op, value: value === true || value === 'true' }];
+  }
+
+  if (['in', 'nin', 'all'].includes(op)) {
+    const values = (Array.isArray(value) ? value : [value]).filter(item => !isEmpty(item));
+    if (!values.every(isScalar)) {
+      throw filterError(`${field}: list values must be strings, numbers or booleans`);
+    }
+    if (values.length === 0) return [];
+    if (type === 'date') {
+      throw filterError(`Date filters on ${field} take a range, not a list`);
+    }
+    // containsAll is one membership test per value, which every target can express
+    return op === 'all'
+      ? values.map(item => ({ field, type, op: 'eq', value: item }))
+      : [{ field, type, op, value: values }];
+  }
+
+  if (!isScalar(value) && !(value instanceof Date)) {
+    throw filterError(`${field}: filter values must be strings, numbers or booleans`);
+  }
+  if (type === 'date') {
+    return dateClauses(field, op, value);
+  }
+  if (type === 'version' && RANGE_OPERATORS.includes(op) && !parseVersion(value)) {
+    throw filterError(`"${value}" is not a version for ${field}`);
+  }
+  return [{ field, type, op, value }];
+}
+
+/**
+ * Parse request filters into clauses
+ * @param {Object} filters - { field: value | [values] | { operator: value } }
+ * @param {Object} options - { fieldTypes } (default: FILTER_FIELD_TYPES)
+ * @returns {Array<Object>} - Clauses { field, type, op, value }, all of which must hold
+ * @throws {Error} - status 400 for unknown operators, bad field names and unparseable values
+ */
+export function parseSearchFilters(filters = {}, { fieldTypes = FILTER_FIELD_TYPES } = {}) {
+  if (isEmpty(filters)) return [];
+  if (!isPlainObject(filters)) {
+    throw filterError('filters must be an object of { field: condition }');
+  }
+
+  return Object.entries(filters).flatMap(([field, condition]) => {
+    if (!FIELD_PATTERN.test(field)) {
+      throw filterError(`Invalid filter field "${field}"`);
+    }
+    if (isEmpty(condition)) return [];
+
+    const type = fieldTypes[field] || 'string';
+    const operators = isPlainObject(condition) ? condition : { eq: condition };
+    return Object.entries(operators).flatMap(([name, value]) => {
+      const alias = name.replace(/^\$/, '');
+      const op = Object.prototype.hasOwnProperty.call(OPERATOR_ALIASES, alias) ? OPERATOR_ALIASES[alias] : null;
+      if (!op) {
+        throw filterError(`Unknown filter operator "${name}" on ${field}`);
+      }
+      return isEmpty(value) ? [] : toClauses(field, type, op, value);
+    });
+  });
+}
+
+// Version ranges compare numerically, which MQL cannot
+const isInProcessOnly = (clause) => clause.type === 'version' && RANGE_OPERATORS.includes(clause.op);
+
+function toExcelSerial(date) {
+  return date.getTime() / DAY_MS + EXCEL_EPOCH_DAYS;
+}
+
+function toIsoBound(date) {
+  return date.getTime() % DAY_MS === 0 ? date.toISOString().split('T')[0] : date.toISOString();
+}
+
+function clauseToMql({ field, type, op, value }) {
+  const operator = MQL_OPERATORS[op];
+  if (type === 'date' && op !== 'exists') {
+    // MongoDB compares within a type only, so each branch sees one representation
+    return {
+      $or: [
+        { [field]: { [operator]: toExcelSerial(value) } },
+        { [field]: { [operator]: toIsoBound(value), $regex: ISO_DATE_PATTERN } },
+        { [field]: { [operator]: value } }
+      ]
+    };
+  }
+  return { [field]: { [operator]: value } };
+}
+
+/**
+ * AND $match documents together
+ * @param {...Object} conditions - $match documents (null ones are skipped)
+ * @returns {Object|null}
+ */
+export function combineMatchFilters(...conditions) {
+  const present = conditions.filter(Boolean);
+  if (present.length === 0) return null;
+  return present.length === 1 ? present[0] : { $and: present };
+}
+
+/**
+ * $match document for the clauses MQL can express
+ * @param {Array<Object>} clauses - parseSearchFilters result
+ * @returns {Object|null} - null when there is nothing to match
+ */
+export function toMatchFilter(clauses) {
+  return combineMatchFilters(...clauses.filter(clause => !isInProcessOnly(clause)).map(clauseToMql));
+}
+
+/**
+ * Clauses only matchesSearchFilters can check (apply them to results after the pipeline)
+ * @param {Array<Object>} clauses - parseSearchFilters result
+ * @returns {Array<Object>}
+ */
+export function inProcessClauses(clauses) {
+  return clauses.filter(isInProcessOnly);
+}
+
+function getPath(doc, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+function matchesVersion(doc, { field, op, value }) {
+  const bound = parseVersion(value);
+  const values = [].concat(getPath(doc, field) ?? []);
+  return values.some(item => {
+    const version = parseVersion(item);
+    if (!version) return false;
+    const diff = compareVersions(version, bound);
+    return { gt: diff > 0, gte: diff >= 0, lt: diff < 0, lte: diff <= 0 }[op];
+  });
+}
+
+/**
+ * Evaluate clauses against a document in-process
+ * @param {Object} doc - Document or search result (must carry the filtered fields)
+ * @param {Array<Object>} clauses - parseSearchFilters result
+ * @returns {boolean}
+ */
+export function matchesSearchFilters(doc, clauses) {
+  return clauses.every(clause => (
+    isInProcessOnly(clause) ? matchesVersion(doc, clause) : matchDocument(doc, clauseToMql(clause))
+  ));
+}
+
+/**
+ * Split clauses into a $vectorSearch filter and the rest
+ * Dates stay out: ISO date strings need a range over strings, which $vectorSearch does not filter on.
+ * So does exists: $vectorSearch pre-filters have no $exists.
+ * @param {Array<Object>} clauses - parseSearchFilters result
+ * @param {Array<string>} filterFields - Paths indexed as "filter" in the vector index
+ * @returns {Object} - { filter, applied, remaining } (filter is null when nothing applies)
+ */
+export function toVectorSearchFilter(clauses, filterFields = []) {
+  const applied = [];
+  const remaining = [];
+  clauses.forEach(clause => {
+    const supported = filterFields.includes(clause.field) && clause.type !== 'date' && clause.op !== 'exists' &&
+      !isInProcessOnly(clause);
+    (supported ? applied : remaining).push(clause);
+  });
+  return { filter: combineMatchFilters(...applied.map(clauseToMql)), applied, remaining };
+}
+
+/**
+ * Split clauses into $search compound filter/mustNot operators and the rest
+ * Only keyword-analyzed fields match whole values, so only they take equality and lists.
+ * @param {Array<Object>} clauses - parseSearchFilters result
+ * @param {Array<string>} keywordFields - Fields the search index analyzes with lucene.keyword
+ * @returns {Object} - { filter, mustNot, applied, remaining }
+ */
+export function toSearchCompound(clauses, keywordFields = []) {
+  const filter = [];
+  const mustNot = [];
+  const applied = [];
+  const remaining = [];
+  clauses.forEach(clause => {
+    const values = [].concat(clause.value);
+    const supported = keywordFields.includes(clause.field) && ['eq', 'ne', 'in', 'nin'].includes(clause.op) &&
+      values.every(value => typeof value === 'string');
+    if (!supported) {
+      remaining.push(clause);
+      return;
+    }
+    const operator = { text: { query: clause.value, path: clause.field } };
+    (['eq', 'in'].includes(clause.op) ? filter : mustNot).push(operator);
+    applied.push(clause);
+  });
+  return { filter, mustNot, applied, remaining };
+}
+
+/**
+ * Wrap a $search stage body so the compound filters apply to it
+ * @param {Object} search - $search body ({ index, text | compound | ... })
+ * @param {Object} compound - toSearchCompound result
+ * @returns {Object} - $search body (unchanged when there are no filters)
+ */
+export function addSearchCompoundFilters(search, { filter = [], mustNot = [] } = {}) {
+  if (filter.length === 0 && mustNot.length === 0) return search;
+  const { index, ...operator } = search;
+  return {
+    index,
+    compound: {
+      must: [operator],
+      ...(filter.length > 0 && { filter }),
+      ...(mustNot.length > 0 && { mustNot })
+    }
+  };
+}
+
+/**
+ * Add the fields the clauses read to a projection, so in-process checks can run on the results
+ * @param {Array<Object>} clauses - parseSearchFilters result
+ * @param {Object} projection - Inclusion projection
+ * @returns {Object} - Projection (fields already covered by a parent path are not added again)
+ */
+export function filterProjection(clauses, projection = {}) {
+  const covered = (field) => field.split('.').some((_, i, parts) => parts.slice(0, i + 1).join('.') in projection);
+  const added = clauses.map(clause => clause.field).filter(field => !covered(field));
+  return { ...projection, ...Object.fromEntries(added.map(field => [field, 1])) };
+}
+
+/**
+ * Where each filter of a vector search is applied, for /api/search
+ * Modes: pre-filter (all in $vectorSearch), post-filter (all after it), mixed, none.
+ * @param {Array<Object>} clauses - parseSearchFilters result
+ * @param {Array<string>} filterFields - Paths indexed as "filter" in the vector index
+ * @returns {Object} - { mode, preFilter, postFilter, inProcess, preFiltered, postFiltered }
+ *   preFilter is the $vectorSearch.filter expression, postFilter the $match document (null when
+ *   empty) and inProcess the clauses left for matchesSearchFilters
+ */
+export function planVectorFilters(clauses, filterFields = []) {
+  const { filter, applied, remaining } = toVectorSearchFilter(clauses, filterFields);
+  const preFiltered = [...new Set(applied.map(clause => clause.field))];
+  const postFiltered = [...new Set(remaining.map(clause => clause.field))];
+
+  let mode = 'none';
+  if (preFiltered.length > 0 && postFiltered.length > 0) mode = 'mixed';
+  else if (preFiltered.length > 0) mode = 'pre-filter';
+  else if (postFiltered.length > 0) mode = 'post-filter';
+
+  return {
+    mode,
+    preFilter: filter,
+    postFilter: toMatchFilter(remaining),
+    inProcess: inProcessClauses(remaining),
+    preFiltered,
+    postFiltered
+  };
+}
+
+export default {
+  FILTER_FIELD_TYPES,
+  parseVersion,
+  parseSearchFilters,
+  toMatchFilter,
+  combineMatchFilters,
+  inProcessClauses,
+  matchesSearchFilters,
+  toVectorSearchFilter,
+  toSearchCompound,
+  addSearchCompoundFilters,
+  filterProjection,
+  planVectorFilters
+};
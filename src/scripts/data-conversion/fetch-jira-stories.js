@@ -3,6 +3,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { transformUserStory as transformJiraIssue } from '../../ingestion/jiraStories.js';
 
 // Load environment variables
 dotenv.config();
@@ -83,48 +84,12 @@ async function fetchUserStories(projectKey, maxResults = 100) {
 }
 
 /**
- * Transform Jira issue to a clean format
+ * Transform Jira issue to a clean format (shared with the server-side sync, see ingestion/jiraStories.js)
  * @param {Object} issue - Jira issue object
  * @returns {Object} Cleaned user story object
  */
 function transformUserStory(issue) {
-    return {
-        key: issue.key,
-        summary: issue.fields.summary,
-        description: issue.fields.description?.content?.[0]?.content?.[0]?.text || 
-                    issue.fields.description || 
-                    'No description available',
-        status: {
-            name: issue.fields.status.name,
-            category: issue.fields.status.statusCategory.name
-        },
-        priority: {
-            name: issue.fields.priority?.name || 'None',
-            id: issue.fields.priority?.id || null
-        },
-        assignee: issue.fields.assignee ? {
-            displayName: issue.fields.assignee.displayName,
-            emailAddress: issue.fields.assignee.emailAddress,
-            accountId: issue.fields.assignee.accountId
-        } : null,
-        reporter: issue.fields.reporter ? {
-            displayName: issue.fields.reporter.displayName,
-            emailAddress: issue.fields.reporter.emailAddress,
-            accountId: issue.fields.reporter.accountId
-        } : null,
-        created: issue.fields.created,
-        updated: issue.fields.updated,
-        components: issue.fields.components?.map(comp => comp.name) || [],
-        labels: issue.fields.labels || [],
-        fixVersions: issue.fields.fixVersions?.map(version => version.name) || [],
-        storyPoints: issue.fields.customfield_10016 || null,
-        issueLinks: issue.fields.issuelinks?.map(link => ({
-            type: link.type.name,
-            direction: link.type.inward || link.type.outward,
-            linkedIssue: link.inwardIssue?.key || link.outwardIssue?.key
-        })) || [],
-        url: `${JIRA_CONFIG.baseURL}/browse/${issue.key}`
-    };
+    return transformJiraIssue(issue, { baseURL: JIRA_CONFIG.baseURL });
 }
 
 /**
@@ -0,0 +1,72 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { readReleaseStories, resolveReleaseDir } from "../../ingestion/releaseStories.js";
+import { syncUserStories } from "../../ingestion/userStorySync.js";
+import { createMongoClient } from "../../providers/vectorStore.js";
+import { getEmbeddingProvider } from "../../providers/embeddingProvider.js";
+
+dotenv.config();
+
+// ✅ USAGE
+//   node src/scripts/data-conversion/import-release-stories.js <version | release folder> [--dry-run] [--out file.json]
+//   e.g. node src/scripts/data-conversion/import-release-stories.js 1.21.2
+//   --out writes the parsed stories to a JSON file instead of embedding them
+const args = process.argv.slice(2);
+let target = null;
+let dryRun = false;
+let outputFile = null;
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--dry-run") dryRun = true;
+  else if (args[i] === "--out") outputFile = args[++i];
+  else target = args[i];
+}
+
+async function main() {
+  if (!target) {
+    console.error("❌ Usage: import-release-stories.js <version | release folder> [--dry-run] [--out file.json]");
+    process.exit(1);
+  }
+
+  // A bare version resolves to releases/<version>; anything else is taken as a folder path
+  const releaseDir = fs.existsSync(target) ? target : resolveReleaseDir(target);
+  const { version, stories, files } = readReleaseStories(releaseDir);
+
+  console.log(`📂 Release ${version}: ${stories.length} stories from ${files.length} files`);
+  files.forEach(file => {
+    if (file.error) console.error(`❌ ${file.file}: ${file.error}`);
+    file.warnings.forEach(warning => console.warn(`⚠️ ${file.file} (${file.key}): ${warning}`));
+  });
+
+  if (outputFile) {
+    fs.writeFileSync(outputFile, JSON.stringify(stories, null, 2), "utf-8");
+    console.log(`✅ Wrote ${stories.length} stories to ${path.resolve(outputFile)}`);
+    return;
+  }
+
+  const client = createMongoClient();
+  try {
+    await client.connect();
+    const collection = client.db(process.env.DB_NAME).collection(process.env.USER_STORIES_COLLECTION_NAME);
+    console.log(`🗄️  Collection: ${process.env.USER_STORIES_COLLECTION_NAME}${dryRun ? " (dry run)" : ""}`);
+
+    const result = await syncUserStories(collection, stories, {
+      dryRun,
+      embeddingModel: getEmbeddingProvider().model,
+      onProgress: ({ processed, total, key, action }) => console.log(`📝 [${processed}/${total}] ${key}: ${action}`)
+    });
+
+    result.results.filter(r => r.error).forEach(r => console.error(`❌ ${r.key}: ${r.error}`));
+    const { insert, update, unchanged, failed } = result.summary;
+    console.log(`✅ ${insert} inserted, ${update} updated, ${unchanged} unchanged, ${failed} failed`);
+    console.log(`💰 Cost: $${result.cost.toFixed(6)}, 🔢 Tokens: ${result.tokens}`);
+    if (failed > 0) process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -1,7 +1,7 @@
 import { MongoClient } from "mongodb";
 import dns from "dns";
-import axios from "axios";
 import dotenv from "dotenv";
+import { getEmbeddingProvider } from "../../providers/embeddingProvider.js";
 import fs from "fs";
 import pLimit from "p-limit";
 
@@ -21,12 +21,10 @@ const client = new MongoClient(process.env.MONGODB_URI, {
   maxPoolSize: 20 // Increased connection pool for batch processing
 });
 
-// Testleaf API configuration
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
+// Embedding provider (EMBEDDING_PROVIDER: testleaf | openai | local)
+const embeddingProvider = getEmbeddingProvider();
 
-// BATCH PROCESSING CONFIGURATION - Optimized for Testleaf Batch API
+// BATCH PROCESSING CONFIGURATION - Optimized for batch embedding APIs
 const BATCH_SIZE = 100; // Send 100 batches
 const CONCURRENT_LIMIT = 5; // Max 5 concurrent batch API calls (fewer but larger requests)
 const DELAY_BETWEEN_BATCHES = 1000; // 1000ms delay between batches (batch calls take longer)
@@ -37,7 +35,7 @@ const embeddingLimit = pLimit(CONCURRENT_LIMIT);
 const dbLimit = pLimit(3); // Limit DB operations
 
 /**
- * Generate embeddings for a batch of testcases using Testleaf Batch API
+ * Generate embeddings for a batch of testcases using the configured provider's batch API
  */
 async function generateBatchEmbeddings(testcaseBatch, batchNumber, totalBatches, maxRetries = 3) {
   return embeddingLimit(async () => {
@@ -57,42 +55,25 @@ async function generateBatchEmbeddings(testcaseBatch, batchNumber, totalBatches,
         
         console.log(`🚀 [Batch ${batchNumber}/${totalBatches}] Processing ${testcaseBatch.length} testcases...`);
         
-        // Use Testleaf Batch API endpoint
-        const embeddingResponse = await axios.post(
-          `${TESTLEAF_API_BASE}/embedding/batch/${USER_EMAIL}`,
-          {
-            inputs: inputs,
-            model: "text-embedding-3-small"
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(AUTH_TOKEN && { 'Authorization': `Bearer ${AUTH_TOKEN}` })
-            },
-            timeout: 300000 // Longer timeout for batch requests
-          }
-        );
-
-        if (embeddingResponse.data.status !== 200) {
-          throw new Error(`Batch API error: ${embeddingResponse.data.message}`);
-        }
+        // Use the provider's batch endpoint
+        const batchResponse = await embeddingProvider.embedBatch(inputs);
 
-        const embeddings = embeddingResponse.data.data;
-        const totalCost = embeddingResponse.data.cost || 0;
-        const totalTokens = embeddingResponse.data.usage?.total_tokens || 0;
-        const model = embeddingResponse.data.model;
+        const embeddings = batchResponse.vectors;
+        const totalCost = batchResponse.cost;
+        const totalTokens = batchResponse.tokens;
+        const model = batchResponse.model;
         
         // Map embeddings back to testcases
         const results = testcaseBatch.map((testcase, index) => ({
           testcase,
-          embedding: embeddings[index].embedding,
+          embedding: embeddings[index],
           cost: totalCost / testcaseBatch.length, // Distribute cost evenly
           tokens: Math.round(totalTokens / testcaseBatch.length), // Distribute tokens evenly
           metadata: {
             model: model,
             cost: totalCost / testcaseBatch.length,
             tokens: Math.round(totalTokens / testcaseBatch.length),
-            apiSource: 'testleaf-batch',
+            apiSource: batchResponse.provider,
             batchNumber: batchNumber,
             createdAt: new Date()
           }
@@ -223,15 +204,14 @@ async function main() {
     const testcases = JSON.parse(fs.readFileSync("src/data/testcases.json", "utf-8"));
     const progress = new ProgressTracker(testcases.length);
 
-    console.log(`🚀 TESTLEAF BATCH API PROCESSING: ${testcases.length} test cases`);
-    console.log(`⚡ Using Testleaf Batch Embedding API for Maximum Efficiency!`);
+    console.log(`🚀 BATCH EMBEDDING PROCESSING: ${testcases.length} test cases`);
+    console.log(`⚡ Using ${embeddingProvider.name} batch embeddings for Maximum Efficiency!`);
     console.log(`⚙️  Configuration for Batch API:`);
     console.log(`   📦 Batch Size: ${BATCH_SIZE} testcases per API call`);
     console.log(`   🔄 Concurrent Batch Calls: ${CONCURRENT_LIMIT}`);
     console.log(`   💾 MongoDB Batch Size: ${MONGODB_BATCH_SIZE}`);
     console.log(`   ⏰ Delay Between Batch Groups: ${DELAY_BETWEEN_BATCHES}ms`);
-    console.log(`   🌐 API Endpoint: ${TESTLEAF_API_BASE}/embedding/batch/${USER_EMAIL}`);
-    console.log(`   📧 User Email: ${USER_EMAIL}`);
+    console.log(`   🧩 Embedding Provider: ${embeddingProvider.name} (${embeddingProvider.model})`);
     console.log(`   🗄️  Database: ${process.env.DB_NAME}`);
     console.log(`   📦 Collection: ${process.env.COLLECTION_NAME}`);
     
@@ -337,7 +317,7 @@ async function main() {
 
   } catch (err) {
     if (err.response) {
-      console.error("❌ Testleaf API Error:", err.response.status, err.response.data);
+      console.error("❌ Embedding API Error:", err.response.status, err.response.data);
     } else {
       console.error("❌ Error:", err.message);
     }
@@ -1,7 +1,7 @@
 import { MongoClient } from "mongodb";
 import dns from "dns";
-import axios from "axios";
 import dotenv from "dotenv";
+import { getEmbeddingProvider } from "../../providers/embeddingProvider.js";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from 'url';
@@ -24,10 +24,8 @@ const client = new MongoClient(process.env.MONGODB_URI, {
   socketTimeoutMS: 30000,
 });
 
-// Testleaf API configuration
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
+// Embedding provider (EMBEDDING_PROVIDER: testleaf | openai | local)
+const embeddingProvider = getEmbeddingProvider();
 
 
 /**
@@ -71,11 +69,10 @@ async function main() {
     const jiraData =  JSON.parse(fs.readFileSync("src/data/jira-user-stories.json", "utf-8"));
     const userStories = jiraData.userStories;
 
-    console.log(`🚀 Processing ${userStories.length} Jira user stories using Testleaf API...`);
+    console.log(`🚀 Processing ${userStories.length} Jira user stories using ${embeddingProvider.name} embeddings...`);
     console.log(`⚙️  Configuration:`);
-    console.log(`   🌐 API Base: ${TESTLEAF_API_BASE}`);
-    console.log(`   📧 User Email: ${USER_EMAIL}`);
-    console.log(`   🔑 Auth Token: ${AUTH_TOKEN ? '✅ Provided' : '❌ Missing'}`);
+    console.log(`   🧩 Embedding Provider: ${embeddingProvider.name}`);
+    console.log(`   🤖 Embedding Model: ${embeddingProvider.model}`);
     console.log(`   🗄️  Database: ${process.env.DB_NAME}`);
     console.log(`   📦 Collection: ${process.env.USER_STORIES_COLLECTION_NAME}`);
     console.log(`   📊 Jira Project: ${jiraData.metadata.projectKey}`);
@@ -100,37 +97,15 @@ async function main() {
       try {
         const inputText = createUserStoryEmbeddingText(story);
         
-        // Generate embeddings using testleaf API
-        const embeddingResponse = await axios.post(
-          `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-          {
-            input: inputText,
-            model: "text-embedding-3-small"
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(AUTH_TOKEN && { 'Authorization': `Bearer ${AUTH_TOKEN}` })
-            }
-          }
-        );
-
-        console.log(`📡 Server Response Received:`);
-        console.log(`   📊 Status: ${embeddingResponse.status}`);
-        console.log(`   📋 Response Status: ${embeddingResponse.data.status}`);
-        console.log(`   💬 Message: ${embeddingResponse.data.message || 'No message'}`);
-        
-        if (embeddingResponse.data.status !== 200) {
-          console.error(`❌ API Error Response:`, embeddingResponse.data);
-          throw new Error(`Testleaf API error: ${embeddingResponse.data.message}`);
-        }
+        // Generate embeddings using the configured provider
+        const embedding = await embeddingProvider.embed(inputText);
 
-        const vector = embeddingResponse.data.data[0].embedding;
-        const cost = embeddingResponse.data.cost || 0;
-        const tokens = embeddingResponse.data.usage?.total_tokens || 0;
+        const vector = embedding.vector;
+        const cost = embedding.cost;
+        const tokens = embedding.tokens;
         
         console.log(`✅ Embedding Generated Successfully:`);
-        console.log(`   🤖 Model Used: ${embeddingResponse.data.model}`);
+        console.log(`   🤖 Model Used: ${embedding.model}`);
         console.log(`   💰 Cost: $${cost.toFixed(6)}`);
         console.log(`   🔢 Tokens Used: ${tokens}`);
         console.log(`   📐 Vector Dimensions: ${vector?.length || 'Unknown'}`);
@@ -144,10 +119,10 @@ async function main() {
           embedding: vector,
           createdAt: new Date(),
           embeddingMetadata: {
-            model: embeddingResponse.data.model,
+            model: embedding.model,
             cost: cost,
             tokens: tokens,
-            apiSource: 'testleaf',
+            apiSource: embedding.provider,
             inputTextLength: inputText.length
           },
           jiraMetadata: {
@@ -184,7 +159,7 @@ async function main() {
           console.error(`   🔗 Request URL: ${error.config?.url || 'Unknown'}`);
         } else if (error.request) {
           console.error(`   📡 No response received from server`);
-          console.error(`   🔗 Request URL: ${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`);
+          console.error(`   🔗 Provider: ${embeddingProvider.name} (${embeddingProvider.model})`);
           console.error(`   ⏰ Possible timeout or network issue`);
         } else {
           console.error(`   💥 Error Message: ${error.message}`);
@@ -215,7 +190,7 @@ async function main() {
 
   } catch (err) {
     if (err.response) {
-      console.error("❌ Testleaf API Error:", err.response.status, err.response.data);
+      console.error("❌ Embedding API Error:", err.response.status, err.response.data);
     } else {
       console.error("❌ Error:", err.message);
     }
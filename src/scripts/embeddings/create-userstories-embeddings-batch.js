@@ -1,7 +1,7 @@
 import { MongoClient } from "mongodb";
 import dns from "dns";
-import axios from "axios";
 import dotenv from "dotenv";
+import { getEmbeddingProvider } from "../../providers/embeddingProvider.js";
 import fs from "fs";
 import pLimit from "p-limit";
 
@@ -21,16 +21,14 @@ const client = new MongoClient(process.env.MONGODB_URI, {
   maxPoolSize: 20 // Increased connection pool for batch processing
 });
 
-// Testleaf API configuration
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
+// Embedding provider (EMBEDDING_PROVIDER: testleaf | openai | local)
+const embeddingProvider = getEmbeddingProvider();
 
 // User Stories specific configuration
 const USER_STORIES_COLLECTION = process.env.USER_STORIES_COLLECTION || 'user_stories';
 const USER_STORIES_DATA_FILE = "src/data/stories.json";
 
-// BATCH PROCESSING CONFIGURATION - Optimized for Testleaf Batch API
+// BATCH PROCESSING CONFIGURATION - Optimized for batch embedding APIs
 const BATCH_SIZE = 100; // Send 100 user stories per batch API call (Testleaf can handle larger batches)
 const CONCURRENT_LIMIT = 5; // Max 5 concurrent batch API calls (fewer but larger requests)
 const DELAY_BETWEEN_BATCHES = 1000; // 1000ms delay between batches (batch calls take longer)
@@ -70,7 +68,7 @@ function createUserStoryInputText(userStory) {
 }
 
 /**
- * Generate embeddings for a batch of user stories using Testleaf Batch API
+ * Generate embeddings for a batch of user stories using the configured provider's batch API
  */
 async function generateBatchUserStoryEmbeddings(userStoryBatch, batchNumber, totalBatches, maxRetries = 3) {
   return embeddingLimit(async () => {
@@ -83,35 +81,18 @@ async function generateBatchUserStoryEmbeddings(userStoryBatch, batchNumber, tot
         
         console.log(`🚀 [Batch ${batchNumber}/${totalBatches}] Processing ${userStoryBatch.length} user stories...`);
         
-        // Use Testleaf Batch API endpoint
-        const embeddingResponse = await axios.post(
-          `${TESTLEAF_API_BASE}/embedding/batch/${USER_EMAIL}`,
-          {
-            inputs: inputs,
-            model: "text-embedding-3-small"
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(AUTH_TOKEN && { 'Authorization': `Bearer ${AUTH_TOKEN}` })
-            },
-            timeout: 300000 // Longer timeout for batch requests
-          }
-        );
-
-        if (embeddingResponse.data.status !== 200) {
-          throw new Error(`Batch API error: ${embeddingResponse.data.message}`);
-        }
+        // Use the provider's batch endpoint
+        const batchResponse = await embeddingProvider.embedBatch(inputs);
 
-        const embeddings = embeddingResponse.data.data;
-        const totalCost = embeddingResponse.data.cost || 0;
-        const totalTokens = embeddingResponse.data.usage?.total_tokens || 0;
-        const model = embeddingResponse.data.model;
+        const embeddings = batchResponse.vectors;
+        const totalCost = batchResponse.cost;
+        const totalTokens = batchResponse.tokens;
+        const model = batchResponse.model;
         
         // Map embeddings back to user stories
         const results = userStoryBatch.map((userStory, index) => ({
           userStory,
-          embedding: embeddings[index].embedding,
+          embedding: embeddings[index],
           cost: totalCost / userStoryBatch.length, // Distribute cost evenly
           tokens: Math.round(totalTokens / userStoryBatch.length), // Distribute tokens evenly
           inputText: inputs[index],
@@ -119,7 +100,7 @@ async function generateBatchUserStoryEmbeddings(userStoryBatch, batchNumber, tot
             model: model,
             cost: totalCost / userStoryBatch.length,
             tokens: Math.round(totalTokens / userStoryBatch.length),
-            apiSource: 'testleaf-batch',
+            apiSource: batchResponse.provider,
             inputTextLength: inputs[index].length,
             batchNumber: batchNumber,
             generatedAt: new Date().toISOString()
@@ -262,15 +243,14 @@ async function main() {
     const userStories = JSON.parse(fs.readFileSync(USER_STORIES_DATA_FILE, "utf-8"));
     const progress = new UserStoryProgressTracker(userStories.length);
 
-    console.log(`🚀 TESTLEAF BATCH API PROCESSING: ${userStories.length} user stories`);
-    console.log(`⚡ Using Testleaf Batch Embedding API for Maximum Efficiency!`);
+    console.log(`🚀 BATCH EMBEDDING PROCESSING: ${userStories.length} user stories`);
+    console.log(`⚡ Using ${embeddingProvider.name} batch embeddings for Maximum Efficiency!`);
     console.log(`⚙️  Configuration for User Stories Batch API:`);
     console.log(`   📦 Batch Size: ${BATCH_SIZE} user stories per API call`);
     console.log(`   🔄 Concurrent Batch Calls: ${CONCURRENT_LIMIT}`);
     console.log(`   💾 MongoDB Batch Size: ${MONGODB_BATCH_SIZE}`);
     console.log(`   ⏰ Delay Between Batch Groups: ${DELAY_BETWEEN_BATCHES}ms`);
-    console.log(`   🌐 API Endpoint: ${TESTLEAF_API_BASE}/embedding/batch/${USER_EMAIL}`);
-    console.log(`   📧 User Email: ${USER_EMAIL}`);
+    console.log(`   🧩 Embedding Provider: ${embeddingProvider.name} (${embeddingProvider.model})`);
     console.log(`   🗄️  Database: ${process.env.DB_NAME}`);
     console.log(`   📦 Collection: ${USER_STORIES_COLLECTION}`);
     
@@ -384,7 +364,7 @@ async function main() {
 
   } catch (err) {
     if (err.response) {
-      console.error("❌ Testleaf API Error:", err.response.status, err.response.data);
+      console.error("❌ Embedding API Error:", err.response.status, err.response.data);
     } else {
       console.error("❌ Error:", err.message);
     }
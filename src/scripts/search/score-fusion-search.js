@@ -2,7 +2,7 @@
 
 import { MongoClient } from 'mongodb';
 import dotenv from 'dotenv';
-import axios from 'axios';
+import { embedText } from '../../providers/embeddingProvider.js';
 
 dotenv.config();
 
@@ -12,37 +12,17 @@ const client = new MongoClient(process.env.MONGODB_URI, {
   tlsAllowInvalidHostnames: true
 });
 
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.com/ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
-
 /**
  * Generate embedding for search query
  */
 async function generateQueryEmbedding(query) {
   try {
-    const response = await axios.post(
-      `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-      {
-        input: query,
-        model: "text-embedding-3-small"
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          ...(AUTH_TOKEN && { 'Authorization': `Bearer ${AUTH_TOKEN}` })
-        }
-      }
-    );
-
-    if (response.data.status !== 200) {
-      throw new Error(`API error: ${response.data.message}`);
-    }
+    const result = await embedText(query);
 
     return {
-      embedding: response.data.data[0].embedding,
-      cost: response.data.cost || 0,
-      tokens: response.data.usage?.total_tokens || 0
+      embedding: result.vector,
+      cost: result.cost,
+      tokens: result.tokens
     };
   } catch (error) {
     console.error('Error generating query embedding:', error.message);
@@ -1,7 +1,7 @@
 import { MongoClient } from "mongodb";
 import dns from "dns";
-import axios from "axios";
 import dotenv from "dotenv";
+import { embedText, getEmbeddingProvider } from "../../providers/embeddingProvider.js";
 
 dotenv.config();
 
@@ -18,39 +18,17 @@ const client = new MongoClient(process.env.MONGODB_URI, {
   socketTimeoutMS: 30000,
 });
 
-// Testleaf API configuration
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
-
 /**
  * Generate embedding for search query
  */
 async function generateQueryEmbedding(query) {
   try {
-    const response = await axios.post(
-      `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-      {
-        input: query,
-        model: "text-embedding-3-small"
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          ...(AUTH_TOKEN && { 'Authorization': `Bearer ${AUTH_TOKEN}` })
-        }
-      }
-    );
-
-    if (response.data.status !== 200) {
-      throw new Error(`API error: ${response.data.message}`);
-    }
+    const result = await embedText(query);
 
     return {
-      embedding: response.data.data[0].embedding,
-      cost: response.data.cost || 0,
-      tokens: response.data.usage?.total_tokens || 0,
-      model: response.data.model
+      embedding: result.vector,
+      cost: result.cost,
+      tokens: result.tokens
     };
   } catch (error) {
     console.error('Error generating query embedding:', error.message);
@@ -134,7 +112,7 @@ async function searchCombined(query, options = {}) {
     const db = client.db(process.env.DB_NAME);
 
     console.log(`🔎 Searching for: "${query}"`);
-    console.log(`🔄 Getting embedding from testleaf API...`);
+    console.log(`🔄 Getting embedding from ${getEmbeddingProvider().name} provider...`);
 
     // Generate embedding for the search query
     const embeddingResult = await generateQueryEmbedding(query);
@@ -191,7 +169,7 @@ async function searchWithBreakdown(query, options = {}) {
     const db = client.db(process.env.DB_NAME);
 
     console.log(`🔎 Searching for: "${query}"`);
-    console.log(`🔄 Getting embedding from testleaf API...`);
+    console.log(`🔄 Getting embedding from ${getEmbeddingProvider().name} provider...`);
 
     // Generate embedding for the search query
     const embeddingResult = await generateQueryEmbedding(query);
@@ -1,7 +1,7 @@
 import { MongoClient } from "mongodb";
 import dns from "dns";
-import axios from "axios";
 import dotenv from "dotenv";
+import { embedText, getEmbeddingProvider } from "../../providers/embeddingProvider.js";
 
 dotenv.config();
 
@@ -18,35 +18,13 @@ const client = new MongoClient(process.env.MONGODB_URI, {
   socketTimeoutMS: 30000,
 });
 
-// Testleaf API configuration
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
-
 /**
  * Generate embedding for search query
  */
 async function generateQueryEmbedding(query) {
   try {
-    const response = await axios.post(
-      `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-      {
-        input: query,
-        model: "text-embedding-3-small"
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          ...(AUTH_TOKEN && { 'Authorization': `Bearer ${AUTH_TOKEN}` })
-        }
-      }
-    );
-
-    if (response.data.status !== 200) {
-      throw new Error(`API error: ${response.data.message}`);
-    }
-
-    return response.data.data[0].embedding;
+    const result = await embedText(query);
+    return result.vector;
   } catch (error) {
     console.error('Error generating query embedding:', error.message);
     throw error;
@@ -63,7 +41,7 @@ async function searchUserStories(query, options = {}) {
     const collection = db.collection(process.env.USER_STORIES_COLLECTION_NAME);
 
     console.log(`� Searching for: "${query}"`);
-    console.log(`� Getting embedding from testleaf API...`);
+    console.log(`� Getting embedding from ${getEmbeddingProvider().name} provider...`);
 
     // Generate embedding for the search query
     const queryEmbedding = await generateQueryEmbedding(query);
@@ -101,7 +79,7 @@ async function searchUserStories(query, options = {}) {
     console.table(results);
     
     console.log(`\n💰 Total Embedding Cost: $0.000001`);
-    console.log(`� Model Used: text-embedding-3-small`);
+    console.log(`� Model Used: ${getEmbeddingProvider().model}`);
     console.log(`🔢 Results Found: ${results.length}`);
 
     return results;
@@ -1,7 +1,7 @@
 import { MongoClient } from "mongodb";
 import dns from "dns";
-import axios from "axios";
 import dotenv from "dotenv";
+import { getEmbeddingProvider } from "../../providers/embeddingProvider.js";
 
 dotenv.config();
 
@@ -10,10 +10,8 @@ dns.setServers(['8.8.8.8', '8.8.4.4']);
 
 const client = new MongoClient(process.env.MONGODB_URI);
 
-// Testleaf API configuration
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai/v1';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN; // Add your auth token if needed
+// Embedding provider (EMBEDDING_PROVIDER: testleaf | openai | local)
+const embeddingProvider = getEmbeddingProvider();
 
 async function main() {
   try {
@@ -25,29 +23,13 @@ async function main() {
     const query = process.argv[2] || "login tests";
 
     console.log(`🔎 Searching for: "${query}"`);
-    console.log(`🔄 Getting embedding from testleaf API...`);
+    console.log(`🔄 Getting embedding from ${embeddingProvider.name} provider...`);
 
-    // Generate embedding using testleaf API
-    const embeddingResponse = await axios.post(
-      `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-      {
-        input: query,
-        model: "text-embedding-3-small"
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          ...(AUTH_TOKEN && { 'Authorization': `Bearer ${AUTH_TOKEN}` })
-        }
-      }
-    );
-
-    if (embeddingResponse.data.status !== 200) {
-      throw new Error(`Testleaf API error: ${embeddingResponse.data.message}`);
-    }
+    // Generate embedding using the configured provider
+    const embedding = await embeddingProvider.embed(query);
 
-    const queryVector = embeddingResponse.data.data[0].embedding;
-    console.log(`✅ Embedding generated! Cost: $${embeddingResponse.data.cost || 0}, Tokens: ${embeddingResponse.data.usage?.total_tokens || 0}`);
+    const queryVector = embedding.vector;
+    console.log(`✅ Embedding generated! Cost: $${embedding.cost}, Tokens: ${embedding.tokens}`);
 
     // Vector search pipeline
     const pipeline = [
@@ -77,13 +59,13 @@ async function main() {
     console.log("\n✅ Search results:");
     console.table(results);
     
-    console.log(`\n💰 Total Embedding Cost: $${embeddingResponse.data.cost || 0}`);
-    console.log(`📈 Model Used: ${embeddingResponse.data.model}`);
+    console.log(`\n💰 Total Embedding Cost: $${embedding.cost}`);
+    console.log(`📈 Model Used: ${embedding.model}`);
     console.log(`🔢 Results Found: ${results.length}`);
 
   } catch (err) {
     if (err.response) {
-      console.error("❌ Testleaf API Error:", err.response.status, err.response.data);
+      console.error("❌ Embedding API Error:", err.response.status, err.response.data);
     } else {
       console.error("❌ Error:", err.message);
     }
@@ -0,0 +1,161 @@
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Local stand-in for the Jira Cloud issue search API, for offline development of the Jira sync.
+ *
+ * Serves GET /rest/api/3/search/jql over an in-memory issue list and understands the JQL the sync
+ * sends: project = KEY, issuetype = Story, updated >= -90m (or "yyyy-MM-dd HH:mm") and ORDER BY updated.
+ * Pages with nextPageToken/isLast like Jira Cloud, or with startAt/total when MOCK_JIRA_PAGING=offset.
+ *
+ * Issues come from MOCK_JIRA_ISSUES (a JSON array of Jira issues, or { issues }) or, by default,
+ * from the stories in src/data/stories.json. To exercise incremental syncs:
+ *   PUT  /mock/issues/:key  { "summary": "..." }   change fields (bumps "updated")
+ *   POST /mock/issues       { "key": "HC-900", "summary": "..." }   add a story
+ *
+ * Point the app at it with JIRA_BASE_URL=http://localhost:4020 (any email and API token).
+ * Usage: node src/scripts/utilities/mock-jira-server.js [port]
+ */
+
+const PORT = process.argv[2] || process.env.MOCK_JIRA_PORT || 4020;
+const PAGING = process.env.MOCK_JIRA_PAGING || 'token'; // token | offset
+const DEFAULT_STORIES_FILE = path.join(__dirname, '../../data/stories.json');
+
+// Jira-like story (as stored in the user stories collection) → Jira issue
+function toIssue(story, index = 0) {
+  const description = story.description || '';
+  return {
+    id: String(10000 + index),
+    key: story.key,
+    fields: {
+      summary: story.summary || '',
+      description: {
+        type: 'doc',
+        version: 1,
+        content: [{ type: 'paragraph', content: [{ type: 'text', text: description }] }]
+      },
+      project: { key: String(story.key).split('-')[0] },
+      issuetype: { name: 'Story' },
+      status: { name: story.status?.name || 'To Do', statusCategory: { name: story.status?.category || 'To Do' } },
+      priority: { name: story.priority?.name || 'Medium', id: story.priority?.id || '3' },
+      assignee: null,
+      reporter: null,
+      created: story.created || new Date().toISOString(),
+      updated: story.updated || new Date().toISOString(),
+      components: (story.components || []).map(name => ({ name })),
+      labels: story.labels || [],
+      fixVersions: (story.fixVersions || []).map(name => ({ name })),
+      customfield_10016: story.storyPoints || null,
+      issuelinks: []
+    }
+  };
+}
+
+function loadIssues() {
+  if (process.env.MOCK_JIRA_ISSUES) {
+    const data = JSON.parse(fs.readFileSync(process.env.MOCK_JIRA_ISSUES, 'utf-8'));
+    return Array.isArray(data) ? data : data.issues || [];
+  }
+  return JSON.parse(fs.readFileSync(DEFAULT_STORIES_FILE, 'utf-8')).map(toIssue);
+}
+
+// JQL subset → issue predicate
+function parseJql(jql = '') {
+  const conditions = [];
+  const project = jql.match(/project\s*=\s*"?([A-Za-z0-9_]+)"?/i);
+  if (project) {
+    const key = project[1].toUpperCase();
+    conditions.push(issue => (issue.fields.project?.key || issue.key.split('-')[0]).toUpperCase() === key);
+  }
+  const issueType = jql.match(/issuetype\s*=\s*"?([A-Za-z ]+?)"?(\s|\)|$)/i);
+  if (issueType) {
+    conditions.push(issue => (issue.fields.issuetype?.name || 'Story').toLowerCase() === issueType[1].toLowerCase());
+  }
+  const relative = jql.match(/updated\s*>=\s*"?-(\d+)([mhd])"?/i);
+  const absolute = jql.match(/updated\s*>=\s*"(\d{4}[-/]\d{2}[-/]\d{2}(?:\s+\d{2}:\d{2})?)"/i);
+  if (relative) {
+    const unit = { m: 60000, h: 3600000, d: 86400000 }[relative[2].toLowerCase()];
+    const since = Date.now() - parseInt(relative[1], 10) * unit;
+    conditions.push(issue => new Date(issue.fields.updated).getTime() >= since);
+  } else if (absolute) {
+    const since = new Date(absolute[1].replace(/\//g, '-').replace(' ', 'T')).getTime();
+    conditions.push(issue => new Date(issue.fields.updated).getTime() >= since);
+  }
+  return issue => conditions.every(condition => condition(issue));
+}
+
+const issues = loadIssues();
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+
+// Jira answers 401 without credentials; so does the stand-in
+app.use('/rest', (req, res, next) => {
+  if (!String(req.headers.authorization || '').startsWith('Basic ')) {
+    return res.status(401).json({ errorMessages: ['You are not authorized to perform this operation. Please log in.'] });
+  }
+  next();
+});
+
+app.get('/rest/api/3/search/jql', (req, res) => {
+  const { jql = '', nextPageToken } = req.query;
+  const maxResults = Math.min(parseInt(req.query.maxResults, 10) || 50, 100);
+  const startAt = nextPageToken ? parseInt(Buffer.from(nextPageToken, 'base64').toString(), 10) : parseInt(req.query.startAt, 10) || 0;
+
+  const matching = issues.filter(parseJql(jql));
+  if (/order\s+by\s+updated\s+asc/i.test(jql)) {
+    matching.sort((a, b) => new Date(a.fields.updated) - new Date(b.fields.updated));
+  } else if (/order\s+by\s+updated/i.test(jql)) {
+    matching.sort((a, b) => new Date(b.fields.updated) - new Date(a.fields.updated));
+  }
+
+  const page = matching.slice(startAt, startAt + maxResults);
+  const isLast = startAt + page.length >= matching.length;
+  console.log(`🔍 ${jql} → ${page.length}/${matching.length} issues from ${startAt}`);
+
+  if (PAGING === 'offset') {
+    return res.json({ startAt, maxResults, total: matching.length, issues: page });
+  }
+  res.json({
+    issues: page,
+    isLast,
+    ...(!isLast && { nextPageToken: Buffer.from(String(startAt + page.length)).toString('base64') })
+  });
+});
+
+// Change an issue's fields (summary, description text, status, priority) and bump "updated"
+app.put('/mock/issues/:key', (req, res) => {
+  const issue = issues.find(i => i.key === req.params.key);
+  if (!issue) return res.status(404).json({ error: `No issue ${req.params.key}` });
+
+  const { description, status, priority, ...fields } = req.body;
+  Object.assign(issue.fields, fields, { updated: new Date().toISOString() });
+  if (description !== undefined) issue.fields.description = toIssue({ key: issue.key, description }).fields.description;
+  if (status) issue.fields.status = { name: status, statusCategory: { name: status } };
+  if (priority) issue.fields.priority = { ...issue.fields.priority, name: priority };
+  console.log(`✏️  Updated ${issue.key}`);
+  res.json(issue);
+});
+
+app.post('/mock/issues', (req, res) => {
+  if (!req.body.key || issues.some(i => i.key === req.body.key)) {
+    return res.status(400).json({ error: 'A new, unique "key" is required' });
+  }
+  const issue = toIssue({ ...req.body, created: new Date().toISOString(), updated: new Date().toISOString() }, issues.length);
+  issues.push(issue);
+  console.log(`➕ Added ${issue.key}`);
+  res.status(201).json(issue);
+});
+
+app.listen(PORT, () => {
+  console.log(`🚀 Mock Jira server running on http://localhost:${PORT}`);
+  console.log(`📦 Paging: ${PAGING}`);
+  console.log(`📜 Issues: ${issues.length} (${process.env.MOCK_JIRA_ISSUES || DEFAULT_STORIES_FILE})`);
+});
@@ -0,0 +1,80 @@
+import express from "express";
+import dotenv from "dotenv";
+import { loadMockResponses, resolveMockCompletion, buildMockCompletion, splitIntoStreamChunks } from "../../providers/llmClient.js";
+
+dotenv.config();
+
+/**
+ * Local stand-in for the chat completions API, for offline development and CI.
+ *
+ * Serves POST /v1/chat/completions (and /chat/completions) with scripted completions from
+ * LLM_MOCK_RESPONSES ("stream": true is answered with SSE chunks, like the OpenAI API).
+ * Point the app at it with either:
+ *   LLM_PROVIDER=openai   LLM_BASE_URL=http://localhost:4010/v1
+ *   LLM_PROVIDER=testleaf TESTLEAF_API_BASE=http://localhost:4010   (MOCK_LLM_ENVELOPE=testleaf)
+ *
+ * Usage: node src/scripts/utilities/mock-llm-server.js [port]
+ */
+
+const PORT = process.argv[2] || process.env.MOCK_LLM_PORT || 4010;
+const ENVELOPE = process.env.MOCK_LLM_ENVELOPE || 'openai'; // openai | testleaf
+
+const rules = loadMockResponses();
+const app = express();
+app.use(express.json({ limit: '50mb' }));
+
+const STREAM_DELAY_MS = parseInt(process.env.LLM_MOCK_STREAM_DELAY_MS, 10) || 20;
+
+async function streamCompletion(res, completion) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const chunkBase = { id: completion.id, object: 'chat.completion.chunk', created: completion.created, model: completion.model };
+  const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+  for (const piece of splitIntoStreamChunks(completion.choices[0].message.content)) {
+    send({ ...chunkBase, choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] });
+    await new Promise(resolve => setTimeout(resolve, STREAM_DELAY_MS));
+  }
+  send({ ...chunkBase, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+  send({ ...chunkBase, choices: [], usage: completion.usage });
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+function handleCompletion(req, res) {
+  const { messages = [], model = 'mock-llm', stream = false } = req.body;
+  const content = resolveMockCompletion(messages, rules);
+  const completion = buildMockCompletion(content, messages, model);
+
+  console.log(`🤖 Mock completion (${completion.usage.total_tokens} tokens${stream ? ', streamed' : ''}) for ${messages.length} message(s)`);
+
+  const envelope = req.query.envelope || ENVELOPE;
+  if (envelope === 'testleaf') {
+    return res.json({
+      status: 200,
+      transaction: {
+        response: completion,
+        cost: 0
+      }
+    });
+  }
+
+  if (stream) {
+    return streamCompletion(res, completion);
+  }
+
+  res.json(completion);
+}
+
+app.post('/v1/chat/completions', handleCompletion);
+app.post('/chat/completions', handleCompletion);
+
+app.listen(PORT, () => {
+  console.log(`🚀 Mock LLM server running on http://localhost:${PORT}`);
+  console.log(`📦 Envelope: ${ENVELOPE}`);
+  console.log(`📜 Scripted responses: ${rules.length} (${process.env.LLM_MOCK_RESPONSES || 'LLM_MOCK_RESPONSES not set'})`);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeHeader, proposeMapping, suggestEntity, getEntityFieldNames } from '../src/ingestion/columnMapping.js';
+
+test('normalizeHeader ignores case, spaces and punctuation', () => {
+  assert.equal(normalizeHeader('Test Case ID'), 'testcaseid');
+  assert.equal(normalizeHeader('test_case_id'), 'testcaseid');
+  assert.equal(normalizeHeader(null), '');
+});
+
+test('proposeMapping matches headers strongest first, each field once', () => {
+  const { columns, matches, unmappedHeaders, missingRequired } = proposeMapping(
+    ['Test ID', 'TEST TITLE', 'Detailed Test Steps', 'Steps', 'Reviewer'],
+    'testcase'
+  );
+  assert.equal(columns['Test ID'], 'id');
+  assert.equal(columns['TEST TITLE'], 'title');
+  assert.equal(columns.Steps, 'steps');
+  assert.equal(columns['Detailed Test Steps'], null);
+  assert.deepEqual(matches.map(m => m.match), ['alias', 'normalized', null, 'normalized', null]);
+  assert.deepEqual(unmappedHeaders, ['Detailed Test Steps', 'Reviewer']);
+  assert.deepEqual(missingRequired, []);
+});
+
+test('proposeMapping prefers a saved profile', () => {
+  const { columns, matches } = proposeMapping(['Ref'], 'testcase', { columnMap: { Ref: 'id' } });
+  assert.equal(columns.Ref, 'id');
+  assert.equal(matches[0].match, 'profile');
+});
+
+test('suggestEntity picks the entity whose required fields are covered', () => {
+  assert.equal(suggestEntity(['Story Key', 'Summary', 'Status']).entity, 'userstory');
+  assert.equal(suggestEntity(['Test Case ID', 'Test Case Title', 'Test Steps']).entity, 'testcase');
+  assert.equal(suggestEntity([]).entity, null);
+  assert.throws(() => getEntityFieldNames('epic'), /Unknown entity/);
+});
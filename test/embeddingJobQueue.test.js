@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-jobs-'));
+const dataDir = path.join(tempDir, 'data');
+
+Object.assign(process.env, {
+  EMBEDDING_PROVIDER: 'local',
+  EMBEDDING_DIMENSIONS: '1536'
+});
+
+let jobs;
+let createFileJobStore;
+let matchDocument;
+
+before(async () => {
+  fs.mkdirSync(dataDir);
+  fs.writeFileSync(path.join(dataDir, 'wards.json'), JSON.stringify([
+    { id: 'TC_001', module: 'Wards', title: 'Transfer a patient', steps: 'Open ward board' }
+  ]));
+  fs.writeFileSync(path.join(dataDir, 'converted-1-backlog-userstories.json'), JSON.stringify([
+    { key: 'HC-1', summary: 'Transfer a patient between wards' },
+    { summary: 'Story without a key' }
+  ]));
+  jobs = await import('../src/jobs/embeddingJobQueue.js');
+  ({ createFileJobStore } = await import('../src/jobs/jobStore.js'));
+  ({ matchDocument } = await import('../src/providers/vectorStore.js'));
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// find().toArray() and updateOne with $set/$setOnInsert upserts over an in-memory array
+function fakeCollection() {
+  const docs = [];
+  return {
+    docs,
+    find(query) {
+      return { toArray: async () => docs.filter(doc => matchDocument(doc, query)) };
+    },
+    async updateOne(filter, update, { upsert = false } = {}) {
+      const doc = docs.find(candidate => matchDocument(candidate, filter));
+      if (doc) Object.assign(doc, update.$set);
+      else if (upsert) docs.push({ _id: `doc-${docs.length + 1}`, ...filter, ...update.$setOnInsert, ...update.$set });
+    }
+  };
+}
+
+// Queue over the temp data directory, with one fake collection per entity
+function createQueue() {
+  const collections = { testcase: fakeCollection(), userstory: fakeCollection() };
+  const store = createFileJobStore({ dir: fs.mkdtempSync(path.join(tempDir, 'jobs-')) });
+  const queue = jobs.createEmbeddingJobQueue({
+    store,
+    dataDir,
+    openCollection: async (entity) => ({ collection: collections[entity], close: async () => {} })
+  });
+  return { collections, store, queue };
+}
+
+async function waitForJob(store, jobId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = await store.get(jobId);
+    if (jobs.FINISHED_STATUSES.includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+test('fileEntity tells user story files from test case files by name', () => {
+  assert.equal(jobs.fileEntity('converted-1-backlog-userstories.json'), 'userstory');
+  assert.equal(jobs.fileEntity('converted-1-regression-testcases.json'), 'testcase');
+  assert.equal(jobs.fileEntity('converted-1.json'), 'testcase');
+});
+
+test('a job embeds each file into the collection of its entity', async () => {
+  const { collections, store, queue } = createQueue();
+  const created = await queue.enqueue(['wards.json', 'converted-1-backlog-userstories.json']);
+  const job = await waitForJob(store, created.id);
+
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(collections.testcase.docs.map(doc => doc.id), ['TC_001']);
+  assert.deepEqual(collections.userstory.docs.map(doc => doc.key), ['HC-1']);
+  assert.equal(collections.userstory.docs[0].embedding.length, 1536);
+
+  const stories = job.results.find(result => result.file === 'converted-1-backlog-userstories.json');
+  assert.equal(stories.entity, 'userstory');
+  assert.deepEqual([stories.inserted, stories.invalid, stories.failed], [1, 1, 0]);
+  assert.deepEqual(stories.errors, [{ index: 1, id: null, error: 'Story has no key' }]);
+});
+
+test('previews report user story files by story key', async () => {
+  const { collections, queue } = createQueue();
+  collections.userstory.docs.push({ _id: 'a', key: 'HC-1', contentHash: 'stale' });
+
+  const [report] = await queue.preview(['converted-1-backlog-userstories.json']);
+  assert.equal(report.entity, 'userstory');
+  assert.deepEqual(report.summary, { total: 2, insert: 0, update: 1, unchanged: 0, invalid: 1, remove: 0 });
+  assert.deepEqual(report.changes.update, [{ index: 0, id: 'HC-1', reason: 'Content changed' }]);
+  assert.equal(collections.userstory.docs[0].contentHash, 'stale');
+});
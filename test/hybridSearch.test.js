@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hybrid-search-'));
+
+Object.assign(process.env, {
+  EMBEDDING_PROVIDER: 'local',
+  EMBEDDING_DIMENSIONS: '1536',
+  VECTOR_STORE: 'local',
+  LOCAL_STORE_DIR: dataDir,
+  COLLECTION_NAME: 'test_cases'
+});
+
+const FIXTURE = [
+  { id: 'TC_001', module: 'Patient Registration', title: 'Register a new patient with mandatory fields', description: 'Patient is registered with name and date of birth' },
+  { id: 'TC_002', module: 'Wards', title: 'Transfer a patient between wards', description: 'Bed allocation is updated when a patient moves ward' },
+  { id: 'TC_003', module: 'Billing', title: 'Generate an invoice after discharge', description: 'Invoice lists every billable service of the admission' }
+];
+
+let hybrid;
+let store;
+
+before(async () => {
+  fs.writeFileSync(path.join(dataDir, 'test_cases.json'), JSON.stringify(FIXTURE));
+  hybrid = await import('../src/retrieval/hybridSearch.js');
+  const { createVectorStore } = await import('../src/providers/vectorStore.js');
+  store = createVectorStore();
+});
+
+after(async () => {
+  if (store) await store.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('combineHybridResults normalizes and weights both score lists', () => {
+  const results = hybrid.combineHybridResults(
+    [{ _id: 'a', bm25Score: 4 }, { _id: 'b', bm25Score: 2 }],
+    [{ _id: 'b', vectorScore: 0.9 }, { _id: 'c', vectorScore: 0.5 }]
+  );
+  // bm25 a=1, b=0.5; vector b=0.9, c=0.5 (min-max against 0..1)
+  assert.deepEqual(results.map(r => [r._id, r.foundIn, Number(r.hybridScore.toFixed(2))]), [
+    ['b', 'both', 0.7],
+    ['a', 'bm25', 0.5],
+    ['c', 'vector', 0.25]
+  ]);
+});
+
+test('skipBM25 lets vector scores count in full', () => {
+  const [only] = hybrid.combineHybridResults([{ _id: 'a', bm25Score: 3 }], [{ _id: 'b', vectorScore: 1 }], { skipBM25: true });
+  assert.equal(only._id, 'b');
+  assert.equal(only.foundIn, 'vector-only');
+  assert.equal(only.hybridScore, 1);
+});
+
+test('hybridSearch fuses BM25 and vector hits from the vector store', async () => {
+  const { results, bm25Count, vectorCount } = await hybrid.hybridSearch(store.collection('test_cases'), 'invoice billing discharge', {
+    bm25IndexName: 'bm25',
+    vectorIndexName: 'vector_index',
+    limit: 2,
+    projection: { id: 1, title: 1 }
+  });
+  assert.equal(bm25Count, 1);
+  assert.equal(vectorCount, 3);
+  assert.equal(results.length, 2);
+  assert.equal(results[0].id, 'TC_003');
+  assert.equal(results[0].foundIn, 'both');
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidDate, collectRowIds, validateRows } from '../src/ingestion/importValidation.js';
+
+test('isValidDate accepts Excel serials, dates and parseable strings', () => {
+  assert.equal(isValidDate(45306), true);
+  assert.equal(isValidDate('45306'), true);
+  assert.equal(isValidDate('2024-01-15'), true);
+  assert.equal(isValidDate(new Date('nope')), false);
+  assert.equal(isValidDate(3000000), false);
+  assert.equal(isValidDate('someday'), false);
+});
+
+test('validateRows reports missing, duplicate, existing and invalid values', () => {
+  const rows = [
+    { row: 2, values: { id: 'TC_001', title: 'Login', priority: 'p1' } },
+    { row: 3, values: { id: ' TC_001 ', title: 'Logout' } },
+    { row: 4, values: { id: 'TC_002', title: '', risk: 'Severe', createdDate: 'someday' } },
+    { row: 5, values: { id: 7, title: 'Numeric ID' } }
+  ];
+  assert.deepEqual(collectRowIds(rows, 'testcase'), ['TC_001', 'TC_002', '7']);
+
+  const { collectionChecked, summary, findings } = validateRows(rows, 'testcase', { existingIds: new Set(['7']) });
+  assert.equal(collectionChecked, true);
+  assert.deepEqual(findings.map(f => [f.row, f.code]), [
+    [3, 'duplicate-id'],
+    [4, 'missing-required'],
+    [4, 'invalid-value'],
+    [4, 'invalid-date'],
+    [5, 'existing-id']
+  ]);
+  assert.deepEqual(summary, { rows: 4, valid: 2, rowsWithErrors: 2, rowsWithWarnings: 2, errors: 2, warnings: 3 });
+});
@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createLLMClient,
+  createMockLLMClient,
+  loadMockResponses,
+  resolveMockCompletion,
+  buildMockCompletion,
+  splitIntoStreamChunks
+} from '../src/providers/llmClient.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-mock-'));
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('createLLMClient selects the mock backend and rejects unknown providers', () => {
+  assert.equal(createLLMClient({ provider: 'MOCK', responses: [] }).name, 'mock');
+  assert.throws(() => createLLMClient({ provider: 'nope' }), /Unknown LLM provider "nope"/);
+});
+
+test('the first matching rule wins and rules without match are a catch-all', () => {
+  const rules = [{ match: 'ward', content: 'Ward answer' }, { content: { ok: true } }];
+  assert.equal(resolveMockCompletion([{ role: 'user', content: 'Which WARD tests?' }], rules), 'Ward answer');
+  assert.equal(resolveMockCompletion([{ role: 'user', content: 'billing' }], rules), '{"ok":true}');
+  assert.match(resolveMockCompletion([{ role: 'user', content: 'billing' }], []), /^Mock completion for: billing/);
+});
+
+test('buildMockCompletion returns an OpenAI-style body with token estimates', () => {
+  const completion = buildMockCompletion('12345678', [{ role: 'user', content: 'abcd' }], 'mock-x');
+  assert.equal(completion.object, 'chat.completion');
+  assert.equal(completion.model, 'mock-x');
+  assert.equal(completion.choices[0].message.content, '12345678');
+  assert.deepEqual(completion.usage, { prompt_tokens: 1, completion_tokens: 2, total_tokens: 3 });
+});
+
+test('the mock client answers chat and streamed requests with the same content', async () => {
+  const llm = createMockLLMClient({ responses: [{ match: 'ward', content: 'Beds are  free' }] });
+  const messages = [{ role: 'user', content: 'ward status' }];
+
+  const completion = await llm.chat({ messages });
+  assert.equal(completion.content, 'Beds are  free');
+  assert.equal(completion.provider, 'mock');
+  assert.equal(completion.finishReason, 'stop');
+
+  const tokens = [];
+  const streamed = await llm.chatStream({ messages, onToken: token => tokens.push(token) });
+  assert.deepEqual(tokens, splitIntoStreamChunks('Beds are  free'));
+  assert.equal(tokens.join(''), streamed.content);
+});
+
+test('scripted responses load from a file and can be replaced at runtime', async () => {
+  const file = path.join(tempDir, 'responses.json');
+  fs.writeFileSync(file, JSON.stringify([{ match: 'summarize', content: 'Summary' }]));
+  assert.deepEqual(loadMockResponses(file), [{ match: 'summarize', content: 'Summary' }]);
+  assert.deepEqual(loadMockResponses(path.join(tempDir, 'missing.json')), []);
+
+  const llm = createMockLLMClient({ responsesFile: file });
+  assert.equal((await llm.chat({ messages: [{ role: 'user', content: 'summarize this' }] })).content, 'Summary');
+  llm.setResponses([{ content: 'Replaced' }]);
+  assert.equal((await llm.chat({ messages: [{ role: 'user', content: 'summarize this' }] })).content, 'Replaced');
+});
+
+test('an aborted stream stops with an error', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const llm = createMockLLMClient({ responses: [{ content: 'never sent' }] });
+  await assert.rejects(llm.chatStream({ messages: [], signal: controller.signal, onToken: () => {} }), /Request aborted/);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSearchQuery,
+  parseSearchRequest,
+  buildQueryOperator,
+  buildExclusionOperators,
+  buildExclusionMatch,
+  buildValueExclusionMatch
+} from '../src/retrieval/queryParser.js';
+import { matchDocument } from '../src/providers/vectorStore.js';
+import { buildBm25Pipeline } from '../src/retrieval/hybridSearch.js';
+
+test('parseSearchQuery separates text, phrases, exclusions and qualifiers', () => {
+  const parsed = parseSearchQuery('bed transfer module:Wards priority:P1,P2 "queue list" -automated linked:HC-287');
+  assert.equal(parsed.text, 'bed transfer');
+  assert.deepEqual(parsed.phrases, ['queue list']);
+  assert.deepEqual(parsed.excluded, ['automated']);
+  assert.equal(parsed.searchText, 'bed transfer queue list');
+  assert.deepEqual(parsed.filters, { module: 'Wards', priority: ['P1', 'P2'], linkedStories: 'HC-287' });
+});
+
+test('parseSearchQuery reads ranges, comparisons and negated qualifiers', () => {
+  assert.deepEqual(parseSearchQuery('x created:2024-01-01..2024-06-30').filters, { createdDate: { gte: '2024-01-01', lte: '2024-06-30' } });
+  assert.deepEqual(parseSearchQuery('x version>=v2').filters, { version: { gte: 'v2' } });
+  assert.deepEqual(parseSearchQuery('x -risk:Low').filters, { risk: { ne: 'Low' } });
+  assert.deepEqual(parseSearchQuery('x priority:P1 priority:P2').filters, { priority: ['P1', 'P2'] });
+  assert.deepEqual(parseSearchQuery('x createdBy:"Sam Lee"').filters, { createdBy: 'Sam Lee' });
+});
+
+test('unknown qualifiers stay free text', () => {
+  const parsed = parseSearchQuery('Note: discharge');
+  assert.equal(parsed.text, 'Note: discharge');
+  assert.deepEqual(parsed.filters, {});
+});
+
+test('negated ranges and comparisons are rejected with status 400', () => {
+  assert.throws(() => parseSearchQuery('x -created:2024-01-01..2024-02-01'), error => error.status === 400);
+  assert.throws(() => parseSearchQuery('x -version>v2'), error => error.status === 400);
+});
+
+test('parseSearchRequest merges body filters with qualifiers', () => {
+  const { parsedQuery, clauses } = parseSearchRequest('discharge module:Billing', { risk: 'High' });
+  assert.equal(parsedQuery.searchText, 'discharge');
+  assert.deepEqual(clauses.map(clause => [clause.field, clause.value]), [['risk', 'High'], ['module', 'Billing']]);
+});
+
+test('parseSearchRequest needs search text', () => {
+  assert.throws(() => parseSearchRequest('module:Wards -automated'), error => error.status === 400);
+});
+
+test('raw requests take story text as plain words', () => {
+  const story = 'As a nurse, priority: discharge  -before "noon" with created>2 days';
+  const { parsedQuery, clauses } = parseSearchRequest(story, { module: 'Wards' }, { raw: true });
+  assert.equal(parsedQuery.searchText, 'As a nurse, priority: discharge -before "noon" with created>2 days');
+  assert.deepEqual(parsedQuery.excluded, []);
+  assert.deepEqual(parsedQuery.phrases, []);
+  assert.deepEqual(clauses.map(clause => clause.field), ['module']);
+
+  assert.equal(parseSearchRequest('module:Wards -automated', {}, { raw: true }).parsedQuery.searchText, 'module:Wards -automated');
+  assert.doesNotThrow(() => parseSearchRequest('-created>2024-01-01', {}, { raw: true }));
+  assert.throws(() => parseSearchRequest('   ', {}, { raw: true }), error => error.status === 400);
+});
+
+test('buildQueryOperator boosts quoted phrases', () => {
+  const path = ['title'];
+  assert.deepEqual(buildQueryOperator(parseSearchQuery('bed'), { path, fuzzy: null }), { text: { query: 'bed', path } });
+  const operator = buildQueryOperator(parseSearchQuery('bed "queue list"'), { path });
+  assert.equal(operator.compound.should.length, 2);
+  assert.deepEqual(operator.compound.should[1].phrase.query, 'queue list');
+  assert.deepEqual(buildExclusionOperators(['queue list'], path), [{ phrase: { query: 'queue list', path } }]);
+});
+
+test('exclusions drop documents mentioning the term in text fields', () => {
+  const match = buildExclusionMatch(['queue list'], ['title']);
+  assert.ok(!matchDocument({ title: 'Dynamic Queue  List view' }, match));
+  assert.ok(matchDocument({ title: 'Queue management' }, match));
+  assert.equal(buildExclusionMatch([], ['title']), null);
+});
+
+test('exclusions drop documents whose enum value is the term', () => {
+  const match = buildValueExclusionMatch(['automated', 'p1']);
+  assert.ok(!matchDocument({ automationManual: 'Automated' }, match));
+  assert.ok(!matchDocument({ priority: 'P1' }, match));
+  assert.ok(matchDocument({ automationManual: 'Manual', priority: 'P2' }, match));
+  assert.ok(!matchDocument({ title: 'Login', type: 'Automated' }, buildExclusionMatch(['automated'], ['title'])));
+  assert.equal(buildValueExclusionMatch([]), null);
+});
+
+test('BM25 pipelines carry exclusions into mustNot and the post-search $match', () => {
+  const parsed = parseSearchQuery('registration -automated');
+  const pipeline = buildBm25Pipeline(parsed.searchText, { indexName: 'bm25', fields: ['title'], limit: 5, projection: {}, excluded: parsed.excluded });
+  assert.deepEqual(pipeline[0].$search.compound.mustNot, [{ phrase: { query: 'automated', path: ['title'] } }]);
+
+  const match = pipeline.find(stage => stage.$match).$match;
+  assert.ok(!matchDocument({ title: 'Registration', automationManual: 'Automated' }, match));
+  assert.ok(matchDocument({ title: 'Registration', automationManual: 'Manual' }, match));
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  splitSections,
+  parseAcceptanceCriteria,
+  parseReleaseStory,
+  listReleases,
+  readReleaseStories,
+  resolveReleaseDir
+} from '../src/ingestion/releaseStories.js';
+
+const STORY = `User Story: HC-287 – Dynamic Queue List
+
+Summary:
+As a ward doctor, I want the queue to refresh so that I see new patients.
+
+Epic: Wards
+Acceptance Criteria:
+
+Given the dashboard is open, when a patient status changes, then the queue updates within 30 seconds.
+
+The list keeps its scroll position.
+
+Priority: P1
+Risk: Medium
+`;
+
+test('release story sections and acceptance criteria are parsed', () => {
+  const sections = splitSections(STORY);
+  assert.equal(sections.heading, 'HC-287 – Dynamic Queue List');
+  assert.equal(sections.epic, 'Wards');
+
+  const criteria = parseAcceptanceCriteria(sections.acceptanceCriteria);
+  assert.equal(criteria.length, 2);
+  assert.deepEqual(
+    { given: criteria[0].given, when: criteria[0].when, then: criteria[0].then },
+    { given: 'the dashboard is open', when: 'a patient status changes', then: 'the queue updates within 30 seconds' }
+  );
+  assert.equal(criteria[1].given, null);
+});
+
+test('parseReleaseStory builds a story and warns about gaps', () => {
+  const { story, warnings } = parseReleaseStory(STORY, { version: '1.21.2', sourceFile: 'us-287.txt' });
+  assert.equal(story.key, 'HC-287');
+  assert.equal(story.summary, 'Dynamic Queue List');
+  assert.equal(story.priority.name, 'P1');
+  assert.equal(story.status.name, 'To Do');
+  assert.deepEqual(story.fixVersions, ['1.21.2']);
+  assert.deepEqual(warnings, ['Some acceptance criteria are not in Given/When/Then form', 'No status']);
+
+  const untitled = parseReleaseStory('Summary: Something', { sourceFile: 'stories/us-300.txt' });
+  assert.equal(untitled.story.key, 'US-300');
+  assert.equal(untitled.story.summary, 'Something');
+});
+
+test('the bundled release folder is listed and read', () => {
+  assert.ok(listReleases().some(release => release.version === '1.21.2' && release.storyCount === 3));
+
+  const { version, stories, files } = readReleaseStories(resolveReleaseDir('1.21.2'));
+  assert.equal(version, '1.21.2');
+  assert.deepEqual(stories.map(story => story.key), ['HC-287', 'HC-310', 'HC-311']);
+  assert.deepEqual(files.map(file => file.file), ['releases/1.21.2/stories/us-287.txt', 'releases/1.21.2/stories/us-310.txt', 'releases/1.21.2/stories/us-311.txt']);
+  assert.ok(stories.every(story => story.release === '1.21.2'));
+});
+
+test('release versions outside the version pattern are refused', () => {
+  assert.throws(() => resolveReleaseDir('../secrets'), error => error.status === 400);
+  assert.throws(() => readReleaseStories('/nonexistent/9.9'), error => error.status === 404);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_PAGE_SIZE,
+  poolSizeFor,
+  encodeCursor,
+  decodeCursor,
+  parsePageRequest,
+  slicePage,
+  createSearchPoolCache
+} from '../src/retrieval/searchCursor.js';
+
+const POOL = Array.from({ length: 25 }, (_, i) => ({ id: `TC_${i}` }));
+
+test('cursors round-trip and malformed ones are rejected with status 400', () => {
+  assert.deepEqual(decodeCursor(encodeCursor('abc', 20)), { token: 'abc', offset: 20 });
+  assert.throws(() => decodeCursor('not-a-cursor'), error => error.status === 400);
+  assert.throws(() => decodeCursor(encodeCursor('abc', -1)), error => error.status === 400);
+});
+
+test('parsePageRequest applies defaults and bounds', () => {
+  assert.deepEqual(parsePageRequest({}), { limit: 10, offset: 0, cursor: null });
+  assert.deepEqual(parsePageRequest({ limit: '5', offset: '15' }), { limit: 5, offset: 15, cursor: null });
+  assert.equal(parsePageRequest({ offset: 3, cursor: encodeCursor('t', 40) }).offset, 40);
+  assert.equal(parsePageRequest({ limit: 500 }).limit, MAX_PAGE_SIZE);
+  assert.throws(() => parsePageRequest({ limit: 0 }), error => error.status === 400);
+  assert.throws(() => parsePageRequest({ offset: 1.5 }), error => error.status === 400);
+});
+
+test('poolSizeFor always covers the requested page', () => {
+  assert.equal(poolSizeFor({ offset: 0, limit: 10 }, {}), 100);
+  assert.equal(poolSizeFor({ offset: 0, limit: 10 }, { SEARCH_POOL_SIZE: '30' }), 30);
+  assert.equal(poolSizeFor({ offset: 190, limit: 20 }, {}), 210);
+});
+
+test('slicePage reports whether more results remain', () => {
+  assert.deepEqual(slicePage(POOL, { offset: 20, limit: 10 }), { results: POOL.slice(20), offset: 20, hasMore: false });
+  assert.equal(slicePage(POOL, { offset: 0, limit: 10 }).hasMore, true);
+});
+
+test('the pool cache pages through a ranked pool with cursors', () => {
+  const cache = createSearchPoolCache({ ttlMs: 60000, maxEntries: 5 });
+  const first = cache.respond('hybrid', POOL, { offset: 0, limit: 10 }, { query: 'bed' });
+  assert.equal(first.count, 10);
+  assert.equal(first.query, 'bed');
+  assert.ok(first.nextCursor);
+  assert.equal(cache.size(), 1);
+
+  const second = cache.resume('hybrid', parsePageRequest({ cursor: first.nextCursor, limit: 10 }));
+  assert.deepEqual(second.results, POOL.slice(10, 20));
+  const third = cache.resume('hybrid', parsePageRequest({ cursor: second.nextCursor, limit: 10 }));
+  assert.deepEqual(third.results, POOL.slice(20));
+  assert.equal(third.hasMore, false);
+  assert.equal(third.nextCursor, null);
+});
+
+test('a single-page pool is not cached', () => {
+  const cache = createSearchPoolCache({ ttlMs: 60000, maxEntries: 5 });
+  const response = cache.respond('bm25', POOL.slice(0, 3), { offset: 0, limit: 10 }, {});
+  assert.equal(response.nextCursor, null);
+  assert.equal(cache.size(), 0);
+});
+
+test('cursors are bound to their route and expire', () => {
+  const cache = createSearchPoolCache({ ttlMs: 60000, maxEntries: 1 });
+  const { nextCursor } = cache.respond('hybrid', POOL, { offset: 0, limit: 10 }, {});
+  const page = parsePageRequest({ cursor: nextCursor });
+  assert.throws(() => cache.resume('vector', page), error => error.status === 400);
+
+  // Evicted by a newer pool (maxEntries: 1)
+  cache.respond('hybrid', POOL, { offset: 0, limit: 10 }, {});
+  assert.throws(() => cache.resume('hybrid', page), error => error.status === 410);
+
+  const expiring = createSearchPoolCache({ ttlMs: -1, maxEntries: 5 });
+  const expired = expiring.respond('hybrid', POOL, { offset: 0, limit: 10 }, {});
+  assert.throws(() => expiring.resume('hybrid', parsePageRequest({ cursor: expired.nextCursor })), error => error.status === 410);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSearchFilters,
+  toMatchFilter,
+  inProcessClauses,
+  matchesSearchFilters,
+  toVectorSearchFilter,
+  toSearchCompound,
+  addSearchCompoundFilters,
+  filterProjection,
+  planVectorFilters,
+  parseVersion
+} from '../src/retrieval/searchFilters.js';
+
+test('parseSearchFilters reads equality, lists, negation and aliases', () => {
+  assert.deepEqual(parseSearchFilters({ module: 'Wards' }), [{ field: 'module', type: 'string', op: 'eq', value: 'Wards' }]);
+  assert.deepEqual(parseSearchFilters({ priority: ['P1', 'P2'] }), [{ field: 'priority', type: 'string', op: 'in', value: ['P1', 'P2'] }]);
+  assert.deepEqual(parseSearchFilters({ risk: { not: 'Low' } }), [{ field: 'risk', type: 'string', op: 'ne', value: 'Low' }]);
+  assert.deepEqual(parseSearchFilters({ risk: { $nin: ['Low'] } }), [{ field: 'risk', type: 'string', op: 'nin', value: ['Low'] }]);
+});
+
+test('parseSearchFilters ignores empty values', () => {
+  assert.deepEqual(parseSearchFilters(), []);
+  assert.deepEqual(parseSearchFilters({ module: '', priority: [] }), []);
+});
+
+test('parseSearchFilters splits containsAll into one clause per value', () => {
+  assert.deepEqual(parseSearchFilters({ linkedStories: { containsAll: ['HC-1', 'HC-2'] } }).map(clause => clause.value), ['HC-1', 'HC-2']);
+});
+
+test('parseSearchFilters rejects bad input with status 400', () => {
+  const expect400 = (filters, pattern) => assert.throws(() => parseSearchFilters(filters), error => error.status === 400 && pattern.test(error.message));
+  expect400('module', /must be an object/);
+  expect400({ 'bad field': 'x' }, /Invalid filter field/);
+  expect400({ module: { like: 'x' } }, /Unknown filter operator/);
+  expect400({ version: { gte: 'latest' } }, /not a version/);
+  expect400({ createdDate: ['2024-01-01'] }, /take a range/);
+});
+
+test('date filters match Excel serials, ISO strings and dates', () => {
+  const clauses = parseSearchFilters({ createdDate: { from: '2024-01-01', to: '2024-01-31' } });
+  assert.ok(matchesSearchFilters({ createdDate: 45306 }, clauses)); // 2024-01-15
+  assert.ok(matchesSearchFilters({ createdDate: '2024-01-31T18:00:00Z' }, clauses));
+  assert.ok(matchesSearchFilters({ createdDate: new Date('2024-01-10') }, clauses));
+  assert.ok(!matchesSearchFilters({ createdDate: '2024-02-01' }, clauses));
+});
+
+test('version ranges compare numerically and stay in-process', () => {
+  assert.deepEqual(parseVersion('v10.2'), [10, 2]);
+  assert.equal(parseVersion('none'), null);
+
+  const clauses = parseSearchFilters({ version: { gte: 'v2.0', lt: 'v10' } });
+  assert.equal(toMatchFilter(clauses), null);
+  assert.equal(inProcessClauses(clauses).length, 2);
+  assert.ok(matchesSearchFilters({ version: 'v9.1' }, clauses));
+  assert.ok(!matchesSearchFilters({ version: 'v10.0' }, clauses));
+  assert.ok(!matchesSearchFilters({ version: 'v1.9' }, clauses));
+});
+
+test('toMatchFilter ANDs clauses into one $match document', () => {
+  assert.deepEqual(toMatchFilter(parseSearchFilters({ module: 'Wards', risk: { ne: 'Low' } })), {
+    $and: [{ module: { $eq: 'Wards' } }, { risk: { $ne: 'Low' } }]
+  });
+  assert.equal(toMatchFilter([]), null);
+});
+
+test('toVectorSearchFilter only pre-filters indexed, non-date fields', () => {
+  const clauses = parseSearchFilters({ module: 'Wards', createdBy: 'sam', createdDate: { from: '2024-01-01' } });
+  const { filter, applied, remaining } = toVectorSearchFilter(clauses, ['module', 'createdDate']);
+  assert.deepEqual(filter, { module: { $eq: 'Wards' } });
+  assert.deepEqual(applied.map(clause => clause.field), ['module']);
+  assert.deepEqual(remaining.map(clause => clause.field), ['createdBy', 'createdDate']);
+});
+
+test('exists clauses are applied after $vectorSearch, which cannot filter on them', () => {
+  const clauses = parseSearchFilters({ automationManual: { exists: true }, module: 'Wards' });
+  const { filter, remaining } = toVectorSearchFilter(clauses, ['automationManual', 'module']);
+  assert.deepEqual(filter, { module: { $eq: 'Wards' } });
+  assert.deepEqual(remaining.map(clause => [clause.field, clause.op]), [['automationManual', 'exists']]);
+  assert.deepEqual(planVectorFilters(clauses, ['automationManual', 'module']).postFilter, { automationManual: { $exists: true } });
+});
+
+test('planVectorFilters reports where each filter runs', () => {
+  const clauses = parseSearchFilters({ module: 'Wards', version: { gte: 'v2' } });
+  const plan = planVectorFilters(clauses, ['module']);
+  assert.equal(plan.mode, 'mixed');
+  assert.deepEqual(plan.preFiltered, ['module']);
+  assert.deepEqual(plan.postFiltered, ['version']);
+  assert.equal(plan.postFilter, null);
+  assert.equal(plan.inProcess.length, 1);
+  assert.equal(planVectorFilters([], ['module']).mode, 'none');
+});
+
+test('toSearchCompound turns keyword equality into filter and mustNot operators', () => {
+  const clauses = parseSearchFilters({ module: 'Wards', risk: { notIn: ['Low'] }, createdBy: 'sam' });
+  const compound = toSearchCompound(clauses, ['module', 'risk']);
+  assert.deepEqual(compound.filter, [{ text: { query: 'Wards', path: 'module' } }]);
+  assert.deepEqual(compound.mustNot, [{ text: { query: ['Low'], path: 'risk' } }]);
+  assert.deepEqual(compound.remaining.map(clause => clause.field), ['createdBy']);
+
+  const search = addSearchCompoundFilters({ index: 'bm25', text: { query: 'bed', path: 'title' } }, compound);
+  assert.equal(search.index, 'bm25');
+  assert.deepEqual(search.compound.must, [{ text: { query: 'bed', path: 'title' } }]);
+  assert.deepEqual(addSearchCompoundFilters({ index: 'bm25' }, {}), { index: 'bm25' });
+});
+
+test('filterProjection adds the filtered fields not already projected', () => {
+  const clauses = parseSearchFilters({ module: 'Wards', 'meta.owner': 'sam', version: 'v2' });
+  assert.deepEqual(filterProjection(clauses, { module: 1, meta: 1 }), { module: 1, meta: 1, version: 1 });
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeSchema,
+  validateAgainstSchema,
+  extractJsonText,
+  detectUnbalancedJson,
+  parseAndValidate,
+  buildRepairPrompt,
+  completeWithSchema
+} from '../src/providers/structuredOutput.js';
+import { createMockLLMClient } from '../src/providers/llmClient.js';
+import { buildGenerationSchema, applyReservedIds } from '../src/generation/testCaseGeneration.js';
+
+const SCHEMA = {
+  type: 'object',
+  required: ['title', 'steps'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    steps: { type: 'array', items: { type: 'string' }, minItems: 2 }
+  }
+};
+
+test('normalizeSchema parses JSON strings and rejects bad ones', () => {
+  assert.deepEqual(normalizeSchema('{"type":"object"}'), { type: 'object' });
+  assert.equal(normalizeSchema(null), null);
+  assert.throws(() => normalizeSchema('{'), /Schema is not valid JSON/);
+});
+
+test('validateAgainstSchema reports readable errors', () => {
+  assert.deepEqual(validateAgainstSchema({ title: 'x', steps: ['a', 'b'] }, SCHEMA), { valid: true, errors: [] });
+  assert.deepEqual(validateAgainstSchema({ steps: ['a'] }, SCHEMA).errors, [
+    '/ is missing required property "title"',
+    '/steps must NOT have fewer than 2 items'
+  ]);
+});
+
+test('extractJsonText strips fences and surrounding prose', () => {
+  assert.equal(extractJsonText('Here you go:\n```json\n{"a": 1}\n```\nThanks'), '{"a": 1}');
+  assert.equal(extractJsonText('Result: {"a": [1, 2]} done'), '{"a": [1, 2]}');
+  assert.equal(extractJsonText('```json\n{"a": 1'), '{"a": 1');
+});
+
+test('detectUnbalancedJson ignores brackets inside strings', () => {
+  assert.equal(detectUnbalancedJson('{"a": "}"}'), false);
+  assert.equal(detectUnbalancedJson('{"a": [1, 2'), true);
+  assert.equal(detectUnbalancedJson('{"a": "open'), true);
+});
+
+test('parseAndValidate flags truncated and unparseable output', () => {
+  const truncated = parseAndValidate('{"title": "x", "steps": ["a"', { schema: SCHEMA });
+  assert.equal(truncated.truncated, true);
+  assert.equal(truncated.parsed, false);
+  assert.equal(truncated.valid, false);
+
+  const stopped = parseAndValidate('{"title": "x", "steps": ["a", "b"]}', { schema: SCHEMA, finishReason: 'length' });
+  assert.equal(stopped.truncated, true);
+  assert.equal(stopped.valid, false);
+});
+
+test('parseAndValidate runs prepare before the schema and extraValidate after it', () => {
+  const result = parseAndValidate('{"steps": ["a", "b"]}', {
+    schema: SCHEMA,
+    prepare: data => { data.title = 'Filled in'; },
+    extraValidate: data => (data.steps.includes('c') ? [] : ['steps must include c'])
+  });
+  assert.equal(result.data.title, 'Filled in');
+  assert.deepEqual(result.errors, ['steps must include c']);
+});
+
+test('buildRepairPrompt lists the errors and the schema', () => {
+  const prompt = buildRepairPrompt(['/ is missing required property "title"'], { schema: SCHEMA, truncated: true });
+  assert.match(prompt, /- \/ is missing required property "title"/);
+  assert.match(prompt, /cut off/);
+  assert.match(prompt, /"minItems": 2/);
+});
+
+const GENERATED = {
+  analysis: { userStoryTitle: 'International phone numbers' },
+  newTestCases: [{
+    testCaseId: 'TC_001',
+    module: 'Patient Registration',
+    testCaseTitle: 'Register a patient with an international phone number',
+    testCaseDescription: 'Registration accepts E.164 phone numbers',
+    testSteps: ['Open registration', 'Enter name', 'Enter date of birth', 'Enter +44 phone number', 'Save'],
+    expectedResults: 'Patient record is created',
+    priority: 'P2',
+    linkedUserStories: ['HC-101']
+  }],
+  rationale: []
+};
+
+test('completeWithSchema repairs invalid output in a follow-up turn', async () => {
+  const { rationale, ...withoutRationale } = GENERATED;
+  const llm = createMockLLMClient({
+    responses: [
+      { match: 'previous response is not valid', content: GENERATED },
+      { content: `\`\`\`json\n${JSON.stringify(withoutRationale)}\n\`\`\`` }
+    ]
+  });
+
+  const result = await completeWithSchema(llm, {
+    messages: [{ role: 'user', content: 'Generate test cases for HC-101' }],
+    schema: buildGenerationSchema()
+  });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.initialErrors, ['/ is missing required property "rationale"']);
+  assert.deepEqual(result.attempts.map(attempt => attempt.valid), [true]);
+  assert.ok(result.usage.total_tokens > result.attempts[0].tokens);
+});
+
+test('completeWithSchema stops after the allowed repair attempts', async () => {
+  const llm = createMockLLMClient({ responses: [{ content: 'not json' }] });
+  const result = await completeWithSchema(llm, {
+    messages: [{ role: 'user', content: 'Generate' }],
+    schema: buildGenerationSchema(),
+    maxRepairAttempts: 2
+  });
+  assert.equal(result.valid, false);
+  assert.equal(result.attempts.length, 2);
+  assert.match(result.errors[0], /not valid JSON/);
+});
+
+test('reserved IDs of any prefix pass the generation schema', async () => {
+  const llm = createMockLLMClient({ responses: [{ content: GENERATED }] });
+  const result = await completeWithSchema(llm, {
+    messages: [{ role: 'user', content: 'Generate' }],
+    schema: buildGenerationSchema(),
+    prepare: data => applyReservedIds(data, ['LAB-001']),
+    maxRepairAttempts: 0
+  });
+  assert.equal(result.valid, true);
+  assert.equal(result.data.newTestCases[0].testCaseId, 'LAB-001');
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatTestCaseId,
+  parseTestCaseId,
+  resolveModulePrefix,
+  scanHighestId,
+  peekNextTestCaseId,
+  reserveTestCaseIds
+} from '../src/generation/testCaseIdAllocator.js';
+import { applyReservedIds } from '../src/generation/testCaseGeneration.js';
+import { matchDocument } from '../src/providers/vectorStore.js';
+
+// Just enough of a MongoDB collection for find().toArray()
+function fakeCollection(docs) {
+  return {
+    find(query) {
+      return { toArray: async () => docs.filter(doc => matchDocument(doc, query)) };
+    }
+  };
+}
+
+// Counters collection applying the update operators the allocator uses
+function fakeCounters() {
+  const counters = new Map();
+  return {
+    async findOne({ _id }) {
+      return counters.get(_id) || null;
+    },
+    async findOneAndUpdate({ _id }, update) {
+      const inserted = !counters.has(_id);
+      const doc = counters.get(_id) || { _id };
+      if (inserted) Object.assign(doc, update.$setOnInsert);
+      Object.entries(update.$max || {}).forEach(([field, value]) => { doc[field] = Math.max(doc[field] ?? value, value); });
+      Object.entries(update.$inc || {}).forEach(([field, value]) => { doc[field] = (doc[field] || 0) + value; });
+      Object.assign(doc, update.$set);
+      counters.set(_id, doc);
+      return doc;
+    }
+  };
+}
+
+function fakeDb(testCases) {
+  const collections = { test_cases: fakeCollection(testCases), counters: fakeCounters() };
+  return { collection: name => collections[name] };
+}
+
+test('IDs are formatted and parsed with their prefix', () => {
+  assert.equal(formatTestCaseId('TC_', 7), 'TC_007');
+  assert.equal(formatTestCaseId('TC_LAB_', 1234), 'TC_LAB_1234');
+  assert.deepEqual(parseTestCaseId('TC_LAB_042'), { prefix: 'TC_LAB_', number: 42, width: 3 });
+  assert.equal(parseTestCaseId('TC_'), null);
+  assert.equal(parseTestCaseId(42), null);
+});
+
+test('resolveModulePrefix uses the most common prefix of the module', async () => {
+  const collection = fakeCollection([
+    { id: 'TC_LAB_001', module: 'Lab' },
+    { id: 'TC_LAB_002', module: 'Lab' },
+    { id: 'TC_010', module: 'Lab' },
+    { id: 'TC_011', module: 'Wards' }
+  ]);
+  assert.equal(await resolveModulePrefix(collection, 'Lab'), 'TC_LAB_');
+  assert.equal(await resolveModulePrefix(collection, 'Billing'), 'TC_');
+  assert.equal(await resolveModulePrefix(collection, null), 'TC_');
+});
+
+test('scanHighestId compares numbers, not strings', async () => {
+  const collection = fakeCollection([{ id: 'TC_999' }, { id: 'TC_1000' }, { id: 'TC_LAB_5000' }]);
+  assert.deepEqual(await scanHighestId(collection, 'TC_'), { highest: 1000, latestId: 'TC_1000', padWidth: 4, count: 2 });
+});
+
+test('reserved blocks continue from the highest stored ID and never overlap', async () => {
+  const db = fakeDb([{ id: 'TC_008', module: 'Wards' }, { id: 'TC_009', module: 'Wards' }]);
+  const options = { collectionName: 'test_cases', module: 'Wards' };
+
+  assert.equal((await peekNextTestCaseId(db, options)).nextTestCaseId, 'TC_010');
+
+  const first = await reserveTestCaseIds(db, { ...options, count: 2 });
+  const second = await reserveTestCaseIds(db, { ...options, count: 1 });
+  assert.deepEqual(first.ids, ['TC_010', 'TC_011']);
+  assert.deepEqual(second.ids, ['TC_012']);
+
+  const peek = await peekNextTestCaseId(db, options);
+  assert.equal(peek.latestId, 'TC_012');
+  assert.equal(peek.nextTestCaseId, 'TC_013');
+});
+
+test('applyReservedIds replaces generated IDs and keeps the rationale in step', () => {
+  const response = {
+    newTestCases: [{ testCaseId: 'TC_001' }, { testCaseId: 'TC_002' }],
+    rationale: [{ testCaseId: 'TC_001', reason: 'gap' }]
+  };
+  const notes = applyReservedIds(response, ['TC_LAB_007']);
+  assert.deepEqual(response.newTestCases.map(tc => tc.testCaseId), ['TC_LAB_007', 'TC_002']);
+  assert.equal(response.rationale[0].testCaseId, 'TC_LAB_007');
+  assert.deepEqual(notes, [
+    'Test case 1: ID TC_001 reassigned to TC_LAB_007',
+    'Test case 2: no reserved ID left, kept TC_002'
+  ]);
+});
+
+test('blocks outside 1..500 are rejected with status 400', async () => {
+  const db = fakeDb([]);
+  for (const count of [-3, 501]) {
+    await assert.rejects(
+      reserveTestCaseIds(db, { collectionName: 'test_cases', count }),
+      error => error.status === 400 && /count must be between 1 and 500/.test(error.message)
+    );
+  }
+});
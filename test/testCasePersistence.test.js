@@ -0,0 +1,72 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+Object.assign(process.env, {
+  EMBEDDING_PROVIDER: 'local',
+  EMBEDDING_DIMENSIONS: '1536'
+});
+
+let persistence;
+let sync;
+let matchDocument;
+
+before(async () => {
+  persistence = await import('../src/generation/testCasePersistence.js');
+  sync = await import('../src/ingestion/testCaseSync.js');
+  ({ matchDocument } = await import('../src/providers/vectorStore.js'));
+});
+
+// find().toArray() and insertMany over an in-memory array
+function fakeCollection(docs = []) {
+  return {
+    docs,
+    find(query) {
+      return { toArray: async () => docs.filter(doc => matchDocument(doc, query)) };
+    },
+    async insertMany(inserted) {
+      docs.push(...inserted.map((doc, i) => ({ _id: `new-${i}`, ...doc })));
+      return { insertedIds: inserted.map((doc, i) => `new-${i}`) };
+    }
+  };
+}
+
+const generated = (testCaseId, extra = {}) => ({
+  testCaseId,
+  module: 'Wards',
+  testCaseTitle: 'Transfer a patient between wards',
+  testSteps: ['Open ward board', 'Select patient', 'Transfer'],
+  expectedResults: 'Bed is released',
+  ...extra
+});
+
+test('accepted cases are stored with the sync content hash', async () => {
+  const collection = fakeCollection();
+  const result = await persistence.persistGeneratedTestCases(collection, [generated('TC_100')], { acceptedBy: 'qa' });
+
+  assert.deepEqual(result.inserted.map(doc => doc.id), ['TC_100']);
+  const [stored] = collection.docs;
+  assert.equal(stored.steps, 'Open ward board\r\nSelect patient\r\nTransfer');
+  assert.equal(stored.contentHash, sync.hashEmbeddingContent(stored));
+  assert.equal(stored.embedding.length, 1536);
+
+  // Re-ingesting the stored case leaves it alone
+  const { plan } = await sync.diffRecords(collection, [stored], 'generated', { embeddingModel: stored.embeddingMetadata.model });
+  assert.equal(plan[0].action, 'unchanged');
+});
+
+test('incomplete, repeated and existing IDs are skipped', async () => {
+  const collection = fakeCollection([{ _id: 'a', id: 'TC_001' }]);
+  const result = await persistence.persistGeneratedTestCases(collection, [
+    generated('TC_001'),
+    generated('TC_002', { testSteps: [] }),
+    generated('TC_003'),
+    generated('TC_003')
+  ]);
+
+  assert.deepEqual(result.inserted.map(doc => doc.id), ['TC_003']);
+  assert.deepEqual(result.skipped.map(skip => [skip.id, skip.reason]), [
+    ['TC_001', 'ID already exists in the collection'],
+    ['TC_002', 'Missing required field(s): steps'],
+    ['TC_003', 'Duplicate ID in request']
+  ]);
+});
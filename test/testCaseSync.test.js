@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEmbeddingInput, hashEmbeddingContent, diffRecords, buildDiffReport } from '../src/ingestion/testCaseSync.js';
+import { matchDocument } from '../src/providers/vectorStore.js';
+
+function fakeCollection(docs) {
+  return {
+    find(query) {
+      return { toArray: async () => docs.filter(doc => matchDocument(doc, query)) };
+    }
+  };
+}
+
+const record = (id, title, extra = {}) => ({ id, module: 'Wards', title, steps: 'Open ward board', ...extra });
+
+test('the content hash follows the embedded text', () => {
+  const a = record('TC_001', 'Transfer a patient');
+  assert.match(buildEmbeddingInput(a), /ID: TC_001[\s\S]*Title: Transfer a patient/);
+  assert.equal(hashEmbeddingContent(a), hashEmbeddingContent({ ...a }));
+  assert.notEqual(hashEmbeddingContent(a), hashEmbeddingContent({ ...a, title: 'Transfer two patients' }));
+  assert.match(hashEmbeddingContent(a), /^[0-9a-f]{64}$/);
+});
+
+test('diffRecords plans one action per row', async () => {
+  const unchanged = record('TC_001', 'Transfer a patient');
+  const changed = record('TC_002', 'Discharge a patient');
+  const stored = [
+    { _id: 'a', id: 'TC_001', contentHash: hashEmbeddingContent(unchanged), embeddingMetadata: { model: 'm1' }, sourceFile: 'wards.json' },
+    { _id: 'b', id: 'TC_002', contentHash: 'stale', embeddingMetadata: { model: 'm1' }, sourceFile: 'wards.json' },
+    { _id: 'c', id: 'TC_003', sourceFile: 'wards.json' },
+    { _id: 'd', id: 'TC_009', sourceFile: 'wards.json' },
+    { _id: 'e', id: 'TC_010', sourceFile: 'billing.json' }
+  ];
+  const records = [
+    unchanged,
+    changed,
+    record('TC_003', 'Legacy row'),
+    record('TC_004', 'New row'),
+    record(' TC_004 ', 'Repeated'),
+    record('', 'No ID')
+  ];
+
+  const { plan, removals, summary } = await diffRecords(fakeCollection(stored), records, 'wards.json', { removeMissing: true, embeddingModel: 'm1' });
+  assert.deepEqual(plan.map(entry => [entry.action, entry.reason]), [
+    ['unchanged', 'Content unchanged'],
+    ['update', 'Content changed'],
+    ['update', 'Stored document has no content hash'],
+    ['insert', 'New test case'],
+    ['invalid', 'Duplicate ID in file (first occurrence is used)'],
+    ['invalid', 'Row has no test case ID']
+  ]);
+  assert.equal(plan[1].existingId, 'b');
+  assert.deepEqual(removals.map(doc => doc.id), ['TC_009']);
+  assert.deepEqual(summary, { total: 6, insert: 1, update: 2, unchanged: 1, invalid: 2, remove: 1 });
+});
+
+test('a new embedding model or duplicate documents force an update', async () => {
+  const row = record('TC_001', 'Transfer a patient');
+  const contentHash = hashEmbeddingContent(row);
+
+  const modelChanged = await diffRecords(fakeCollection([{ _id: 'a', id: 'TC_001', contentHash, embeddingMetadata: { model: 'old' } }]), [row], 'f', { embeddingModel: 'new' });
+  assert.equal(modelChanged.plan[0].reason, 'Embedding model changed');
+
+  const duplicated = await diffRecords(fakeCollection([{ _id: 'a', id: 'TC_001', contentHash }, { _id: 'b', id: 'TC_001', contentHash }]), [row], 'f');
+  assert.equal(duplicated.plan[0].action, 'update');
+  assert.deepEqual(duplicated.plan[0].duplicateIds, ['b']);
+});
+
+test('buildDiffReport summarises the plan per row', async () => {
+  const records = [record('TC_001', 'Transfer a patient')];
+  const diff = await diffRecords(fakeCollection([]), records, 'wards.json');
+  const report = buildDiffReport('wards.json', records, diff);
+  assert.equal(report.file, 'wards.json');
+  assert.deepEqual(report.changes, { insert: ['TC_001'], update: [], invalid: [], remove: [] });
+  assert.equal(report.truncated, false);
+});